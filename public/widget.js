@@ -0,0 +1,114 @@
+// Aiyudo chat widget. Organizations add it to their own site with:
+//
+//   <script src="https://<your help portal>/widget.js" data-organization="<organization id>" async></script>
+//
+// Optional attributes: data-language (defaults to the page's language) and
+// data-position="left". The chat itself runs in an iframe served by the help
+// portal; this script only adds the launcher button and the frame around it.
+(function () {
+  const script = document.currentScript
+  if (!script || window.__aiyudoChatWidget) return
+  window.__aiyudoChatWidget = true
+
+  const organizationId = script.dataset.organization
+  if (!organizationId) {
+    console.error('Aiyudo chat: the script tag needs a data-organization attribute')
+    return
+  }
+
+  // Must match WIDGET_MESSAGE_SOURCE in src/lib/chatWidget.js
+  const MESSAGE_SOURCE = 'aiyudo-chat'
+  const appOrigin = new URL(script.src).origin
+  const language = (script.dataset.language || document.documentElement.lang || navigator.language || 'en').split('-')[0]
+  const side = script.dataset.position === 'left' ? 'left' : 'right'
+
+  const frame = document.createElement('iframe')
+  frame.src = `${appOrigin}/widget/${encodeURIComponent(organizationId)}?lng=${encodeURIComponent(language)}`
+  frame.title = 'Chat'
+  Object.assign(frame.style, {
+    position: 'fixed',
+    bottom: '88px',
+    [side]: '20px',
+    width: '370px',
+    height: '560px',
+    maxWidth: 'calc(100vw - 40px)',
+    maxHeight: 'calc(100vh - 108px)',
+    border: 'none',
+    borderRadius: '12px',
+    boxShadow: '0 10px 30px rgba(0, 0, 0, 0.2)',
+    zIndex: '2147483646',
+    display: 'none',
+    background: '#fff'
+  })
+
+  const button = document.createElement('button')
+  button.type = 'button'
+  button.setAttribute('aria-label', 'Chat')
+  button.innerHTML = '<svg width="26" height="26" fill="none" stroke="currentColor" stroke-width="2" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" d="M8 10h.01M12 10h.01M16 10h.01M21 12c0 4.418-4.03 8-9 8a9.86 9.86 0 01-4-.84L3 20l1.3-3.9A7.94 7.94 0 013 12c0-4.418 4.03-8 9-8s9 3.582 9 8z"/></svg>'
+  Object.assign(button.style, {
+    position: 'fixed',
+    bottom: '20px',
+    [side]: '20px',
+    width: '56px',
+    height: '56px',
+    borderRadius: '50%',
+    border: 'none',
+    color: '#fff',
+    background: '#2563eb',
+    boxShadow: '0 4px 12px rgba(0, 0, 0, 0.25)',
+    cursor: 'pointer',
+    zIndex: '2147483647',
+    // Shown once the widget confirms the organization has chat turned on
+    display: 'none',
+    alignItems: 'center',
+    justifyContent: 'center'
+  })
+
+  // Marks messages that arrived while the chat was closed
+  const badge = document.createElement('span')
+  Object.assign(badge.style, {
+    position: 'absolute',
+    top: '4px',
+    right: '4px',
+    width: '12px',
+    height: '12px',
+    borderRadius: '50%',
+    background: '#ef4444',
+    border: '2px solid #fff',
+    display: 'none'
+  })
+  button.appendChild(badge)
+
+  let isOpen = false
+  const setOpen = (open) => {
+    isOpen = open
+    frame.style.display = open ? 'block' : 'none'
+    if (open) badge.style.display = 'none'
+  }
+
+  button.addEventListener('click', () => setOpen(!isOpen))
+
+  window.addEventListener('message', (event) => {
+    if (event.origin !== appOrigin || event.source !== frame.contentWindow) return
+    const data = event.data
+    if (!data || data.source !== MESSAGE_SOURCE) return
+
+    if (data.type === 'ready') {
+      if (!data.enabled) return
+      if (data.color) button.style.background = data.color
+      button.style.display = 'flex'
+    } else if (data.type === 'close') {
+      setOpen(false)
+    } else if (data.type === 'message' && !isOpen) {
+      badge.style.display = 'block'
+    }
+  })
+
+  const mount = () => {
+    document.body.appendChild(frame)
+    document.body.appendChild(button)
+  }
+
+  if (document.body) mount()
+  else document.addEventListener('DOMContentLoaded', mount)
+})()
@@ -23,6 +23,12 @@ import { AgentDashboard } from './components/agent/AgentDashboard'
 import { Toaster } from 'react-hot-toast'
 import { TeamDetailsView } from './components/agent/TeamDetailsView'
 import { TestManager } from './components/testing/TestManager'
+import { AutomationRulesView } from './components/admin/AutomationRulesView'
+import { RoutingView } from './components/admin/RoutingView'
+import { CannedResponsesView } from './components/agent/CannedResponsesView'
+import { ChatWidget } from './components/widget/ChatWidget'
+import { HelpCenterView } from './components/helpCenter/HelpCenterView'
+import { HelpArticleView } from './components/helpCenter/HelpArticleView'
 
 function LoadingScreen() {
   const [loadingTime, setLoadingTime] = useState(0)
@@ -194,6 +200,16 @@ function AdminTestingRoute() {
   return profile?.role === 'admin' ? <TestManager /> : <Navigate to="/dashboard" replace />
 }
 
+function AdminAutomationsRoute() {
+  const { profile } = useAuth()
+  return profile?.role === 'admin' ? <AutomationRulesView /> : <Navigate to="/dashboard" replace />
+}
+
+function AdminRoutingRoute() {
+  const { profile } = useAuth()
+  return profile?.role === 'admin' ? <RoutingView /> : <Navigate to="/dashboard" replace />
+}
+
 function App() {
   useEffect(() => {
     // Handle tab visibility changes
@@ -249,6 +265,7 @@ function App() {
               <Route path="/dashboard/tickets/:ticketId" element={<AuthenticatedLayout><TicketDetails /></AuthenticatedLayout>} />
               <Route path="/dashboard/teams" element={<AuthenticatedLayout><TeamsView /></AuthenticatedLayout>} />
               <Route path="/dashboard/teams/:teamId" element={<AuthenticatedLayout><TeamDetailsView /></AuthenticatedLayout>} />
+              <Route path="/dashboard/canned-responses" element={<AuthenticatedLayout><CannedResponsesView /></AuthenticatedLayout>} />
               <Route path="/dashboard/profile" element={<AuthenticatedLayout><ProfileView /></AuthenticatedLayout>} />
               <Route path="/dashboard/settings" element={<AuthenticatedLayout><SettingsView /></AuthenticatedLayout>} />
               <Route path="/dashboard/agent-analytics" element={<AuthenticatedLayout><AgentAnalytics /></AuthenticatedLayout>} />
@@ -256,6 +273,8 @@ function App() {
               <Route path="/dashboard/pending-organizations" element={<AuthenticatedLayout><PendingOrganizations /></AuthenticatedLayout>} />
               <Route path="/dashboard/email-test" element={<AuthenticatedLayout><EmailTest /></AuthenticatedLayout>} />
               <Route path="/dashboard/bot-testing" element={<AuthenticatedLayout><AdminTestingRoute /></AuthenticatedLayout>} />
+              <Route path="/dashboard/automations" element={<AuthenticatedLayout><AdminAutomationsRoute /></AuthenticatedLayout>} />
+              <Route path="/dashboard/routing" element={<AuthenticatedLayout><AdminRoutingRoute /></AuthenticatedLayout>} />
 
               {/* Customer Routes */}
               <Route path="/customer" element={<CustomerLayout><CustomerDashboard /></CustomerLayout>} />
@@ -264,6 +283,13 @@ function App() {
               <Route path="/customer/new-ticket" element={<CustomerLayout><NewTicketView /></CustomerLayout>} />
               <Route path="/customer/profile" element={<CustomerLayout><ProfileView /></CustomerLayout>} />
 
+              {/* Embeddable chat widget, framed by public/widget.js on other sites */}
+              <Route path="/widget/:organizationId" element={<ChatWidget />} />
+
+              {/* Public help center, open to signed-out visitors */}
+              <Route path="/help/:organizationId" element={<HelpCenterView />} />
+              <Route path="/help/:organizationId/articles/:articleId" element={<HelpArticleView />} />
+
               {/* Default Route */}
               <Route path="/" element={<Navigate to="/dashboard" replace />} />
             </Routes>
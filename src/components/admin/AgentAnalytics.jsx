@@ -3,11 +3,27 @@ import { supabase } from '../../lib/supabaseClient'
 import { useAuth } from '../../contexts/AuthContext'
 import { Navigate } from 'react-router-dom'
 import { useTranslation } from 'react-i18next'
+import { isResolvedStatus } from '../../lib/ticketLifecycle'
+import { fetchDeflectionStats } from '../../lib/helpCenter'
+import { DRAFT_OUTCOMES, fetchDraftStats } from '../../lib/agentAssist'
+
+function deflectionRate(counts) {
+  const total = counts.deflected + counts.escalated
+  return total > 0 ? `${Math.round((counts.deflected / total) * 100)}%` : '—'
+}
+
+// Share of the drafts agents acted on that went out, changed or not
+function draftUsageRate(counts) {
+  const total = counts.accepted + counts.edited + counts.discarded
+  return total > 0 ? `${Math.round(((counts.accepted + counts.edited) / total) * 100)}%` : '—'
+}
 
 export function AgentAnalytics() {
   const { t } = useTranslation()
   const { isAdmin } = useAuth()
   const [agents, setAgents] = useState([])
+  const [deflections, setDeflections] = useState(null)
+  const [drafts, setDrafts] = useState(null)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
   const [timeframe, setTimeframe] = useState('7d')
@@ -47,14 +63,14 @@ export function AgentAnalytics() {
           if (ticketsError) throw ticketsError
 
           const totalTickets = tickets.length
-          const resolvedTickets = tickets.filter(t => t.status === 'resolved').length
+          const resolvedTickets = tickets.filter(t => isResolvedStatus(t.status)).length
           const ratedTickets = tickets.filter(t => t.satisfaction_rating !== null).length
           const averageRating = ratedTickets > 0
             ? tickets.reduce((acc, t) => acc + (t.satisfaction_rating || 0), 0) / ratedTickets
             : 0
           
           // Calculate average resolution time
-          const resolvedWithTime = tickets.filter(t => t.status === 'resolved' && t.resolved_at)
+          const resolvedWithTime = tickets.filter(t => isResolvedStatus(t.status) && t.resolved_at)
           const avgResolutionTime = resolvedWithTime.length > 0
             ? resolvedWithTime.reduce((acc, t) => {
                 const resolvedTime = new Date(t.resolved_at) - new Date(t.created_at)
@@ -78,6 +94,15 @@ export function AgentAnalytics() {
 
       // Sort by total tickets handled
       setAgents(agentsWithMetrics.sort((a, b) => b.metrics.totalTickets - a.metrics.totalTickets))
+
+      // Questions self-service answered without a ticket, across organizations,
+      // and what agents did with the replies agent assist drafted
+      const [deflectionStats, draftStats] = await Promise.all([
+        fetchDeflectionStats(null, startDate),
+        fetchDraftStats(startDate)
+      ])
+      setDeflections(deflectionStats)
+      setDrafts(draftStats)
     } catch (err) {
       console.error('Error fetching agent analytics:', err)
       setError(t('common.analytics.errors.fetchFailed'))
@@ -121,68 +146,120 @@ export function AgentAnalytics() {
           <p className="text-red-600 dark:text-red-400">{error}</p>
         </div>
       ) : (
-        <div className="grid gap-6 md:grid-cols-2 lg:grid-cols-3">
-          {agents.map((agent) => (
-            <div 
-              key={agent.id} 
-              className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6"
-            >
-              <div className="mb-4">
-                <h3 className="text-lg font-medium text-gray-900 dark:text-white">{agent.full_name}</h3>
-                <p className="text-sm text-gray-500 dark:text-gray-400">{agent.email}</p>
+        <div className="space-y-6">
+          {deflections && (
+            <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+              <h2 className="text-lg font-medium text-gray-900 dark:text-white mb-4">{t('common.analytics.selfService')}</h2>
+              <div className="grid grid-cols-3 gap-4">
+                <div>
+                  <p className="text-sm text-gray-500 dark:text-gray-400">{t('common.analytics.deflected')}</p>
+                  <p className="text-2xl font-semibold text-gray-900 dark:text-white">{deflections.total.deflected}</p>
+                </div>
+                <div>
+                  <p className="text-sm text-gray-500 dark:text-gray-400">{t('common.analytics.escalated')}</p>
+                  <p className="text-2xl font-semibold text-gray-900 dark:text-white">{deflections.total.escalated}</p>
+                </div>
+                <div>
+                  <p className="text-sm text-gray-500 dark:text-gray-400">{t('common.analytics.deflectionRate')}</p>
+                  <p className="text-2xl font-semibold text-gray-900 dark:text-white">{deflectionRate(deflections.total)}</p>
+                </div>
               </div>
-              
-              <div className="space-y-4">
-                <div className="grid grid-cols-2 gap-4">
-                  <div>
-                    <p className="text-sm text-gray-500 dark:text-gray-400">{t('common.analytics.totalTickets')}</p>
-                    <p className="text-2xl font-semibold text-gray-900 dark:text-white">
-                      {agent.metrics.totalTickets}
-                    </p>
-                  </div>
-                  <div>
-                    <p className="text-sm text-gray-500 dark:text-gray-400">{t('common.analytics.resolutionRate')}</p>
-                    <p className="text-2xl font-semibold text-gray-900 dark:text-white">
-                      {Math.round(agent.metrics.resolutionRate)}%
-                    </p>
+              {Object.keys(deflections.byChannel).length > 0 && (
+                <ul className="mt-4 pt-4 border-t border-gray-200 dark:border-gray-700 space-y-1">
+                  {Object.entries(deflections.byChannel).map(([channel, counts]) => (
+                    <li key={channel} className="flex justify-between text-sm text-gray-600 dark:text-gray-300">
+                      <span>{t(`common.analytics.deflectionChannels.${channel}`)}</span>
+                      <span>
+                        {t('common.analytics.deflectionCounts', counts)} · {deflectionRate(counts)}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+
+          {drafts && (
+            <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+              <h2 className="text-lg font-medium text-gray-900 dark:text-white mb-4">{t('common.analytics.replyDrafts')}</h2>
+              <div className="grid grid-cols-2 sm:grid-cols-4 gap-4">
+                {DRAFT_OUTCOMES.map(outcome => (
+                  <div key={outcome}>
+                    <p className="text-sm text-gray-500 dark:text-gray-400">{t(`common.analytics.draftOutcomes.${outcome}`)}</p>
+                    <p className="text-2xl font-semibold text-gray-900 dark:text-white">{drafts[outcome]}</p>
                   </div>
+                ))}
+                <div>
+                  <p className="text-sm text-gray-500 dark:text-gray-400">{t('common.analytics.draftUsageRate')}</p>
+                  <p className="text-2xl font-semibold text-gray-900 dark:text-white">{draftUsageRate(drafts)}</p>
                 </div>
+              </div>
+            </div>
+          )}
 
-                <div className="grid grid-cols-2 gap-4">
-                  <div>
-                    <p className="text-sm text-gray-500 dark:text-gray-400">{t('common.analytics.averageRating')}</p>
-                    <p className="text-2xl font-semibold text-gray-900 dark:text-white flex items-center">
-                      {agent.metrics.averageRating}
-                      <span className="text-amber-400 ml-1">★</span>
-                    </p>
-                  </div>
-                  <div>
-                    <p className="text-sm text-gray-500 dark:text-gray-400">{t('common.analytics.averageResolutionTime')}</p>
-                    <p className="text-2xl font-semibold text-gray-900 dark:text-white">
-                      {formatResolutionTime(agent.metrics.averageResolutionTime)}
-                    </p>
-                  </div>
+          <div className="grid gap-6 md:grid-cols-2 lg:grid-cols-3">
+            {agents.map((agent) => (
+              <div 
+                key={agent.id} 
+                className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6"
+              >
+                <div className="mb-4">
+                  <h3 className="text-lg font-medium text-gray-900 dark:text-white">{agent.full_name}</h3>
+                  <p className="text-sm text-gray-500 dark:text-gray-400">{agent.email}</p>
                 </div>
+                
+                <div className="space-y-4">
+                  <div className="grid grid-cols-2 gap-4">
+                    <div>
+                      <p className="text-sm text-gray-500 dark:text-gray-400">{t('common.analytics.totalTickets')}</p>
+                      <p className="text-2xl font-semibold text-gray-900 dark:text-white">
+                        {agent.metrics.totalTickets}
+                      </p>
+                    </div>
+                    <div>
+                      <p className="text-sm text-gray-500 dark:text-gray-400">{t('common.analytics.resolutionRate')}</p>
+                      <p className="text-2xl font-semibold text-gray-900 dark:text-white">
+                        {Math.round(agent.metrics.resolutionRate)}%
+                      </p>
+                    </div>
+                  </div>
 
-                <div className="pt-4 border-t border-gray-200 dark:border-gray-700">
                   <div className="grid grid-cols-2 gap-4">
                     <div>
-                      <p className="text-sm text-gray-500 dark:text-gray-400">{t('common.analytics.resolvedTickets')}</p>
-                      <p className="text-lg font-medium text-gray-900 dark:text-white">
-                        {agent.metrics.resolvedTickets}
+                      <p className="text-sm text-gray-500 dark:text-gray-400">{t('common.analytics.averageRating')}</p>
+                      <p className="text-2xl font-semibold text-gray-900 dark:text-white flex items-center">
+                        {agent.metrics.averageRating}
+                        <span className="text-amber-400 ml-1">★</span>
                       </p>
                     </div>
                     <div>
-                      <p className="text-sm text-gray-500 dark:text-gray-400">{t('common.analytics.ratingParticipation')}</p>
-                      <p className="text-lg font-medium text-gray-900 dark:text-white">
-                        {Math.round(agent.metrics.ratingParticipation)}%
+                      <p className="text-sm text-gray-500 dark:text-gray-400">{t('common.analytics.averageResolutionTime')}</p>
+                      <p className="text-2xl font-semibold text-gray-900 dark:text-white">
+                        {formatResolutionTime(agent.metrics.averageResolutionTime)}
                       </p>
                     </div>
                   </div>
+
+                  <div className="pt-4 border-t border-gray-200 dark:border-gray-700">
+                    <div className="grid grid-cols-2 gap-4">
+                      <div>
+                        <p className="text-sm text-gray-500 dark:text-gray-400">{t('common.analytics.resolvedTickets')}</p>
+                        <p className="text-lg font-medium text-gray-900 dark:text-white">
+                          {agent.metrics.resolvedTickets}
+                        </p>
+                      </div>
+                      <div>
+                        <p className="text-sm text-gray-500 dark:text-gray-400">{t('common.analytics.ratingParticipation')}</p>
+                        <p className="text-lg font-medium text-gray-900 dark:text-white">
+                          {Math.round(agent.metrics.ratingParticipation)}%
+                        </p>
+                      </div>
+                    </div>
+                  </div>
                 </div>
               </div>
-            </div>
-          ))}
+            ))}
+          </div>
         </div>
       )}
     </div>
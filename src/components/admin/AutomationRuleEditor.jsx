@@ -0,0 +1,451 @@
+import { useState } from 'react'
+import { useTranslation } from 'react-i18next'
+import {
+  ACTION_TYPES,
+  AUTOMATION_TRIGGERS,
+  CONDITION_FIELDS,
+  CONDITION_OPERATORS,
+  createEmptyAction,
+  createEmptyCondition,
+  previewAutomationRule
+} from '../../lib/automationRules'
+import { SLA_PRIORITIES } from '../../lib/sla'
+import { TICKET_STATUSES, TICKET_TYPES } from '../../lib/ticketLifecycle'
+
+const TEMPLATE_PLACEHOLDERS = ['title', 'id', 'status', 'priority', 'type'].map(key => `{{ticket.${key}}}`).join(', ')
+
+const inputClassName = "block w-full px-3 py-2 text-sm bg-white dark:bg-gray-800 border-2 border-gray-300 dark:border-gray-600 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:text-white shadow-sm"
+
+export function AutomationRuleEditor({ rule, targets, saving, onSave, onCancel }) {
+  const { t } = useTranslation()
+  const [draft, setDraft] = useState(rule)
+  const [error, setError] = useState(null)
+  const [preview, setPreview] = useState(null)
+  const [previewing, setPreviewing] = useState(false)
+
+  const update = (changes) => {
+    setDraft(prev => ({ ...prev, ...changes }))
+    setPreview(null)
+  }
+
+  const toggleTrigger = (trigger) => {
+    update({
+      triggers: draft.triggers.includes(trigger)
+        ? draft.triggers.filter(item => item !== trigger)
+        : [...draft.triggers, trigger]
+    })
+  }
+
+  const updateCondition = (index, changes) => {
+    update({
+      conditions: draft.conditions.map((condition, i) => {
+        if (i !== index) return condition
+        // A new field starts over with its own operators and an empty value
+        return changes.field ? createEmptyCondition(changes.field) : { ...condition, ...changes }
+      })
+    })
+  }
+
+  const updateAction = (index, changes) => {
+    update({
+      actions: draft.actions.map((action, i) => {
+        if (i !== index) return action
+        return changes.type ? createEmptyAction(changes.type) : { ...action, ...changes }
+      })
+    })
+  }
+
+  const validate = () => {
+    if (!draft.name.trim()) return 'nameRequired'
+    if (draft.triggers.length === 0) return 'triggerRequired'
+    if (draft.actions.length === 0) return 'actionRequired'
+
+    const emptyCondition = draft.conditions.some(condition =>
+      condition.operator !== 'is_empty' && String(condition.value ?? '').trim() === ''
+    )
+    if (emptyCondition) return 'incompleteCondition'
+
+    const emptyAction = draft.actions.some(action => action.type === 'send_email'
+      ? !action.value.to.trim() || !action.value.subject.trim() || !action.value.body.trim()
+      // Unassigning a team or agent is done with an empty value
+      : !['assign_team', 'assign_agent'].includes(action.type) && !String(action.value ?? '').trim()
+    )
+    if (emptyAction) return 'incompleteAction'
+
+    return null
+  }
+
+  const handleSave = (e) => {
+    e.preventDefault()
+    const validationError = validate()
+    setError(validationError)
+    if (!validationError) onSave(draft)
+  }
+
+  const handlePreview = async () => {
+    const validationError = validate()
+    setError(validationError)
+    if (validationError) return
+
+    try {
+      setPreviewing(true)
+      setPreview(await previewAutomationRule(draft))
+    } catch (err) {
+      console.error('Error previewing automation rule:', err)
+      setError('previewFailed')
+    } finally {
+      setPreviewing(false)
+    }
+  }
+
+  const describeValue = (field, value) => {
+    if (value === null || value === '') return t('common.automations.none')
+    if (field === 'team_id') return targets.teams.find(team => team.id === value)?.name ?? value
+    if (field === 'agent_id') {
+      const agent = targets.agents.find(agent => agent.id === value)
+      return agent ? agent.full_name || agent.email : value
+    }
+    if (field === 'status') return t(`common.tickets.status.${value}`)
+    if (field === 'priority') return t(`common.tickets.priority_options.${value}`)
+    if (field === 'tags') return value.join(', ')
+    return String(value)
+  }
+
+  const renderConditionValue = (condition, index) => {
+    if (condition.operator === 'is_empty') return null
+
+    const onChange = (e) => updateCondition(index, { value: e.target.value })
+    const options = {
+      organization: targets.organizations.map(org => ({ value: org.id, label: org.name })),
+      priority: SLA_PRIORITIES.map(priority => ({ value: priority, label: t(`common.tickets.priority_options.${priority}`) })),
+      status: TICKET_STATUSES.map(status => ({ value: status, label: t(`common.tickets.status.${status}`) })),
+      type: TICKET_TYPES.map(type => ({ value: type, label: t(`common.tickets.types.${type}`) }))
+    }[condition.field]
+
+    if (options) {
+      return (
+        <select value={condition.value} onChange={onChange} className={inputClassName}>
+          <option value="">{t('common.automations.selectValue')}</option>
+          {options.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      )
+    }
+
+    return (
+      <input
+        type={condition.field === 'hours_since_last_reply' ? 'number' : 'text'}
+        min={condition.field === 'hours_since_last_reply' ? '0' : undefined}
+        step={condition.field === 'hours_since_last_reply' ? '0.5' : undefined}
+        value={condition.value}
+        onChange={onChange}
+        placeholder={condition.field === 'keywords' ? t('common.automations.keywordsPlaceholder') : ''}
+        className={inputClassName}
+      />
+    )
+  }
+
+  const renderActionValue = (action, index) => {
+    const onChange = (e) => updateAction(index, { value: e.target.value })
+
+    switch (action.type) {
+      case 'assign_team':
+      case 'assign_agent': {
+        const options = action.type === 'assign_team'
+          ? targets.teams.map(team => ({ value: team.id, label: team.name }))
+          : targets.agents.map(agent => ({ value: agent.id, label: agent.full_name || agent.email }))
+        return (
+          <select value={action.value} onChange={onChange} className={inputClassName}>
+            <option value="">{t('common.automations.unassign')}</option>
+            {options.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        )
+      }
+      case 'set_priority':
+      case 'set_status': {
+        const values = action.type === 'set_priority' ? SLA_PRIORITIES : TICKET_STATUSES
+        const prefix = action.type === 'set_priority' ? 'common.tickets.priority_options' : 'common.tickets.status'
+        return (
+          <select value={action.value} onChange={onChange} className={inputClassName}>
+            <option value="">{t('common.automations.selectValue')}</option>
+            {values.map(value => (
+              <option key={value} value={value}>{t(`${prefix}.${value}`)}</option>
+            ))}
+          </select>
+        )
+      }
+      case 'add_note':
+        return (
+          <textarea
+            rows={3}
+            value={action.value}
+            onChange={onChange}
+            placeholder={t('common.automations.templateHelp', { placeholders: TEMPLATE_PLACEHOLDERS })}
+            className={inputClassName}
+          />
+        )
+      case 'send_email': {
+        const setEmail = (changes) => updateAction(index, { value: { ...action.value, ...changes } })
+        const isAddress = !['customer', 'agent'].includes(action.value.to)
+        return (
+          <div className="space-y-2">
+            <div className="flex gap-2">
+              <select
+                value={isAddress ? 'address' : action.value.to}
+                onChange={(e) => setEmail({ to: e.target.value === 'address' ? '' : e.target.value })}
+                className={inputClassName}
+              >
+                <option value="customer">{t('common.automations.recipients.customer')}</option>
+                <option value="agent">{t('common.automations.recipients.agent')}</option>
+                <option value="address">{t('common.automations.recipients.address')}</option>
+              </select>
+              {isAddress && (
+                <input
+                  type="email"
+                  value={action.value.to}
+                  onChange={(e) => setEmail({ to: e.target.value })}
+                  className={inputClassName}
+                />
+              )}
+            </div>
+            <input
+              type="text"
+              value={action.value.subject}
+              onChange={(e) => setEmail({ subject: e.target.value })}
+              placeholder={t('common.automations.emailSubject')}
+              className={inputClassName}
+            />
+            <textarea
+              rows={3}
+              value={action.value.body}
+              onChange={(e) => setEmail({ body: e.target.value })}
+              placeholder={t('common.automations.templateHelp', { placeholders: TEMPLATE_PLACEHOLDERS })}
+              className={inputClassName}
+            />
+          </div>
+        )
+      }
+      default:
+        return (
+          <input type="text" value={action.value} onChange={onChange} className={inputClassName} />
+        )
+    }
+  }
+
+  return (
+    <form onSubmit={handleSave} className="bg-white dark:bg-gray-800 rounded-lg shadow p-6 space-y-6">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+            {t('common.automations.name')}
+          </label>
+          <input
+            type="text"
+            value={draft.name}
+            onChange={(e) => update({ name: e.target.value })}
+            className={inputClassName}
+            required
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+            {t('common.automations.description')}
+          </label>
+          <input
+            type="text"
+            value={draft.description || ''}
+            onChange={(e) => update({ description: e.target.value })}
+            className={inputClassName}
+          />
+        </div>
+      </div>
+
+      <div className="space-y-2">
+        <h4 className="text-sm font-medium text-gray-900 dark:text-white">{t('common.automations.runWhen')}</h4>
+        <div className="flex flex-wrap gap-4">
+          {AUTOMATION_TRIGGERS.map(trigger => (
+            <label key={trigger} className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+              <input
+                type="checkbox"
+                checked={draft.triggers.includes(trigger)}
+                onChange={() => toggleTrigger(trigger)}
+                className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+              />
+              {t(`common.automations.triggers.${trigger}`)}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div className="space-y-3">
+        <div className="flex items-center gap-2">
+          <h4 className="text-sm font-medium text-gray-900 dark:text-white">{t('common.automations.conditions')}</h4>
+          <select
+            value={draft.match_type}
+            onChange={(e) => update({ match_type: e.target.value })}
+            className="px-2 py-1 text-sm bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 rounded-md dark:text-white"
+          >
+            <option value="all">{t('common.automations.matchAll')}</option>
+            <option value="any">{t('common.automations.matchAny')}</option>
+          </select>
+        </div>
+        {draft.conditions.length === 0 && (
+          <p className="text-xs text-gray-500 dark:text-gray-400">{t('common.automations.noConditions')}</p>
+        )}
+        {draft.conditions.map((condition, index) => (
+          <div key={index} className="grid grid-cols-1 md:grid-cols-[1fr_1fr_2fr_auto] gap-2 items-start">
+            <select
+              value={condition.field}
+              onChange={(e) => updateCondition(index, { field: e.target.value })}
+              className={inputClassName}
+            >
+              {CONDITION_FIELDS.map(field => (
+                <option key={field} value={field}>{t(`common.automations.fields.${field}`)}</option>
+              ))}
+            </select>
+            <select
+              value={condition.operator}
+              onChange={(e) => updateCondition(index, { operator: e.target.value })}
+              className={inputClassName}
+            >
+              {CONDITION_OPERATORS[condition.field].map(operator => (
+                <option key={operator} value={operator}>{t(`common.automations.operators.${operator}`)}</option>
+              ))}
+            </select>
+            <div>{renderConditionValue(condition, index)}</div>
+            <button
+              type="button"
+              onClick={() => update({ conditions: draft.conditions.filter((_, i) => i !== index) })}
+              className="px-3 py-2 text-sm text-red-600 hover:text-red-700 dark:text-red-400"
+            >
+              {t('common.remove')}
+            </button>
+          </div>
+        ))}
+        <button
+          type="button"
+          onClick={() => update({ conditions: [...draft.conditions, createEmptyCondition()] })}
+          className="text-sm text-blue-600 hover:text-blue-700 dark:text-blue-400"
+        >
+          + {t('common.automations.addCondition')}
+        </button>
+      </div>
+
+      <div className="space-y-3">
+        <h4 className="text-sm font-medium text-gray-900 dark:text-white">{t('common.automations.actions')}</h4>
+        {draft.actions.map((action, index) => (
+          <div key={index} className="grid grid-cols-1 md:grid-cols-[1fr_3fr_auto] gap-2 items-start">
+            <select
+              value={action.type}
+              onChange={(e) => updateAction(index, { type: e.target.value })}
+              className={inputClassName}
+            >
+              {ACTION_TYPES.map(type => (
+                <option key={type} value={type}>{t(`common.automations.actionTypes.${type}`)}</option>
+              ))}
+            </select>
+            <div>{renderActionValue(action, index)}</div>
+            <button
+              type="button"
+              onClick={() => update({ actions: draft.actions.filter((_, i) => i !== index) })}
+              className="px-3 py-2 text-sm text-red-600 hover:text-red-700 dark:text-red-400"
+            >
+              {t('common.remove')}
+            </button>
+          </div>
+        ))}
+        <button
+          type="button"
+          onClick={() => update({ actions: [...draft.actions, createEmptyAction()] })}
+          className="text-sm text-blue-600 hover:text-blue-700 dark:text-blue-400"
+        >
+          + {t('common.automations.addAction')}
+        </button>
+      </div>
+
+      <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+        <input
+          type="checkbox"
+          checked={draft.stop_processing}
+          onChange={(e) => update({ stop_processing: e.target.checked })}
+          className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+        />
+        {t('common.automations.stopProcessing')}
+      </label>
+
+      {error && (
+        <p className="text-sm text-red-600 dark:text-red-400">
+          {t(`common.automations.errors.${error}`)}
+        </p>
+      )}
+
+      {preview && (
+        <div className="space-y-2 p-4 bg-gray-50 dark:bg-gray-900 rounded-lg">
+          <h4 className="text-sm font-medium text-gray-900 dark:text-white">
+            {t('common.automations.previewResult', { count: preview.matches.length, total: preview.evaluated })}
+          </h4>
+          <ul className="space-y-2 text-sm">
+            {preview.matches.map(match => (
+              <li key={match.ticket.id} className="text-gray-700 dark:text-gray-300">
+                <a
+                  href={`/dashboard/tickets/${match.ticket.id}`}
+                  target="_blank"
+                  rel="noreferrer"
+                  className="font-medium text-blue-600 hover:underline dark:text-blue-400"
+                >
+                  {match.ticket.title}
+                </a>
+                <ul className="ml-4 text-xs text-gray-500 dark:text-gray-400">
+                  {Object.entries(match.changes).map(([field, value]) => (
+                    <li key={field}>
+                      {t(`common.automations.changes.${field}`)}: {describeValue(field, value)}
+                    </li>
+                  ))}
+                  {match.effects.map((effect, i) => (
+                    <li key={`${effect}-${i}`}>{t(`common.automations.actionTypes.${effect}`)}</li>
+                  ))}
+                  {match.skipped.map((skipped, i) => (
+                    <li key={`skipped-${i}`} className="text-yellow-600 dark:text-yellow-400">
+                      {t('common.automations.skippedAction', { action: t(`common.automations.actionTypes.${skipped.type}`), reason: skipped.reason })}
+                    </li>
+                  ))}
+                  {Object.keys(match.changes).length === 0 && match.effects.length === 0 && (
+                    <li>{t('common.automations.noChanges')}</li>
+                  )}
+                </ul>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="flex items-center justify-end gap-3">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-4 py-2 text-sm bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 dark:bg-gray-700 dark:text-gray-300 dark:hover:bg-gray-600"
+        >
+          {t('common.cancel')}
+        </button>
+        <button
+          type="button"
+          onClick={handlePreview}
+          disabled={previewing}
+          className="px-4 py-2 text-sm font-medium text-blue-600 border border-blue-600 rounded-md hover:bg-blue-50 dark:text-blue-400 dark:border-blue-400 dark:hover:bg-gray-700 disabled:opacity-50"
+        >
+          {previewing ? t('common.automations.previewing') : t('common.automations.preview')}
+        </button>
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-4 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-md disabled:opacity-50"
+        >
+          {t('common.save')}
+        </button>
+      </div>
+    </form>
+  )
+}
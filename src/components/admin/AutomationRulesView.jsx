@@ -0,0 +1,301 @@
+import { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import { useTranslation } from 'react-i18next'
+import { toast } from 'react-hot-toast'
+import { AutomationRuleEditor } from './AutomationRuleEditor'
+import {
+  createEmptyAction,
+  deleteAutomationRule,
+  fetchAutomationRules,
+  fetchAutomationRuns,
+  fetchAutomationTargets,
+  reorderAutomationRules,
+  saveAutomationRule,
+  setAutomationRuleActive
+} from '../../lib/automationRules'
+
+const NEW_RULE = {
+  name: '',
+  description: '',
+  is_active: true,
+  triggers: ['ticket_created'],
+  match_type: 'all',
+  conditions: [],
+  actions: [createEmptyAction()],
+  stop_processing: false
+}
+
+export function AutomationRulesView() {
+  const { t } = useTranslation()
+  const [rules, setRules] = useState([])
+  const [runs, setRuns] = useState([])
+  const [targets, setTargets] = useState({ organizations: [], teams: [], agents: [] })
+  const [loading, setLoading] = useState(true)
+  const [editingRule, setEditingRule] = useState(null)
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    loadData()
+  }, [])
+
+  const loadData = async () => {
+    try {
+      setLoading(true)
+      const [rulesData, runsData, targetsData] = await Promise.all([
+        fetchAutomationRules(),
+        fetchAutomationRuns(),
+        fetchAutomationTargets()
+      ])
+      setRules(rulesData)
+      setRuns(runsData)
+      setTargets(targetsData)
+    } catch (err) {
+      console.error('Error loading automations:', err)
+      toast.error(t('common.automations.errors.fetchFailed'))
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const loadRuns = async () => {
+    try {
+      setRuns(await fetchAutomationRuns())
+    } catch (err) {
+      console.error('Error loading automation runs:', err)
+      toast.error(t('common.automations.errors.fetchFailed'))
+    }
+  }
+
+  const handleSave = async (rule) => {
+    try {
+      setSaving(true)
+      const saved = await saveAutomationRule(rule)
+      setRules(prev => rule.id
+        ? prev.map(item => item.id === saved.id ? saved : item)
+        : [...prev, saved]
+      )
+      setEditingRule(null)
+      toast.success(t('common.automations.saved'))
+    } catch (err) {
+      console.error('Error saving automation rule:', err)
+      toast.error(t('common.automations.errors.saveFailed'))
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleToggleActive = async (rule) => {
+    try {
+      await setAutomationRuleActive(rule.id, !rule.is_active)
+      setRules(prev => prev.map(item => item.id === rule.id ? { ...item, is_active: !rule.is_active } : item))
+    } catch (err) {
+      console.error('Error updating automation rule:', err)
+      toast.error(t('common.automations.errors.saveFailed'))
+    }
+  }
+
+  const handleDelete = async (rule) => {
+    if (!window.confirm(t('common.automations.confirmDelete', { name: rule.name }))) return
+
+    try {
+      await deleteAutomationRule(rule.id)
+      setRules(prev => prev.filter(item => item.id !== rule.id))
+    } catch (err) {
+      console.error('Error deleting automation rule:', err)
+      toast.error(t('common.automations.errors.deleteFailed'))
+    }
+  }
+
+  const handleMove = async (index, offset) => {
+    const reordered = [...rules]
+    const [moved] = reordered.splice(index, 1)
+    reordered.splice(index + offset, 0, moved)
+
+    const previous = rules
+    setRules(reordered)
+    try {
+      await reorderAutomationRules(reordered.map(rule => rule.id))
+    } catch (err) {
+      console.error('Error reordering automation rules:', err)
+      setRules(previous)
+      toast.error(t('common.automations.errors.saveFailed'))
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="text-center py-12">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500 mx-auto"></div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="container mx-auto px-4 py-8 space-y-8">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-white">
+            {t('common.automations.title')}
+          </h1>
+          <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+            {t('common.automations.subtitle')}
+          </p>
+        </div>
+        {!editingRule && (
+          <button
+            onClick={() => setEditingRule(NEW_RULE)}
+            className="px-4 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-lg"
+          >
+            {t('common.automations.newRule')}
+          </button>
+        )}
+      </div>
+
+      {editingRule && (
+        <AutomationRuleEditor
+          key={editingRule.id || 'new'}
+          rule={editingRule}
+          targets={targets}
+          saving={saving}
+          onSave={handleSave}
+          onCancel={() => setEditingRule(null)}
+        />
+      )}
+
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow overflow-hidden">
+        {rules.length === 0 ? (
+          <p className="p-6 text-center text-gray-500 dark:text-gray-400">{t('common.automations.noRules')}</p>
+        ) : (
+          <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+            {rules.map((rule, index) => (
+              <li key={rule.id} className="p-4 flex items-center gap-4">
+                <div className="flex flex-col">
+                  <button
+                    onClick={() => handleMove(index, -1)}
+                    disabled={index === 0}
+                    aria-label={t('common.automations.moveUp')}
+                    className="text-gray-500 hover:text-gray-700 dark:text-gray-400 disabled:opacity-30"
+                  >
+                    ▲
+                  </button>
+                  <button
+                    onClick={() => handleMove(index, 1)}
+                    disabled={index === rules.length - 1}
+                    aria-label={t('common.automations.moveDown')}
+                    className="text-gray-500 hover:text-gray-700 dark:text-gray-400 disabled:opacity-30"
+                  >
+                    ▼
+                  </button>
+                </div>
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center gap-2">
+                    <span className="text-sm text-gray-400">{index + 1}.</span>
+                    <h3 className={`font-medium truncate ${rule.is_active ? 'text-gray-900 dark:text-white' : 'text-gray-400 dark:text-gray-500'}`}>
+                      {rule.name}
+                    </h3>
+                    {rule.stop_processing && (
+                      <span className="px-2 py-0.5 text-xs rounded-full bg-yellow-100 text-yellow-800 dark:bg-yellow-900/20 dark:text-yellow-400">
+                        {t('common.automations.stops')}
+                      </span>
+                    )}
+                  </div>
+                  <p className="text-xs text-gray-500 dark:text-gray-400">
+                    {rule.triggers.map(trigger => t(`common.automations.triggers.${trigger}`)).join(', ')}
+                    {' · '}
+                    {t('common.automations.summary', { conditions: rule.conditions.length, actions: rule.actions.length })}
+                  </p>
+                </div>
+                <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                  <input
+                    type="checkbox"
+                    checked={rule.is_active}
+                    onChange={() => handleToggleActive(rule)}
+                    className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                  />
+                  {t('common.automations.active')}
+                </label>
+                <button
+                  onClick={() => setEditingRule(rule)}
+                  className="text-sm text-blue-600 hover:text-blue-700 dark:text-blue-400"
+                >
+                  {t('common.edit')}
+                </button>
+                <button
+                  onClick={() => handleDelete(rule)}
+                  className="text-sm text-red-600 hover:text-red-700 dark:text-red-400"
+                >
+                  {t('common.delete')}
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <div className="space-y-4">
+        <div className="flex items-center justify-between">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">{t('common.automations.log')}</h2>
+          <button onClick={loadRuns} className="text-sm text-blue-600 hover:text-blue-700 dark:text-blue-400">
+            {t('common.automations.refresh')}
+          </button>
+        </div>
+        <div className="bg-white dark:bg-gray-800 rounded-lg shadow overflow-x-auto">
+          {runs.length === 0 ? (
+            <p className="p-6 text-center text-gray-500 dark:text-gray-400">{t('common.automations.noRuns')}</p>
+          ) : (
+            <table className="min-w-full text-sm">
+              <thead className="bg-gray-50 dark:bg-gray-900">
+                <tr className="text-left text-gray-500 dark:text-gray-400">
+                  <th className="px-4 py-2 font-medium">{t('common.automations.ranAt')}</th>
+                  <th className="px-4 py-2 font-medium">{t('common.automations.rule')}</th>
+                  <th className="px-4 py-2 font-medium">{t('common.automations.ticket')}</th>
+                  <th className="px-4 py-2 font-medium">{t('common.automations.trigger')}</th>
+                  <th className="px-4 py-2 font-medium">{t('common.automations.actions')}</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                {runs.map(run => (
+                  <tr key={run.id} className="align-top">
+                    <td className="px-4 py-2 whitespace-nowrap text-gray-500 dark:text-gray-400">
+                      {new Date(run.created_at).toLocaleString()}
+                    </td>
+                    <td className="px-4 py-2 text-gray-900 dark:text-white">{run.rule_name}</td>
+                    <td className="px-4 py-2">
+                      {run.ticket ? (
+                        <Link to={`/dashboard/tickets/${run.ticket.id}`} className="text-blue-600 hover:underline dark:text-blue-400">
+                          {run.ticket.title}
+                        </Link>
+                      ) : t('common.notAvailable')}
+                    </td>
+                    <td className="px-4 py-2 text-gray-500 dark:text-gray-400">
+                      {t(`common.automations.triggers.${run.trigger}`)}
+                    </td>
+                    <td className="px-4 py-2">
+                      <ul className="space-y-1">
+                        {run.actions.map((action, i) => (
+                          <li
+                            key={i}
+                            title={action.error}
+                            className={{
+                              applied: 'text-green-600 dark:text-green-400',
+                              failed: 'text-red-600 dark:text-red-400',
+                              skipped: 'text-gray-400 dark:text-gray-500'
+                            }[action.status]}
+                          >
+                            {t(`common.automations.actionTypes.${action.type}`)}
+                            {' — '}
+                            {t(`common.automations.runStatus.${action.status}`)}
+                          </li>
+                        ))}
+                      </ul>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
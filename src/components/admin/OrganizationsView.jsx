@@ -2,9 +2,15 @@ import { useState, useEffect, useRef } from 'react'
 import { useAuth } from '../../contexts/AuthContext'
 import { supabase } from '../../lib/supabaseClient'
 import { OrganizationFiles } from '../organizations/OrganizationFiles'
+import { KnowledgeBaseSettings } from '../organizations/KnowledgeBaseSettings'
+import { SlaSettings } from '../organizations/SlaSettings'
+import { CustomFieldSettings } from '../organizations/CustomFieldSettings'
+import { EmailChannelSettings } from '../organizations/EmailChannelSettings'
+import { ChatWidgetSettings } from '../organizations/ChatWidgetSettings'
+import { HelpCenterSettings } from '../organizations/HelpCenterSettings'
 import { useTranslation } from 'react-i18next'
 import { AgentSearchBar } from '../common/AgentSearchBar'
-import { processPDFDocument } from '../../lib/pdfProcessing'
+import { addOrganizationFile } from '../../lib/documentIngestion'
 
 export function OrganizationsView() {
   const { t } = useTranslation()
@@ -164,52 +170,8 @@ export function OrganizationsView() {
             throw uploadError
           }
 
-          // Process file based on type
-          if (file.type === 'application/pdf') {
-            console.log('Processing PDF:', { 
-              file: file.name,
-              organizationId: org.id,
-              filePath,
-              fileType: file.type,
-              fileSize: file.size
-            })
-            
-            if (!filePath) {
-              console.error('FilePath is missing or invalid')
-              throw new Error('Invalid file path')
-            }
-
-            const { success, error: pdfError } = await processPDFDocument(
-              file,
-              org.id,
-              filePath
-            )
-
-            if (!success || pdfError) {
-              console.error('PDF processing failed:', pdfError)
-              setError(t('common.organizations.errors.pdfProcessingFailed'))
-            } else {
-              console.log('PDF processed successfully')
-            }
-          } else {
-            // Only create file record for non-PDF files
-            const { error: fileRecordError } = await supabase
-              .from('organization_files')
-              .insert([{
-                organization_id: org.id,
-                file_name: file.name,
-                file_type: file.type || 'application/octet-stream',
-                file_size: file.size,
-                storage_path: filePath,
-                description: fileDescription.trim() || null,
-                has_embeddings: false
-              }])
-
-            if (fileRecordError) {
-              console.error('Error creating file record:', fileRecordError)
-              throw fileRecordError
-            }
-          }
+          // Record the file; knowledge documents are indexed in the background
+          await addOrganizationFile(file, org.id, filePath, { description: fileDescription })
         } catch (fileError) {
           console.error('Error processing file:', fileError)
           setError(t('common.organizations.errors.fileProcessingFailed'))
@@ -582,6 +544,36 @@ export function OrganizationsView() {
                   <OrganizationFiles organizationId={org.id} />
                 </div>
 
+                {/* Knowledge Base Retrieval Settings */}
+                <div className="border-b border-gray-200 dark:border-gray-700">
+                  <KnowledgeBaseSettings organizationId={org.id} />
+                </div>
+
+                {/* SLA Policies */}
+                <div className="border-b border-gray-200 dark:border-gray-700">
+                  <SlaSettings organizationId={org.id} />
+                </div>
+
+                {/* Custom Ticket Fields */}
+                <div className="border-b border-gray-200 dark:border-gray-700">
+                  <CustomFieldSettings organizationId={org.id} />
+                </div>
+
+                {/* Inbound Email Channel */}
+                <div className="border-b border-gray-200 dark:border-gray-700">
+                  <EmailChannelSettings organizationId={org.id} />
+                </div>
+
+                {/* Chat Widget */}
+                <div className="border-b border-gray-200 dark:border-gray-700">
+                  <ChatWidgetSettings organizationId={org.id} />
+                </div>
+
+                {/* Help Center */}
+                <div className="border-b border-gray-200 dark:border-gray-700">
+                  <HelpCenterSettings organizationId={org.id} />
+                </div>
+
                 {/* Assigned Agents Section */}
                 <div className="p-6">
                   <h4 className="text-sm font-medium text-gray-700 dark:text-gray-400 mb-4">
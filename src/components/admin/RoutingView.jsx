@@ -0,0 +1,217 @@
+import { useState, useEffect } from 'react'
+import { useTranslation } from 'react-i18next'
+import { toast } from 'react-hot-toast'
+import {
+  ASSIGNMENT_STRATEGIES,
+  AVAILABILITY_STATUSES,
+  fetchRoutingOverview,
+  parseList,
+  saveAgentRoutingProfile,
+  saveAssignmentStrategy
+} from '../../lib/ticketRouting'
+
+const inputClassName = "block w-full px-3 py-2 text-sm bg-white dark:bg-gray-800 border-2 border-gray-300 dark:border-gray-600 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:text-white shadow-sm"
+
+// Lists are edited as comma-separated text and the cap as a string, empty for none
+function toForm(routing) {
+  return {
+    availability: routing.availability,
+    skills: routing.skills.join(', '),
+    languages: routing.languages.join(', '),
+    max_open_tickets: routing.max_open_tickets ?? ''
+  }
+}
+
+export function RoutingView() {
+  const { t } = useTranslation()
+  const [agents, setAgents] = useState([])
+  const [organizations, setOrganizations] = useState([])
+  const [forms, setForms] = useState({})
+  const [savingAgentId, setSavingAgentId] = useState(null)
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    loadOverview()
+  }, [])
+
+  const loadOverview = async () => {
+    try {
+      setLoading(true)
+      const overview = await fetchRoutingOverview()
+      setAgents(overview.agents)
+      setOrganizations(overview.organizations)
+      setForms(Object.fromEntries(overview.agents.map(agent => [agent.id, toForm(agent.routing)])))
+    } catch (err) {
+      console.error('Error loading routing settings:', err)
+      toast.error(t('common.routing.errors.fetchFailed'))
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleStrategyChange = async (organizationId, strategy) => {
+    try {
+      await saveAssignmentStrategy(organizationId, strategy)
+      setOrganizations(prev => prev.map(org =>
+        org.id === organizationId ? { ...org, assignment_strategy: strategy } : org
+      ))
+    } catch (err) {
+      console.error('Error saving assignment strategy:', err)
+      toast.error(t('common.routing.errors.saveFailed'))
+    }
+  }
+
+  const handleFormChange = (agentId, field, value) => {
+    setForms(prev => ({ ...prev, [agentId]: { ...prev[agentId], [field]: value } }))
+  }
+
+  const handleSaveAgent = async (agentId) => {
+    const form = forms[agentId]
+    try {
+      setSavingAgentId(agentId)
+      const saved = await saveAgentRoutingProfile(agentId, {
+        availability: form.availability,
+        skills: parseList(form.skills),
+        languages: parseList(form.languages),
+        max_open_tickets: form.max_open_tickets === '' ? null : Number(form.max_open_tickets)
+      })
+      setAgents(prev => prev.map(agent => agent.id === agentId ? { ...agent, routing: saved } : agent))
+      setForms(prev => ({ ...prev, [agentId]: toForm(saved) }))
+      toast.success(t('common.routing.saved'))
+    } catch (err) {
+      console.error('Error saving routing profile:', err)
+      toast.error(t('common.routing.errors.saveFailed'))
+    } finally {
+      setSavingAgentId(null)
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="text-center py-12">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500 mx-auto"></div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="container mx-auto px-4 py-8 space-y-8">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900 dark:text-white">{t('common.routing.title')}</h1>
+        <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">{t('common.routing.subtitle')}</p>
+      </div>
+
+      <div className="space-y-4">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">{t('common.routing.strategies')}</h2>
+          <p className="text-sm text-gray-500 dark:text-gray-400">{t('common.routing.strategiesHelp')}</p>
+        </div>
+        <div className="bg-white dark:bg-gray-800 rounded-lg shadow divide-y divide-gray-200 dark:divide-gray-700">
+          {organizations.map(org => (
+            <div key={org.id} className="p-4 flex items-center justify-between gap-4">
+              <span className="font-medium text-gray-900 dark:text-white">{org.name}</span>
+              <select
+                value={org.assignment_strategy}
+                onChange={(e) => handleStrategyChange(org.id, e.target.value)}
+                className="px-3 py-2 text-sm bg-white dark:bg-gray-800 border-2 border-gray-300 dark:border-gray-600 rounded-md dark:text-white"
+              >
+                {ASSIGNMENT_STRATEGIES.map(strategy => (
+                  <option key={strategy} value={strategy}>{t(`common.routing.strategy.${strategy}`)}</option>
+                ))}
+              </select>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="space-y-4">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">{t('common.routing.agents')}</h2>
+          <p className="text-sm text-gray-500 dark:text-gray-400">{t('common.routing.agentsHelp')}</p>
+        </div>
+        <div className="bg-white dark:bg-gray-800 rounded-lg shadow overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead className="bg-gray-50 dark:bg-gray-900">
+              <tr className="text-left text-gray-500 dark:text-gray-400">
+                <th className="px-4 py-2 font-medium">{t('common.routing.agent')}</th>
+                <th className="px-4 py-2 font-medium">{t('common.routing.availability')}</th>
+                <th className="px-4 py-2 font-medium">{t('common.routing.skills')}</th>
+                <th className="px-4 py-2 font-medium">{t('common.routing.languages')}</th>
+                <th className="px-4 py-2 font-medium">{t('common.routing.load')}</th>
+                <th className="px-4 py-2"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+              {agents.map(agent => {
+                const form = forms[agent.id]
+                return (
+                  <tr key={agent.id} className="align-top">
+                    <td className="px-4 py-2">
+                      <div className="font-medium text-gray-900 dark:text-white">{agent.full_name || agent.email}</div>
+                      <div className="text-xs text-gray-500 dark:text-gray-400">{agent.email}</div>
+                    </td>
+                    <td className="px-4 py-2">
+                      <select
+                        value={form.availability}
+                        onChange={(e) => handleFormChange(agent.id, 'availability', e.target.value)}
+                        className={inputClassName}
+                      >
+                        {AVAILABILITY_STATUSES.map(status => (
+                          <option key={status} value={status}>{t(`common.routing.availabilityOptions.${status}`)}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="px-4 py-2">
+                      <input
+                        type="text"
+                        value={form.skills}
+                        onChange={(e) => handleFormChange(agent.id, 'skills', e.target.value)}
+                        placeholder={t('common.routing.skillsPlaceholder')}
+                        className={inputClassName}
+                      />
+                    </td>
+                    <td className="px-4 py-2">
+                      <input
+                        type="text"
+                        value={form.languages}
+                        onChange={(e) => handleFormChange(agent.id, 'languages', e.target.value)}
+                        placeholder={t('common.routing.languagesPlaceholder')}
+                        className={inputClassName}
+                      />
+                    </td>
+                    <td className="px-4 py-2">
+                      <div className="flex items-center gap-2">
+                        <span className="whitespace-nowrap text-gray-700 dark:text-gray-300">{agent.activeCount} /</span>
+                        <input
+                          type="number"
+                          min="0"
+                          step="1"
+                          value={form.max_open_tickets}
+                          onChange={(e) => handleFormChange(agent.id, 'max_open_tickets', e.target.value)}
+                          placeholder={t('common.routing.noCap')}
+                          className={`${inputClassName} w-24`}
+                        />
+                      </div>
+                    </td>
+                    <td className="px-4 py-2">
+                      <button
+                        onClick={() => handleSaveAgent(agent.id)}
+                        disabled={savingAgentId === agent.id}
+                        className="px-3 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-md disabled:opacity-50"
+                      >
+                        {t('common.save')}
+                      </button>
+                    </td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+          {agents.length === 0 && (
+            <p className="p-6 text-center text-gray-500 dark:text-gray-400">{t('common.routing.noAgents')}</p>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -5,6 +5,7 @@ import { useAuth } from '../../contexts/AuthContext'
 import { useTranslation } from 'react-i18next'
 import { TicketAnalytics } from './TicketAnalytics'
 import { formatDistanceToNow } from 'date-fns'
+import { isResolvedStatus } from '../../lib/ticketLifecycle'
 
 export function AgentDashboard() {
   const { t } = useTranslation()
@@ -119,7 +120,7 @@ export function AgentDashboard() {
                   <span>
                     {ticket.customer?.full_name || ticket.customer?.email}
                   </span>
-                  {ticket.status === 'resolved' && ticket.satisfaction_rating && (
+                  {isResolvedStatus(ticket.status) && ticket.satisfaction_rating && (
                     <>
                       <span>•</span>
                       <span className="flex items-center">
@@ -1,19 +1,33 @@
 import { useState, useEffect, useCallback, useMemo } from 'react'
-import { Link, useLocation } from 'react-router-dom'
+import { Link, useLocation, useNavigate } from 'react-router-dom'
 import { supabase } from '../../lib/supabaseClient'
 import { useAuth } from '../../contexts/AuthContext'
 import { useRealtimeSubscription } from '../../hooks/useRealtimeSubscription'
 import { useTranslation } from 'react-i18next'
 import { sendTicketResolutionEmail } from '../../lib/sendgrid'
 import { AgentSearchBar } from '../common/AgentSearchBar'
-import { assignTicketToTeam, assignTicketToAgent } from '../../lib/ticketQueries'
+import { assignTicketToTeam, assignTicketToAgent, resolveChildTickets, updateTicketsStatus } from '../../lib/ticketQueries'
+import { STATUS_BADGE_STYLES, TICKET_STATUSES, isResolvedStatus } from '../../lib/ticketLifecycle'
 import { toast } from 'react-hot-toast'
+import { SlaBadge } from '../tickets/SlaBadge'
+import { fetchAllFieldDefinitions } from '../../lib/ticketFields'
+import {
+  DEFAULT_TICKET_FILTERS,
+  countActiveFilters,
+  fetchTicketFilterOptions,
+  fetchTicketViews,
+  normalizeTicketFilters,
+  searchTickets
+} from '../../lib/ticketSearch'
+import { TicketFilterPanel } from './TicketFilterPanel'
+import { TicketViewActions } from './TicketViewActions'
 
 export function AgentTicketsView() {
   const { t } = useTranslation()
   const { user, profile, isAdmin } = useAuth()
   const location = useLocation()
-  const [activeTab, setActiveTab] = useState('active')
+  const navigate = useNavigate()
+  const [filters, setFilters] = useState(DEFAULT_TICKET_FILTERS)
   const [tickets, setTickets] = useState([])
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
@@ -22,6 +36,13 @@ export function AgentTicketsView() {
   const [agents, setAgents] = useState([])
   const [agentSearch, setAgentSearch] = useState('')
   const [showAgentDropdown, setShowAgentDropdown] = useState(false)
+  const [fieldDefinitions, setFieldDefinitions] = useState([])
+  const [filterOptions, setFilterOptions] = useState({ organizations: [], teams: [] })
+  const [views, setViews] = useState([])
+
+  // A saved view is opened from the sidebar as ?view=<id>
+  const viewId = new URLSearchParams(location.search).get('view')
+  const currentView = views.find(view => view.id === viewId) || null
 
   const filteredAgents = useMemo(() => {
     if (!agentSearch) return agents
@@ -36,32 +57,10 @@ export function AgentTicketsView() {
     if (!user?.id || !profile?.role) return
     
     try {
-      console.log('Fetching tickets with status:', activeTab)
       setLoading(true)
       setError(null)
 
-      let query = supabase
-        .from('tickets')
-        .select('*')
-        .order('created_at', { ascending: false })
-
-      if (activeTab === 'active') {
-        query = query.in('status', ['open', 'in_progress'])
-      } else if (activeTab === 'resolved') {
-        query = query.eq('status', 'resolved')
-      }
-
-      if (!isAdmin()) {
-        query = query.eq('agent_id', user.id)
-      }
-
-      const { data, error: fetchError } = await query
-
-      if (fetchError) {
-        console.error('Supabase error:', fetchError)
-        throw fetchError
-      }
-
+      const data = await searchTickets(filters, { userId: user.id, isAdmin: isAdmin() })
       setTickets(data || [])
     } catch (err) {
       console.error('Error details:', err)
@@ -69,22 +68,26 @@ export function AgentTicketsView() {
     } finally {
       setLoading(false)
     }
-  }, [activeTab, user?.id, profile?.role, isAdmin, t])
+  }, [filters, user?.id, profile?.role, isAdmin, t])
 
-  // Handle tab changes and initial load
+  // Handle filter changes and initial load
   useEffect(() => {
     // Allow both agents and admins to view tickets
     if (!user?.id || (profile?.role !== 'agent' && profile?.role !== 'admin')) return
     fetchTickets()
-  }, [fetchTickets, user?.id, profile?.role, activeTab])
+  }, [fetchTickets, user?.id, profile?.role])
+
+  // A selection made under other filters may include tickets no longer listed
+  useEffect(() => {
+    setSelectedTickets(new Set())
+  }, [filters])
 
   // Handle ticket updates
-  const handleTicketUpdate = useCallback((payload) => {
-    if (document.visibilityState === 'visible' && 
-        (!payload.new?.status || payload.new.status === activeTab)) {
+  const handleTicketUpdate = useCallback(() => {
+    if (document.visibilityState === 'visible') {
       fetchTickets()
     }
-  }, [activeTab, fetchTickets])
+  }, [fetchTickets])
 
   // Set up real-time subscription using our hook
   useRealtimeSubscription({
@@ -96,6 +99,48 @@ export function AgentTicketsView() {
     enabled: !!user?.id && (profile?.role === 'agent' || profile?.role === 'admin')
   }, [handleTicketUpdate, user?.id, profile?.role, isAdmin])
 
+  useEffect(() => {
+    fetchAllFieldDefinitions()
+      .then(setFieldDefinitions)
+      .catch(() => setFieldDefinitions([]))
+    fetchTicketFilterOptions()
+      .then(setFilterOptions)
+      .catch(() => setFilterOptions({ organizations: [], teams: [] }))
+  }, [])
+
+  const loadViews = useCallback(async () => {
+    if (!user?.id) return
+    try {
+      setViews(await fetchTicketViews(user.id))
+    } catch (err) {
+      console.error('Error loading views:', err)
+      toast.error(t('common.tickets.views.errors.fetchFailed'))
+    }
+  }, [user?.id, t])
+
+  useEffect(() => {
+    loadViews()
+  }, [loadViews])
+
+  // Opening a view replaces the filters; leaving it goes back to the defaults
+  useEffect(() => {
+    if (!viewId) {
+      setFilters(DEFAULT_TICKET_FILTERS)
+    } else if (currentView) {
+      setFilters(normalizeTicketFilters(currentView.filters))
+    }
+  }, [viewId, currentView?.id, currentView?.updated_at])
+
+  const handleViewSaved = async (view) => {
+    await loadViews()
+    navigate(`/dashboard/tickets?view=${view.id}`)
+  }
+
+  const handleViewDeleted = async () => {
+    await loadViews()
+    navigate('/dashboard/tickets')
+  }
+
   // Add this after the other useEffect hooks
   useEffect(() => {
     if (!isAdmin()) return
@@ -116,14 +161,8 @@ export function AgentTicketsView() {
   }, [isAdmin])
 
   const getStatusBadge = (status) => {
-    const styles = {
-      in_progress: 'bg-yellow-100 dark:bg-yellow-900 text-yellow-800 dark:text-yellow-200',
-      resolved: 'bg-green-100 dark:bg-green-900 text-green-800 dark:text-green-200',
-      open: 'bg-blue-100 dark:bg-blue-900 text-blue-800 dark:text-blue-200'
-    }
-
     return (
-      <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${styles[status]}`}>
+      <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${STATUS_BADGE_STYLES[status]}`}>
         {t(`common.tickets.status.${status}`)}
       </span>
     )
@@ -170,18 +209,15 @@ export function AgentTicketsView() {
       setUpdating(true)
       setError(null)
 
-      // Update all selected tickets to resolved status
-      const { error: updateError } = await supabase
-        .from('tickets')
-        .update({
-          status: 'resolved'
-        })
-        .in('id', Array.from(selectedTickets))
-
-      if (updateError) throw updateError
+      // Resolve every selected ticket the lifecycle allows
+      const { updated, skipped } = await updateTicketsStatus(Array.from(selectedTickets), 'resolved')
+      if (skipped.length > 0) {
+        toast.error(t('common.tickets.lifecycle.skipped', { count: skipped.length }))
+      }
 
-      // Send resolution emails for each ticket
-      const selectedTicketDetails = tickets.filter(ticket => selectedTickets.has(ticket.id))
+      // Send resolution emails for each resolved ticket
+      const resolvedIds = new Set(updated.map(ticket => ticket.id))
+      const selectedTicketDetails = tickets.filter(ticket => resolvedIds.has(ticket.id))
       await Promise.all(selectedTicketDetails.map(ticket => 
         sendTicketResolutionEmail(
           ticket,
@@ -190,6 +226,18 @@ export function AgentTicketsView() {
         )
       ))
 
+      // Resolved incidents take their attached tickets with them
+      const children = (await Promise.all(
+        selectedTicketDetails.filter(ticket => ticket.is_incident).map(ticket => resolveChildTickets(ticket.id))
+      )).flat()
+      await Promise.all(children.filter(child => child.customer).map(child =>
+        sendTicketResolutionEmail(
+          child,
+          child.customer,
+          { id: user.id, email: profile.email, full_name: profile.full_name }
+        )
+      ))
+
       // Clear selection and refresh tickets
       setSelectedTickets(new Set())
       await fetchTickets()
@@ -201,6 +249,32 @@ export function AgentTicketsView() {
     }
   }
 
+  const changeSelectedTicketsStatus = async (status) => {
+    try {
+      setUpdating(true)
+      setError(null)
+
+      const { updated, skipped } = await updateTicketsStatus(Array.from(selectedTickets), status)
+      if (updated.length > 0) {
+        toast.success(t('common.tickets.lifecycle.bulkChanged', {
+          count: updated.length,
+          status: t(`common.tickets.status.${status}`)
+        }))
+      }
+      if (skipped.length > 0) {
+        toast.error(t('common.tickets.lifecycle.skipped', { count: skipped.length }))
+      }
+
+      setSelectedTickets(new Set())
+      await fetchTickets()
+    } catch (err) {
+      console.error('Error changing ticket statuses:', err)
+      setError(t('common.tickets.errors.updateFailed'))
+    } finally {
+      setUpdating(false)
+    }
+  }
+
   const assignSelectedTickets = async (result) => {
     try {
       setUpdating(true)
@@ -241,7 +315,7 @@ export function AgentTicketsView() {
   }
 
   return (
-    <div className="w-full max-w-none" key={activeTab} data-component="AgentTicketsView">
+    <div className="w-full max-w-none" data-component="AgentTicketsView">
       <div className="mb-6">
         <h1 className="text-2xl font-bold text-gray-900 dark:text-white">{t('common.tickets.title')}</h1>
         <p className="mt-1 text-sm text-gray-600 dark:text-gray-400">
@@ -259,9 +333,9 @@ export function AgentTicketsView() {
         <div className="border-b border-gray-200 dark:border-gray-700">
           <nav className="flex -mb-px">
             <button
-              onClick={() => setActiveTab('active')}
+              onClick={() => setFilters(prev => ({ ...prev, status: 'active' }))}
               className={`py-4 px-6 text-sm font-medium border-b-2 transition-colors ${
-                activeTab === 'active'
+                filters.status === 'active'
                   ? 'border-blue-500 text-blue-600 dark:text-blue-400 bg-blue-50 dark:bg-blue-900/50'
                   : 'border-transparent text-gray-500 dark:text-gray-400 bg-white dark:bg-gray-800 hover:bg-gray-50 dark:hover:bg-gray-700 hover:text-gray-700 dark:hover:text-gray-200 hover:border-gray-300 dark:hover:border-gray-600'
               }`}
@@ -269,9 +343,9 @@ export function AgentTicketsView() {
               {t('common.tickets.status.active')}
             </button>
             <button
-              onClick={() => setActiveTab('resolved')}
+              onClick={() => setFilters(prev => ({ ...prev, status: 'resolved' }))}
               className={`py-4 px-6 text-sm font-medium border-b-2 transition-colors ${
-                activeTab === 'resolved'
+                filters.status === 'resolved'
                   ? 'border-blue-500 text-blue-600 dark:text-blue-400 bg-blue-50 dark:bg-blue-900/50'
                   : 'border-transparent text-gray-500 dark:text-gray-400 bg-white dark:bg-gray-800 hover:bg-gray-50 dark:hover:bg-gray-700 hover:text-gray-700 dark:hover:text-gray-200 hover:border-gray-300 dark:hover:border-gray-600'
               }`}
@@ -282,6 +356,26 @@ export function AgentTicketsView() {
         </div>
 
         <div className="p-6">
+          <div className="flex justify-end mb-3">
+            <TicketViewActions
+              currentView={currentView}
+              filters={filters}
+              userId={user?.id}
+              isAdmin={isAdmin()}
+              onSaved={handleViewSaved}
+              onDeleted={handleViewDeleted}
+            />
+          </div>
+          <TicketFilterPanel
+            filters={filters}
+            onChange={setFilters}
+            fieldDefinitions={fieldDefinitions}
+            organizations={filterOptions.organizations}
+            teams={filterOptions.teams}
+            agents={agents}
+            isAdmin={isAdmin()}
+          />
+
           {loading ? (
             <div className="text-center py-4">
               <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500 mx-auto"></div>
@@ -289,7 +383,9 @@ export function AgentTicketsView() {
             </div>
           ) : tickets.length === 0 ? (
             <p className="text-center py-4 text-gray-500 dark:text-gray-400">
-              {t('common.tickets.noTicketsStatus', { status: t(`common.tickets.status.${activeTab}`) })}
+              {countActiveFilters(filters) === 0 && ['active', ...TICKET_STATUSES].includes(filters.status)
+                ? t('common.tickets.noTicketsStatus', { status: t(`common.tickets.status.${filters.status}`) })
+                : t('common.tickets.filters.noMatches')}
             </p>
           ) : (
             <>
@@ -309,7 +405,23 @@ export function AgentTicketsView() {
                     </span>
                   </label>
                   <div className="h-full flex items-center gap-2">
-                    {selectedTickets.size > 0 && activeTab !== 'resolved' && (
+                    {selectedTickets.size > 0 && (
+                      <select
+                        value=""
+                        onChange={(e) => e.target.value && changeSelectedTicketsStatus(e.target.value)}
+                        disabled={updating}
+                        className="px-3 py-2 text-sm font-semibold text-gray-700 dark:text-gray-200 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg shadow-sm disabled:opacity-50 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        <option value="">{t('common.tickets.lifecycle.changeStatus')}</option>
+                        {/* Resolving has its own button because it also emails the customers */}
+                        {TICKET_STATUSES.filter(status => status !== 'resolved').map(status => (
+                          <option key={status} value={status}>
+                            {t('common.tickets.lifecycle.moveTo', { status: t(`common.tickets.status.${status}`) })}
+                          </option>
+                        ))}
+                      </select>
+                    )}
+                    {selectedTickets.size > 0 && !isResolvedStatus(filters.status) && (
                       <>
                         {isAdmin() && (
                           <>
@@ -436,6 +548,20 @@ export function AgentTicketsView() {
                             <div className="flex gap-1 flex-shrink-0">
                       {getPriorityBadge(ticket.priority)}
                       {getStatusBadge(ticket.status)}
+                      {ticket.is_incident && (
+                        <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-purple-100 dark:bg-purple-900 text-purple-800 dark:text-purple-200">
+                          {t('common.tickets.incidents.badge')}
+                        </span>
+                      )}
+                      <SlaBadge ticket={ticket} showOutcome={isResolvedStatus(ticket.status)} />
+                      {ticket.needs_human && (
+                        <span
+                          className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-amber-100 dark:bg-amber-900 text-amber-800 dark:text-amber-200"
+                          title={t(`common.tickets.handoff.reasons.${ticket.handoff_reason || 'customer_request'}`)}
+                        >
+                          {t('common.tickets.handoff.badge')}
+                        </span>
+                      )}
                     </div>
                   </div>
                           <p className="text-sm text-gray-600 dark:text-gray-400 line-clamp-1">
@@ -443,7 +569,7 @@ export function AgentTicketsView() {
                   </p>
                         </div>
                         <div className="flex items-center gap-4 flex-shrink-0 text-xs text-gray-500 dark:text-gray-400">
-                      {ticket.status === 'resolved' && ticket.satisfaction_rating && (
+                      {isResolvedStatus(ticket.status) && ticket.satisfaction_rating && (
                             <span className="flex items-center whitespace-nowrap">
                           {t('common.tickets.rating', { rating: ticket.satisfaction_rating })} <span className="text-amber-400 ml-1">★</span>
                         </span>
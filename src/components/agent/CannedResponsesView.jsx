@@ -0,0 +1,432 @@
+import { useState, useEffect } from 'react'
+import { useTranslation } from 'react-i18next'
+import { toast } from 'react-hot-toast'
+import { useAuth } from '../../contexts/AuthContext'
+import { fetchAutomationTargets } from '../../lib/automationRules'
+import {
+  CANNED_RESPONSE_SCOPES,
+  CANNED_RESPONSE_VARIABLES,
+  MACRO_ACTION_TYPES,
+  createEmptyMacroAction,
+  deleteCannedResponse,
+  fetchCannedResponses,
+  saveCannedResponse
+} from '../../lib/cannedResponses'
+import { SLA_PRIORITIES } from '../../lib/sla'
+import { TICKET_STATUSES } from '../../lib/ticketLifecycle'
+import { fetchTeams } from '../../lib/teamQueries'
+
+const NEW_RESPONSE = {
+  name: '',
+  shortcut: '',
+  content: '',
+  scope: 'personal',
+  team_id: '',
+  organization_id: '',
+  actions: []
+}
+
+const VARIABLE_HELP = CANNED_RESPONSE_VARIABLES.map(variable => `{{${variable}}}`).join(', ')
+
+const inputClassName = "block w-full px-3 py-2 text-sm bg-white dark:bg-gray-800 border-2 border-gray-300 dark:border-gray-600 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:text-white shadow-sm"
+
+function CannedResponseEditor({ response, teams, targets, isAdmin, saving, onSave, onCancel }) {
+  const { t } = useTranslation()
+  const [draft, setDraft] = useState({
+    ...response,
+    shortcut: response.shortcut || '',
+    team_id: response.team_id || '',
+    organization_id: response.organization_id || ''
+  })
+  const [error, setError] = useState(null)
+
+  const update = (changes) => setDraft(prev => ({ ...prev, ...changes }))
+
+  const updateAction = (index, changes) => {
+    update({
+      actions: draft.actions.map((action, i) => {
+        if (i !== index) return action
+        return changes.type ? createEmptyMacroAction(changes.type) : { ...action, ...changes }
+      })
+    })
+  }
+
+  const validate = () => {
+    if (!draft.name.trim()) return 'nameRequired'
+    if (draft.shortcut.trim() && !/^[a-z0-9_-]+$/i.test(draft.shortcut.trim())) return 'invalidShortcut'
+    if (draft.scope === 'team' && !draft.team_id) return 'teamRequired'
+    if (draft.scope === 'organization' && !draft.organization_id) return 'organizationRequired'
+    if (!draft.content.trim() && draft.actions.length === 0) return 'contentRequired'
+
+    // Unassigning a team or agent is done with an empty value
+    const emptyAction = draft.actions.some(action =>
+      !['assign_team', 'assign_agent'].includes(action.type) && !String(action.value ?? '').trim()
+    )
+    if (emptyAction) return 'incompleteAction'
+
+    return null
+  }
+
+  const handleSave = (e) => {
+    e.preventDefault()
+    const validationError = validate()
+    setError(validationError)
+    if (!validationError) onSave(draft)
+  }
+
+  const renderActionValue = (action, index) => {
+    const onChange = (e) => updateAction(index, { value: e.target.value })
+
+    switch (action.type) {
+      case 'assign_team':
+      case 'assign_agent': {
+        const options = action.type === 'assign_team'
+          ? targets.teams.map(team => ({ value: team.id, label: team.name }))
+          : targets.agents.map(agent => ({ value: agent.id, label: agent.full_name || agent.email }))
+        return (
+          <select value={action.value} onChange={onChange} className={inputClassName}>
+            <option value="">{t('common.automations.unassign')}</option>
+            {options.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        )
+      }
+      case 'set_priority':
+      case 'set_status': {
+        const values = action.type === 'set_priority' ? SLA_PRIORITIES : TICKET_STATUSES
+        const prefix = action.type === 'set_priority' ? 'common.tickets.priority_options' : 'common.tickets.status'
+        return (
+          <select value={action.value} onChange={onChange} className={inputClassName}>
+            <option value="">{t('common.automations.selectValue')}</option>
+            {values.map(value => (
+              <option key={value} value={value}>{t(`${prefix}.${value}`)}</option>
+            ))}
+          </select>
+        )
+      }
+      default:
+        return (
+          <input type="text" value={action.value} onChange={onChange} className={inputClassName} />
+        )
+    }
+  }
+
+  // Organization responses are shared with every agent, so only admins write them
+  const scopes = CANNED_RESPONSE_SCOPES.filter(scope => isAdmin || scope !== 'organization')
+
+  return (
+    <form onSubmit={handleSave} className="bg-white dark:bg-gray-800 rounded-lg shadow p-6 space-y-6">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+            {t('common.cannedResponses.name')}
+          </label>
+          <input
+            type="text"
+            value={draft.name}
+            onChange={(e) => update({ name: e.target.value })}
+            className={inputClassName}
+            required
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+            {t('common.cannedResponses.shortcut')}
+          </label>
+          <div className="flex items-center gap-1">
+            <span className="text-gray-500 dark:text-gray-400">/</span>
+            <input
+              type="text"
+              value={draft.shortcut}
+              onChange={(e) => update({ shortcut: e.target.value })}
+              placeholder="refund"
+              className={inputClassName}
+            />
+          </div>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+            {t('common.cannedResponses.scope')}
+          </label>
+          <div className="flex gap-2">
+            <select
+              value={draft.scope}
+              onChange={(e) => update({ scope: e.target.value })}
+              className={inputClassName}
+            >
+              {scopes.map(scope => (
+                <option key={scope} value={scope}>{t(`common.cannedResponses.scopes.${scope}`)}</option>
+              ))}
+            </select>
+            {draft.scope === 'team' && (
+              <select
+                value={draft.team_id}
+                onChange={(e) => update({ team_id: e.target.value })}
+                className={inputClassName}
+              >
+                <option value="">{t('common.cannedResponses.selectTeam')}</option>
+                {teams.map(team => (
+                  <option key={team.id} value={team.id}>{team.name}</option>
+                ))}
+              </select>
+            )}
+            {draft.scope === 'organization' && (
+              <select
+                value={draft.organization_id}
+                onChange={(e) => update({ organization_id: e.target.value })}
+                className={inputClassName}
+              >
+                <option value="">{t('common.cannedResponses.selectOrganization')}</option>
+                {targets.organizations.map(org => (
+                  <option key={org.id} value={org.id}>{org.name}</option>
+                ))}
+              </select>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+          {t('common.cannedResponses.content')}
+        </label>
+        <textarea
+          rows={6}
+          value={draft.content}
+          onChange={(e) => update({ content: e.target.value })}
+          className={inputClassName}
+        />
+        <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+          {t('common.cannedResponses.variablesHelp', { variables: VARIABLE_HELP })}
+        </p>
+      </div>
+
+      <div className="space-y-3">
+        <div>
+          <h4 className="text-sm font-medium text-gray-900 dark:text-white">{t('common.cannedResponses.actions')}</h4>
+          <p className="text-xs text-gray-500 dark:text-gray-400">{t('common.cannedResponses.actionsHelp')}</p>
+        </div>
+        {draft.actions.map((action, index) => (
+          <div key={index} className="grid grid-cols-1 md:grid-cols-[1fr_3fr_auto] gap-2 items-start">
+            <select
+              value={action.type}
+              onChange={(e) => updateAction(index, { type: e.target.value })}
+              className={inputClassName}
+            >
+              {MACRO_ACTION_TYPES.map(type => (
+                <option key={type} value={type}>{t(`common.automations.actionTypes.${type}`)}</option>
+              ))}
+            </select>
+            <div>{renderActionValue(action, index)}</div>
+            <button
+              type="button"
+              onClick={() => update({ actions: draft.actions.filter((_, i) => i !== index) })}
+              className="px-3 py-2 text-sm text-red-600 hover:text-red-700 dark:text-red-400"
+            >
+              {t('common.remove')}
+            </button>
+          </div>
+        ))}
+        <button
+          type="button"
+          onClick={() => update({ actions: [...draft.actions, createEmptyMacroAction()] })}
+          className="text-sm text-blue-600 hover:text-blue-700 dark:text-blue-400"
+        >
+          + {t('common.automations.addAction')}
+        </button>
+      </div>
+
+      {error && (
+        <p className="text-sm text-red-600 dark:text-red-400">
+          {t(`common.cannedResponses.errors.${error}`)}
+        </p>
+      )}
+
+      <div className="flex justify-end gap-3">
+        <button
+          type="button"
+          onClick={onCancel}
+          disabled={saving}
+          className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 dark:bg-gray-700 dark:text-gray-300 dark:border-gray-600 dark:hover:bg-gray-600"
+        >
+          {t('common.cancel')}
+        </button>
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50"
+        >
+          {saving ? t('common.saving') : t('common.save')}
+        </button>
+      </div>
+    </form>
+  )
+}
+
+export function CannedResponsesView() {
+  const { t } = useTranslation()
+  const { user, profile } = useAuth()
+  const [responses, setResponses] = useState([])
+  const [teams, setTeams] = useState([])
+  const [targets, setTargets] = useState({ organizations: [], teams: [], agents: [] })
+  const [loading, setLoading] = useState(true)
+  const [editingResponse, setEditingResponse] = useState(null)
+  const [saving, setSaving] = useState(false)
+
+  const isAdmin = profile?.role === 'admin'
+
+  useEffect(() => {
+    loadData()
+  }, [])
+
+  const loadData = async () => {
+    try {
+      setLoading(true)
+      const [responsesData, teamsData, targetsData] = await Promise.all([
+        fetchCannedResponses(),
+        fetchTeams(),
+        fetchAutomationTargets()
+      ])
+      setResponses(responsesData)
+      setTeams(teamsData)
+      setTargets(targetsData)
+    } catch (err) {
+      console.error('Error loading canned responses:', err)
+      toast.error(t('common.cannedResponses.errors.fetchFailed'))
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleSave = async (response) => {
+    try {
+      setSaving(true)
+      const saved = await saveCannedResponse(response)
+      setResponses(prev => (response.id
+        ? prev.map(item => item.id === saved.id ? saved : item)
+        : [...prev, saved]
+      ).sort((a, b) => a.name.localeCompare(b.name)))
+      setEditingResponse(null)
+      toast.success(t('common.cannedResponses.saved'))
+    } catch (err) {
+      console.error('Error saving canned response:', err)
+      toast.error(t('common.cannedResponses.errors.saveFailed'))
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleDelete = async (response) => {
+    if (!window.confirm(t('common.cannedResponses.confirmDelete', { name: response.name }))) return
+
+    try {
+      await deleteCannedResponse(response.id)
+      setResponses(prev => prev.filter(item => item.id !== response.id))
+    } catch (err) {
+      console.error('Error deleting canned response:', err)
+      toast.error(t('common.cannedResponses.errors.deleteFailed'))
+    }
+  }
+
+  // Agents manage their own responses and their teams'; admins manage all
+  const canManage = (response) => isAdmin
+    || response.owner_id === user.id
+    || (response.scope === 'team' && teams.some(team => team.id === response.team_id))
+
+  const describeScope = (response) => {
+    if (response.scope === 'team') return response.team?.name
+    if (response.scope === 'organization') return response.organization?.name
+    return t('common.cannedResponses.scopes.personal')
+  }
+
+  if (loading) {
+    return (
+      <div className="text-center py-12">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500 mx-auto"></div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="container mx-auto px-4 py-8 space-y-8">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-white">
+            {t('common.cannedResponses.title')}
+          </h1>
+          <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+            {t('common.cannedResponses.subtitle')}
+          </p>
+        </div>
+        {!editingResponse && (
+          <button
+            onClick={() => setEditingResponse(NEW_RESPONSE)}
+            className="px-4 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-lg"
+          >
+            {t('common.cannedResponses.newResponse')}
+          </button>
+        )}
+      </div>
+
+      {editingResponse && (
+        <CannedResponseEditor
+          key={editingResponse.id || 'new'}
+          response={editingResponse}
+          teams={teams}
+          targets={targets}
+          isAdmin={isAdmin}
+          saving={saving}
+          onSave={handleSave}
+          onCancel={() => setEditingResponse(null)}
+        />
+      )}
+
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow overflow-hidden">
+        {responses.length === 0 ? (
+          <p className="p-6 text-center text-gray-500 dark:text-gray-400">{t('common.cannedResponses.noResponses')}</p>
+        ) : (
+          <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+            {responses.map(response => (
+              <li key={response.id} className="p-4 flex items-center gap-4">
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center gap-2">
+                    <h3 className="font-medium text-gray-900 dark:text-white truncate">{response.name}</h3>
+                    {response.shortcut && (
+                      <span className="text-sm text-gray-500 dark:text-gray-400">/{response.shortcut}</span>
+                    )}
+                    {response.actions.length > 0 && (
+                      <span className="px-2 py-0.5 text-xs rounded-full bg-purple-100 text-purple-800 dark:bg-purple-900/30 dark:text-purple-300">
+                        {t('common.cannedResponses.macroActions', { count: response.actions.length })}
+                      </span>
+                    )}
+                  </div>
+                  <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                    {describeScope(response)}
+                    {response.content && ` · ${response.content}`}
+                  </p>
+                </div>
+                {canManage(response) && (
+                  <>
+                    <button
+                      onClick={() => setEditingResponse(response)}
+                      className="text-sm text-blue-600 hover:text-blue-700 dark:text-blue-400"
+                    >
+                      {t('common.edit')}
+                    </button>
+                    <button
+                      onClick={() => handleDelete(response)}
+                      className="text-sm text-red-600 hover:text-red-700 dark:text-red-400"
+                    >
+                      {t('common.delete')}
+                    </button>
+                  </>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  )
+}
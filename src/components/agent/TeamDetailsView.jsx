@@ -6,6 +6,8 @@ import { HiOutlineUserGroup, HiOutlineTicket, HiOutlineChartBar, HiArrowLeft, Hi
 import { supabase } from '../../lib/supabaseClient'
 import { toast } from 'react-hot-toast'
 import { formatDistanceToNow } from 'date-fns'
+import { DEFAULT_CONFIDENCE_THRESHOLD, HANDOFF_MODES, fetchBotProfile, saveBotProfile } from '../../lib/botProfiles'
+import { isActiveStatus, isResolvedStatus } from '../../lib/ticketLifecycle'
 
 export function TeamDetailsView() {
   const { t } = useTranslation()
@@ -17,6 +19,17 @@ export function TeamDetailsView() {
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
   const [isBotEnabled, setIsBotEnabled] = useState(false)
+  const [botForm, setBotForm] = useState({
+    display_name: '',
+    avatar_url: '',
+    persona_prompt: '',
+    confidence_threshold: DEFAULT_CONFIDENCE_THRESHOLD,
+    handoff_mode: 'notice',
+    handoff_message: ''
+  })
+  const [savingBot, setSavingBot] = useState(false)
+
+  const canManageBot = profile?.role === 'admin' || team?.created_by === profile?.id
 
   useEffect(() => {
     async function fetchTeamDetails() {
@@ -63,7 +76,7 @@ export function TeamDetailsView() {
         const transformedTeam = {
           ...teamData,
           memberCount: teamData.team_members.length,
-          ticketCount: ticketsData.filter(t => t.status !== 'resolved').length,
+          ticketCount: ticketsData.filter(t => isActiveStatus(t.status)).length,
           members: teamData.team_members.map(member => {
             const memberProfile = profilesData.find(p => p.id === member.user_id)
             return {
@@ -76,6 +89,10 @@ export function TeamDetailsView() {
 
         setTeam(transformedTeam)
         setTickets(ticketsData)
+
+        if (teamData.is_bot_enabled) {
+          await loadBotProfile(teamData)
+        }
       } catch (err) {
         console.error('Error fetching team details:', err)
         setError(t('common.teams.errors.fetchDetailsFailed'))
@@ -90,6 +107,18 @@ export function TeamDetailsView() {
     }
   }, [teamId, t])
 
+  const loadBotProfile = async (teamData) => {
+    const botProfile = await fetchBotProfile(teamData.id)
+    setBotForm({
+      display_name: botProfile?.display_name || `${teamData.name} Bot`,
+      avatar_url: botProfile?.avatar_url || '',
+      persona_prompt: botProfile?.persona_prompt || '',
+      confidence_threshold: botProfile?.confidence_threshold ?? DEFAULT_CONFIDENCE_THRESHOLD,
+      handoff_mode: botProfile?.handoff_mode || 'notice',
+      handoff_message: botProfile?.handoff_message || ''
+    })
+  }
+
   const handleBotToggle = async () => {
     try {
       const { error: updateError } = await supabase
@@ -99,6 +128,11 @@ export function TeamDetailsView() {
 
       if (updateError) throw updateError
 
+      // Enabling the bot creates the team's bot profile on the server
+      if (!isBotEnabled) {
+        await loadBotProfile(team)
+      }
+
       setIsBotEnabled(!isBotEnabled)
       toast.success(t(isBotEnabled ? 'common.teams.botDisabled' : 'common.teams.botEnabled'))
     } catch (err) {
@@ -107,6 +141,22 @@ export function TeamDetailsView() {
     }
   }
 
+  const handleBotProfileSave = async (e) => {
+    e.preventDefault()
+    if (!botForm.display_name.trim()) return
+
+    try {
+      setSavingBot(true)
+      await saveBotProfile(teamId, botForm)
+      toast.success(t('common.teams.bot.saved'))
+    } catch (err) {
+      console.error('Error saving bot profile:', err)
+      toast.error(t('common.teams.bot.errors.saveFailed'))
+    } finally {
+      setSavingBot(false)
+    }
+  }
+
   const getStatusBadge = (status) => {
     const styles = {
       in_progress: 'bg-yellow-100 dark:bg-yellow-900 text-yellow-800 dark:text-yellow-200',
@@ -160,7 +210,7 @@ export function TeamDetailsView() {
         </div>
         
         {/* Bot Toggle */}
-        {(profile?.role === 'admin' || team?.created_by === profile?.id) && (
+        {canManageBot && (
           <div className="flex items-center space-x-3">
             <span className="text-sm text-gray-600 dark:text-gray-400">
               {t('common.teams.aiyudoBot')}
@@ -178,6 +228,142 @@ export function TeamDetailsView() {
         )}
       </div>
 
+      {/* Bot Identity */}
+      {canManageBot && isBotEnabled && (
+        <div className="bg-white dark:bg-gray-800 rounded-lg shadow">
+          <form onSubmit={handleBotProfileSave} className="p-6 space-y-4">
+            <div>
+              <h2 className="text-lg font-medium text-gray-900 dark:text-white">
+                {t('common.teams.bot.title')}
+              </h2>
+              <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+                {t('common.teams.bot.subtitle')}
+              </p>
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label htmlFor="bot_display_name" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  {t('common.teams.bot.displayName')}
+                </label>
+                <input
+                  type="text"
+                  id="bot_display_name"
+                  value={botForm.display_name}
+                  onChange={(e) => setBotForm(prev => ({ ...prev, display_name: e.target.value }))}
+                  className="block w-full pl-3 pr-10 py-2 text-sm bg-white dark:bg-gray-800 border-2 border-gray-300 dark:border-gray-600 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:text-white shadow-sm"
+                  required
+                />
+              </div>
+              <div>
+                <label htmlFor="bot_avatar_url" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  {t('common.teams.bot.avatarUrl')}
+                </label>
+                <div className="flex items-center gap-3">
+                  {botForm.avatar_url && (
+                    <img
+                      src={botForm.avatar_url}
+                      alt={botForm.display_name}
+                      className="w-9 h-9 rounded-full object-cover shrink-0"
+                    />
+                  )}
+                  <input
+                    type="url"
+                    id="bot_avatar_url"
+                    value={botForm.avatar_url}
+                    onChange={(e) => setBotForm(prev => ({ ...prev, avatar_url: e.target.value }))}
+                    placeholder="https://"
+                    className="block w-full pl-3 pr-10 py-2 text-sm bg-white dark:bg-gray-800 border-2 border-gray-300 dark:border-gray-600 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:text-white shadow-sm"
+                  />
+                </div>
+              </div>
+            </div>
+            <div>
+              <label htmlFor="bot_persona_prompt" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                {t('common.teams.bot.personaPrompt')}
+              </label>
+              <textarea
+                id="bot_persona_prompt"
+                rows={4}
+                value={botForm.persona_prompt}
+                onChange={(e) => setBotForm(prev => ({ ...prev, persona_prompt: e.target.value }))}
+                placeholder={t('common.teams.bot.personaPlaceholder')}
+                className="block w-full pl-3 pr-10 py-2 text-sm bg-white dark:bg-gray-800 border-2 border-gray-300 dark:border-gray-600 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:text-white shadow-sm"
+              />
+            </div>
+            <div className="pt-4 border-t border-gray-200 dark:border-gray-700">
+              <h3 className="text-sm font-medium text-gray-900 dark:text-white">
+                {t('common.teams.bot.handoff.title')}
+              </h3>
+              <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+                {t('common.teams.bot.handoff.subtitle')}
+              </p>
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label htmlFor="bot_confidence_threshold" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  {t('common.teams.bot.handoff.confidenceThreshold')}
+                </label>
+                <input
+                  type="number"
+                  id="bot_confidence_threshold"
+                  min={0}
+                  max={1}
+                  step={0.05}
+                  value={botForm.confidence_threshold}
+                  onChange={(e) => setBotForm(prev => ({ ...prev, confidence_threshold: Number(e.target.value) }))}
+                  className="block w-full pl-3 pr-10 py-2 text-sm bg-white dark:bg-gray-800 border-2 border-gray-300 dark:border-gray-600 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:text-white shadow-sm"
+                  required
+                />
+                <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                  {t('common.teams.bot.handoff.confidenceThresholdHelp')}
+                </p>
+              </div>
+              <div>
+                <label htmlFor="bot_handoff_mode" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  {t('common.teams.bot.handoff.mode')}
+                </label>
+                <select
+                  id="bot_handoff_mode"
+                  value={botForm.handoff_mode}
+                  onChange={(e) => setBotForm(prev => ({ ...prev, handoff_mode: e.target.value }))}
+                  className="block w-full pl-3 pr-10 py-2 text-sm bg-white dark:bg-gray-800 border-2 border-gray-300 dark:border-gray-600 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:text-white shadow-sm"
+                >
+                  {HANDOFF_MODES.map(mode => (
+                    <option key={mode} value={mode}>
+                      {t(`common.teams.bot.handoff.modes.${mode}`)}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            </div>
+            {botForm.handoff_mode === 'notice' && (
+              <div>
+                <label htmlFor="bot_handoff_message" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  {t('common.teams.bot.handoff.message')}
+                </label>
+                <textarea
+                  id="bot_handoff_message"
+                  rows={2}
+                  value={botForm.handoff_message}
+                  onChange={(e) => setBotForm(prev => ({ ...prev, handoff_message: e.target.value }))}
+                  placeholder={t('common.teams.bot.handoff.messagePlaceholder')}
+                  className="block w-full pl-3 pr-10 py-2 text-sm bg-white dark:bg-gray-800 border-2 border-gray-300 dark:border-gray-600 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:text-white shadow-sm"
+                />
+              </div>
+            )}
+            <div className="flex justify-end">
+              <button
+                type="submit"
+                disabled={savingBot || !botForm.display_name.trim()}
+                className="px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {savingBot ? t('common.saving') : t('common.save')}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
       {/* Team Members */}
       <div className="bg-white dark:bg-gray-800 rounded-lg shadow">
         <div className="p-6">
@@ -258,7 +444,7 @@ export function TeamDetailsView() {
                         </span>
                       </>
                     )}
-                    {ticket.status === 'resolved' && ticket.satisfaction_rating && (
+                    {isResolvedStatus(ticket.status) && ticket.satisfaction_rating && (
                       <>
                         <span>•</span>
                         <span className="flex items-center">
@@ -2,6 +2,8 @@ import { useState, useEffect } from 'react'
 import { supabase } from '../../lib/supabaseClient'
 import { useAuth } from '../../contexts/AuthContext'
 import { useTranslation } from 'react-i18next'
+import { fetchEventsForTickets, computeTicketEventMetrics } from '../../lib/ticketEvents'
+import { isResolvedStatus } from '../../lib/ticketLifecycle'
 
 function StatCard({ title, value, trend, icon }) {
   return (
@@ -58,28 +60,31 @@ export function TicketAnalytics() {
 
       // Calculate metrics
       const totalTickets = tickets.length
-      const resolvedTickets = tickets.filter(t => t.status === 'resolved').length
+      const resolvedTickets = tickets.filter(t => isResolvedStatus(t.status)).length
       const ratedTickets = tickets.filter(t => t.satisfaction_rating !== null).length
       const averageRating = ratedTickets > 0
         ? tickets.reduce((acc, t) => acc + (t.satisfaction_rating || 0), 0) / ratedTickets
         : 0
 
-      // Calculate resolution time
-      const resolutionTimes = tickets
-        .filter(t => t.status === 'resolved')
-        .map(t => new Date(t.updated_at) - new Date(t.created_at))
-      
-      const averageResolutionTime = resolutionTimes.length > 0
-        ? resolutionTimes.reduce((acc, time) => acc + time, 0) / resolutionTimes.length
-        : 0
+      // Resolution and reassignment figures come from the ticket history
+      const events = await fetchEventsForTickets(tickets.map(t => t.id))
+      const eventMetrics = computeTicketEventMetrics(tickets, events)
+
+      // Share of tickets under an SLA policy that missed neither target
+      const slaTickets = tickets.filter(t => t.sla_policy_id)
+      const slaMet = slaTickets.filter(t => !t.first_response_breached && !t.resolution_breached).length
 
       setMetrics({
         totalTickets,
         resolvedTickets,
         resolutionRate: totalTickets > 0 ? (resolvedTickets / totalTickets) * 100 : 0,
         averageRating: averageRating.toFixed(1),
-        averageResolutionTime: Math.round(averageResolutionTime / (1000 * 60 * 60)), // Convert to hours
-        ratingParticipation: totalTickets > 0 ? (ratedTickets / totalTickets) * 100 : 0
+        averageResolutionTime: Math.round(eventMetrics.averageResolutionMs / (1000 * 60 * 60)), // Convert to hours
+        reassignmentRate: totalTickets > 0 ? (eventMetrics.reassignedCount / totalTickets) * 100 : 0,
+        averageReassignments: eventMetrics.averageReassignments.toFixed(1),
+        reopenedTickets: eventMetrics.reopenedCount,
+        ratingParticipation: totalTickets > 0 ? (ratedTickets / totalTickets) * 100 : 0,
+        slaCompliance: slaTickets.length > 0 ? (slaMet / slaTickets.length) * 100 : null
       })
     } catch (err) {
       console.error('Error fetching metrics:', err)
@@ -154,6 +159,26 @@ export function TicketAnalytics() {
           value={`${Math.round(metrics?.ratingParticipation)}%`}
           icon="📝"
         />
+        <StatCard
+          title={t('common.analytics.slaCompliance')}
+          value={metrics?.slaCompliance === null ? '—' : `${Math.round(metrics?.slaCompliance)}%`}
+          icon="🎯"
+        />
+        <StatCard
+          title={t('common.analytics.reassignedTickets')}
+          value={`${Math.round(metrics?.reassignmentRate)}%`}
+          icon="🔀"
+        />
+        <StatCard
+          title={t('common.analytics.averageReassignments')}
+          value={metrics?.averageReassignments}
+          icon="🔁"
+        />
+        <StatCard
+          title={t('common.analytics.reopenedTickets')}
+          value={metrics?.reopenedTickets}
+          icon="↩️"
+        />
       </div>
     </div>
   )
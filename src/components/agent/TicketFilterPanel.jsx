@@ -0,0 +1,230 @@
+import { useState, useEffect } from 'react'
+import { useTranslation } from 'react-i18next'
+import { TagInput } from '../tickets/TagInput'
+import { TICKET_STATUSES } from '../../lib/ticketLifecycle'
+import { DEFAULT_TICKET_FILTERS, SLA_FILTERS, countActiveFilters } from '../../lib/ticketSearch'
+
+const PRIORITIES = ['high', 'medium', 'low']
+
+const selectClassName = "px-3 py-2 text-sm bg-white dark:bg-gray-800 border-2 border-gray-300 dark:border-gray-600 rounded-md dark:text-white"
+
+// Search text and structured filters for the agent ticket list. Text inputs
+// apply on Enter or blur so every keystroke doesn't refetch the list.
+export function TicketFilterPanel({ filters, onChange, fieldDefinitions, organizations, teams, agents, isAdmin }) {
+  const { t } = useTranslation()
+  const [search, setSearch] = useState(filters.search)
+  const [fieldValue, setFieldValue] = useState(filters.customField?.value || '')
+
+  // Loading a saved view replaces the filters from outside
+  useEffect(() => {
+    setSearch(filters.search)
+    setFieldValue(filters.customField?.value || '')
+  }, [filters.search, filters.customField?.value])
+
+  const update = (changes) => onChange({ ...filters, ...changes })
+
+  const applyText = () => {
+    if (search !== filters.search) update({ search })
+  }
+
+  const selectCustomField = (definitionId) => {
+    const definition = fieldDefinitions.find(item => item.id === definitionId)
+    setFieldValue('')
+    update({
+      customField: definition
+        ? {
+            definitionId: definition.id,
+            key: definition.key,
+            organizationId: definition.organization_id,
+            fieldType: definition.field_type,
+            value: ''
+          }
+        : null
+    })
+  }
+
+  const applyFieldValue = () => {
+    if (filters.customField && fieldValue !== filters.customField.value) {
+      update({ customField: { ...filters.customField, value: fieldValue } })
+    }
+  }
+
+  const activeCount = countActiveFilters(filters)
+
+  return (
+    <div className="space-y-3 mb-6">
+      <form
+        className="flex gap-2"
+        onSubmit={(e) => {
+          e.preventDefault()
+          applyText()
+        }}
+      >
+        <input
+          type="search"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          onBlur={applyText}
+          placeholder={t('common.tickets.filters.search')}
+          className="flex-1 px-3 py-2 text-sm bg-white dark:bg-gray-800 border-2 border-gray-300 dark:border-gray-600 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:text-white"
+        />
+        {activeCount > 0 && (
+          <button
+            type="button"
+            onClick={() => onChange({ ...DEFAULT_TICKET_FILTERS, status: filters.status })}
+            className="px-3 py-2 text-sm text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-md dark:bg-gray-700 dark:text-gray-300 dark:hover:bg-gray-600 whitespace-nowrap"
+          >
+            {t('common.tickets.filters.clear', { count: activeCount })}
+          </button>
+        )}
+      </form>
+
+      <div className="flex flex-wrap items-start gap-2">
+        <select
+          value={filters.status}
+          onChange={(e) => update({ status: e.target.value })}
+          aria-label={t('common.tickets.status.label')}
+          className={selectClassName}
+        >
+          <option value="">{t('common.tickets.filters.anyStatus')}</option>
+          <option value="active">{t('common.tickets.status.active')}</option>
+          {TICKET_STATUSES.map(status => (
+            <option key={status} value={status}>{t(`common.tickets.status.${status}`)}</option>
+          ))}
+        </select>
+
+        <select
+          value={filters.priority}
+          onChange={(e) => update({ priority: e.target.value })}
+          aria-label={t('common.tickets.priority')}
+          className={selectClassName}
+        >
+          <option value="">{t('common.tickets.filters.anyPriority')}</option>
+          {PRIORITIES.map(priority => (
+            <option key={priority} value={priority}>{t(`common.tickets.priority_options.${priority}`)}</option>
+          ))}
+        </select>
+
+        {organizations.length > 0 && (
+          <select
+            value={filters.organizationId}
+            onChange={(e) => update({ organizationId: e.target.value })}
+            aria-label={t('common.tickets.filters.organization')}
+            className={selectClassName}
+          >
+            <option value="">{t('common.tickets.filters.anyOrganization')}</option>
+            {organizations.map(organization => (
+              <option key={organization.id} value={organization.id}>{organization.name}</option>
+            ))}
+          </select>
+        )}
+
+        {teams.length > 0 && (
+          <select
+            value={filters.teamId}
+            onChange={(e) => update({ teamId: e.target.value })}
+            aria-label={t('common.tickets.filters.team')}
+            className={selectClassName}
+          >
+            <option value="">{t('common.tickets.filters.anyTeam')}</option>
+            {teams.map(team => (
+              <option key={team.id} value={team.id}>{team.name}</option>
+            ))}
+          </select>
+        )}
+
+        {/* Agents only ever see their own tickets */}
+        {isAdmin && (
+          <select
+            value={filters.assignee}
+            onChange={(e) => update({ assignee: e.target.value })}
+            aria-label={t('common.tickets.filters.assignee')}
+            className={selectClassName}
+          >
+            <option value="">{t('common.tickets.filters.anyAssignee')}</option>
+            <option value="me">{t('common.tickets.filters.assignedToMe')}</option>
+            <option value="unassigned">{t('common.tickets.filters.unassigned')}</option>
+            {agents.map(agent => (
+              <option key={agent.id} value={agent.id}>{agent.full_name || agent.email}</option>
+            ))}
+          </select>
+        )}
+
+        <select
+          value={filters.sla}
+          onChange={(e) => update({ sla: e.target.value })}
+          aria-label={t('common.tickets.sla.title')}
+          className={selectClassName}
+        >
+          <option value="">{t('common.tickets.filters.anySla')}</option>
+          {SLA_FILTERS.map(state => (
+            <option key={state} value={state}>{t(`common.tickets.filters.slaStates.${state}`)}</option>
+          ))}
+        </select>
+
+        <label className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-400">
+          {t('common.tickets.filters.createdFrom')}
+          <input
+            type="date"
+            value={filters.createdFrom}
+            max={filters.createdTo || undefined}
+            onChange={(e) => update({ createdFrom: e.target.value })}
+            className={selectClassName}
+          />
+        </label>
+        <label className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-400">
+          {t('common.tickets.filters.createdTo')}
+          <input
+            type="date"
+            value={filters.createdTo}
+            min={filters.createdFrom || undefined}
+            onChange={(e) => update({ createdTo: e.target.value })}
+            className={selectClassName}
+          />
+        </label>
+      </div>
+
+      <div className="flex flex-wrap items-start gap-2">
+        <div className="w-full sm:w-72">
+          <TagInput
+            tags={filters.tags}
+            onChange={(tags) => update({ tags })}
+            placeholder={t('common.tickets.filters.tags')}
+          />
+        </div>
+        {fieldDefinitions.length > 0 && (
+          <form
+            className="flex items-center gap-2"
+            onSubmit={(e) => {
+              e.preventDefault()
+              applyFieldValue()
+            }}
+          >
+            <select
+              value={filters.customField?.definitionId || ''}
+              onChange={(e) => selectCustomField(e.target.value)}
+              className={selectClassName}
+            >
+              <option value="">{t('common.tickets.filters.customField')}</option>
+              {fieldDefinitions.map(definition => (
+                <option key={definition.id} value={definition.id}>
+                  {definition.organization?.name} · {definition.label}
+                </option>
+              ))}
+            </select>
+            {filters.customField && (
+              <input
+                type="text"
+                value={fieldValue}
+                onChange={(e) => setFieldValue(e.target.value)}
+                onBlur={applyFieldValue}
+                placeholder={t('common.tickets.filters.value')}
+                className={selectClassName}
+              />
+            )}
+          </form>
+        )}
+      </div>
+    </div>
+  )
+}
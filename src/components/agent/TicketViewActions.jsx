@@ -0,0 +1,118 @@
+import { useState } from 'react'
+import { useTranslation } from 'react-i18next'
+import { toast } from 'react-hot-toast'
+import { deleteTicketView, saveTicketView } from '../../lib/ticketSearch'
+
+// Saves the current filters as a new view, or updates and deletes the view they came from
+export function TicketViewActions({ currentView, filters, userId, isAdmin, onSaved, onDeleted }) {
+  const { t } = useTranslation()
+  const [form, setForm] = useState(null)
+  const [saving, setSaving] = useState(false)
+
+  const isOwner = currentView?.owner_id === userId
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    if (!form.name.trim()) return
+
+    try {
+      setSaving(true)
+      const saved = await saveTicketView({ ...form, filters })
+      toast.success(t('common.tickets.views.saved', { name: saved.name }))
+      setForm(null)
+      onSaved(saved)
+    } catch (err) {
+      console.error('Error saving view:', err)
+      toast.error(t('common.tickets.views.errors.saveFailed'))
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleDelete = async () => {
+    if (!window.confirm(t('common.tickets.views.confirmDelete', { name: currentView.name }))) return
+
+    try {
+      await deleteTicketView(currentView.id)
+      toast.success(t('common.tickets.views.deleted', { name: currentView.name }))
+      onDeleted()
+    } catch (err) {
+      console.error('Error deleting view:', err)
+      toast.error(t('common.tickets.views.errors.deleteFailed'))
+    }
+  }
+
+  if (form) {
+    return (
+      <form onSubmit={handleSave} className="flex flex-wrap items-center gap-2">
+        <input
+          type="text"
+          value={form.name}
+          onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+          placeholder={t('common.tickets.views.namePlaceholder')}
+          className="px-3 py-1.5 text-sm bg-white dark:bg-gray-800 border-2 border-gray-300 dark:border-gray-600 rounded-md dark:text-white"
+          autoFocus
+          required
+        />
+        <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+          <input
+            type="checkbox"
+            checked={form.is_shared}
+            onChange={(e) => setForm(prev => ({ ...prev, is_shared: e.target.checked }))}
+            className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+          />
+          {t('common.tickets.views.shared')}
+        </label>
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-3 py-1.5 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-md disabled:opacity-50"
+        >
+          {saving ? t('common.saving') : t('common.save')}
+        </button>
+        <button
+          type="button"
+          onClick={() => setForm(null)}
+          disabled={saving}
+          className="px-3 py-1.5 text-sm text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-md dark:bg-gray-700 dark:text-gray-300 dark:hover:bg-gray-600"
+        >
+          {t('common.cancel')}
+        </button>
+      </form>
+    )
+  }
+
+  return (
+    <div className="flex flex-wrap items-center gap-3 text-sm">
+      {currentView && (
+        <span className="font-medium text-gray-900 dark:text-white">
+          {currentView.name}
+          {!isOwner && (
+            <span className="ml-2 font-normal text-gray-500 dark:text-gray-400">
+              {t('common.tickets.views.sharedBy', { name: currentView.owner?.full_name || currentView.owner?.email })}
+            </span>
+          )}
+        </span>
+      )}
+      {isOwner && (
+        <button
+          onClick={() => setForm({ id: currentView.id, name: currentView.name, is_shared: currentView.is_shared })}
+          className="text-blue-600 hover:text-blue-700 dark:text-blue-400"
+        >
+          {t('common.tickets.views.update')}
+        </button>
+      )}
+      <button
+        onClick={() => setForm({ name: '', is_shared: false })}
+        className="text-blue-600 hover:text-blue-700 dark:text-blue-400"
+      >
+        {t('common.tickets.views.saveAsNew')}
+      </button>
+      {currentView && (isOwner || isAdmin) && (
+        <button onClick={handleDelete} className="text-red-600 hover:text-red-700 dark:text-red-400">
+          {t('common.tickets.views.delete')}
+        </button>
+      )}
+    </div>
+  )
+}
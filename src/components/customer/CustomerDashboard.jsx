@@ -6,6 +6,7 @@ import { supabase } from '../../lib/supabaseClient'
 import { formatDistanceToNow } from 'date-fns'
 import { useRealtimeSubscription } from '../../hooks/useRealtimeSubscription'
 import { useTranslation } from 'react-i18next'
+import { isResolvedStatus } from '../../lib/ticketLifecycle'
 
 function StatCard({ title, value, icon }) {
   return (
@@ -202,7 +203,7 @@ export function CustomerDashboard() {
                       <span>{t('common.tickets.assignedTo', { name: ticket.agent.full_name })}</span>
                     </>
                   )}
-                  {ticket.status === 'resolved' && (
+                  {isResolvedStatus(ticket.status) && (
                     <>
                       <span>•</span>
                       {ticket.satisfaction_rating ? (
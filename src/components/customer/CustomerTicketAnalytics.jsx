@@ -37,9 +37,12 @@ export function CustomerTicketAnalytics() {
             acc.open++
             break
           case 'in_progress':
+          case 'pending_customer':
+          case 'on_hold':
             acc.inProgress++
             break
           case 'resolved':
+          case 'closed':
             acc.resolved++
             break
         }
@@ -72,9 +75,12 @@ export function CustomerTicketAnalytics() {
             newStats.open--
             break
           case 'in_progress':
+          case 'pending_customer':
+          case 'on_hold':
             newStats.inProgress--
             break
           case 'resolved':
+          case 'closed':
             newStats.resolved--
             break
         }
@@ -87,9 +93,12 @@ export function CustomerTicketAnalytics() {
               newStats.open--
               break
             case 'in_progress':
+            case 'pending_customer':
+            case 'on_hold':
               newStats.inProgress--
               break
             case 'resolved':
+            case 'closed':
               newStats.resolved--
               break
           }
@@ -103,9 +112,12 @@ export function CustomerTicketAnalytics() {
             newStats.open++
             break
           case 'in_progress':
+          case 'pending_customer':
+          case 'on_hold':
             newStats.inProgress++
             break
           case 'resolved':
+          case 'closed':
             newStats.resolved++
             break
         }
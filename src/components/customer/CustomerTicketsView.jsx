@@ -3,6 +3,7 @@ import { Link, useLocation } from 'react-router-dom'
 import { supabase } from '../../lib/supabaseClient'
 import { useAuth } from '../../contexts/AuthContext'
 import { useTranslation } from 'react-i18next'
+import { isResolvedStatus } from '../../lib/ticketLifecycle'
 
 export function CustomerTicketsView() {
   const { t } = useTranslation()
@@ -139,7 +140,7 @@ export function CustomerTicketsView() {
           ) : (
             <div className="space-y-4">
               {tickets
-                .filter(ticket => activeTab === 'active' ? ticket.status !== 'resolved' : ticket.status === 'resolved')
+                .filter(ticket => activeTab === 'active' ? !isResolvedStatus(ticket.status) : isResolvedStatus(ticket.status))
                 .map(ticket => (
                   <Link
                     key={ticket.id}
@@ -161,7 +162,7 @@ export function CustomerTicketsView() {
                     <div className="flex justify-between text-sm text-gray-500 dark:text-gray-400">
                       <span>{t('common.tickets.status.label')}: {t(`common.tickets.status.${ticket.status}`)}</span>
                       <div className="flex items-center gap-4">
-                        {ticket.status === 'resolved' && ticket.satisfaction_rating && (
+                        {isResolvedStatus(ticket.status) && ticket.satisfaction_rating && (
                           <span className="flex items-center">
                             {t('common.tickets.rating', { rating: ticket.satisfaction_rating })} <span className="text-amber-400 ml-1">★</span>
                           </span>
@@ -1,16 +1,28 @@
 import { useState, useEffect } from 'react'
-import { useNavigate } from 'react-router-dom'
+import { Link, useNavigate, useSearchParams } from 'react-router-dom'
 import { useAuth } from '../../contexts/AuthContext'
 import { supabase } from '../../lib/supabaseClient'
 import { useTranslation } from 'react-i18next'
+import { TICKET_TYPES } from '../../lib/ticketLifecycle'
+import { fetchFieldDefinitions, toCustomFieldValues, validateCustomFields } from '../../lib/ticketFields'
+import { CustomFieldInputs } from '../tickets/CustomFieldInputs'
+import { getHelpCenterPath, recordDeflection } from '../../lib/helpCenter'
+import { SuggestedAnswers } from './SuggestedAnswers'
 
 export function NewTicketView() {
-  const { t } = useTranslation()
+  const { t, i18n } = useTranslation()
   const navigate = useNavigate()
+  // Help center articles link here with the organization they belong to
+  const [searchParams] = useSearchParams()
   const { user } = useAuth()
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState(null)
   const [organizations, setOrganizations] = useState([])
+  const [fieldDefinitions, setFieldDefinitions] = useState([])
+  const [customFields, setCustomFields] = useState({})
+  const [customFieldErrors, setCustomFieldErrors] = useState({})
+  // Whether knowledge-base answers were offered before the ticket was submitted
+  const [sawSuggestions, setSawSuggestions] = useState(false)
   const [formData, setFormData] = useState({
     title: '',
     description: '',
@@ -25,15 +37,16 @@ export function NewTicketView() {
       try {
         const { data: orgs, error: orgsError } = await supabase
           .from('organizations')
-          .select('id, name')
+          .select('id, name, help_center_enabled')
           .order('name')
 
         if (orgsError) throw orgsError
         setOrganizations(orgs || [])
         
-        // Set the first organization as default if available
-        if (orgs?.length > 0) {
-          setFormData(prev => ({ ...prev, organization_id: orgs[0].id }))
+        // Default to the requested organization, else the first one available
+        const requested = orgs?.find(org => org.id === searchParams.get('organization'))
+        if (requested || orgs?.length > 0) {
+          setFormData(prev => ({ ...prev, organization_id: (requested ?? orgs[0]).id }))
         }
       } catch (err) {
         console.error('Error fetching organizations:', err)
@@ -44,6 +57,42 @@ export function NewTicketView() {
     fetchOrganizations()
   }, [user.id])
 
+  // Each organization asks for its own fields
+  useEffect(() => {
+    setFieldDefinitions([])
+    setCustomFieldErrors({})
+    if (!formData.organization_id) return
+
+    fetchFieldDefinitions(formData.organization_id)
+      .then(setFieldDefinitions)
+      .catch(() => setError(t('common.tickets.customFields.errors.fetchFailed')))
+  }, [formData.organization_id])
+
+  const selectedOrganization = organizations.find(org => org.id === formData.organization_id)
+  const suggestionQuery = [formData.title, formData.description].filter(Boolean).join('\n')
+
+  // A suggested answer solved the problem, so no ticket is created
+  const handleSolved = async (article) => {
+    try {
+      setLoading(true)
+      setError(null)
+      await recordDeflection({
+        organizationId: formData.organization_id,
+        channel: 'new_ticket',
+        outcome: 'deflected',
+        articleId: article.id,
+        query: suggestionQuery
+      })
+      navigate('/customer/tickets', {
+        state: { message: t('common.tickets.suggestions.solvedSuccess') }
+      })
+    } catch (err) {
+      console.error('Error recording solved suggestion:', err)
+      setError(t('common.tickets.suggestions.errors.solveFailed'))
+      setLoading(false)
+    }
+  }
+
   const handleSubmit = async (e) => {
     e.preventDefault()
     try {
@@ -62,11 +111,20 @@ export function NewTicketView() {
         throw new Error(t('common.organizations.errors.required'))
       }
 
+      const fieldErrors = validateCustomFields(fieldDefinitions, customFields)
+      setCustomFieldErrors(fieldErrors)
+      if (Object.keys(fieldErrors).length > 0) {
+        throw new Error(t('common.tickets.customFields.errors.invalid'))
+      }
+
       const ticket = {
         ...formData,
         customer_id: user.id,
         status: 'open',
-        organization_id: formData.organization_id
+        organization_id: formData.organization_id,
+        // Lets the ticket be routed to an agent who speaks the customer's language
+        language: i18n.language?.split('-')[0] || null,
+        custom_fields: toCustomFieldValues(fieldDefinitions, customFields)
       }
 
       console.log('Creating ticket:', ticket)
@@ -79,6 +137,16 @@ export function NewTicketView() {
 
       if (insertError) throw insertError
 
+      // The suggestions didn't help; counted for deflection analytics without holding up the ticket
+      if (sawSuggestions) {
+        recordDeflection({
+          organizationId: ticket.organization_id,
+          channel: 'new_ticket',
+          outcome: 'escalated',
+          query: suggestionQuery
+        }).catch(() => {})
+      }
+
       navigate('/customer/tickets', {
         state: { success: t('common.tickets.createSuccess') }
       })
@@ -147,6 +215,17 @@ export function NewTicketView() {
                 <option key={org.id} value={org.id}>{org.name}</option>
               ))}
             </select>
+            {selectedOrganization?.help_center_enabled && (
+              <p className="mt-2 text-sm text-gray-500 dark:text-gray-400">
+                {t('common.helpCenter.tryFirst')}{' '}
+                <Link
+                  to={getHelpCenterPath(selectedOrganization.id)}
+                  className="text-blue-600 hover:text-blue-700 dark:text-blue-400"
+                >
+                  {t('common.helpCenter.browse', { name: selectedOrganization.name })}
+                </Link>
+              </p>
+            )}
           </div>
 
           <div>
@@ -160,9 +239,9 @@ export function NewTicketView() {
               onChange={handleChange}
               className="block w-full pl-3 pr-10 py-2 text-sm bg-white dark:bg-gray-800 border-2 border-gray-300 dark:border-gray-600 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:text-white shadow-sm"
             >
-              <option value="bug">{t('common.tickets.types.bug')}</option>
-              <option value="feature">{t('common.tickets.types.feature')}</option>
-              <option value="support">{t('common.tickets.types.support')}</option>
+              {TICKET_TYPES.map(type => (
+                <option key={type} value={type}>{t(`common.tickets.types.${type}`)}</option>
+              ))}
             </select>
           </div>
 
@@ -183,6 +262,13 @@ export function NewTicketView() {
             </select>
           </div>
 
+          <CustomFieldInputs
+            definitions={fieldDefinitions}
+            values={customFields}
+            errors={customFieldErrors}
+            onChange={(key, value) => setCustomFields(prev => ({ ...prev, [key]: value }))}
+          />
+
           <div>
             <label htmlFor="description" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
               {t('common.tickets.description')}
@@ -198,6 +284,14 @@ export function NewTicketView() {
             />
           </div>
 
+          <SuggestedAnswers
+            organization={selectedOrganization}
+            query={suggestionQuery}
+            onSolved={handleSolved}
+            onShown={() => setSawSuggestions(true)}
+            disabled={loading}
+          />
+
           <div className="flex justify-end space-x-3">
             <button
               type="button"
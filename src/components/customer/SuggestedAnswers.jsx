@@ -0,0 +1,95 @@
+import { useState, useEffect } from 'react'
+import { useTranslation } from 'react-i18next'
+import { getHelpCenterPath, searchHelpCenter } from '../../lib/helpCenter'
+
+// How long typing has to pause before the help center is searched
+const SUGGESTION_DELAY_MS = 600
+// Shorter texts rarely say enough to match anything useful
+const MIN_QUERY_LENGTH = 15
+const SUGGESTION_COUNT = 3
+
+// Published help center articles that may already answer the ticket being written
+
+export function SuggestedAnswers({ organization, query, onSolved, onShown, disabled = false }) {
+  const { t } = useTranslation()
+  const [suggestions, setSuggestions] = useState([])
+  const [searching, setSearching] = useState(false)
+
+  const trimmedQuery = query.trim()
+  const organizationId = organization?.help_center_enabled ? organization.id : null
+
+  useEffect(() => {
+    if (!organizationId || trimmedQuery.length < MIN_QUERY_LENGTH) {
+      setSuggestions([])
+      return
+    }
+
+    let cancelled = false
+    const timeout = setTimeout(() => {
+      setSearching(true)
+      searchHelpCenter(organizationId, trimmedQuery, { limit: SUGGESTION_COUNT })
+        .then(found => {
+          if (cancelled) return
+          setSuggestions(found)
+          if (found.length > 0) onShown?.()
+        })
+        .catch(() => {
+          if (!cancelled) setSuggestions([])
+        })
+        .finally(() => {
+          if (!cancelled) setSearching(false)
+        })
+    }, SUGGESTION_DELAY_MS)
+
+    return () => {
+      cancelled = true
+      clearTimeout(timeout)
+    }
+  }, [organizationId, trimmedQuery])
+
+  if (suggestions.length === 0 && !searching) return null
+
+  return (
+    <div className="p-4 bg-blue-50 dark:bg-blue-900/20 border border-blue-200 dark:border-blue-800 rounded-md space-y-3">
+      <div className="flex items-center justify-between">
+        <div>
+          <p className="text-sm font-medium text-gray-900 dark:text-white">{t('common.tickets.suggestions.title')}</p>
+          <p className="text-xs text-gray-500 dark:text-gray-400">{t('common.tickets.suggestions.subtitle')}</p>
+        </div>
+        {searching && (
+          <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-blue-500"></div>
+        )}
+      </div>
+
+      <ul className="space-y-2">
+        {suggestions.map(suggestion => (
+          <li key={suggestion.id} className="p-3 bg-white dark:bg-gray-800 rounded-md shadow-sm">
+            <p className="text-sm font-medium text-gray-900 dark:text-white">{suggestion.title}</p>
+            {suggestion.summary && (
+              <p className="mt-1 text-sm text-gray-600 dark:text-gray-300">{suggestion.summary}</p>
+            )}
+            <div className="mt-2 flex items-center gap-4">
+              {/* A new tab keeps what the customer has written so far */}
+              <a
+                href={`${getHelpCenterPath(organizationId)}/articles/${suggestion.id}`}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="text-sm text-blue-600 hover:text-blue-700 dark:text-blue-400"
+              >
+                {t('common.tickets.suggestions.readArticle')}
+              </a>
+              <button
+                type="button"
+                onClick={() => onSolved(suggestion)}
+                disabled={disabled}
+                className="text-sm font-medium text-green-600 hover:text-green-700 dark:text-green-400 disabled:opacity-50"
+              >
+                {t('common.tickets.suggestions.solved')}
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
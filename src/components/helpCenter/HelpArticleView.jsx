@@ -0,0 +1,116 @@
+import { useState, useEffect } from 'react'
+import { Link, useParams, useSearchParams } from 'react-router-dom'
+import { useTranslation } from 'react-i18next'
+import { fetchHelpCenter, fetchPublishedArticle, getHelpCenterPath, recordDeflection } from '../../lib/helpCenter'
+import { HelpCenterLayout, HelpCenterUnavailable } from './HelpCenterView'
+
+export function HelpArticleView() {
+  const { organizationId, articleId } = useParams()
+  const [searchParams] = useSearchParams()
+  const { t } = useTranslation()
+  const [helpCenter, setHelpCenter] = useState(undefined)
+  const [article, setArticle] = useState(null)
+  // null until the reader answers "Did this answer your question?"
+  const [feedback, setFeedback] = useState(null)
+  const [error, setError] = useState(null)
+
+  const query = searchParams.get('q')
+
+  useEffect(() => {
+    setFeedback(null)
+    Promise.all([fetchHelpCenter(organizationId), fetchPublishedArticle(articleId)])
+      .then(([center, publishedArticle]) => {
+        // An article only shows inside its own organization's help center
+        const belongsHere = publishedArticle?.organization_id === organizationId
+        setHelpCenter(center && belongsHere ? center : null)
+        setArticle(belongsHere ? publishedArticle : null)
+      })
+      .catch(() => setHelpCenter(null))
+  }, [organizationId, articleId])
+
+  const handleFeedback = async (answered) => {
+    const outcome = answered ? 'deflected' : 'escalated'
+    try {
+      setError(null)
+      await recordDeflection({ organizationId, channel: 'help_center', outcome, articleId, query })
+      setFeedback(outcome)
+    } catch (error) {
+      console.error('Error recording article feedback:', error)
+      setError('feedbackFailed')
+    }
+  }
+
+  if (helpCenter === undefined) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 dark:bg-gray-900">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500"></div>
+      </div>
+    )
+  }
+
+  if (helpCenter === null || !article) return <HelpCenterUnavailable />
+
+  return (
+    <HelpCenterLayout helpCenter={helpCenter}>
+      <Link
+        to={`${getHelpCenterPath(organizationId)}${query ? `?q=${encodeURIComponent(query)}` : ''}`}
+        className="text-sm text-blue-600 hover:text-blue-700 dark:text-blue-400"
+      >
+        ← {t('common.helpCenter.backToArticles')}
+      </Link>
+
+      <article className="p-6 bg-white dark:bg-gray-800 rounded-lg shadow space-y-4">
+        <h1 className="text-2xl font-bold text-gray-900 dark:text-white">{article.title}</h1>
+        {article.summary && (
+          <p className="text-gray-600 dark:text-gray-300">{article.summary}</p>
+        )}
+        <div className="text-gray-800 dark:text-gray-200 whitespace-pre-wrap leading-relaxed">
+          {article.body}
+        </div>
+        <p className="text-xs text-gray-400 dark:text-gray-500">
+          {t('common.helpCenter.updatedOn', { date: new Date(article.updated_at).toLocaleDateString() })}
+        </p>
+      </article>
+
+      <div className="p-6 bg-white dark:bg-gray-800 rounded-lg shadow">
+        {feedback === null && (
+          <div className="flex flex-wrap items-center gap-3">
+            <p className="font-medium text-gray-900 dark:text-white">{t('common.helpCenter.feedbackQuestion')}</p>
+            <button
+              onClick={() => handleFeedback(true)}
+              className="px-4 py-2 text-sm font-medium text-white bg-green-600 hover:bg-green-700 rounded-lg"
+            >
+              {t('common.helpCenter.feedbackYes')}
+            </button>
+            <button
+              onClick={() => handleFeedback(false)}
+              className="px-4 py-2 text-sm font-medium text-gray-700 dark:text-gray-200 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 rounded-lg"
+            >
+              {t('common.helpCenter.feedbackNo')}
+            </button>
+          </div>
+        )}
+
+        {feedback === 'deflected' && (
+          <p className="text-green-600 dark:text-green-400">{t('common.helpCenter.feedbackThanks')}</p>
+        )}
+
+        {feedback === 'escalated' && (
+          <div className="space-y-3">
+            <p className="text-gray-700 dark:text-gray-300">{t('common.helpCenter.feedbackSorry')}</p>
+            <Link
+              to={`/customer/new-ticket?organization=${organizationId}`}
+              className="inline-block px-4 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-lg"
+            >
+              {t('common.helpCenter.contactSupport')}
+            </Link>
+          </div>
+        )}
+
+        {error && (
+          <p className="mt-3 text-sm text-red-600 dark:text-red-400">{t(`common.helpCenter.errors.${error}`)}</p>
+        )}
+      </div>
+    </HelpCenterLayout>
+  )
+}
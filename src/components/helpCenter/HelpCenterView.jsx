@@ -0,0 +1,170 @@
+import { useState, useEffect } from 'react'
+import { Link, useParams, useSearchParams } from 'react-router-dom'
+import { useTranslation } from 'react-i18next'
+import { fetchHelpCenter, fetchPublishedArticles, getHelpCenterPath, searchHelpCenter } from '../../lib/helpCenter'
+
+export function HelpCenterLayout({ helpCenter, children }) {
+  const { t } = useTranslation()
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
+      <header className="bg-white dark:bg-gray-800 border-b border-gray-200 dark:border-gray-700">
+        <div className="max-w-3xl mx-auto px-4 py-6">
+          <Link to={getHelpCenterPath(helpCenter.id)} className="text-2xl font-bold text-gray-900 dark:text-white">
+            {t('common.helpCenter.title', { name: helpCenter.name })}
+          </Link>
+        </div>
+      </header>
+      <main className="max-w-3xl mx-auto px-4 py-8 space-y-6">
+        {children}
+      </main>
+    </div>
+  )
+}
+
+export function HelpCenterUnavailable() {
+  const { t } = useTranslation()
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 dark:bg-gray-900 p-6">
+      <p className="text-gray-500 dark:text-gray-400">{t('common.helpCenter.unavailable')}</p>
+    </div>
+  )
+}
+
+export function HelpCenterView() {
+  const { organizationId } = useParams()
+  const { t } = useTranslation()
+  const [searchParams, setSearchParams] = useSearchParams()
+  const query = searchParams.get('q') ?? ''
+  // undefined while loading, null when the organization has no help center
+  const [helpCenter, setHelpCenter] = useState(undefined)
+  const [articles, setArticles] = useState([])
+  const [results, setResults] = useState(null)
+  const [searchInput, setSearchInput] = useState(query)
+  const [searching, setSearching] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    Promise.all([fetchHelpCenter(organizationId), fetchPublishedArticles(organizationId)])
+      .then(([center, publishedArticles]) => {
+        setHelpCenter(center)
+        setArticles(publishedArticles)
+      })
+      .catch(() => setHelpCenter(null))
+  }, [organizationId])
+
+  useEffect(() => {
+    if (!helpCenter || !query) {
+      setResults(null)
+      return
+    }
+
+    let cancelled = false
+    setSearching(true)
+    setError(null)
+    searchHelpCenter(organizationId, query, { limit: 10 })
+      .then(found => {
+        if (!cancelled) setResults(found)
+      })
+      .catch(() => {
+        if (!cancelled) setError('searchFailed')
+      })
+      .finally(() => {
+        if (!cancelled) setSearching(false)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [helpCenter, organizationId, query])
+
+  const handleSearch = (e) => {
+    e.preventDefault()
+    const trimmed = searchInput.trim()
+    setSearchParams(trimmed ? { q: trimmed } : {})
+  }
+
+  if (helpCenter === undefined) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 dark:bg-gray-900">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500"></div>
+      </div>
+    )
+  }
+
+  if (helpCenter === null) return <HelpCenterUnavailable />
+
+  const shownArticles = results ?? articles
+  // The query travels with the article so feedback on it can be tied to the search
+  const articlePath = (articleId) =>
+    `${getHelpCenterPath(organizationId)}/articles/${articleId}${query ? `?q=${encodeURIComponent(query)}` : ''}`
+
+  return (
+    <HelpCenterLayout helpCenter={helpCenter}>
+      <form onSubmit={handleSearch} className="flex gap-2">
+        <input
+          type="search"
+          value={searchInput}
+          onChange={(e) => setSearchInput(e.target.value)}
+          placeholder={t('common.helpCenter.searchPlaceholder')}
+          className="flex-1 px-4 py-3 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 dark:text-white"
+        />
+        <button
+          type="submit"
+          className="px-5 py-3 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-lg"
+        >
+          {t('common.helpCenter.search')}
+        </button>
+      </form>
+
+      {error && (
+        <p className="text-sm text-red-600 dark:text-red-400">{t(`common.helpCenter.errors.${error}`)}</p>
+      )}
+
+      <section className="space-y-3">
+        <h2 className="text-sm font-medium text-gray-500 dark:text-gray-400">
+          {query
+            ? t('common.helpCenter.resultsFor', { query })
+            : t('common.helpCenter.allArticles')}
+        </h2>
+
+        {searching ? (
+          <div className="py-8 text-center">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500 mx-auto"></div>
+          </div>
+        ) : shownArticles.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            {query ? t('common.helpCenter.noResults') : t('common.helpCenter.noArticles')}
+          </p>
+        ) : (
+          <ul className="space-y-3">
+            {shownArticles.map(article => (
+              <li key={article.id}>
+                <Link
+                  to={articlePath(article.id)}
+                  className="block p-4 bg-white dark:bg-gray-800 rounded-lg shadow hover:shadow-md transition-shadow"
+                >
+                  <p className="font-medium text-gray-900 dark:text-white">{article.title}</p>
+                  {article.summary && (
+                    <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">{article.summary}</p>
+                  )}
+                </Link>
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+
+      <p className="text-sm text-gray-500 dark:text-gray-400">
+        {t('common.helpCenter.stillNeedHelp')}{' '}
+        <Link
+          to={`/customer/new-ticket?organization=${organizationId}`}
+          className="text-blue-600 hover:text-blue-700 dark:text-blue-400"
+        >
+          {t('common.helpCenter.contactSupport')}
+        </Link>
+      </p>
+    </HelpCenterLayout>
+  )
+}
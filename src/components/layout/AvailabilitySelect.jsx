@@ -0,0 +1,55 @@
+import { useState, useEffect } from 'react'
+import { useTranslation } from 'react-i18next'
+import { toast } from 'react-hot-toast'
+import { useAuth } from '../../contexts/AuthContext'
+import { AVAILABILITY_STATUSES, fetchAgentAvailability, setOwnAvailability } from '../../lib/ticketRouting'
+
+const AVAILABILITY_DOTS = {
+  available: 'bg-green-500',
+  away: 'bg-yellow-500',
+  offline: 'bg-gray-400'
+}
+
+// Lets an agent choose whether new tickets are routed to them
+export function AvailabilitySelect() {
+  const { t } = useTranslation()
+  const { user } = useAuth()
+  const [availability, setAvailability] = useState(null)
+
+  useEffect(() => {
+    if (!user?.id) return
+    fetchAgentAvailability(user.id)
+      .then(setAvailability)
+      .catch(() => setAvailability(null))
+  }, [user?.id])
+
+  const handleChange = async (e) => {
+    const previous = availability
+    setAvailability(e.target.value)
+    try {
+      await setOwnAvailability(e.target.value)
+    } catch (err) {
+      console.error('Error changing availability:', err)
+      setAvailability(previous)
+      toast.error(t('common.routing.errors.availabilityFailed'))
+    }
+  }
+
+  if (!availability) return null
+
+  return (
+    <div className="flex items-center gap-2">
+      <span className={`w-2.5 h-2.5 rounded-full ${AVAILABILITY_DOTS[availability]}`} />
+      <select
+        value={availability}
+        onChange={handleChange}
+        aria-label={t('common.routing.availability')}
+        className="px-2 py-1 text-sm bg-gray-100 dark:bg-gray-800 border-none rounded-lg text-gray-700 dark:text-gray-300 focus:ring-2 focus:ring-blue-500"
+      >
+        {AVAILABILITY_STATUSES.map(status => (
+          <option key={status} value={status}>{t(`common.routing.availabilityOptions.${status}`)}</option>
+        ))}
+      </select>
+    </div>
+  )
+}
@@ -3,10 +3,12 @@ import { useAuth } from '../../contexts/AuthContext'
 import { useDarkMode } from '../../contexts/DarkModeContext'
 import { Link, useLocation } from 'react-router-dom'
 import { TicketCount } from './TicketCount'
+import { SavedViewsNav } from './SavedViewsNav'
 import EmailTest from '../EmailTest'
 import { PendingOrgCount } from '../admin/PendingOrgCount'
 import { useTranslation } from 'react-i18next'
 import { LanguageSwitcher } from '../common/LanguageSwitcher'
+import { AvailabilitySelect } from './AvailabilitySelect'
 
 function NavItem({ to, children, icon }) {
   const location = useLocation()
@@ -72,6 +74,7 @@ export function DashboardLayout({ children }) {
             </div>
           </div>
           <div className="flex items-center space-x-4">
+            {profile?.role === 'agent' && <AvailabilitySelect />}
             <LanguageSwitcher />
             <button
               onClick={toggleDarkMode}
@@ -105,11 +108,18 @@ export function DashboardLayout({ children }) {
                 {t('common.nav.dashboard')}
               </NavItem>
               <NavItem to="/dashboard/tickets" icon="🎫">
-                {t('common.nav.tickets')}
+                <div className="flex items-center">
+                  {t('common.nav.tickets')}
+                  <TicketCount />
+                </div>
               </NavItem>
+              <SavedViewsNav />
               <NavItem to="/dashboard/teams" icon="👥">
                 {t('common.nav.teams')}
               </NavItem>
+              <NavItem to="/dashboard/canned-responses" icon="💬">
+                {t('common.nav.cannedResponses')}
+              </NavItem>
               <NavItem to="/dashboard/profile" icon="👤">
                 {t('common.nav.profile')}
               </NavItem>
@@ -128,6 +138,12 @@ export function DashboardLayout({ children }) {
                       <PendingOrgCount />
                     </div>
                   </NavItem>
+                  <NavItem to="/dashboard/routing" icon="🔀">
+                    {t('common.nav.routing')}
+                  </NavItem>
+                  <NavItem to="/dashboard/automations" icon="⚙️">
+                    {t('common.nav.automations')}
+                  </NavItem>
                   <NavItem to="/dashboard/bot-testing" icon="🤖">
                     {t('common.nav.botTesting')}
                   </NavItem>
@@ -0,0 +1,96 @@
+import { useState, useEffect, useCallback } from 'react'
+import { Link, useLocation } from 'react-router-dom'
+import { useAuth } from '../../contexts/AuthContext'
+import { useRealtimeSubscription } from '../../hooks/useRealtimeSubscription'
+import { countTickets, fetchTicketViews } from '../../lib/ticketSearch'
+
+// The agent's own and shared ticket views, listed under Tickets with how many tickets each matches
+export function SavedViewsNav() {
+  const { user, profile } = useAuth()
+  const location = useLocation()
+  const [views, setViews] = useState([])
+  const [counts, setCounts] = useState({})
+
+  const isStaff = profile?.role === 'agent' || profile?.role === 'admin'
+  const activeViewId = location.pathname === '/dashboard/tickets'
+    ? new URLSearchParams(location.search).get('view')
+    : null
+
+  const fetchViews = useCallback(async () => {
+    if (!user?.id || !isStaff) return
+
+    try {
+      setViews(await fetchTicketViews(user.id))
+    } catch (error) {
+      console.error('Error fetching saved views:', error)
+    }
+  }, [user?.id, isStaff])
+
+  const fetchCounts = useCallback(async () => {
+    if (!user?.id || views.length === 0) return
+
+    const options = { userId: user.id, isAdmin: profile?.role === 'admin' }
+    const entries = await Promise.all(views.map(async view => {
+      try {
+        return [view.id, await countTickets(view.filters, options)]
+      } catch (error) {
+        console.error('Error counting view tickets:', error)
+        return [view.id, null]
+      }
+    }))
+    setCounts(Object.fromEntries(entries))
+  }, [views, user?.id, profile?.role])
+
+  useEffect(() => {
+    fetchViews()
+  }, [fetchViews])
+
+  useEffect(() => {
+    fetchCounts()
+  }, [fetchCounts])
+
+  useRealtimeSubscription({
+    table: 'ticket_views',
+    onInsert: fetchViews,
+    onUpdate: fetchViews,
+    onDelete: fetchViews,
+    enabled: isStaff
+  }, [fetchViews, isStaff])
+
+  // Same scope as the ticket list: agents count only the tickets assigned to them
+  useRealtimeSubscription({
+    table: 'tickets',
+    filter: profile?.role === 'admin' ? undefined : `agent_id=eq.${user?.id}`,
+    onInsert: fetchCounts,
+    onUpdate: fetchCounts,
+    onDelete: fetchCounts,
+    enabled: isStaff && views.length > 0
+  }, [fetchCounts, user?.id, profile?.role])
+
+  if (views.length === 0) return null
+
+  return (
+    <ul className="ml-8 space-y-0.5">
+      {views.map(view => (
+        <li key={view.id}>
+          <Link
+            to={`/dashboard/tickets?view=${view.id}`}
+            className={`flex items-center justify-between px-3 py-1.5 rounded-lg text-sm transition-colors ${
+              view.id === activeViewId
+                ? 'bg-blue-50 dark:bg-blue-900 text-blue-700 dark:text-blue-300'
+                : 'text-gray-600 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-800'
+            }`}
+          >
+            <span className="truncate">
+              {view.is_shared && <span className="mr-1" aria-hidden="true">👥</span>}
+              {view.name}
+            </span>
+            {counts[view.id] != null && (
+              <span className="ml-2 text-xs font-medium text-gray-500 dark:text-gray-400">{counts[view.id]}</span>
+            )}
+          </Link>
+        </li>
+      ))}
+    </ul>
+  )
+}
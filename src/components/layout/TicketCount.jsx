@@ -2,6 +2,7 @@ import { useState, useEffect, useCallback } from 'react'
 import { useAuth } from '../../contexts/AuthContext'
 import { supabase } from '../../lib/supabaseClient'
 import { useRealtimeSubscription } from '../../hooks/useRealtimeSubscription'
+import { ACTIVE_STATUSES } from '../../lib/ticketLifecycle'
 
 export function TicketCount() {
   const { user, profile } = useAuth()
@@ -14,7 +15,7 @@ export function TicketCount() {
       let query = supabase
         .from('tickets')
         .select('id', { count: 'exact' })
-        .in('status', ['open', 'in_progress'])
+        .in('status', ACTIVE_STATUSES)
 
       // If not admin, only show tickets assigned to the agent
       if (profile?.role !== 'admin') {
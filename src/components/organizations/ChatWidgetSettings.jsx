@@ -0,0 +1,170 @@
+import { useState, useEffect } from 'react'
+import { useTranslation } from 'react-i18next'
+import {
+  DEFAULT_CHAT_WIDGET_SETTINGS,
+  fetchChatWidgetSettings,
+  getChatWidgetSnippet,
+  saveChatWidgetSettings
+} from '../../lib/chatWidgetSettings'
+
+export function ChatWidgetSettings({ organizationId }) {
+  const { t } = useTranslation()
+  const [settings, setSettings] = useState(DEFAULT_CHAT_WIDGET_SETTINGS)
+  const [isExpanded, setIsExpanded] = useState(false)
+  const [saving, setSaving] = useState(false)
+  const [saved, setSaved] = useState(false)
+  const [copied, setCopied] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    if (isExpanded) loadSettings()
+  }, [organizationId, isExpanded])
+
+  const loadSettings = async () => {
+    try {
+      setError(null)
+      setSettings(await fetchChatWidgetSettings(organizationId))
+    } catch (error) {
+      console.error('Error loading chat widget settings:', error)
+      setError('fetchFailed')
+    }
+  }
+
+  const handleChange = (field, value) => {
+    setSettings(prev => ({ ...prev, [field]: value }))
+    setSaved(false)
+  }
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+
+    try {
+      setSaving(true)
+      setError(null)
+      await saveChatWidgetSettings(organizationId, settings)
+      setSaved(true)
+    } catch (error) {
+      console.error('Error saving chat widget settings:', error)
+      setError('saveFailed')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(getChatWidgetSnippet(organizationId))
+      setCopied(true)
+    } catch (error) {
+      console.error('Error copying widget snippet:', error)
+    }
+  }
+
+  const inputClassName = "block w-full px-3 py-2 text-sm bg-white dark:bg-gray-800 border-2 border-gray-300 dark:border-gray-600 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:text-white shadow-sm"
+
+  return (
+    <div className="space-y-6">
+      <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700">
+        <button
+          onClick={() => setIsExpanded(!isExpanded)}
+          className="flex items-center justify-between w-full p-6 text-left bg-gray-50 hover:bg-gray-100 dark:bg-gray-800 dark:hover:bg-gray-700 border-b border-gray-200 dark:border-gray-700"
+        >
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white">{t('common.organizations.chatWidget.title')}</h3>
+          <svg
+            className={`w-5 h-5 text-gray-500 transition-transform ${isExpanded ? 'transform rotate-180' : ''}`}
+            fill="none"
+            stroke="currentColor"
+            viewBox="0 0 24 24"
+          >
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+          </svg>
+        </button>
+      </div>
+
+      {isExpanded && (
+        <form onSubmit={handleSave} className="px-6 pb-6 space-y-4">
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            {t('common.organizations.chatWidget.subtitle')}
+          </p>
+
+          <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+            <input
+              type="checkbox"
+              checked={settings.chat_widget_enabled}
+              onChange={(e) => handleChange('chat_widget_enabled', e.target.checked)}
+              className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+            />
+            {t('common.organizations.chatWidget.enabled')}
+          </label>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              {t('common.organizations.chatWidget.greeting')}
+            </label>
+            <textarea
+              rows={2}
+              value={settings.chat_widget_greeting}
+              onChange={(e) => handleChange('chat_widget_greeting', e.target.value)}
+              placeholder={t('common.chatWidget.defaultGreeting')}
+              className={inputClassName}
+            />
+          </div>
+
+          <div className="max-w-xs">
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              {t('common.organizations.chatWidget.color')}
+            </label>
+            <input
+              type="color"
+              value={settings.chat_widget_color}
+              onChange={(e) => handleChange('chat_widget_color', e.target.value)}
+              className="h-10 w-20 rounded border-2 border-gray-300 dark:border-gray-600"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              {t('common.organizations.chatWidget.snippet')}
+            </label>
+            <div className="flex items-start gap-2">
+              <code className="flex-1 block p-3 text-xs bg-gray-50 dark:bg-gray-900 text-gray-800 dark:text-gray-200 rounded-md break-all">
+                {getChatWidgetSnippet(organizationId)}
+              </code>
+              <button
+                type="button"
+                onClick={handleCopy}
+                className="px-3 py-2 text-sm text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-md hover:bg-gray-50 dark:hover:bg-gray-600"
+              >
+                {copied ? t('common.organizations.chatWidget.copied') : t('common.organizations.chatWidget.copy')}
+              </button>
+            </div>
+            <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+              {t('common.organizations.chatWidget.snippetHelp')}
+            </p>
+          </div>
+
+          {error && (
+            <p className="text-sm text-red-600 dark:text-red-400">
+              {t(`common.organizations.chatWidget.errors.${error}`)}
+            </p>
+          )}
+
+          <div className="flex items-center gap-4">
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-lg disabled:opacity-50"
+            >
+              {t('common.save')}
+            </button>
+            {saved && (
+              <span className="text-sm text-green-600 dark:text-green-400">
+                {t('common.organizations.chatWidget.saved')}
+              </span>
+            )}
+          </div>
+        </form>
+      )}
+    </div>
+  )
+}
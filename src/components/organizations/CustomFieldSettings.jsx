@@ -0,0 +1,235 @@
+import { useState, useEffect } from 'react'
+import { useTranslation } from 'react-i18next'
+import {
+  CUSTOM_FIELD_TYPES,
+  deleteFieldDefinition,
+  fetchFieldDefinitions,
+  saveFieldDefinition
+} from '../../lib/ticketFields'
+
+const EMPTY_FIELD = { label: '', field_type: 'text', options: '', required: false }
+
+// Options are edited as comma-separated text
+function toForm(field) {
+  return { ...field, options: field.options.join(', ') }
+}
+
+export function CustomFieldSettings({ organizationId }) {
+  const { t } = useTranslation()
+  const [fields, setFields] = useState([])
+  const [form, setForm] = useState(EMPTY_FIELD)
+  const [isExpanded, setIsExpanded] = useState(false)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    if (isExpanded) loadFields()
+  }, [organizationId, isExpanded])
+
+  const loadFields = async () => {
+    try {
+      setError(null)
+      setFields(await fetchFieldDefinitions(organizationId))
+    } catch (error) {
+      console.error('Error loading custom fields:', error)
+      setError('fetchFailed')
+    }
+  }
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+
+    const options = [...new Set(form.options.split(',').map(option => option.trim()).filter(Boolean))]
+    if (form.field_type === 'select' && options.length === 0) {
+      setError('optionsRequired')
+      return
+    }
+
+    try {
+      setSaving(true)
+      setError(null)
+      const saved = await saveFieldDefinition(
+        organizationId,
+        { ...form, options },
+        fields.filter(field => field.id !== form.id).map(field => field.key)
+      )
+      setFields(prev => form.id
+        ? prev.map(field => field.id === saved.id ? saved : field)
+        : [...prev, saved]
+      )
+      setForm(EMPTY_FIELD)
+    } catch (error) {
+      console.error('Error saving custom field:', error)
+      setError('saveFailed')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleDelete = async (field) => {
+    if (!window.confirm(t('common.organizations.customFields.confirmDelete', { label: field.label }))) return
+
+    try {
+      setError(null)
+      await deleteFieldDefinition(field.id)
+      setFields(prev => prev.filter(item => item.id !== field.id))
+      if (form.id === field.id) setForm(EMPTY_FIELD)
+    } catch (error) {
+      console.error('Error deleting custom field:', error)
+      setError('deleteFailed')
+    }
+  }
+
+  const inputClassName = "block w-full px-3 py-2 text-sm bg-white dark:bg-gray-800 border-2 border-gray-300 dark:border-gray-600 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:text-white shadow-sm"
+
+  return (
+    <div className="space-y-6">
+      <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700">
+        <button
+          onClick={() => setIsExpanded(!isExpanded)}
+          className="flex items-center justify-between w-full p-6 text-left bg-gray-50 hover:bg-gray-100 dark:bg-gray-800 dark:hover:bg-gray-700 border-b border-gray-200 dark:border-gray-700"
+        >
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white">{t('common.organizations.customFields.title')}</h3>
+          <svg
+            className={`w-5 h-5 text-gray-500 transition-transform ${isExpanded ? 'transform rotate-180' : ''}`}
+            fill="none"
+            stroke="currentColor"
+            viewBox="0 0 24 24"
+          >
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+          </svg>
+        </button>
+      </div>
+
+      {isExpanded && (
+        <div className="px-6 pb-6 space-y-6">
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            {t('common.organizations.customFields.subtitle')}
+          </p>
+
+          {fields.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400">{t('common.organizations.customFields.noFields')}</p>
+          ) : (
+            <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+              {fields.map(field => (
+                <li key={field.id} className="py-3 flex items-center justify-between gap-4">
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-gray-900 dark:text-white">
+                      {field.label} {field.required && <span className="text-red-500">*</span>}
+                    </p>
+                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                      {t(`common.organizations.customFields.types.${field.field_type}`)}
+                      {field.field_type === 'select' && `: ${field.options.join(', ')}`}
+                      {' · '}
+                      <code>{field.key}</code>
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-3">
+                    <button
+                      type="button"
+                      onClick={() => setForm(toForm(field))}
+                      className="text-sm text-blue-600 hover:text-blue-700 dark:text-blue-400"
+                    >
+                      {t('common.edit')}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleDelete(field)}
+                      className="text-sm text-red-600 hover:text-red-700 dark:text-red-400"
+                    >
+                      {t('common.delete')}
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <form onSubmit={handleSave} className="space-y-4">
+            <h4 className="text-sm font-medium text-gray-900 dark:text-white">
+              {form.id ? t('common.organizations.customFields.editField') : t('common.organizations.customFields.addField')}
+            </h4>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  {t('common.organizations.customFields.label')}
+                </label>
+                <input
+                  type="text"
+                  value={form.label}
+                  onChange={(e) => setForm(prev => ({ ...prev, label: e.target.value }))}
+                  className={inputClassName}
+                  required
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  {t('common.organizations.customFields.type')}
+                </label>
+                <select
+                  value={form.field_type}
+                  onChange={(e) => setForm(prev => ({ ...prev, field_type: e.target.value }))}
+                  // Changing the type would strand the values tickets already have
+                  disabled={!!form.id}
+                  className={inputClassName}
+                >
+                  {CUSTOM_FIELD_TYPES.map(type => (
+                    <option key={type} value={type}>{t(`common.organizations.customFields.types.${type}`)}</option>
+                  ))}
+                </select>
+              </div>
+              {form.field_type === 'select' && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    {t('common.organizations.customFields.options')}
+                  </label>
+                  <input
+                    type="text"
+                    value={form.options}
+                    onChange={(e) => setForm(prev => ({ ...prev, options: e.target.value }))}
+                    placeholder={t('common.organizations.customFields.optionsPlaceholder')}
+                    className={inputClassName}
+                  />
+                </div>
+              )}
+            </div>
+            <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+              <input
+                type="checkbox"
+                checked={form.required}
+                onChange={(e) => setForm(prev => ({ ...prev, required: e.target.checked }))}
+                className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+              />
+              {t('common.organizations.customFields.required')}
+            </label>
+
+            {error && (
+              <p className="text-sm text-red-600 dark:text-red-400">
+                {t(`common.organizations.customFields.errors.${error}`)}
+              </p>
+            )}
+
+            <div className="flex items-center gap-3">
+              <button
+                type="submit"
+                disabled={saving}
+                className="px-4 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-lg disabled:opacity-50"
+              >
+                {form.id ? t('common.save') : t('common.create')}
+              </button>
+              {form.id && (
+                <button
+                  type="button"
+                  onClick={() => setForm(EMPTY_FIELD)}
+                  className="px-4 py-2 text-sm text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-lg dark:bg-gray-700 dark:text-gray-300 dark:hover:bg-gray-600"
+                >
+                  {t('common.cancel')}
+                </button>
+              )}
+            </div>
+          </form>
+        </div>
+      )}
+    </div>
+  )
+}
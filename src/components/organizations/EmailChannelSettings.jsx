@@ -0,0 +1,177 @@
+import { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import { useTranslation } from 'react-i18next'
+import { fetchInboundEmailAddress, fetchInboundEmails, saveInboundEmailAddress } from '../../lib/emailChannel'
+
+const STATUS_STYLES = {
+  processing: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200',
+  ticket_created: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200',
+  comment_added: 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200',
+  rejected: 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-200',
+  failed: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200'
+}
+
+export function EmailChannelSettings({ organizationId }) {
+  const { t } = useTranslation()
+  const [address, setAddress] = useState('')
+  const [emails, setEmails] = useState([])
+  const [isExpanded, setIsExpanded] = useState(false)
+  const [saving, setSaving] = useState(false)
+  const [saved, setSaved] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    if (isExpanded) loadSettings()
+  }, [organizationId, isExpanded])
+
+  const loadSettings = async () => {
+    try {
+      setError(null)
+      const [inboundAddress, recentEmails] = await Promise.all([
+        fetchInboundEmailAddress(organizationId),
+        fetchInboundEmails(organizationId)
+      ])
+      setAddress(inboundAddress ?? '')
+      setEmails(recentEmails)
+    } catch (error) {
+      console.error('Error loading email channel settings:', error)
+      setError('fetchFailed')
+    }
+  }
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+
+    try {
+      setSaving(true)
+      setError(null)
+      const normalized = await saveInboundEmailAddress(organizationId, address)
+      setAddress(normalized ?? '')
+      setSaved(true)
+    } catch (error) {
+      console.error('Error saving email channel settings:', error)
+      // Unique violation: another organization already receives this address
+      setError(error.code === '23505' ? 'addressTaken' : 'saveFailed')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const inputClassName = "block w-full px-3 py-2 text-sm bg-white dark:bg-gray-800 border-2 border-gray-300 dark:border-gray-600 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:text-white shadow-sm"
+
+  return (
+    <div className="space-y-6">
+      <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700">
+        <button
+          onClick={() => setIsExpanded(!isExpanded)}
+          className="flex items-center justify-between w-full p-6 text-left bg-gray-50 hover:bg-gray-100 dark:bg-gray-800 dark:hover:bg-gray-700 border-b border-gray-200 dark:border-gray-700"
+        >
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white">{t('common.organizations.emailChannel.title')}</h3>
+          <svg
+            className={`w-5 h-5 text-gray-500 transition-transform ${isExpanded ? 'transform rotate-180' : ''}`}
+            fill="none"
+            stroke="currentColor"
+            viewBox="0 0 24 24"
+          >
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+          </svg>
+        </button>
+      </div>
+
+      {isExpanded && (
+        <div className="px-6 pb-6 space-y-6">
+          <form onSubmit={handleSave} className="space-y-4">
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              {t('common.organizations.emailChannel.subtitle')}
+            </p>
+
+            <div className="max-w-md">
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                {t('common.organizations.emailChannel.address')}
+              </label>
+              <input
+                type="email"
+                value={address}
+                onChange={(e) => {
+                  setAddress(e.target.value)
+                  setSaved(false)
+                }}
+                placeholder={t('common.organizations.emailChannel.addressPlaceholder')}
+                className={inputClassName}
+              />
+              <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                {t('common.organizations.emailChannel.addressHelp')}
+              </p>
+            </div>
+
+            {error && (
+              <p className="text-sm text-red-600 dark:text-red-400">
+                {t(`common.organizations.emailChannel.errors.${error}`)}
+              </p>
+            )}
+
+            <div className="flex items-center gap-4">
+              <button
+                type="submit"
+                disabled={saving}
+                className="px-4 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-lg disabled:opacity-50"
+              >
+                {t('common.save')}
+              </button>
+              {saved && (
+                <span className="text-sm text-green-600 dark:text-green-400">
+                  {t('common.organizations.emailChannel.saved')}
+                </span>
+              )}
+            </div>
+          </form>
+
+          <div className="space-y-3">
+            <h4 className="text-sm font-medium text-gray-900 dark:text-white">
+              {t('common.organizations.emailChannel.recentEmails')}
+            </h4>
+            {emails.length === 0 ? (
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                {t('common.organizations.emailChannel.noEmails')}
+              </p>
+            ) : (
+              <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+                {emails.map(email => (
+                  <li key={email.id} className="py-2 flex items-start justify-between gap-4 text-sm">
+                    <div className="min-w-0">
+                      <p className="text-gray-900 dark:text-white truncate">
+                        {email.subject || t('common.organizations.emailChannel.noSubject')}
+                      </p>
+                      <p className="text-xs text-gray-500 dark:text-gray-400">
+                        {email.from_email} • {new Date(email.created_at).toLocaleString()}
+                        {email.attachment_count > 0 && (
+                          <> • {t('common.organizations.emailChannel.attachments', { count: email.attachment_count })}</>
+                        )}
+                      </p>
+                      {email.reason && (
+                        <p className="text-xs text-gray-500 dark:text-gray-400">{email.reason}</p>
+                      )}
+                    </div>
+                    <div className="flex items-center gap-2 shrink-0">
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_STYLES[email.status]}`}>
+                        {t(`common.organizations.emailChannel.status.${email.status}`)}
+                      </span>
+                      {email.ticket_id && (
+                        <Link
+                          to={`/dashboard/tickets/${email.ticket_id}`}
+                          className="text-xs text-blue-600 hover:text-blue-700 dark:text-blue-400"
+                        >
+                          {t('common.organizations.emailChannel.viewTicket')}
+                        </Link>
+                      )}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
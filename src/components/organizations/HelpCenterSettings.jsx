@@ -0,0 +1,339 @@
+import { useState, useEffect } from 'react'
+import { useTranslation } from 'react-i18next'
+import {
+  deleteHelpArticle,
+  fetchDeflectionStats,
+  fetchDocumentText,
+  fetchHelpArticles,
+  fetchHelpCenterEnabled,
+  fetchKnowledgeDocuments,
+  getHelpCenterPath,
+  saveHelpArticle,
+  saveHelpCenterEnabled
+} from '../../lib/helpCenter'
+
+const EMPTY_ARTICLE = { title: '', summary: '', body: '', source_document_id: '', is_published: false, position: 0 }
+
+function toForm(article) {
+  return { ...article, summary: article.summary ?? '', source_document_id: article.source_document_id ?? '' }
+}
+
+export function HelpCenterSettings({ organizationId }) {
+  const { t } = useTranslation()
+  const [enabled, setEnabled] = useState(false)
+  const [articles, setArticles] = useState([])
+  const [documents, setDocuments] = useState([])
+  const [deflections, setDeflections] = useState({})
+  const [form, setForm] = useState(EMPTY_ARTICLE)
+  const [isExpanded, setIsExpanded] = useState(false)
+  const [saving, setSaving] = useState(false)
+  const [filling, setFilling] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    if (isExpanded) loadSettings()
+  }, [organizationId, isExpanded])
+
+  const loadSettings = async () => {
+    try {
+      setError(null)
+      const [isEnabled, helpArticles, knowledgeDocuments, stats] = await Promise.all([
+        fetchHelpCenterEnabled(organizationId),
+        fetchHelpArticles(organizationId),
+        fetchKnowledgeDocuments(organizationId),
+        fetchDeflectionStats(organizationId)
+      ])
+      setEnabled(isEnabled)
+      setArticles(helpArticles)
+      setDocuments(knowledgeDocuments)
+      setDeflections(stats.byArticle)
+    } catch (error) {
+      console.error('Error loading help center settings:', error)
+      setError('fetchFailed')
+    }
+  }
+
+  const handleToggle = async (value) => {
+    try {
+      setError(null)
+      await saveHelpCenterEnabled(organizationId, value)
+      setEnabled(value)
+    } catch (error) {
+      console.error('Error saving help center setting:', error)
+      setError('saveFailed')
+    }
+  }
+
+  const handleFillFromDocument = async () => {
+    const document = documents.find(doc => doc.document_id === form.source_document_id)
+    if (!document) return
+    if (form.body.trim() && !window.confirm(t('common.organizations.helpCenter.confirmReplaceBody'))) return
+
+    try {
+      setFilling(true)
+      setError(null)
+      const text = await fetchDocumentText(document.id)
+      setForm(prev => ({
+        ...prev,
+        title: prev.title || document.file_name.replace(/\.[^.]+$/, ''),
+        body: text
+      }))
+    } catch (error) {
+      console.error('Error filling article from document:', error)
+      setError('fillFailed')
+    } finally {
+      setFilling(false)
+    }
+  }
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+
+    try {
+      setSaving(true)
+      setError(null)
+      const saved = await saveHelpArticle(organizationId, form)
+      setArticles(prev => (form.id
+        ? prev.map(article => article.id === saved.id ? saved : article)
+        : [...prev, saved]
+      ).sort((a, b) => a.position - b.position || a.title.localeCompare(b.title)))
+      setForm(EMPTY_ARTICLE)
+    } catch (error) {
+      console.error('Error saving help article:', error)
+      setError('saveFailed')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleDelete = async (article) => {
+    if (!window.confirm(t('common.organizations.helpCenter.confirmDelete', { title: article.title }))) return
+
+    try {
+      setError(null)
+      await deleteHelpArticle(article.id)
+      setArticles(prev => prev.filter(item => item.id !== article.id))
+      if (form.id === article.id) setForm(EMPTY_ARTICLE)
+    } catch (error) {
+      console.error('Error deleting help article:', error)
+      setError('deleteFailed')
+    }
+  }
+
+  const helpCenterUrl = `${window.location.origin}${getHelpCenterPath(organizationId)}`
+  const inputClassName = "block w-full px-3 py-2 text-sm bg-white dark:bg-gray-800 border-2 border-gray-300 dark:border-gray-600 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:text-white shadow-sm"
+
+  return (
+    <div className="space-y-6">
+      <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700">
+        <button
+          onClick={() => setIsExpanded(!isExpanded)}
+          className="flex items-center justify-between w-full p-6 text-left bg-gray-50 hover:bg-gray-100 dark:bg-gray-800 dark:hover:bg-gray-700 border-b border-gray-200 dark:border-gray-700"
+        >
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white">{t('common.organizations.helpCenter.title')}</h3>
+          <svg
+            className={`w-5 h-5 text-gray-500 transition-transform ${isExpanded ? 'transform rotate-180' : ''}`}
+            fill="none"
+            stroke="currentColor"
+            viewBox="0 0 24 24"
+          >
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+          </svg>
+        </button>
+      </div>
+
+      {isExpanded && (
+        <div className="px-6 pb-6 space-y-6">
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            {t('common.organizations.helpCenter.subtitle')}
+          </p>
+
+          <div className="space-y-2">
+            <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+              <input
+                type="checkbox"
+                checked={enabled}
+                onChange={(e) => handleToggle(e.target.checked)}
+                className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+              />
+              {t('common.organizations.helpCenter.enabled')}
+            </label>
+            {enabled && (
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                {t('common.organizations.helpCenter.publicLink')}{' '}
+                <a
+                  href={helpCenterUrl}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="text-blue-600 hover:text-blue-700 dark:text-blue-400 break-all"
+                >
+                  {helpCenterUrl}
+                </a>
+              </p>
+            )}
+          </div>
+
+          {articles.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400">{t('common.organizations.helpCenter.noArticles')}</p>
+          ) : (
+            <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+              {articles.map(article => {
+                const counts = deflections[article.id]
+                return (
+                  <li key={article.id} className="py-3 flex items-center justify-between gap-4">
+                    <div className="min-w-0">
+                      <p className="text-sm font-medium text-gray-900 dark:text-white truncate">{article.title}</p>
+                      <p className="text-xs text-gray-500 dark:text-gray-400">
+                        {article.is_published
+                          ? t('common.organizations.helpCenter.published')
+                          : t('common.organizations.helpCenter.draft')}
+                        {counts && ` · ${t('common.organizations.helpCenter.articleFeedback', counts)}`}
+                      </p>
+                    </div>
+                    <div className="flex items-center gap-3">
+                      <button
+                        type="button"
+                        onClick={() => setForm(toForm(article))}
+                        className="text-sm text-blue-600 hover:text-blue-700 dark:text-blue-400"
+                      >
+                        {t('common.edit')}
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => handleDelete(article)}
+                        className="text-sm text-red-600 hover:text-red-700 dark:text-red-400"
+                      >
+                        {t('common.delete')}
+                      </button>
+                    </div>
+                  </li>
+                )
+              })}
+            </ul>
+          )}
+
+          <form onSubmit={handleSave} className="space-y-4">
+            <h4 className="text-sm font-medium text-gray-900 dark:text-white">
+              {form.id ? t('common.organizations.helpCenter.editArticle') : t('common.organizations.helpCenter.addArticle')}
+            </h4>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                {t('common.organizations.helpCenter.sourceDocument')}
+              </label>
+              <div className="flex items-center gap-2">
+                <select
+                  value={form.source_document_id}
+                  onChange={(e) => setForm(prev => ({ ...prev, source_document_id: e.target.value }))}
+                  className={inputClassName}
+                >
+                  <option value="">{t('common.organizations.helpCenter.noSourceDocument')}</option>
+                  {documents.map(document => (
+                    <option key={document.document_id} value={document.document_id}>{document.file_name}</option>
+                  ))}
+                </select>
+                <button
+                  type="button"
+                  onClick={handleFillFromDocument}
+                  disabled={!form.source_document_id || filling}
+                  className="px-3 py-2 text-sm whitespace-nowrap text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-md hover:bg-gray-50 dark:hover:bg-gray-600 disabled:opacity-50"
+                >
+                  {t('common.organizations.helpCenter.fillFromDocument')}
+                </button>
+              </div>
+              <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                {t('common.organizations.helpCenter.sourceDocumentHelp')}
+              </p>
+            </div>
+
+            <div className="grid grid-cols-1 sm:grid-cols-4 gap-4">
+              <div className="sm:col-span-3">
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  {t('common.organizations.helpCenter.articleTitle')}
+                </label>
+                <input
+                  type="text"
+                  value={form.title}
+                  onChange={(e) => setForm(prev => ({ ...prev, title: e.target.value }))}
+                  className={inputClassName}
+                  required
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  {t('common.organizations.helpCenter.position')}
+                </label>
+                <input
+                  type="number"
+                  value={form.position}
+                  onChange={(e) => setForm(prev => ({ ...prev, position: e.target.value }))}
+                  className={inputClassName}
+                />
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                {t('common.organizations.helpCenter.summary')}
+              </label>
+              <input
+                type="text"
+                value={form.summary}
+                onChange={(e) => setForm(prev => ({ ...prev, summary: e.target.value }))}
+                className={inputClassName}
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                {t('common.organizations.helpCenter.body')}
+              </label>
+              <textarea
+                rows={10}
+                value={form.body}
+                onChange={(e) => setForm(prev => ({ ...prev, body: e.target.value }))}
+                className={inputClassName}
+                required
+              />
+            </div>
+
+            <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+              <input
+                type="checkbox"
+                checked={form.is_published}
+                onChange={(e) => setForm(prev => ({ ...prev, is_published: e.target.checked }))}
+                className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+              />
+              {t('common.organizations.helpCenter.publish')}
+            </label>
+
+            {error && (
+              <p className="text-sm text-red-600 dark:text-red-400">
+                {t(`common.organizations.helpCenter.errors.${error}`)}
+              </p>
+            )}
+
+            <div className="flex items-center gap-3">
+              <button
+                type="submit"
+                disabled={saving}
+                className="px-4 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-lg disabled:opacity-50"
+              >
+                {form.id ? t('common.save') : t('common.create')}
+              </button>
+              {form.id && (
+                <button
+                  type="button"
+                  onClick={() => setForm(EMPTY_ARTICLE)}
+                  className="px-4 py-2 text-sm text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-lg dark:bg-gray-700 dark:text-gray-300 dark:hover:bg-gray-600"
+                >
+                  {t('common.cancel')}
+                </button>
+              )}
+            </div>
+          </form>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,172 @@
+import { useState, useEffect } from 'react'
+import { useTranslation } from 'react-i18next'
+import {
+  DEFAULT_KNOWLEDGE_BASE_SETTINGS,
+  fetchKnowledgeBaseSettings,
+  saveKnowledgeBaseSettings
+} from '../../lib/knowledgeBaseSettings'
+
+export function KnowledgeBaseSettings({ organizationId }) {
+  const { t } = useTranslation()
+  const [settings, setSettings] = useState(DEFAULT_KNOWLEDGE_BASE_SETTINGS)
+  const [isExpanded, setIsExpanded] = useState(false)
+  const [saving, setSaving] = useState(false)
+  const [saved, setSaved] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    if (isExpanded) loadSettings()
+  }, [organizationId, isExpanded])
+
+  const loadSettings = async () => {
+    try {
+      setError(null)
+      setSettings(await fetchKnowledgeBaseSettings(organizationId))
+    } catch (error) {
+      console.error('Error loading knowledge base settings:', error)
+      setError('fetchFailed')
+    }
+  }
+
+  const handleChange = (field, value) => {
+    setSettings(prev => ({ ...prev, [field]: value }))
+    setSaved(false)
+  }
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    try {
+      setSaving(true)
+      setError(null)
+      setSettings(await saveKnowledgeBaseSettings(organizationId, settings))
+      setSaved(true)
+    } catch (error) {
+      console.error('Error saving knowledge base settings:', error)
+      setError('saveFailed')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const numberInputClassName = "block w-full px-3 py-2 text-sm bg-white dark:bg-gray-800 border-2 border-gray-300 dark:border-gray-600 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:text-white shadow-sm"
+
+  return (
+    <div className="space-y-6">
+      <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700">
+        <button
+          onClick={() => setIsExpanded(!isExpanded)}
+          className="flex items-center justify-between w-full p-6 text-left bg-gray-50 hover:bg-gray-100 dark:bg-gray-800 dark:hover:bg-gray-700 border-b border-gray-200 dark:border-gray-700"
+        >
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white">{t('common.organizations.knowledgeBase.title')}</h3>
+          <svg
+            className={`w-5 h-5 text-gray-500 transition-transform ${isExpanded ? 'transform rotate-180' : ''}`}
+            fill="none"
+            stroke="currentColor"
+            viewBox="0 0 24 24"
+          >
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+          </svg>
+        </button>
+      </div>
+
+      {isExpanded && (
+        <form onSubmit={handleSave} className="px-6 pb-6 space-y-4">
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            {t('common.organizations.knowledgeBase.subtitle')}
+          </p>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                {t('common.organizations.knowledgeBase.semanticWeight')}
+              </label>
+              <input
+                type="number"
+                min="0"
+                step="0.1"
+                value={settings.semantic_weight}
+                onChange={(e) => handleChange('semantic_weight', e.target.value)}
+                className={numberInputClassName}
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                {t('common.organizations.knowledgeBase.lexicalWeight')}
+              </label>
+              <input
+                type="number"
+                min="0"
+                step="0.1"
+                value={settings.lexical_weight}
+                onChange={(e) => handleChange('lexical_weight', e.target.value)}
+                className={numberInputClassName}
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                {t('common.organizations.knowledgeBase.rrfK')}
+              </label>
+              <input
+                type="number"
+                min="1"
+                step="1"
+                value={settings.rrf_k}
+                onChange={(e) => handleChange('rrf_k', e.target.value)}
+                className={numberInputClassName}
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                {t('common.organizations.knowledgeBase.candidateCount')}
+              </label>
+              <input
+                type="number"
+                min="1"
+                max="100"
+                step="1"
+                value={settings.candidate_count}
+                onChange={(e) => handleChange('candidate_count', e.target.value)}
+                className={numberInputClassName}
+                required
+              />
+            </div>
+          </div>
+
+          <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+            <input
+              type="checkbox"
+              checked={settings.rerank_enabled}
+              onChange={(e) => handleChange('rerank_enabled', e.target.checked)}
+              className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+            />
+            {t('common.organizations.knowledgeBase.rerankEnabled')}
+          </label>
+
+          {error && (
+            <p className="text-sm text-red-600 dark:text-red-400">
+              {t(`common.organizations.knowledgeBase.errors.${error}`)}
+            </p>
+          )}
+
+          <div className="flex items-center gap-4">
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-lg disabled:opacity-50"
+            >
+              {t('common.save')}
+            </button>
+            {saved && (
+              <span className="text-sm text-green-600 dark:text-green-400">
+                {t('common.organizations.knowledgeBase.saved')}
+              </span>
+            )}
+          </div>
+        </form>
+      )}
+    </div>
+  )
+}
@@ -1,8 +1,77 @@
-import { useState, useEffect, useRef } from 'react'
+import { useState, useEffect, useRef, useCallback } from 'react'
 import { useAuth } from '../../contexts/AuthContext'
 import { supabase } from '../../lib/supabaseClient'
 import { useTranslation } from 'react-i18next'
-import { processPDFDocument } from '../../lib/pdfProcessing'
+import { useRealtimeSubscription } from '../../hooks/useRealtimeSubscription'
+import {
+  addOrganizationFile,
+  fetchLatestIngestionJobs,
+  isSupportedDocument,
+  queueDocumentIngestion,
+  reindexOrganizationFiles
+} from '../../lib/documentIngestion'
+
+const ACTIVE_JOB_STATUSES = ['queued', 'extracting', 'embedding']
+
+function IngestionStatus({ job, hasEmbeddings }) {
+  const { t } = useTranslation()
+  const badgeClassName = 'inline-flex items-center gap-1 px-2 py-0.5 text-xs font-medium rounded-full'
+
+  if (!job) {
+    return hasEmbeddings ? (
+      <span className={`${badgeClassName} bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300`}>
+        {t('common.organizations.files.indexing.done')}
+      </span>
+    ) : (
+      <span className={`${badgeClassName} bg-gray-100 text-gray-600 dark:bg-gray-700 dark:text-gray-300`}>
+        {t('common.organizations.files.indexing.notIndexed')}
+      </span>
+    )
+  }
+
+  switch (job.status) {
+    case 'queued':
+      return (
+        <span className={`${badgeClassName} bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-200`} title={job.error || undefined}>
+          {job.attempts > 0
+            ? t('common.organizations.files.indexing.retrying', { attempt: job.attempts + 1, max: job.max_attempts })
+            : t('common.organizations.files.indexing.queued')}
+        </span>
+      )
+    case 'extracting':
+      return (
+        <span className={`${badgeClassName} bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-300`}>
+          {t('common.organizations.files.indexing.extracting')}
+        </span>
+      )
+    case 'embedding':
+      return (
+        <span className="inline-flex items-center gap-2">
+          <span className={`${badgeClassName} bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-300`}>
+            {t('common.organizations.files.indexing.embedding', { done: job.chunks_done, total: job.chunks_total })}
+          </span>
+          <span className="w-20 h-1.5 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
+            <span
+              className="block h-full bg-blue-500 transition-all"
+              style={{ width: `${job.chunks_total ? (job.chunks_done / job.chunks_total) * 100 : 0}%` }}
+            />
+          </span>
+        </span>
+      )
+    case 'failed':
+      return (
+        <span className={`${badgeClassName} bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300`} title={job.error || undefined}>
+          {t('common.organizations.files.indexing.failed')}
+        </span>
+      )
+    default:
+      return (
+        <span className={`${badgeClassName} bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300`}>
+          {t('common.organizations.files.indexing.done')}
+        </span>
+      )
+  }
+}
 
 export function OrganizationFiles({ organizationId }) {
   const { t } = useTranslation()
@@ -14,13 +83,85 @@ export function OrganizationFiles({ organizationId }) {
   const [description, setDescription] = useState('')
   const [isExpanded, setIsExpanded] = useState(false)
   const [deletingFile, setDeletingFile] = useState(null)
+  const [jobs, setJobs] = useState({})
+  const [reindexing, setReindexing] = useState(false)
+  const [replacingFile, setReplacingFile] = useState(null)
+  const [expandedHistory, setExpandedHistory] = useState({})
   const fileInputRef = useRef(null)
+  const versionInputRef = useRef(null)
 
   const isAdmin = profile?.role === 'admin'
 
+  const fetchJobs = useCallback(async () => {
+    try {
+      setJobs(await fetchLatestIngestionJobs(organizationId))
+    } catch (error) {
+      console.error('Error fetching indexing progress:', error)
+    }
+  }, [organizationId])
+
   useEffect(() => {
     fetchFiles()
-  }, [organizationId])
+    fetchJobs()
+  }, [organizationId, fetchJobs])
+
+  // Keep each file's indexing progress live while the worker runs
+  const handleJobChange = useCallback((job) => {
+    setJobs(prev => {
+      const current = prev[job.file_id]
+      if (current && current.id !== job.id && new Date(current.created_at) > new Date(job.created_at)) {
+        return prev
+      }
+      return { ...prev, [job.file_id]: job }
+    })
+    if (job.status === 'done') {
+      // Publishing an indexed version retires the older versions of the same document
+      setFiles(prev => {
+        const indexed = prev.find(file => file.id === job.file_id)
+        if (!indexed) return prev
+        return prev.map(file => {
+          if (file.id === indexed.id) return { ...file, has_embeddings: true }
+          if (file.document_id === indexed.document_id && file.version < indexed.version && !file.superseded_at) {
+            return { ...file, superseded_at: job.finished_at || new Date().toISOString(), superseded_by: indexed.id }
+          }
+          return file
+        })
+      })
+    }
+  }, [])
+
+  useRealtimeSubscription({
+    table: 'document_ingestion_jobs',
+    filter: `organization_id=eq.${organizationId}`,
+    onInsert: handleJobChange,
+    onUpdate: handleJobChange,
+    enabled: !!organizationId
+  }, [organizationId, handleJobChange])
+
+  const handleReindexFile = async (file) => {
+    try {
+      setError(null)
+      await queueDocumentIngestion([file.id])
+      fetchJobs()
+    } catch (error) {
+      console.error('Error re-indexing file:', error)
+      setError('Failed to queue re-indexing')
+    }
+  }
+
+  const handleReindexAll = async () => {
+    try {
+      setReindexing(true)
+      setError(null)
+      await reindexOrganizationFiles(organizationId)
+      fetchJobs()
+    } catch (error) {
+      console.error('Error re-indexing files:', error)
+      setError('Failed to queue re-indexing')
+    } finally {
+      setReindexing(false)
+    }
+  }
 
   const fetchFiles = async () => {
     try {
@@ -43,6 +184,21 @@ export function OrganizationFiles({ organizationId }) {
     }
   }
 
+  const uploadFile = async (file, options) => {
+    // Generate a unique file path
+    const filePath = `organizations/${organizationId}/${Date.now()}-${file.name}`
+
+    // Upload file to Supabase Storage
+    const { error: uploadError } = await supabase.storage
+      .from('organization-files')
+      .upload(filePath, file)
+
+    if (uploadError) throw uploadError
+
+    // Record the file; knowledge documents are indexed in the background
+    await addOrganizationFile(file, organizationId, filePath, options)
+  }
+
   const handleFileUpload = async (event) => {
     const file = event.target.files?.[0]
     if (!file) return
@@ -51,45 +207,7 @@ export function OrganizationFiles({ organizationId }) {
       setUploading(true)
       setError(null)
 
-      // Generate a unique file path
-      const filePath = `organizations/${organizationId}/${Date.now()}-${file.name}`
-      
-      // Upload file to Supabase Storage
-      const { error: uploadError } = await supabase.storage
-        .from('organization-files')
-        .upload(filePath, file)
-
-      if (uploadError) throw uploadError
-
-      // If it's a PDF, process it for embeddings
-      if (file.type === 'application/pdf') {
-        console.log('Processing PDF in OrganizationFiles:', {
-          fileName: file.name,
-          organizationId,
-          filePath
-        })
-        const { success, error: pdfError } = await processPDFDocument(file, organizationId, filePath)
-        if (pdfError) {
-          console.error('Error processing PDF:', pdfError)
-          // Don't throw the error - we still want to keep the file even if embedding fails
-          setError('Failed to process PDF for embeddings')
-        }
-      } else {
-        // Create file record in the database
-        const { error: dbError } = await supabase
-          .from('organization_files')
-          .insert({
-            organization_id: organizationId,
-            file_name: file.name,
-            file_type: file.type || 'application/octet-stream',
-            file_size: file.size,
-            storage_path: filePath,
-            description: description.trim() || null,
-            has_embeddings: false
-          })
-
-        if (dbError) throw dbError
-      }
+      await uploadFile(file, { description })
 
       // Reset form
       setDescription('')
@@ -99,6 +217,7 @@ export function OrganizationFiles({ organizationId }) {
 
       // Refresh files list
       fetchFiles()
+      fetchJobs()
     } catch (error) {
       console.error('Error uploading file:', error)
       setError('Failed to upload file')
@@ -107,6 +226,35 @@ export function OrganizationFiles({ organizationId }) {
     }
   }
 
+  const handleUploadNewVersion = (file) => {
+    setReplacingFile(file)
+    versionInputRef.current?.click()
+  }
+
+  const handleVersionUpload = async (event) => {
+    const file = event.target.files?.[0]
+    if (!file || !replacingFile) return
+
+    try {
+      setUploading(true)
+      setError(null)
+
+      await uploadFile(file, { replacesFileId: replacingFile.id })
+
+      fetchFiles()
+      fetchJobs()
+    } catch (error) {
+      console.error('Error uploading new version:', error)
+      setError('Failed to upload new version')
+    } finally {
+      setUploading(false)
+      setReplacingFile(null)
+      if (versionInputRef.current) {
+        versionInputRef.current.value = ''
+      }
+    }
+  }
+
   const downloadFile = async (path, fileName) => {
     try {
       const { data, error } = await supabase.storage
@@ -130,22 +278,25 @@ export function OrganizationFiles({ organizationId }) {
     }
   }
 
-  const deleteFile = async (fileId, storagePath) => {
+  // Deletes the document with its whole version history
+  const deleteDocument = async (documentId) => {
     try {
       setError(null)
 
+      const versions = files.filter(file => file.document_id === documentId)
+
       // Delete from storage
       const { error: storageError } = await supabase.storage
         .from('organization-files')
-        .remove([storagePath])
+        .remove(versions.map(file => file.storage_path))
 
       if (storageError) throw storageError
 
-      // Delete from database
+      // Delete from database; indexed chunks and ingestion jobs go with the rows
       const { error: dbError } = await supabase
         .from('organization_files')
         .delete()
-        .eq('id', fileId)
+        .eq('document_id', documentId)
 
       if (dbError) throw dbError
 
@@ -158,6 +309,12 @@ export function OrganizationFiles({ organizationId }) {
     }
   }
 
+  // One entry per document, newest version first; files arrive most recent first
+  const documents = Object.values(files.reduce((groups, file) => {
+    (groups[file.document_id] ||= []).push(file)
+    return groups
+  }, {})).map(versions => versions.sort((a, b) => b.version - a.version))
+
   if (loading) {
     return (
       <div className="flex items-center justify-center py-4 text-gray-500 dark:text-gray-400">
@@ -230,7 +387,20 @@ export function OrganizationFiles({ organizationId }) {
                     {t('common.organizations.files.uploading')}
                   </div>
                 )}
+                <button
+                  onClick={handleReindexAll}
+                  disabled={reindexing || files.length === 0}
+                  className="ml-auto py-2 px-4 text-sm font-medium bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-200 hover:bg-gray-200 dark:hover:bg-gray-600 rounded-lg disabled:opacity-50"
+                >
+                  {t('common.organizations.files.indexing.reindexAll')}
+                </button>
               </div>
+              <input
+                type="file"
+                ref={versionInputRef}
+                onChange={handleVersionUpload}
+                className="hidden"
+              />
             </div>
           )}
 
@@ -244,54 +414,139 @@ export function OrganizationFiles({ organizationId }) {
 
           <div className="px-6">
             <div className="divide-y divide-gray-200 dark:divide-gray-700">
-              {files.length === 0 ? (
+              {documents.length === 0 ? (
                 <p className="py-4 text-sm text-gray-500 dark:text-gray-400">
                   {t('common.organizations.files.noFiles')}
                 </p>
               ) : (
-                files.map((file) => (
-                  <div key={file.id} className="py-4 flex items-center justify-between gap-4">
-                    <div className="min-w-0 flex-1">
-                      <h4 className="text-sm font-medium text-gray-900 dark:text-white truncate">
-                        {file.file_name}
-                      </h4>
-                      {file.description && (
-                        <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
-                          {file.description}
+                documents.map(([file, ...previousVersions]) => {
+                  const answeringVersion = previousVersions.find(version => !version.superseded_at)
+                  const historyExpanded = expandedHistory[file.document_id]
+
+                  return (
+                    <div key={file.document_id} className="py-4">
+                    <div className="flex items-center justify-between gap-4">
+                      <div className="min-w-0 flex-1">
+                        <h4 className="flex items-center gap-2 text-sm font-medium text-gray-900 dark:text-white">
+                          <span className="truncate">{file.file_name}</span>
+                          {file.version > 1 && (
+                            <span className="flex-shrink-0 px-1.5 py-0.5 text-xs font-medium rounded bg-gray-100 text-gray-600 dark:bg-gray-700 dark:text-gray-300">
+                              {t('common.organizations.files.versions.label', { version: file.version })}
+                            </span>
+                          )}
+                        </h4>
+                        {file.description && (
+                          <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+                            {file.description}
+                          </p>
+                        )}
+                        <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                          {t('common.organizations.files.uploadedOn', {
+                            date: new Date(file.created_at).toLocaleDateString()
+                          })}
+                          {' • '}
+                          {(file.file_size / 1024 / 1024).toFixed(2)} {t('common.organizations.files.megabytes')}
                         </p>
-                      )}
-                      <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
-                        {t('common.organizations.files.uploadedOn', {
-                          date: new Date(file.created_at).toLocaleDateString()
-                        })}
-                        {' • '}
-                        {(file.file_size / 1024 / 1024).toFixed(2)} {t('common.organizations.files.megabytes')}
-                      </p>
-                    </div>
-                    <div className="flex items-center gap-2">
-                      <button
-                        onClick={() => downloadFile(file.storage_path, file.file_name)}
-                        className="p-2 text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 bg-gray-50 hover:bg-gray-100 dark:bg-gray-800 dark:hover:bg-gray-700 rounded-md"
-                        title="Download"
-                      >
-                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
-                        </svg>
-                      </button>
-                      {isAdmin && (
+                        {isSupportedDocument({ name: file.file_name, type: file.file_type }) && (
+                          <div className="mt-2">
+                            <IngestionStatus job={jobs[file.id]} hasEmbeddings={file.has_embeddings} />
+                          </div>
+                        )}
+                        {answeringVersion && (
+                          <p className="mt-1 text-xs text-amber-600 dark:text-amber-400">
+                            {t('common.organizations.files.versions.stillAnswering', { version: answeringVersion.version })}
+                          </p>
+                        )}
+                        {previousVersions.length > 0 && (
+                          <button
+                            onClick={() => setExpandedHistory(prev => ({ ...prev, [file.document_id]: !historyExpanded }))}
+                            className="mt-2 text-xs font-medium text-blue-600 hover:text-blue-700 dark:text-blue-400 dark:hover:text-blue-300"
+                          >
+                            {t(historyExpanded ? 'common.organizations.files.versions.hideHistory' : 'common.organizations.files.versions.showHistory', {
+                              count: previousVersions.length
+                            })}
+                          </button>
+                        )}
+                      </div>
+                      <div className="flex items-center gap-2">
                         <button
-                          onClick={() => setDeletingFile(file)}
-                          className="p-2 text-red-500 hover:text-red-700 dark:text-red-400 dark:hover:text-red-200 bg-red-50 hover:bg-red-100 dark:bg-red-900/20 dark:hover:bg-red-900/30 rounded-md"
-                          title={t('common.delete')}
+                          onClick={() => downloadFile(file.storage_path, file.file_name)}
+                          className="p-2 text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 bg-gray-50 hover:bg-gray-100 dark:bg-gray-800 dark:hover:bg-gray-700 rounded-md"
+                          title="Download"
                         >
                           <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
                           </svg>
                         </button>
-                      )}
+                        {isAdmin && isSupportedDocument({ name: file.file_name, type: file.file_type }) && (
+                          <button
+                            onClick={() => handleReindexFile(file)}
+                            disabled={ACTIVE_JOB_STATUSES.includes(jobs[file.id]?.status)}
+                            className="p-2 text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 bg-gray-50 hover:bg-gray-100 dark:bg-gray-800 dark:hover:bg-gray-700 rounded-md disabled:opacity-50 disabled:cursor-not-allowed"
+                            title={t('common.organizations.files.indexing.reindex')}
+                          >
+                            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+                            </svg>
+                          </button>
+                        )}
+                        {isAdmin && (
+                          <button
+                            onClick={() => handleUploadNewVersion(file)}
+                            disabled={uploading}
+                            className="p-2 text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 bg-gray-50 hover:bg-gray-100 dark:bg-gray-800 dark:hover:bg-gray-700 rounded-md disabled:opacity-50 disabled:cursor-not-allowed"
+                            title={t('common.organizations.files.versions.uploadNew')}
+                          >
+                            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12" />
+                            </svg>
+                          </button>
+                        )}
+                        {isAdmin && (
+                          <button
+                            onClick={() => setDeletingFile(file)}
+                            className="p-2 text-red-500 hover:text-red-700 dark:text-red-400 dark:hover:text-red-200 bg-red-50 hover:bg-red-100 dark:bg-red-900/20 dark:hover:bg-red-900/30 rounded-md"
+                            title={t('common.delete')}
+                          >
+                            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                            </svg>
+                          </button>
+                        )}
+                      </div>
                     </div>
-                  </div>
-                ))
+                    {historyExpanded && (
+                      <ul className="mt-3 ml-4 pl-4 border-l-2 border-gray-200 dark:border-gray-700 space-y-2">
+                        {previousVersions.map(version => (
+                          <li key={version.id} className="flex items-center justify-between gap-4 text-xs text-gray-500 dark:text-gray-400">
+                            <span className="min-w-0 truncate">
+                              <span className="font-medium text-gray-700 dark:text-gray-300">
+                                {t('common.organizations.files.versions.label', { version: version.version })}
+                              </span>
+                              {' • '}
+                              {version.file_name}
+                              {' • '}
+                              {version.superseded_at
+                                ? t('common.organizations.files.versions.replacedOn', {
+                                  date: new Date(version.superseded_at).toLocaleDateString()
+                                })
+                                : t('common.organizations.files.uploadedOn', {
+                                  date: new Date(version.created_at).toLocaleDateString()
+                                })}
+                            </span>
+                            <button
+                              onClick={() => downloadFile(version.storage_path, version.file_name)}
+                              className="flex-shrink-0 font-medium text-blue-600 hover:text-blue-700 dark:text-blue-400 dark:hover:text-blue-300"
+                            >
+                              {t('common.organizations.files.versions.download')}
+                            </button>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                    </div>
+                  )
+                })
               )}
             </div>
           </div>
@@ -316,7 +571,7 @@ export function OrganizationFiles({ organizationId }) {
                 {t('common.cancel')}
               </button>
               <button
-                onClick={() => deleteFile(deletingFile.id, deletingFile.storage_path)}
+                onClick={() => deleteDocument(deletingFile.document_id)}
                 className="px-4 py-2 text-white bg-red-600 hover:bg-red-700 dark:bg-red-500 dark:hover:bg-red-600 rounded-lg"
               >
                 {t('common.delete')}
@@ -0,0 +1,321 @@
+import { useState, useEffect, useMemo } from 'react'
+import { useTranslation } from 'react-i18next'
+import { DEFAULT_BUSINESS_HOURS, SLA_PRIORITIES, fetchSlaSettings, saveSlaSettings } from '../../lib/sla'
+import { DEFAULT_AUTO_CLOSE_DAYS, fetchAutoCloseDays, saveAutoCloseDays } from '../../lib/ticketLifecycle'
+
+const ISO_WEEKDAYS = [1, 2, 3, 4, 5, 6, 7]
+
+// Targets are edited in hours and stored in minutes
+function toFormPolicies(policies) {
+  return Object.fromEntries(SLA_PRIORITIES.map(priority => {
+    const policy = policies[priority]
+    return [priority, {
+      first_response_hours: policy ? policy.first_response_minutes / 60 : '',
+      resolution_hours: policy ? policy.resolution_minutes / 60 : '',
+      business_hours_only: policy ? policy.business_hours_only : true
+    }]
+  }))
+}
+
+function fromFormPolicies(formPolicies) {
+  return Object.fromEntries(SLA_PRIORITIES.map(priority => {
+    const policy = formPolicies[priority]
+    return [priority, {
+      first_response_minutes: policy.first_response_hours === '' ? null : Number(policy.first_response_hours) * 60,
+      resolution_minutes: policy.resolution_hours === '' ? null : Number(policy.resolution_hours) * 60,
+      business_hours_only: policy.business_hours_only
+    }]
+  }))
+}
+
+export function SlaSettings({ organizationId }) {
+  const { t, i18n } = useTranslation()
+  const [businessHours, setBusinessHours] = useState(DEFAULT_BUSINESS_HOURS)
+  const [policies, setPolicies] = useState(toFormPolicies({}))
+  // An empty value means resolved tickets are never closed automatically
+  const [autoCloseDays, setAutoCloseDays] = useState(DEFAULT_AUTO_CLOSE_DAYS)
+  const [isExpanded, setIsExpanded] = useState(false)
+  const [saving, setSaving] = useState(false)
+  const [saved, setSaved] = useState(false)
+  const [error, setError] = useState(null)
+
+  const timezones = useMemo(() => (
+    typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : ['UTC']
+  ), [])
+
+  // 1 January 2024 was a Monday, so ISO day n falls on January n
+  const weekdayFormat = useMemo(() => (
+    new Intl.DateTimeFormat(i18n.language, { weekday: 'short', timeZone: 'UTC' })
+  ), [i18n.language])
+
+  useEffect(() => {
+    if (isExpanded) loadSettings()
+  }, [organizationId, isExpanded])
+
+  const applySettings = (settings) => {
+    setBusinessHours(settings.businessHours)
+    setPolicies(toFormPolicies(settings.policies))
+  }
+
+  const loadSettings = async () => {
+    try {
+      setError(null)
+      const [settings, days] = await Promise.all([
+        fetchSlaSettings(organizationId),
+        fetchAutoCloseDays(organizationId)
+      ])
+      applySettings(settings)
+      setAutoCloseDays(days ?? '')
+    } catch (error) {
+      console.error('Error loading SLA settings:', error)
+      setError('fetchFailed')
+    }
+  }
+
+  const handleHoursChange = (field, value) => {
+    setBusinessHours(prev => ({ ...prev, [field]: value }))
+    setSaved(false)
+  }
+
+  const toggleWorkingDay = (day) => {
+    setBusinessHours(prev => ({
+      ...prev,
+      working_days: prev.working_days.includes(day)
+        ? prev.working_days.filter(d => d !== day)
+        : [...prev.working_days, day]
+    }))
+    setSaved(false)
+  }
+
+  const handlePolicyChange = (priority, field, value) => {
+    setPolicies(prev => ({ ...prev, [priority]: { ...prev[priority], [field]: value } }))
+    setSaved(false)
+  }
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+
+    if (businessHours.start_time >= businessHours.end_time) {
+      setError('invalidHours')
+      return
+    }
+
+    const incomplete = SLA_PRIORITIES.some(priority =>
+      (policies[priority].first_response_hours === '') !== (policies[priority].resolution_hours === '')
+    )
+    if (incomplete) {
+      setError('incompletePolicy')
+      return
+    }
+
+    try {
+      setSaving(true)
+      setError(null)
+      const [settings] = await Promise.all([
+        saveSlaSettings(organizationId, businessHours, fromFormPolicies(policies)),
+        saveAutoCloseDays(organizationId, autoCloseDays === '' ? null : Number(autoCloseDays))
+      ])
+      applySettings(settings)
+      setSaved(true)
+    } catch (error) {
+      console.error('Error saving SLA settings:', error)
+      setError('saveFailed')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const inputClassName = "block w-full px-3 py-2 text-sm bg-white dark:bg-gray-800 border-2 border-gray-300 dark:border-gray-600 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:text-white shadow-sm"
+
+  return (
+    <div className="space-y-6">
+      <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700">
+        <button
+          onClick={() => setIsExpanded(!isExpanded)}
+          className="flex items-center justify-between w-full p-6 text-left bg-gray-50 hover:bg-gray-100 dark:bg-gray-800 dark:hover:bg-gray-700 border-b border-gray-200 dark:border-gray-700"
+        >
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white">{t('common.organizations.sla.title')}</h3>
+          <svg
+            className={`w-5 h-5 text-gray-500 transition-transform ${isExpanded ? 'transform rotate-180' : ''}`}
+            fill="none"
+            stroke="currentColor"
+            viewBox="0 0 24 24"
+          >
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+          </svg>
+        </button>
+      </div>
+
+      {isExpanded && (
+        <form onSubmit={handleSave} className="px-6 pb-6 space-y-6">
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            {t('common.organizations.sla.subtitle')}
+          </p>
+
+          <div className="space-y-4">
+            <h4 className="text-sm font-medium text-gray-900 dark:text-white">
+              {t('common.organizations.sla.businessHours')}
+            </h4>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  {t('common.organizations.sla.timezone')}
+                </label>
+                <select
+                  value={businessHours.timezone}
+                  onChange={(e) => handleHoursChange('timezone', e.target.value)}
+                  className={inputClassName}
+                >
+                  {timezones.map(timezone => (
+                    <option key={timezone} value={timezone}>{timezone}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  {t('common.organizations.sla.opensAt')}
+                </label>
+                <input
+                  type="time"
+                  value={businessHours.start_time}
+                  onChange={(e) => handleHoursChange('start_time', e.target.value)}
+                  className={inputClassName}
+                  required
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  {t('common.organizations.sla.closesAt')}
+                </label>
+                <input
+                  type="time"
+                  value={businessHours.end_time}
+                  onChange={(e) => handleHoursChange('end_time', e.target.value)}
+                  className={inputClassName}
+                  required
+                />
+              </div>
+            </div>
+            <div className="flex flex-wrap gap-3">
+              {ISO_WEEKDAYS.map(day => (
+                <label key={day} className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                  <input
+                    type="checkbox"
+                    checked={businessHours.working_days.includes(day)}
+                    onChange={() => toggleWorkingDay(day)}
+                    className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                  />
+                  {weekdayFormat.format(new Date(Date.UTC(2024, 0, day)))}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div className="space-y-3">
+            <h4 className="text-sm font-medium text-gray-900 dark:text-white">
+              {t('common.organizations.sla.targets')}
+            </h4>
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              {t('common.organizations.sla.targetsHelp')}
+            </p>
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 dark:text-gray-400">
+                    <th className="py-2 pr-4 font-medium">{t('common.tickets.priority')}</th>
+                    <th className="py-2 pr-4 font-medium">{t('common.organizations.sla.firstResponseHours')}</th>
+                    <th className="py-2 pr-4 font-medium">{t('common.organizations.sla.resolutionHours')}</th>
+                    <th className="py-2 font-medium">{t('common.organizations.sla.businessHoursOnly')}</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                  {SLA_PRIORITIES.map(priority => (
+                    <tr key={priority}>
+                      <td className="py-2 pr-4 text-gray-900 dark:text-white">
+                        {t(`common.tickets.priority_options.${priority}`)}
+                      </td>
+                      <td className="py-2 pr-4">
+                        <input
+                          type="number"
+                          min="0.25"
+                          step="0.25"
+                          value={policies[priority].first_response_hours}
+                          onChange={(e) => handlePolicyChange(priority, 'first_response_hours', e.target.value)}
+                          className={inputClassName}
+                        />
+                      </td>
+                      <td className="py-2 pr-4">
+                        <input
+                          type="number"
+                          min="0.25"
+                          step="0.25"
+                          value={policies[priority].resolution_hours}
+                          onChange={(e) => handlePolicyChange(priority, 'resolution_hours', e.target.value)}
+                          className={inputClassName}
+                        />
+                      </td>
+                      <td className="py-2">
+                        <input
+                          type="checkbox"
+                          checked={policies[priority].business_hours_only}
+                          onChange={(e) => handlePolicyChange(priority, 'business_hours_only', e.target.checked)}
+                          className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                        />
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          <div className="space-y-3">
+            <h4 className="text-sm font-medium text-gray-900 dark:text-white">
+              {t('common.organizations.sla.lifecycle')}
+            </h4>
+            <div className="max-w-xs">
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                {t('common.organizations.sla.autoCloseDays')}
+              </label>
+              <input
+                type="number"
+                min="1"
+                step="1"
+                value={autoCloseDays}
+                onChange={(e) => {
+                  setAutoCloseDays(e.target.value)
+                  setSaved(false)
+                }}
+                className={inputClassName}
+              />
+            </div>
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              {t('common.organizations.sla.autoCloseHelp')}
+            </p>
+          </div>
+
+          {error && (
+            <p className="text-sm text-red-600 dark:text-red-400">
+              {t(`common.organizations.sla.errors.${error}`)}
+            </p>
+          )}
+
+          <div className="flex items-center gap-4">
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-lg disabled:opacity-50"
+            >
+              {t('common.save')}
+            </button>
+            {saved && (
+              <span className="text-sm text-green-600 dark:text-green-400">
+                {t('common.organizations.sla.saved')}
+              </span>
+            )}
+          </div>
+        </form>
+      )}
+    </div>
+  )
+}
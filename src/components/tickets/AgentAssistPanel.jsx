@@ -0,0 +1,137 @@
+import { useState, useEffect } from 'react'
+import { useTranslation } from 'react-i18next'
+import { toast } from 'react-hot-toast'
+import { requestReplyDraft, resolveReplyDraft } from '../../lib/agentAssist'
+
+// Knowledge-base snippets and a drafted reply for the conversation. Staff only.
+export function AgentAssistPanel({ ticket, insertedDraftId, onUseDraft }) {
+  const { t } = useTranslation()
+  const [result, setResult] = useState(null)
+  const [drafting, setDrafting] = useState(false)
+  // The draft last put into the reply, until the composer settles it
+  const [usedDraftId, setUsedDraftId] = useState(null)
+
+  useEffect(() => {
+    setResult(null)
+  }, [ticket.id])
+
+  const draft = result?.draft
+  const isInserted = !!draft && draft.id === insertedDraftId
+
+  // The reply holding the draft was sent or cleared, so its outcome is recorded
+  useEffect(() => {
+    if (!usedDraftId || usedDraftId === insertedDraftId) return
+
+    setResult(prev => prev?.draft?.id === usedDraftId ? { ...prev, draft: null } : prev)
+    setUsedDraftId(null)
+  }, [insertedDraftId, usedDraftId])
+
+  const handleUseDraft = () => {
+    setUsedDraftId(draft.id)
+    onUseDraft(draft)
+  }
+
+  const discardDraft = async () => {
+    try {
+      await resolveReplyDraft(draft.id, 'discarded')
+    } catch (err) {
+      // Losing the outcome of one draft shouldn't block the agent
+      console.error('Error discarding reply draft:', err)
+    }
+  }
+
+  const handleDraft = async () => {
+    try {
+      setDrafting(true)
+      if (draft && !isInserted) await discardDraft()
+      setResult(await requestReplyDraft(ticket.id))
+    } catch (err) {
+      console.error('Error drafting reply:', err)
+      toast.error(t('common.tickets.assist.errors.draftFailed'))
+    } finally {
+      setDrafting(false)
+    }
+  }
+
+  const handleDiscard = async () => {
+    await discardDraft()
+    setResult(prev => ({ ...prev, draft: null }))
+  }
+
+  return (
+    <div className="p-6 space-y-4">
+      <div className="flex items-center justify-between gap-4">
+        <h3 className="text-sm font-medium text-gray-500 dark:text-gray-400">{t('common.tickets.assist.title')}</h3>
+        {ticket.status !== 'closed' && (
+          <button
+            onClick={handleDraft}
+            disabled={drafting}
+            className="text-sm text-blue-600 hover:text-blue-700 dark:text-blue-400 disabled:opacity-50"
+          >
+            {drafting
+              ? t('common.tickets.assist.drafting')
+              : result ? t('common.tickets.assist.redraft') : t('common.tickets.assist.draft')}
+          </button>
+        )}
+      </div>
+
+      {!result && !drafting && (
+        <p className="text-sm text-gray-500 dark:text-gray-400">{t('common.tickets.assist.subtitle')}</p>
+      )}
+
+      {result && !result.draft && result.citations.length === 0 && (
+        <p className="text-sm text-gray-500 dark:text-gray-400">{t('common.tickets.assist.noMatches')}</p>
+      )}
+
+      {draft && (
+        <div className="space-y-2">
+          <div className="flex items-center justify-between text-xs text-gray-500 dark:text-gray-400">
+            <span>{t('common.tickets.assist.suggestedReply')}</span>
+            {draft.confidence !== null && (
+              <span>{t('common.tickets.assist.confidence', { percent: Math.round(draft.confidence * 100) })}</span>
+            )}
+          </div>
+          <p className="p-3 text-sm text-gray-900 dark:text-white bg-white dark:bg-gray-700 rounded-md whitespace-pre-wrap break-words">
+            {draft.content}
+          </p>
+          {isInserted ? (
+            <p className="text-xs text-green-600 dark:text-green-400">{t('common.tickets.assist.inserted')}</p>
+          ) : (
+            <div className="flex items-center gap-3">
+              <button
+                onClick={handleUseDraft}
+                className="px-3 py-1.5 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-md"
+              >
+                {t('common.tickets.assist.useDraft')}
+              </button>
+              <button
+                onClick={handleDiscard}
+                className="text-sm text-gray-600 hover:text-gray-800 dark:text-gray-400 dark:hover:text-gray-200"
+              >
+                {t('common.tickets.assist.discard')}
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
+      {result?.citations.length > 0 && (
+        <div className="space-y-2">
+          <p className="text-xs text-gray-500 dark:text-gray-400">{t('common.tickets.assist.snippets')}</p>
+          <ul className="space-y-2">
+            {result.citations.map((citation, index) => (
+              <li key={`${citation.file_path}-${citation.page}-${index}`} className="p-3 text-sm bg-white dark:bg-gray-700 rounded-md">
+                <p className="text-xs font-medium text-gray-700 dark:text-gray-300 truncate">
+                  {citation.file_name}
+                  {citation.version && ` · ${t('common.tickets.comments.citationVersion', { version: citation.version })}`}
+                  {citation.page && ` · ${t('common.tickets.comments.citationPage', { page: citation.page })}`}
+                </p>
+                <p className="mt-1 text-gray-600 dark:text-gray-300">{citation.snippet}</p>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,52 @@
+import { useTranslation } from 'react-i18next'
+
+/**
+ * The slash-command list above the composer; the composer keeps the
+ * highlighted entry so the arrow keys work while typing
+ */
+export function CannedResponseMenu({ responses, activeIndex, onSelect, onHighlight }) {
+  const { t } = useTranslation()
+
+  return (
+    <div className="absolute bottom-full left-0 right-0 mb-2 max-h-64 overflow-y-auto rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 shadow-lg z-10">
+      {responses.length === 0 ? (
+        <p className="px-3 py-2 text-sm text-gray-500 dark:text-gray-400">{t('common.cannedResponses.noMatches')}</p>
+      ) : (
+        <ul role="listbox">
+          {responses.map((response, index) => (
+            <li
+              key={response.id}
+              role="option"
+              aria-selected={index === activeIndex}
+              // Keep focus in the textarea
+              onMouseDown={(e) => {
+                e.preventDefault()
+                onSelect(response)
+              }}
+              onMouseEnter={() => onHighlight(index)}
+              className={`px-3 py-2 cursor-pointer ${index === activeIndex ? 'bg-blue-50 dark:bg-blue-900/30' : ''}`}
+            >
+              <div className="flex items-center gap-2 text-sm">
+                <span className="font-medium text-gray-900 dark:text-white truncate">{response.name}</span>
+                {response.shortcut && (
+                  <span className="text-xs text-gray-500 dark:text-gray-400">/{response.shortcut}</span>
+                )}
+                {response.actions.length > 0 && (
+                  <span className="px-1.5 py-0.5 text-xs rounded bg-purple-100 text-purple-800 dark:bg-purple-900/30 dark:text-purple-300">
+                    {t('common.cannedResponses.macro')}
+                  </span>
+                )}
+                <span className="ml-auto text-xs text-gray-400 dark:text-gray-500 shrink-0">
+                  {t(`common.cannedResponses.scopes.${response.scope}`)}
+                </span>
+              </div>
+              {response.content && (
+                <p className="text-xs text-gray-500 dark:text-gray-400 truncate">{response.content}</p>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,45 @@
+import { useTranslation } from 'react-i18next'
+
+const inputClassName = "block w-full pl-3 pr-10 py-2 text-sm bg-white dark:bg-gray-800 border-2 border-gray-300 dark:border-gray-600 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:text-white shadow-sm"
+
+// Inputs for an organization's custom ticket fields, keyed by field key
+export function CustomFieldInputs({ definitions, values, errors = {}, onChange, disabled = false }) {
+  const { t } = useTranslation()
+
+  return definitions.map(definition => {
+    const id = `custom-field-${definition.key}`
+    const value = values[definition.key] ?? ''
+    const handleChange = (e) => onChange(definition.key, e.target.value)
+
+    return (
+      <div key={definition.id}>
+        <label htmlFor={id} className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+          {definition.label} {definition.required && <span className="text-red-500">*</span>}
+        </label>
+        {definition.field_type === 'select' ? (
+          <select id={id} value={value} onChange={handleChange} disabled={disabled} className={inputClassName}>
+            <option value="">{t('common.tickets.customFields.selectOption')}</option>
+            {definition.options.map(option => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </select>
+        ) : (
+          <input
+            id={id}
+            type={definition.field_type}
+            step={definition.field_type === 'number' ? 'any' : undefined}
+            value={value}
+            onChange={handleChange}
+            disabled={disabled}
+            className={inputClassName}
+          />
+        )}
+        {errors[definition.key] && (
+          <p className="mt-1 text-sm text-red-600 dark:text-red-400">
+            {t(`common.tickets.customFields.errors.${errors[definition.key]}`)}
+          </p>
+        )}
+      </div>
+    )
+  })
+}
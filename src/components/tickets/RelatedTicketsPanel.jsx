@@ -0,0 +1,216 @@
+import { useState, useEffect, useCallback } from 'react'
+import { Link } from 'react-router-dom'
+import { useTranslation } from 'react-i18next'
+import { toast } from 'react-hot-toast'
+import { STATUS_BADGE_STYLES } from '../../lib/ticketLifecycle'
+import {
+  fetchIncidentCandidates,
+  fetchRelatedTickets,
+  setTicketIncident,
+  setTicketParent
+} from '../../lib/ticketQueries'
+
+function RelatedTicketLink({ ticket, children }) {
+  const { t } = useTranslation()
+
+  return (
+    <li className="flex items-center justify-between gap-2 text-sm">
+      <div className="min-w-0">
+        <Link
+          to={`/dashboard/tickets/${ticket.id}`}
+          className="block truncate text-blue-600 hover:underline dark:text-blue-400"
+        >
+          {ticket.title}
+        </Link>
+        <span className="text-xs text-gray-500 dark:text-gray-400">
+          {ticket.customer?.full_name || ticket.customer?.email}
+        </span>
+      </div>
+      <div className="flex items-center gap-2 shrink-0">
+        <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_BADGE_STYLES[ticket.status]}`}>
+          {t(`common.tickets.status.${ticket.status}`)}
+        </span>
+        {children}
+      </div>
+    </li>
+  )
+}
+
+// The incident a ticket belongs to, the children of an incident, and the
+// duplicates merged into the ticket. Staff only.
+export function RelatedTicketsPanel({ ticket, onUpdated }) {
+  const { t } = useTranslation()
+  const [related, setRelated] = useState({ parent: null, children: [], merged: [] })
+  const [search, setSearch] = useState('')
+  const [candidates, setCandidates] = useState([])
+  const [working, setWorking] = useState(false)
+
+  const loadRelated = useCallback(async () => {
+    try {
+      setRelated(await fetchRelatedTickets(ticket))
+    } catch (err) {
+      console.error('Error loading related tickets:', err)
+      toast.error(t('common.tickets.incidents.errors.fetchFailed'))
+    }
+  }, [ticket.id, ticket.parent_ticket_id, ticket.is_incident, t])
+
+  useEffect(() => {
+    loadRelated()
+  }, [loadRelated])
+
+  const runAction = async (action, errorKey) => {
+    try {
+      setWorking(true)
+      await action()
+      await loadRelated()
+    } catch (err) {
+      console.error('Error updating related tickets:', err)
+      toast.error(t(`common.tickets.incidents.errors.${errorKey}`))
+    } finally {
+      setWorking(false)
+    }
+  }
+
+  const toggleIncident = () => runAction(async () => {
+    await setTicketIncident(ticket.id, !ticket.is_incident)
+    onUpdated({ is_incident: !ticket.is_incident })
+  }, 'updateFailed')
+
+  const detachFromParent = () => runAction(async () => {
+    await setTicketParent(ticket.id, null)
+    onUpdated({ parent_ticket_id: null })
+  }, 'updateFailed')
+
+  const attachChild = (child) => runAction(async () => {
+    await setTicketParent(child.id, ticket.id)
+    setCandidates(prev => prev.filter(candidate => candidate.id !== child.id))
+  }, 'attachFailed')
+
+  const detachChild = (child) => runAction(() => setTicketParent(child.id, null), 'updateFailed')
+
+  const handleSearch = async (e) => {
+    e.preventDefault()
+    if (!search.trim()) return
+
+    try {
+      const found = await fetchIncidentCandidates(ticket, search.trim())
+      setCandidates(found.filter(candidate => !related.children.some(child => child.id === candidate.id)))
+    } catch (err) {
+      console.error('Error searching tickets to attach:', err)
+      toast.error(t('common.tickets.incidents.errors.fetchFailed'))
+    }
+  }
+
+  const isClosed = ticket.status === 'closed'
+
+  return (
+    <div>
+      <div className="flex items-center justify-between">
+        <h3 className="text-sm font-medium text-gray-500 dark:text-gray-400">{t('common.tickets.incidents.title')}</h3>
+        {!ticket.parent_ticket_id && !isClosed && (
+          <button
+            onClick={toggleIncident}
+            disabled={working || (ticket.is_incident && related.children.length > 0)}
+            title={ticket.is_incident && related.children.length > 0 ? t('common.tickets.incidents.detachFirst') : undefined}
+            className="text-sm text-blue-600 hover:text-blue-700 dark:text-blue-400 disabled:opacity-50"
+          >
+            {ticket.is_incident ? t('common.tickets.incidents.unmark') : t('common.tickets.incidents.mark')}
+          </button>
+        )}
+      </div>
+
+      <div className="mt-1 space-y-3">
+        {ticket.is_incident && (
+          <p className="text-xs text-gray-500 dark:text-gray-400">{t('common.tickets.incidents.incidentHint')}</p>
+        )}
+
+        {related.parent && (
+          <div>
+            <p className="text-xs text-gray-500 dark:text-gray-400 mb-1">{t('common.tickets.incidents.partOf')}</p>
+            <ul>
+              <RelatedTicketLink ticket={related.parent}>
+                <button
+                  onClick={detachFromParent}
+                  disabled={working}
+                  className="text-xs text-red-600 hover:text-red-700 dark:text-red-400 disabled:opacity-50"
+                >
+                  {t('common.tickets.incidents.detach')}
+                </button>
+              </RelatedTicketLink>
+            </ul>
+          </div>
+        )}
+
+        {ticket.is_incident && (
+          <div>
+            <p className="text-xs text-gray-500 dark:text-gray-400 mb-1">
+              {t('common.tickets.incidents.children', { count: related.children.length })}
+            </p>
+            <ul className="space-y-2">
+              {related.children.map(child => (
+                <RelatedTicketLink key={child.id} ticket={child}>
+                  <button
+                    onClick={() => detachChild(child)}
+                    disabled={working}
+                    className="text-xs text-red-600 hover:text-red-700 dark:text-red-400 disabled:opacity-50"
+                  >
+                    {t('common.tickets.incidents.detach')}
+                  </button>
+                </RelatedTicketLink>
+              ))}
+            </ul>
+
+            {!isClosed && (
+              <form onSubmit={handleSearch} className="mt-2 flex gap-2">
+                <input
+                  type="search"
+                  value={search}
+                  onChange={(e) => setSearch(e.target.value)}
+                  placeholder={t('common.tickets.incidents.searchPlaceholder')}
+                  className="flex-1 min-w-0 px-3 py-1.5 text-sm bg-white dark:bg-gray-800 border-2 border-gray-300 dark:border-gray-600 rounded-md dark:text-white"
+                />
+                <button
+                  type="submit"
+                  className="px-3 py-1.5 text-sm text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-md dark:bg-gray-700 dark:text-gray-300 dark:hover:bg-gray-600"
+                >
+                  {t('common.tickets.incidents.find')}
+                </button>
+              </form>
+            )}
+
+            {candidates.length > 0 && (
+              <ul className="mt-2 space-y-2">
+                {candidates.map(candidate => (
+                  <RelatedTicketLink key={candidate.id} ticket={candidate}>
+                    <button
+                      onClick={() => attachChild(candidate)}
+                      disabled={working}
+                      className="text-xs text-blue-600 hover:text-blue-700 dark:text-blue-400 disabled:opacity-50"
+                    >
+                      {t('common.tickets.incidents.attach')}
+                    </button>
+                  </RelatedTicketLink>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+
+        {related.merged.length > 0 && (
+          <div>
+            <p className="text-xs text-gray-500 dark:text-gray-400 mb-1">{t('common.tickets.incidents.mergedDuplicates')}</p>
+            <ul className="space-y-2">
+              {related.merged.map(duplicate => (
+                <RelatedTicketLink key={duplicate.id} ticket={duplicate} />
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {!ticket.is_incident && !related.parent && related.merged.length === 0 && (
+          <p className="text-sm text-gray-500 dark:text-gray-400">{t('common.tickets.incidents.none')}</p>
+        )}
+      </div>
+    </div>
+  )
+}
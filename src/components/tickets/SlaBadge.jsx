@@ -0,0 +1,45 @@
+import { useState, useEffect } from 'react'
+import { useTranslation } from 'react-i18next'
+import { getTicketSlaState, getSlaTargetLabel } from '../../lib/sla'
+
+const STATUS_STYLES = {
+  on_track: 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200',
+  at_risk: 'bg-amber-100 dark:bg-amber-900 text-amber-800 dark:text-amber-200',
+  breached: 'bg-red-100 dark:bg-red-900 text-red-800 dark:text-red-200',
+  met: 'bg-green-100 dark:bg-green-900 text-green-800 dark:text-green-200'
+}
+
+// Countdowns only need minute precision
+const TICK_MS = 30 * 1000
+
+/**
+ * Live countdown to the SLA target a ticket is waiting on. Renders nothing for
+ * tickets without an SLA policy; finished targets only show when showOutcome is set.
+ */
+export function SlaBadge({ ticket, showOutcome = false, className = '' }) {
+  const { t } = useTranslation()
+  const [now, setNow] = useState(Date.now())
+
+  const { current } = getTicketSlaState(ticket, now)
+  const isCounting = !!current && !current.settled
+
+  useEffect(() => {
+    if (!isCounting) return
+    const interval = setInterval(() => setNow(Date.now()), TICK_MS)
+    return () => clearInterval(interval)
+  }, [isCounting])
+
+  if (!current || (current.settled && !showOutcome)) return null
+
+  return (
+    <span
+      className={`inline-flex items-center gap-1 px-2.5 py-0.5 rounded-full text-xs font-medium whitespace-nowrap ${STATUS_STYLES[current.status]} ${className}`}
+      title={t('common.tickets.sla.dueAt', { date: new Date(current.dueAt).toLocaleString() })}
+    >
+      <svg className="h-3 w-3" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+      </svg>
+      {getSlaTargetLabel(t, current)}
+    </span>
+  )
+}
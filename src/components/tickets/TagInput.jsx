@@ -0,0 +1,93 @@
+import { useState, useEffect } from 'react'
+import { useTranslation } from 'react-i18next'
+import { fetchTagSuggestions, normalizeTag } from '../../lib/ticketFields'
+
+// How long typing has to pause before suggestions are fetched
+const SUGGESTION_DELAY_MS = 200
+
+export function TagInput({ tags, onChange, disabled = false, placeholder }) {
+  const { t } = useTranslation()
+  const [input, setInput] = useState('')
+  const [suggestions, setSuggestions] = useState([])
+  const [showSuggestions, setShowSuggestions] = useState(false)
+
+  useEffect(() => {
+    if (!showSuggestions) return
+
+    const timeout = setTimeout(() => {
+      fetchTagSuggestions(input)
+        .then(found => setSuggestions(found.filter(tag => !tags.includes(tag))))
+        .catch(() => setSuggestions([]))
+    }, SUGGESTION_DELAY_MS)
+
+    return () => clearTimeout(timeout)
+  }, [input, showSuggestions, tags])
+
+  const addTag = (value) => {
+    const tag = normalizeTag(value)
+    if (tag && !tags.includes(tag)) onChange([...tags, tag])
+    setInput('')
+  }
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault()
+      addTag(input)
+    } else if (e.key === 'Backspace' && !input && tags.length > 0) {
+      onChange(tags.slice(0, -1))
+    }
+  }
+
+  return (
+    <div className="relative">
+      <div className="flex flex-wrap items-center gap-1 p-1.5 bg-white dark:bg-gray-800 border-2 border-gray-300 dark:border-gray-600 rounded-md focus-within:ring-2 focus-within:ring-blue-500 focus-within:border-blue-500">
+        {tags.map(tag => (
+          <span
+            key={tag}
+            className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-medium bg-blue-100 dark:bg-blue-900 text-blue-800 dark:text-blue-200"
+          >
+            {tag}
+            {!disabled && (
+              <button
+                type="button"
+                onClick={() => onChange(tags.filter(item => item !== tag))}
+                aria-label={t('common.tickets.tags.remove', { tag })}
+                className="hover:text-blue-600 dark:hover:text-blue-400"
+              >
+                ×
+              </button>
+            )}
+          </span>
+        ))}
+        {!disabled && (
+          <input
+            type="text"
+            value={input}
+            onChange={(e) => setInput(e.target.value)}
+            onKeyDown={handleKeyDown}
+            onFocus={() => setShowSuggestions(true)}
+            onBlur={() => setShowSuggestions(false)}
+            placeholder={tags.length === 0 ? placeholder ?? t('common.tickets.tags.placeholder') : ''}
+            className="flex-1 min-w-[6rem] px-1 py-0.5 text-sm bg-transparent border-none focus:ring-0 focus:outline-none dark:text-white"
+          />
+        )}
+      </div>
+      {showSuggestions && suggestions.length > 0 && (
+        <ul className="absolute z-10 mt-1 w-full max-h-48 overflow-y-auto bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-md shadow-lg">
+          {suggestions.map(tag => (
+            <li key={tag}>
+              <button
+                type="button"
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => addTag(tag)}
+                className="w-full px-3 py-2 text-left text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+              >
+                {tag}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
@@ -4,7 +4,26 @@ import { supabase } from '../../lib/supabaseClient'
 import { formatDistanceToNow } from 'date-fns'
 import { useRealtimeSubscription } from '../../hooks/useRealtimeSubscription'
 import { useTranslation } from 'react-i18next'
-import { searchDocuments } from '../../lib/pdfProcessing'
+import { fetchBotProfilesByIds, botProfileToAuthor } from '../../lib/botProfiles'
+import { TICKET_LINK_EVENT_TYPES, fetchTicketEvents, resolveTicketEvent } from '../../lib/ticketEvents'
+import { TicketEventItem } from './TicketEventItem'
+import { CannedResponseMenu } from './CannedResponseMenu'
+import {
+  applyMacroActions,
+  fetchCannedResponses,
+  getResponsesForTicket,
+  renderCannedResponse,
+  searchCannedResponses
+} from '../../lib/cannedResponses'
+import { getSentDraftOutcome, resolveReplyDraft } from '../../lib/agentAssist'
+
+// A slash at the start of the text or after a space, up to the cursor
+const SLASH_COMMAND_PATTERN = /(?:^|\s)\/([\w-]*)$/
+
+// Consecutive messages from the same person or bot share one header
+function getAuthorKey(comment) {
+  return comment.is_bot ? `bot:${comment.bot_profile_id}` : comment.user_id
+}
 
 function formatTimestamp(dateString) {
   const date = new Date(dateString)
@@ -20,10 +39,11 @@ function formatTimestamp(dateString) {
   return `${time} • ${date.toLocaleDateString()}`
 }
 
-export function TicketComments({ ticketId }) {
+export function TicketComments({ ticketId, ticket, isClosed = false, onTicketUpdated, draft = null, onDraftResolved }) {
   const { t } = useTranslation()
   const { user, profile } = useAuth()
   const [comments, setComments] = useState([])
+  const [events, setEvents] = useState([])
   const [newComment, setNewComment] = useState('')
   const [isInternal, setIsInternal] = useState(false)
   const [loading, setLoading] = useState(true)
@@ -33,9 +53,20 @@ export function TicketComments({ ticketId }) {
   const [uploading, setUploading] = useState(false)
   const [attachments, setAttachments] = useState([])
   const [pendingAttachments, setPendingAttachments] = useState([]);
+  const [cannedResponses, setCannedResponses] = useState([])
+  // { start, query } while a slash command is being typed
+  const [slashCommand, setSlashCommand] = useState(null)
+  const [activeResponseIndex, setActiveResponseIndex] = useState(0)
+  // A macro inserted into the reply; its actions run when the reply is sent
+  const [pendingMacro, setPendingMacro] = useState(null)
+  // An agent-assist draft put into the reply; what happens to it is reported when the reply is sent
+  const activeDraftRef = useRef(null)
   const messagesEndRef = useRef(null)
   const typingTimeoutRef = useRef(null)
   const fileInputRef = useRef(null)
+  const textareaRef = useRef(null)
+
+  const isStaff = profile?.role === 'agent' || profile?.role === 'admin'
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' })
@@ -43,7 +74,7 @@ export function TicketComments({ ticketId }) {
 
   useEffect(() => {
     scrollToBottom()
-  }, [comments, typingUsers]) // Scroll when comments or typing status changes
+  }, [comments, events, typingUsers]) // Scroll when the timeline or typing status changes
 
   const fetchComments = useCallback(async () => {
     try {
@@ -62,43 +93,25 @@ export function TicketComments({ ticketId }) {
 
       if (commentsError) throw commentsError
 
-      // Then fetch all relevant users and teams
-      const [usersResponse, teamsResponse] = await Promise.all([
+      // Then fetch the human authors and the bot profiles that answered
+      const [usersResponse, botProfiles] = await Promise.all([
         supabase
           .from('profiles')
           .select('*')
-          .in('id', [...new Set(commentsData.map(comment => comment.user_id))]),
-        supabase
-          .from('teams')
-          .select('id, name')
-          .in('id', [...new Set(commentsData.map(comment => comment.user_id))])
+          .in('id', [...new Set(commentsData.filter(comment => comment.user_id).map(comment => comment.user_id))]),
+        fetchBotProfilesByIds([...new Set(commentsData.filter(comment => comment.bot_profile_id).map(comment => comment.bot_profile_id))])
       ])
 
       if (usersResponse.error) throw usersResponse.error
-      if (teamsResponse.error) throw teamsResponse.error
 
       // Combine the data
-      const comments = commentsData.map(comment => {
-        // If the user_id matches a team id, this is a bot comment
-        const team = teamsResponse.data?.find(team => team.id === comment.user_id)
-        if (team) {
-          return {
-            ...comment,
-            user: {
-              id: team.id,
-              full_name: team.name,
-              is_bot: true
-            },
-            attachments: comment.attachments || []
-          }
-        }
-
-        return {
-          ...comment,
-          user: usersResponse.data?.find(user => user.id === comment.user_id),
-          attachments: comment.attachments || []
-        }
-      })
+      const comments = commentsData.map(comment => ({
+        ...comment,
+        user: comment.is_bot
+          ? botProfileToAuthor(botProfiles.find(botProfile => botProfile.id === comment.bot_profile_id))
+          : usersResponse.data?.find(user => user.id === comment.user_id),
+        attachments: comment.attachments || []
+      }))
 
       // Filter internal notes if not agent/admin
       const filteredComments = profile?.role === 'agent' || profile?.role === 'admin'
@@ -114,32 +127,73 @@ export function TicketComments({ ticketId }) {
     }
   }, [ticketId, profile?.role, t])
 
+  // Status and assignment changes are woven into the conversation
+  const fetchEvents = useCallback(async () => {
+    try {
+      setEvents(await fetchTicketEvents(ticketId))
+    } catch (error) {
+      console.error('Error in fetchEvents:', error)
+    }
+  }, [ticketId])
+
   // Initial fetch
   useEffect(() => {
     fetchComments()
   }, [fetchComments])
 
+  useEffect(() => {
+    fetchEvents()
+  }, [fetchEvents])
+
+  useEffect(() => {
+    if (!isStaff) return
+
+    fetchCannedResponses()
+      .then(setCannedResponses)
+      .catch(error => console.error('Error loading canned responses:', error))
+  }, [isStaff])
+
+  const onInsertEvent = useCallback(async (payload) => {
+    try {
+      const event = await resolveTicketEvent(payload)
+      setEvents(prevEvents => prevEvents.some(e => e.id === event.id) ? prevEvents : [...prevEvents, event])
+
+      // Merges and splits move comments between tickets without inserting them
+      if (TICKET_LINK_EVENT_TYPES.includes(event.event_type)) {
+        fetchComments()
+      }
+    } catch (error) {
+      console.error('Error processing new ticket event:', error)
+    }
+  }, [fetchComments])
+
   const onInsertComment = useCallback(async (payload) => {
     try {
-      // Fetch the user data and attachments for the new comment
-      const [userResponse, attachmentsResponse] = await Promise.all([
-        supabase
-          .from('profiles')
-          .select('*')
-          .eq('id', payload.user_id)
-          .single(),
+      // Fetch the author (user or bot profile) and attachments for the new comment
+      const [author, attachmentsResponse] = await Promise.all([
+        payload.is_bot
+          ? fetchBotProfilesByIds(payload.bot_profile_id ? [payload.bot_profile_id] : [])
+              .then(([botProfile]) => botProfileToAuthor(botProfile))
+          : supabase
+              .from('profiles')
+              .select('*')
+              .eq('id', payload.user_id)
+              .maybeSingle()
+              .then(({ data, error }) => {
+                if (error) throw error
+                return data
+              }),
         supabase
           .from('ticket_attachments')
           .select('*')
           .eq('comment_id', payload.id)
       ])
 
-      if (userResponse.error) throw userResponse.error
       if (attachmentsResponse.error) throw attachmentsResponse.error
 
       const newComment = {
         ...payload,
-        user: userResponse.data,
+        user: author,
         attachments: attachmentsResponse.data || []
       }
 
@@ -210,6 +264,12 @@ export function TicketComments({ ticketId }) {
     onInsert: onInsertComment
   }, [ticketId, onInsertComment])
 
+  useRealtimeSubscription({
+    table: 'ticket_events',
+    filter: `ticket_id=eq.${ticketId}`,
+    onInsert: onInsertEvent
+  }, [ticketId, onInsertEvent])
+
   useRealtimeSubscription({
     table: 'typing_status',
     filter: `ticket_id=eq.${ticketId}`,
@@ -280,6 +340,105 @@ export function TicketComments({ ticketId }) {
     }
   };
 
+  // Opens the cited organization document at the cited page. The tab is opened
+  // up front so the browser doesn't treat it as an unprompted popup.
+  const openCitation = async (citation) => {
+    const citationWindow = window.open('', '_blank')
+    try {
+      const { data, error } = await supabase.storage
+        .from('organization-files')
+        .createSignedUrl(citation.file_path, 60 * 5)
+
+      if (error) throw error
+
+      citationWindow.location.href = citation.page
+        ? `${data.signedUrl}#page=${citation.page}`
+        : data.signedUrl
+    } catch (error) {
+      citationWindow?.close()
+      console.error('Error opening citation:', error)
+      setError(t('common.tickets.comments.errors.citationFailed'))
+    }
+  };
+
+  const matchingResponses = slashCommand
+    ? searchCannedResponses(getResponsesForTicket(cannedResponses, ticket), slashCommand.query)
+    : []
+
+  // Opens the canned response list while a slash command is typed before the cursor
+  const updateSlashCommand = (text, cursor) => {
+    if (!isStaff) return
+
+    const match = text.slice(0, cursor).match(SLASH_COMMAND_PATTERN)
+    setSlashCommand(match ? { start: cursor - match[1].length - 1, end: cursor, query: match[1] } : null)
+    setActiveResponseIndex(0)
+  }
+
+  const runMacro = async (macro) => {
+    try {
+      const updatedTicket = await applyMacroActions(ticketId, macro.actions)
+      onTicketUpdated?.(updatedTicket)
+    } catch (error) {
+      console.error('Error applying macro:', error)
+      setError(t('common.cannedResponses.errors.macroFailed'))
+    }
+  }
+
+  // Replaces the slash command with the response; a macro without text runs right away
+  const insertCannedResponse = async (response) => {
+    const content = renderCannedResponse(response.content, {
+      ticket,
+      customer: ticket?.customer,
+      agent: profile
+    })
+    const before = newComment.slice(0, slashCommand.start)
+    const cursor = before.length + content.length
+
+    setNewComment(before + content + newComment.slice(slashCommand.end))
+    setSlashCommand(null)
+    requestAnimationFrame(() => {
+      textareaRef.current?.focus()
+      textareaRef.current?.setSelectionRange(cursor, cursor)
+    })
+
+    if (response.actions.length === 0) return
+    if (content.trim()) {
+      setPendingMacro(response)
+    } else {
+      await runMacro(response)
+    }
+  }
+
+  // Settles the draft in the reply; unless it goes out, it was discarded
+  const settleDraft = useCallback((outcome = 'discarded', commentId = null) => {
+    const activeDraft = activeDraftRef.current
+    if (!activeDraft) return
+
+    activeDraftRef.current = null
+    resolveReplyDraft(activeDraft.id, outcome, commentId).catch(() => {})
+    onDraftResolved?.(activeDraft.id)
+  }, [onDraftResolved])
+
+  // A new draft replaces the reply; one it replaces counts as discarded
+  useEffect(() => {
+    if (!draft || draft.id === activeDraftRef.current?.id) return
+
+    settleDraft()
+    activeDraftRef.current = draft
+    setNewComment(draft.content)
+    setIsInternal(false)
+    requestAnimationFrame(() => textareaRef.current?.focus())
+  }, [draft?.id])
+
+  // A draft left unsent when the agent moves to another ticket or leaves is discarded
+  useEffect(() => () => {
+    const activeDraft = activeDraftRef.current
+    if (!activeDraft) return
+
+    activeDraftRef.current = null
+    resolveReplyDraft(activeDraft.id, 'discarded').catch(() => {})
+  }, [ticketId])
+
   const handleSubmit = async (e) => {
     e.preventDefault()
     if (!newComment.trim() && pendingAttachments.length === 0) return
@@ -325,137 +484,20 @@ export function TicketComments({ ticketId }) {
         if (attachmentError) throw attachmentError
       }
 
-      // Check if this is a customer comment and if the team has bot enabled
-      if (!isInternal && !profile?.role?.includes('agent')) {
-        console.log('Checking for bot response - User role:', profile?.role);
-        console.log('Comment details:', { isInternal, ticketId, content: newComment.trim() });
-        
-        // Get ticket details to check team
-        console.log('Fetching ticket details...');
-        const { data: ticketData, error: ticketError } = await supabase
-          .from('tickets')
-          .select('*, team_id')
-          .eq('id', ticketId)
-          .single()
-
-        console.log('Ticket query result:', { ticketData, ticketError });
-
-        if (ticketError) {
-          console.error('Failed to fetch ticket details:', ticketError);
-        } else if (!ticketData) {
-          console.log('No ticket data found');
-        } else if (!ticketData.team_id) {
-          console.log('No team assigned to ticket');
-        } else {
-          // Get team details in a separate query
-          const { data: teamData, error: teamError } = await supabase
-            .from('teams')
-            .select('id, name, is_bot_enabled, created_by')
-            .eq('id', ticketData.team_id)
-            .single()
-            
-          if (teamError) {
-            console.error('Failed to fetch team details:', teamError);
-          } else {
-            console.log('Team details:', {
-              teamId: teamData.id,
-              teamName: teamData.name,
-              isBotEnabled: teamData.is_bot_enabled,
-              createdBy: teamData.created_by
-            });
-
-            if (teamData.is_bot_enabled) {
-              try {
-                console.log('Bot is enabled, searching for relevant response...');
-                // Get organization ID and other ticket details in one query
-                const { data: ticketDetails, error: ticketError } = await supabase
-                  .from('tickets')
-                  .select('organization_id')
-                  .eq('id', ticketId)
-                  .single()
-                
-                if (ticketError) {
-                  console.error('Failed to get ticket organization:', ticketError);
-                  return;
-                }
-
-                if (!ticketDetails?.organization_id) {
-                  console.log('No organization ID found for ticket');
-                  return;
-                }
-
-                // Fetch recent conversation history
-                const { data: recentComments, error: historyError } = await supabase
-                  .from('ticket_comments')
-                  .select('content, user_id, created_at')
-                  .eq('ticket_id', ticketId)
-                  .order('created_at', { ascending: true })
-                  .limit(25) // Increased to get last 25 messages for more context
+      // Bot replies to customer comments are posted server-side by the bot-reply edge function
 
-                if (historyError) {
-                  console.error('Failed to fetch conversation history:', historyError);
-                }
+      if (pendingMacro) {
+        await runMacro(pendingMacro)
+      }
 
-                // Format conversation history - include both user and bot messages
-                const conversationHistory = recentComments?.map(comment => ({
-                  role: comment.user_id === '0981a90d-aaf9-4e89-bf95-815aad2ad37b' ? 'assistant' : 'user',
-                  content: comment.content
-                })) || [];
-
-                // Add the current message
-                conversationHistory.push({
-                  role: 'user',
-                  content: newComment.trim()
-                });
-
-                console.log('Conversation history being sent:', JSON.stringify(conversationHistory, null, 2));
-
-                console.log('Searching with organization ID:', ticketDetails.organization_id);
-                const searchResults = await searchDocuments(
-                  newComment.trim(), 
-                  ticketDetails.organization_id,
-                  conversationHistory
-                );
-                console.log('Search results:', searchResults);
-                
-                if (searchResults?.[0]?.content) {
-                  console.log('Found relevant response, posting bot comment...');
-                  const botResponse = searchResults[0].content
-                  const { data: botComment, error: botError } = await supabase
-                    .from('ticket_comments')
-                    .insert({
-                      ticket_id: ticketId,
-                      user_id: '0981a90d-aaf9-4e89-bf95-815aad2ad37b', // Use bot's UUID
-                      content: botResponse,
-                      is_internal: false
-                    })
-                    .select()
-                    .single()
-
-                  if (botError) {
-                    console.error('Failed to post bot response:', botError);
-                  } else {
-                    console.log('Bot response posted successfully:', botComment);
-                  }
-                } else {
-                  console.log('No relevant response found in search results');
-                }
-              } catch (botError) {
-                console.error('Bot response error:', botError);
-                console.error('Bot error stack:', botError.stack);
-              }
-            } else {
-              console.log('Bot responses are not enabled for this team');
-            }
-          }
-        }
-      } else {
-        console.log('Skipping bot response - Internal note or agent comment');
+      if (activeDraftRef.current) {
+        settleDraft(getSentDraftOutcome(activeDraftRef.current, newComment), commentData.id)
       }
 
       // Clear form
       setNewComment('')
       setPendingAttachments([])
+      setPendingMacro(null)
       setIsInternal(false)
     } catch (error) {
       console.error('Error submitting comment:', error)
@@ -470,12 +512,36 @@ export function TicketComments({ ticketId }) {
   };
 
   const handleKeyPress = (e) => {
+    if (slashCommand) {
+      if ((e.key === 'ArrowDown' || e.key === 'ArrowUp') && matchingResponses.length > 0) {
+        e.preventDefault()
+        const offset = e.key === 'ArrowDown' ? 1 : -1
+        setActiveResponseIndex(prev => (prev + offset + matchingResponses.length) % matchingResponses.length)
+        return
+      }
+      if ((e.key === 'Enter' || e.key === 'Tab') && matchingResponses.length > 0) {
+        e.preventDefault()
+        insertCannedResponse(matchingResponses[activeResponseIndex] || matchingResponses[0])
+        return
+      }
+      if (e.key === 'Escape') {
+        e.preventDefault()
+        setSlashCommand(null)
+        return
+      }
+    }
+
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault()
       handleSubmit(e)
     }
   }
 
+  const timeline = [
+    ...comments,
+    ...events.map(event => ({ ...event, isEvent: true }))
+  ].sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+
   if (loading) {
     return (
       <div className="flex items-center justify-center py-4 text-gray-500 dark:text-gray-400">
@@ -497,23 +563,35 @@ export function TicketComments({ ticketId }) {
       {/* Chat messages container with scrolling */}
       <div className="min-w-0 flex-1 overflow-y-auto overflow-x-hidden">
         <div className="py-4 px-4">
-          {comments.length === 0 ? (
+          {timeline.length === 0 ? (
             <p className="text-center text-gray-500 dark:text-gray-400 py-4">
               {t('common.tickets.comments.noMessages')}
             </p>
           ) : (
             <div className="space-y-4 min-w-0">
-              {comments.map((comment, index) => {
+              {timeline.map((comment, index) => {
+                if (comment.isEvent) {
+                  return <TicketEventItem key={`event-${comment.id}`} event={comment} />
+                }
+
+                const previous = timeline[index - 1]
                 const isCurrentUser = comment.user_id === user.id;
-                const showFullHeader = index === 0 || 
-                  comments[index - 1].user_id !== comment.user_id ||
-                  new Date(comment.created_at) - new Date(comments[index - 1].created_at) > 300000;
+                const showFullHeader = !previous || previous.isEvent ||
+                  getAuthorKey(previous) !== getAuthorKey(comment) ||
+                  new Date(comment.created_at) - new Date(previous.created_at) > 300000;
 
                 return (
                   <div key={comment.id} className={`min-w-0 flex ${isCurrentUser ? 'justify-end' : 'justify-start'}`}>
                     <div className="max-w-[85%] space-y-1">
                       {showFullHeader && (
                         <div className={`flex flex-wrap items-baseline gap-2 mb-1 ${isCurrentUser ? 'justify-end' : 'justify-start'}`}>
+                          {comment.is_bot && comment.user?.avatar_url && (
+                            <img
+                              src={comment.user.avatar_url}
+                              alt={comment.user.full_name}
+                              className="w-5 h-5 rounded-full object-cover self-center"
+                            />
+                          )}
                           <span className="font-semibold text-sm text-blue-600 dark:text-blue-400 truncate">
                             {isCurrentUser ? t('common.tickets.comments.you') : (comment.user?.full_name || comment.user?.email || t('common.tickets.comments.unknownUser'))}
                           </span>
@@ -556,6 +634,30 @@ export function TicketComments({ ticketId }) {
                           }`}>
                             {comment.content}
                           </p>
+                          {comment.is_bot && comment.citations?.length > 0 && (profile?.role === 'agent' || profile?.role === 'admin') && (
+                            <div className="mt-2 pt-2 border-t border-purple-200/50 dark:border-purple-700/50 space-y-1">
+                              <div className="text-xs font-medium text-purple-600 dark:text-purple-400">
+                                {t('common.tickets.comments.sources')}
+                              </div>
+                              {comment.citations.map((citation, citationIndex) => (
+                                <button
+                                  key={`${citation.file_path}-${citation.page}-${citationIndex}`}
+                                  onClick={() => openCitation(citation)}
+                                  className="block w-full text-left text-xs px-2 py-1 rounded bg-white/60 dark:bg-gray-800/60 hover:bg-white dark:hover:bg-gray-800 transition-colors"
+                                  title={citation.snippet}
+                                >
+                                  <span className="font-medium text-blue-600 dark:text-blue-400">
+                                    {citation.file_name}
+                                    {citation.version && ` · ${t('common.tickets.comments.citationVersion', { version: citation.version })}`}
+                                    {citation.page && ` · ${t('common.tickets.comments.citationPage', { page: citation.page })}`}
+                                  </span>
+                                  <span className="block text-gray-500 dark:text-gray-400 line-clamp-2">
+                                    {citation.snippet}
+                                  </span>
+                                </button>
+                              ))}
+                            </div>
+                          )}
                           {comment.attachments?.length > 0 && (
                             <div className={`${comment.content ? 'mt-2' : '-m-1'} space-y-2`}>
                               {comment.attachments.map((attachment) => {
@@ -647,109 +749,143 @@ export function TicketComments({ ticketId }) {
 
       {/* Comment input form - fixed at bottom */}
       <div className="min-w-0 border-t border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-800 p-4 rounded-b-lg">
-        <form onSubmit={handleSubmit} className="space-y-4">
-          {pendingAttachments.length > 0 && (
-            <div className="flex flex-wrap gap-2">
-              {pendingAttachments.map((attachment, index) => (
-                <div
-                  key={index}
-                  className="flex items-center gap-2 px-2 py-1 rounded bg-gray-100 dark:bg-gray-700"
-                >
-                  <span className="text-sm truncate max-w-[200px]">{attachment.file_name}</span>
-                  <button
-                    type="button"
-                    onClick={() => removePendingAttachment(index)}
-                    className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
-                    title={t('common.remove')}
+        {/* Closed tickets stay closed; customers start a new ticket instead */}
+        {isClosed && profile?.role !== 'agent' && profile?.role !== 'admin' ? (
+          <p className="text-sm text-center text-gray-500 dark:text-gray-400">
+            {t('common.tickets.lifecycle.closedNotice')}
+          </p>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-4">
+            {pendingAttachments.length > 0 && (
+              <div className="flex flex-wrap gap-2">
+                {pendingAttachments.map((attachment, index) => (
+                  <div
+                    key={index}
+                    className="flex items-center gap-2 px-2 py-1 rounded bg-gray-100 dark:bg-gray-700"
                   >
-                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-                    </svg>
-                  </button>
-                </div>
-              ))}
-            </div>
-          )}
-          <div className="relative flex items-start min-w-0">
-            <textarea
-              id="comment"
-              rows={3}
-              className="flex-1 h-[60px] resize-none rounded-lg border-2 border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:text-white pl-3 pr-20 py-3 text-sm transition-colors"
-              placeholder={t('common.tickets.comments.placeholder')}
-              value={newComment}
-              onChange={(e) => {
-                setNewComment(e.target.value);
-                handleTyping();
-              }}
-              onKeyDown={handleKeyPress}
-              disabled={submitting || uploading}
-            />
-            <div className="absolute right-3 top-1/2 -translate-y-1/2 flex items-center gap-3">
-              <label className="cursor-pointer text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 transition-colors">
-                <input
-                  type="file"
-                  ref={fileInputRef}
-                  className="hidden"
-                  multiple
-                  onChange={(e) => handleFileSelect(e.target.files)}
-                  disabled={uploading}
+                    <span className="text-sm truncate max-w-[200px]">{attachment.file_name}</span>
+                    <button
+                      type="button"
+                      onClick={() => removePendingAttachment(index)}
+                      className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+                      title={t('common.remove')}
+                    >
+                      <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                      </svg>
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+            {pendingMacro && (
+              <div className="flex items-center gap-2 text-xs">
+                <span className="px-2 py-1 rounded bg-purple-100 text-purple-800 dark:bg-purple-900/30 dark:text-purple-300">
+                  {t('common.cannedResponses.macroPending', { name: pendingMacro.name })}
+                </span>
+                <button
+                  type="button"
+                  onClick={() => setPendingMacro(null)}
+                  className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+                >
+                  {t('common.remove')}
+                </button>
+              </div>
+            )}
+            <div className="relative flex items-start min-w-0">
+              {slashCommand && (
+                <CannedResponseMenu
+                  responses={matchingResponses}
+                  activeIndex={activeResponseIndex}
+                  onSelect={insertCannedResponse}
+                  onHighlight={setActiveResponseIndex}
                 />
-                {uploading ? (
-                  <svg className="animate-spin h-5 w-5" fill="none" viewBox="0 0 24 24">
-                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" />
-                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z" />
-                  </svg>
-                ) : (
-                  <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15.172 7l-6.586 6.586a2 2 0 102.828 2.828l6.414-6.586a4 4 0 00-5.656-5.656l-6.415 6.585a6 6 0 108.486 8.486L20.5 13" />
-                  </svg>
-                )}
-              </label>
-              <button
-                type="submit"
-                disabled={submitting || uploading || (!newComment.trim() && !pendingAttachments.length)}
-                className="text-blue-600 hover:text-blue-700 dark:text-blue-400 dark:hover:text-blue-300 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
-                title={t('common.tickets.comments.send')}
-              >
-                {submitting ? (
-                  <svg className="animate-spin h-5 w-5" fill="none" viewBox="0 0 24 24">
-                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" />
-                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z" />
-                  </svg>
-                ) : (
-                  <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 19l9 2-9-18-9 18 9-2zm0 0v-8" />
-                  </svg>
-                )}
-              </button>
-            </div>
-          </div>
-
-          {(profile?.role === 'agent' || profile?.role === 'admin') && (
-            <div className="flex items-center">
-              <input
-                type="checkbox"
-                id="internal"
-                className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500 dark:border-gray-600 dark:bg-gray-700"
-                checked={isInternal}
-                onChange={(e) => setIsInternal(e.target.checked)}
+              )}
+              <textarea
+                ref={textareaRef}
+                id="comment"
+                rows={3}
+                className="flex-1 h-[60px] resize-none rounded-lg border-2 border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:text-white pl-3 pr-20 py-3 text-sm transition-colors"
+                placeholder={isStaff ? t('common.cannedResponses.composerPlaceholder') : t('common.tickets.comments.placeholder')}
+                value={newComment}
+                onChange={(e) => {
+                  setNewComment(e.target.value);
+                  // Clearing the reply throws the draft away
+                  if (!e.target.value.trim()) settleDraft();
+                  updateSlashCommand(e.target.value, e.target.selectionStart);
+                  handleTyping();
+                }}
+                onKeyDown={handleKeyPress}
+                onBlur={() => setSlashCommand(null)}
                 disabled={submitting || uploading}
               />
-              <label
-                htmlFor="internal"
-                className="ml-2 text-sm text-gray-700 dark:text-gray-300"
-              >
-                {t('common.tickets.comments.internalNote')}
-              </label>
+              <div className="absolute right-3 top-1/2 -translate-y-1/2 flex items-center gap-3">
+                <label className="cursor-pointer text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 transition-colors">
+                  <input
+                    type="file"
+                    ref={fileInputRef}
+                    className="hidden"
+                    multiple
+                    onChange={(e) => handleFileSelect(e.target.files)}
+                    disabled={uploading}
+                  />
+                  {uploading ? (
+                    <svg className="animate-spin h-5 w-5" fill="none" viewBox="0 0 24 24">
+                      <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" />
+                      <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z" />
+                    </svg>
+                  ) : (
+                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15.172 7l-6.586 6.586a2 2 0 102.828 2.828l6.414-6.586a4 4 0 00-5.656-5.656l-6.415 6.585a6 6 0 108.486 8.486L20.5 13" />
+                    </svg>
+                  )}
+                </label>
+                <button
+                  type="submit"
+                  disabled={submitting || uploading || (!newComment.trim() && !pendingAttachments.length)}
+                  className="text-blue-600 hover:text-blue-700 dark:text-blue-400 dark:hover:text-blue-300 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                  title={t('common.tickets.comments.send')}
+                >
+                  {submitting ? (
+                    <svg className="animate-spin h-5 w-5" fill="none" viewBox="0 0 24 24">
+                      <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" />
+                      <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z" />
+                    </svg>
+                  ) : (
+                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 19l9 2-9-18-9 18 9-2zm0 0v-8" />
+                    </svg>
+                  )}
+                </button>
+              </div>
             </div>
-          )}
 
-          {error && (
-            <div className="p-2 text-sm text-red-600 dark:text-red-400 bg-red-50 dark:bg-red-900/20 rounded">
-              {error}
-            </div>
-          )}
-        </form>
+            {(profile?.role === 'agent' || profile?.role === 'admin') && (
+              <div className="flex items-center">
+                <input
+                  type="checkbox"
+                  id="internal"
+                  className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500 dark:border-gray-600 dark:bg-gray-700"
+                  checked={isInternal}
+                  onChange={(e) => setIsInternal(e.target.checked)}
+                  disabled={submitting || uploading}
+                />
+                <label
+                  htmlFor="internal"
+                  className="ml-2 text-sm text-gray-700 dark:text-gray-300"
+                >
+                  {t('common.tickets.comments.internalNote')}
+                </label>
+              </div>
+            )}
+
+            {error && (
+              <div className="p-2 text-sm text-red-600 dark:text-red-400 bg-red-50 dark:bg-red-900/20 rounded">
+                {error}
+              </div>
+            )}
+          </form>
+        )}
       </div>
     </div>
   )
@@ -1,14 +1,23 @@
-import { useState, useEffect } from 'react'
-import { useParams, useNavigate } from 'react-router-dom'
+import { useState, useEffect, useCallback } from 'react'
+import { Link, useParams, useNavigate } from 'react-router-dom'
 import { useAuth } from '../../contexts/AuthContext'
 import { supabase } from '../../lib/supabaseClient'
 import { TicketComments } from './TicketComments'
 import { TicketRating } from './TicketRating'
+import { SlaBadge } from './SlaBadge'
+import { TicketFieldsPanel } from './TicketFieldsPanel'
+import { TicketMergeDialog } from './TicketMergeDialog'
+import { TicketSplitDialog } from './TicketSplitDialog'
+import { RelatedTicketsPanel } from './RelatedTicketsPanel'
+import { AgentAssistPanel } from './AgentAssistPanel'
+import { useRealtimeSubscription } from '../../hooks/useRealtimeSubscription'
+import { getTicketSlaState, getSlaTargetLabel } from '../../lib/sla'
 import { useTranslation } from 'react-i18next'
 import { sendTicketResolutionEmail } from '../../lib/sendgrid'
 import { toast } from 'react-hot-toast'
 import { AgentSearchBar } from '../common/AgentSearchBar'
-import { assignTicketToTeam, assignTicketToAgent } from '../../lib/ticketQueries'
+import { assignTicketToTeam, assignTicketToAgent, clearTicketHandoff, resolveChildTickets, updateTicketStatus } from '../../lib/ticketQueries'
+import { STATUS_BADGE_STYLES, getAllowedTransitions, getAssignmentStatus, isResolvedStatus } from '../../lib/ticketLifecycle'
 
 export function TicketDetails() {
   const { t } = useTranslation()
@@ -27,6 +36,14 @@ export function TicketDetails() {
   const [agentSearch, setAgentSearch] = useState('')
   const [showAgentDropdown, setShowAgentDropdown] = useState(false)
   const [isCurrentTeamCreator, setIsCurrentTeamCreator] = useState(false)
+  const [showMergeDialog, setShowMergeDialog] = useState(false)
+  const [showSplitDialog, setShowSplitDialog] = useState(false)
+  // The agent-assist draft currently put into the reply composer
+  const [assistDraft, setAssistDraft] = useState(null)
+
+  useEffect(() => {
+    setAssistDraft(null)
+  }, [ticketId])
 
   useEffect(() => {
     if (!ticketId) {
@@ -58,6 +75,19 @@ export function TicketDetails() {
     }
   }, [ticket?.team_id, isAgent])
 
+  // Keeps status and merge state current when the ticket changes elsewhere,
+  // e.g. when another agent merges it
+  const handleTicketUpdate = useCallback((updated) => {
+    setTicket(prev => prev ? { ...prev, ...updated } : prev)
+  }, [])
+
+  useRealtimeSubscription({
+    table: 'tickets',
+    filter: `id=eq.${ticketId}`,
+    onUpdate: handleTicketUpdate,
+    enabled: !!ticketId
+  }, [ticketId, handleTicketUpdate])
+
   const fetchTicket = async () => {
     try {
       setLoading(true)
@@ -204,44 +234,62 @@ export function TicketDetails() {
     }
   }
 
-  const updateTicketStatus = async () => {
+  // Checks that a non-admin agent works on the ticket before changing its status
+  const canChangeStatus = async () => {
+    if (isAdmin || !isAgent) return true
+
+    const isAssigned = ticket.agent_id === user.id
+    const { data: teamMember } = await supabase
+      .from('team_members')
+      .select('*')
+      .eq('team_id', ticket.team_id)
+      .eq('user_id', user.id)
+      .single()
+
+    return isAssigned || !!teamMember
+  }
+
+  const changeStatus = async (status) => {
     try {
       setUpdating(true)
       setError(null)
 
-      // Check if user is assigned to the ticket or is a member of the assigned team
-      if (!isAdmin && isAgent) {
-        const isAssigned = ticket.agent_id === user.id
-        const { data: teamMember } = await supabase
-          .from('team_members')
-          .select('*')
-          .eq('team_id', ticket.team_id)
-          .eq('user_id', user.id)
-          .single()
-
-        if (!isAssigned && !teamMember) {
-          toast.error(t('common.tickets.errors.noPermission'))
-          return
-        }
+      if (!(await canChangeStatus())) {
+        toast.error(t('common.tickets.errors.noPermission'))
+        return
       }
 
-      const { error: updateError } = await supabase
-        .from('tickets')
-        .update({
-          agent_id: user.id,
-          status: 'resolved',
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', ticketId)
+      const updatedTicket = await updateTicketStatus(ticketId, status)
+      setTicket(prev => ({ ...prev, ...updatedTicket }))
+      toast.success(t('common.tickets.lifecycle.statusChanged', { status: t(`common.tickets.status.${status}`) }))
+    } catch (err) {
+      console.error('Error changing ticket status:', err)
+      toast.error(t(err.code === 'invalid_transition'
+        ? 'common.tickets.errors.invalidTransition'
+        : 'common.tickets.errors.updateFailed'))
+    } finally {
+      setUpdating(false)
+    }
+  }
 
-      if (updateError) throw updateError
+  const resolveTicket = async () => {
+    try {
+      setUpdating(true)
+      setError(null)
+
+      // Check if user is assigned to the ticket or is a member of the assigned team
+      if (!(await canChangeStatus())) {
+        toast.error(t('common.tickets.errors.noPermission'))
+        return
+      }
+
+      // Whoever resolves the ticket becomes its agent
+      const resolvedTicket = await updateTicketStatus(ticketId, 'resolved', { agent_id: user.id })
 
       const updatedTicket = {
         ...ticket,
-        status: 'resolved',
-        agent_id: user.id,
-        agent: { id: user.id, email: profile.email, full_name: profile.full_name },
-        updated_at: new Date().toISOString()
+        ...resolvedTicket,
+        agent: { id: user.id, email: profile.email, full_name: profile.full_name }
       }
 
       setTicket(updatedTicket)
@@ -252,8 +300,40 @@ export function TicketDetails() {
         ticket.customer,
         { id: user.id, email: profile.email, full_name: profile.full_name }
       )
+
+      // Resolving an incident resolves the tickets attached to it, and each customer hears about it
+      if (ticket.is_incident) {
+        const children = await resolveChildTickets(ticketId)
+        await Promise.all(children.filter(child => child.customer).map(child =>
+          sendTicketResolutionEmail(
+            child,
+            child.customer,
+            { id: user.id, email: profile.email, full_name: profile.full_name }
+          )
+        ))
+        if (children.length > 0) {
+          toast.success(t('common.tickets.incidents.childrenResolved', { count: children.length }))
+        }
+      }
+    } catch (err) {
+      console.error('Error resolving ticket:', err)
+      setError(t(err.code === 'invalid_transition'
+        ? 'common.tickets.errors.invalidTransition'
+        : 'common.tickets.errors.updateFailed'))
+    } finally {
+      setUpdating(false)
+    }
+  }
+
+  const handleClearHandoff = async () => {
+    try {
+      setUpdating(true)
+      await clearTicketHandoff(ticketId)
+      setTicket(prev => ({ ...prev, needs_human: false }))
+      toast.success(t('common.tickets.handoff.cleared'))
     } catch (err) {
-      setError(t('common.tickets.errors.updateFailed'))
+      console.error('Error clearing handoff:', err)
+      toast.error(t('common.tickets.errors.updateFailed'))
     } finally {
       setUpdating(false)
     }
@@ -310,7 +390,7 @@ export function TicketDetails() {
         toast.success(t('common.tickets.unassigned'))
         setTicket(prev => ({
           ...prev,
-          status: 'open',
+          status: getAssignmentStatus(prev.status, false),
           team_id: null,
           team: null,
           agent_id: null,
@@ -328,7 +408,7 @@ export function TicketDetails() {
         toast.success(t('common.tickets.assignedToTeam', { team: result.name }))
         setTicket(prev => ({
           ...prev,
-          status: 'in_progress',
+          status: getAssignmentStatus(prev.status, true),
           team_id: result.id,
           team: result,
           agent_id: null,
@@ -346,7 +426,7 @@ export function TicketDetails() {
         toast.success(t('common.tickets.assignedToAgent', { agent: result.full_name }))
         setTicket(prev => ({
           ...prev,
-          status: 'in_progress',
+          status: getAssignmentStatus(prev.status, true),
           agent_id: result.id,
           agent: result,
           team_id: null,
@@ -363,14 +443,8 @@ export function TicketDetails() {
   }
 
   const getStatusBadge = (status) => {
-    const styles = {
-      in_progress: 'bg-yellow-100 dark:bg-yellow-900 text-yellow-800 dark:text-yellow-200',
-      resolved: 'bg-green-100 dark:bg-green-900 text-green-800 dark:text-green-200',
-      open: 'bg-blue-100 dark:bg-blue-900 text-blue-800 dark:text-blue-200'
-    }
-
     return (
-      <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${styles[status]}`}>
+      <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${STATUS_BADGE_STYLES[status]}`}>
         {t(`common.tickets.status.${status}`)}
       </span>
     )
@@ -411,10 +485,33 @@ export function TicketDetails() {
     )
   }
 
+  const slaState = getTicketSlaState(ticket)
+  const allowedTransitions = getAllowedTransitions(ticket.status)
+  // Resolving has its own button because it also notifies the customer
+  const statusOptions = allowedTransitions.filter(status => status !== 'resolved')
+
+  const statusSelect = statusOptions.length > 0 && (
+    <select
+      value=""
+      onChange={(e) => e.target.value && changeStatus(e.target.value)}
+      disabled={updating}
+      className="px-3 py-2 text-sm font-semibold text-gray-700 dark:text-gray-200 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg shadow-sm disabled:opacity-50 focus:outline-none focus:ring-2 focus:ring-blue-500"
+    >
+      <option value="">{t('common.tickets.lifecycle.changeStatus')}</option>
+      {statusOptions.map(status => (
+        <option key={status} value={status}>
+          {t(isResolvedStatus(ticket.status) && !isResolvedStatus(status)
+            ? 'common.tickets.lifecycle.reopenAs'
+            : 'common.tickets.lifecycle.moveTo', { status: t(`common.tickets.status.${status}`) })}
+        </option>
+      ))}
+    </select>
+  )
+
   return (
     <div className="min-w-0 w-full overflow-hidden">
       <div className="min-w-0 w-full">
-        {isCustomer && ticket.status === 'resolved' && (
+        {isCustomer && isResolvedStatus(ticket.status) && (
           <div className="mb-6">
             <TicketRating
               ticketId={ticket.id}
@@ -435,6 +532,25 @@ export function TicketDetails() {
             {t('common.tickets.details')}
           </h1>
           <div className="flex items-center gap-2">
+            {(isAdmin || isAgent) && ticket.status !== 'closed' && (
+              <>
+                <button
+                  onClick={() => setShowMergeDialog(true)}
+                  disabled={updating}
+                  className="px-4 py-2 text-sm font-semibold text-gray-700 dark:text-gray-200 bg-white dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600 rounded-lg disabled:opacity-50 border border-gray-300 dark:border-gray-600 shadow-sm"
+                >
+                  {t('common.tickets.merge.action')}
+                </button>
+                <button
+                  onClick={() => setShowSplitDialog(true)}
+                  disabled={updating}
+                  className="px-4 py-2 text-sm font-semibold text-gray-700 dark:text-gray-200 bg-white dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600 rounded-lg disabled:opacity-50 border border-gray-300 dark:border-gray-600 shadow-sm"
+                >
+                  {t('common.tickets.split.action')}
+                </button>
+              </>
+            )}
+
             {/* Admin Buttons */}
             {isAdmin && (
               <>
@@ -483,10 +599,12 @@ export function TicketDetails() {
                   </button>
                 )}
 
+                {statusSelect}
+
                 {/* Resolve button last */}
-                {ticket.status !== 'resolved' && (
+                {allowedTransitions.includes('resolved') && (
                   <button
-                    onClick={updateTicketStatus}
+                    onClick={resolveTicket}
                     disabled={updating}
                     className="inline-flex items-center gap-2 px-4 py-2 text-sm font-semibold text-white bg-green-600 hover:bg-green-700 dark:bg-green-500 dark:hover:bg-green-600 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed focus:outline-none focus:ring-2 focus:ring-green-500 focus:ring-offset-2 dark:focus:ring-offset-gray-800 transition-all shadow-sm"
                   >
@@ -517,7 +635,7 @@ export function TicketDetails() {
                 {/* Team Creator Assignment Actions First */}
                 {ticket?.team_id && 
                   ticket.teams?.created_by === user.id && 
-                  ticket.status !== 'resolved' && (
+                  !isResolvedStatus(ticket.status) && (
                   <>
                     <AgentSearchBar
                       value={agentSearch}
@@ -563,10 +681,12 @@ export function TicketDetails() {
                   </>
                 )}
 
+                {(ticket.agent_id === user.id || ticket.team_id) && statusSelect}
+
                 {/* Resolve Button Last */}
-                {((ticket.agent_id === user.id || ticket.team_id) && ticket.status !== 'resolved') && (
+                {((ticket.agent_id === user.id || ticket.team_id) && allowedTransitions.includes('resolved')) && (
                   <button
-                    onClick={updateTicketStatus}
+                    onClick={resolveTicket}
                     disabled={updating}
                     className="inline-flex items-center gap-2 px-4 py-2 text-sm font-semibold text-white bg-green-600 hover:bg-green-700 dark:bg-green-500 dark:hover:bg-green-600 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed focus:outline-none focus:ring-2 focus:ring-green-500 focus:ring-offset-2 dark:focus:ring-offset-gray-800 transition-all shadow-sm"
                   >
@@ -593,6 +713,39 @@ export function TicketDetails() {
           </div>
         </div>
 
+        {ticket.merged_into_id && (
+          <div className="mb-6 p-4 flex items-center justify-between gap-4 bg-blue-50 dark:bg-blue-900/20 border border-blue-200 dark:border-blue-800 rounded-md">
+            <p className="text-sm text-blue-800 dark:text-blue-200">{t('common.tickets.merge.mergedBanner')}</p>
+            <Link
+              to={`${isCustomer ? '/customer/tickets' : '/dashboard/tickets'}/${ticket.merged_into_id}`}
+              className="shrink-0 text-sm font-semibold text-blue-700 hover:text-blue-800 dark:text-blue-300"
+            >
+              {t('common.tickets.merge.openPrimary')}
+            </Link>
+          </div>
+        )}
+
+        {ticket.needs_human && (isAdmin || isAgent) && (
+          <div className="mb-6 p-4 flex items-center justify-between gap-4 bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800 rounded-md">
+            <div className="min-w-0">
+              <p className="text-sm font-medium text-amber-800 dark:text-amber-200">
+                {t('common.tickets.handoff.title')}
+              </p>
+              <p className="mt-1 text-sm text-amber-700 dark:text-amber-300">
+                {t(`common.tickets.handoff.reasons.${ticket.handoff_reason || 'customer_request'}`)}
+                {ticket.handed_off_at && ` · ${new Date(ticket.handed_off_at).toLocaleString()}`}
+              </p>
+            </div>
+            <button
+              onClick={handleClearHandoff}
+              disabled={updating}
+              className="shrink-0 px-4 py-2 text-sm font-semibold text-amber-800 dark:text-amber-100 bg-amber-100 dark:bg-amber-800/50 hover:bg-amber-200 dark:hover:bg-amber-800 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {t('common.tickets.handoff.clear')}
+            </button>
+          </div>
+        )}
+
         {error && (
           <div className="mb-6 p-4 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-md">
             <p className="text-sm text-red-600 dark:text-red-400">{error}</p>
@@ -601,7 +754,15 @@ export function TicketDetails() {
 
         <div className="flex flex-col lg:flex-row gap-2">
           <div className="flex-1 min-w-[400px] bg-gray-50 dark:bg-gray-800 rounded-lg shadow-sm">
-            <TicketComments ticketId={ticketId} isAdmin={isAdmin} />
+            <TicketComments
+              ticketId={ticketId}
+              ticket={ticket}
+              isAdmin={isAdmin}
+              isClosed={ticket.status === 'closed'}
+              onTicketUpdated={handleTicketUpdate}
+              draft={assistDraft}
+              onDraftResolved={() => setAssistDraft(null)}
+            />
           </div>
 
           <div className="w-full lg:w-[400px] shrink-0">
@@ -614,6 +775,12 @@ export function TicketDetails() {
                   <div className="flex gap-2 shrink-0">
                     {getPriorityBadge(ticket.priority)}
                     {getStatusBadge(ticket.status)}
+                    {ticket.is_incident && (
+                      <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-purple-100 dark:bg-purple-900 text-purple-800 dark:text-purple-200">
+                        {t('common.tickets.incidents.badge')}
+                      </span>
+                    )}
+                    <SlaBadge ticket={ticket} />
                   </div>
                 </div>
 
@@ -640,6 +807,19 @@ export function TicketDetails() {
                       </p>
                     </div>
 
+                    <TicketFieldsPanel
+                      ticket={ticket}
+                      canEdit={isAdmin || isAgent}
+                      onUpdated={(changes) => setTicket(prev => ({ ...prev, ...changes }))}
+                    />
+
+                    {(isAdmin || isAgent) && (
+                      <RelatedTicketsPanel
+                        ticket={ticket}
+                        onUpdated={(changes) => setTicket(prev => ({ ...prev, ...changes }))}
+                      />
+                    )}
+
                     <div>
                       <h3 className="text-sm font-medium text-gray-500 dark:text-gray-400">{t('common.tickets.created')}</h3>
                       <p className="mt-1 text-gray-900 dark:text-white">
@@ -654,6 +834,37 @@ export function TicketDetails() {
                       </p>
                     </div>
 
+                    {(ticket.first_response_due_at || ticket.resolution_due_at) && (
+                      <div>
+                        <h3 className="text-sm font-medium text-gray-500 dark:text-gray-400">{t('common.tickets.sla.title')}</h3>
+                        <dl className="mt-1 space-y-1">
+                          {[slaState.firstResponse, slaState.resolution]
+                            .filter(Boolean)
+                            .map(target => (
+                              <div key={target.kind} className="flex items-baseline justify-between gap-4 text-sm">
+                                <dt className="text-gray-900 dark:text-white">
+                                  {t(`common.tickets.sla.${target.kind}.label`)}
+                                </dt>
+                                <dd
+                                  className={`text-right ${
+                                    target.status === 'breached'
+                                      ? 'text-red-600 dark:text-red-400'
+                                      : target.status === 'at_risk'
+                                      ? 'text-amber-600 dark:text-amber-400'
+                                      : target.status === 'met'
+                                      ? 'text-green-600 dark:text-green-400'
+                                      : 'text-gray-600 dark:text-gray-300'
+                                  }`}
+                                  title={t('common.tickets.sla.dueAt', { date: new Date(target.dueAt).toLocaleString() })}
+                                >
+                                  {getSlaTargetLabel(t, target)}
+                                </dd>
+                              </div>
+                            ))}
+                        </dl>
+                      </div>
+                    )}
+
                     {ticket.agent && (
                       <div>
                         <h3 className="text-sm font-medium text-gray-500 dark:text-gray-400">{t('common.tickets.assignedAgent')}</h3>
@@ -666,9 +877,42 @@ export function TicketDetails() {
                 </div>
               </div>
             </div>
+
+            {(isAdmin || isAgent) && (
+              <div className="mt-2 bg-gray-50 dark:bg-gray-800 rounded-lg shadow-sm">
+                <AgentAssistPanel
+                  ticket={ticket}
+                  insertedDraftId={assistDraft?.id}
+                  onUseDraft={setAssistDraft}
+                />
+              </div>
+            )}
           </div>
         </div>
       </div>
+
+      {(isAdmin || isAgent) && (
+        <>
+          <TicketMergeDialog
+            ticket={ticket}
+            isOpen={showMergeDialog}
+            onClose={() => setShowMergeDialog(false)}
+            onMerged={(primaryId) => {
+              setShowMergeDialog(false)
+              navigate(`/dashboard/tickets/${primaryId}`)
+            }}
+          />
+          <TicketSplitDialog
+            ticket={ticket}
+            isOpen={showSplitDialog}
+            onClose={() => setShowSplitDialog(false)}
+            onSplit={(newTicketId) => {
+              setShowSplitDialog(false)
+              navigate(`/dashboard/tickets/${newTicketId}`)
+            }}
+          />
+        </>
+      )}
     </div>
   )
 } 
\ No newline at end of file
@@ -0,0 +1,98 @@
+import { Link } from 'react-router-dom'
+import { Trans, useTranslation } from 'react-i18next'
+import { useAuth } from '../../contexts/AuthContext'
+
+const LINK_EVENT_KEYS = {
+  merged_into: 'mergedInto',
+  merged_from: 'mergedFrom',
+  split_to: 'splitTo',
+  split_from: 'splitFrom'
+}
+
+function getTargetName(t, target) {
+  return target?.full_name || target?.email || target?.name || t('common.tickets.events.unknown')
+}
+
+/**
+ * One line of a ticket's history, shown between the comments of the timeline
+ */
+export function TicketEventItem({ event }) {
+  const { t } = useTranslation()
+  const { profile } = useAuth()
+
+  const actor = event.actor?.full_name || event.actor?.email || t('common.tickets.events.system')
+  let description
+
+  switch (event.event_type) {
+    case 'created':
+      description = t('common.tickets.events.created', { actor })
+      break
+    case 'status_changed':
+      description = t('common.tickets.events.statusChanged', {
+        actor,
+        from: t(`common.tickets.status.${event.old_value}`),
+        to: t(`common.tickets.status.${event.new_value}`)
+      })
+      break
+    case 'priority_changed':
+      description = t('common.tickets.events.priorityChanged', {
+        actor,
+        from: t(`common.tickets.priority_options.${event.old_value}`),
+        to: t(`common.tickets.priority_options.${event.new_value}`)
+      })
+      break
+    case 'agent_assigned':
+    case 'team_assigned': {
+      const kind = event.event_type === 'agent_assigned' ? 'agent' : 'team'
+      description = event.new_value
+        ? t(`common.tickets.events.${kind}Assigned`, { actor, to: getTargetName(t, event.newTarget) })
+        : t(`common.tickets.events.${kind}Unassigned`, { actor, from: getTargetName(t, event.oldTarget) })
+      break
+    }
+    case 'merged_into':
+    case 'merged_from':
+    case 'split_to':
+    case 'split_from': {
+      const basePath = profile?.role === 'customer' ? '/customer/tickets' : '/dashboard/tickets'
+      description = (
+        <Trans
+          i18nKey={`common.tickets.events.${LINK_EVENT_KEYS[event.event_type]}`}
+          values={{ actor, ticket: event.newTarget?.title || t('common.tickets.events.unknownTicket') }}
+          components={{
+            link: <Link to={`${basePath}/${event.new_value}`} className="text-blue-600 hover:underline dark:text-blue-400" />
+          }}
+        />
+      )
+      break
+    }
+    case 'parent_changed': {
+      // Only staff see these, so the incident always lives under the dashboard
+      const incident = event.new_value ? event.newTarget : event.oldTarget
+      description = (
+        <Trans
+          i18nKey={`common.tickets.events.${event.new_value ? 'parentLinked' : 'parentUnlinked'}`}
+          values={{ actor, ticket: incident?.title || t('common.tickets.events.unknownTicket') }}
+          components={{
+            link: <Link to={`/dashboard/tickets/${incident?.id}`} className="text-blue-600 hover:underline dark:text-blue-400" />
+          }}
+        />
+      )
+      break
+    }
+    default:
+      return null
+  }
+
+  return (
+    <div className="flex items-center gap-3 text-xs text-gray-500 dark:text-gray-400">
+      <div className="flex-1 border-t border-gray-200 dark:border-gray-700" />
+      <span className="text-center">
+        {description}
+        <span className="ml-2 text-gray-400 dark:text-gray-500">
+          {new Date(event.created_at).toLocaleString()}
+        </span>
+      </span>
+      <div className="flex-1 border-t border-gray-200 dark:border-gray-700" />
+    </div>
+  )
+}
@@ -0,0 +1,135 @@
+import { useState, useEffect } from 'react'
+import { useTranslation } from 'react-i18next'
+import { toast } from 'react-hot-toast'
+import { CustomFieldInputs } from './CustomFieldInputs'
+import { TagInput } from './TagInput'
+import {
+  fetchFieldDefinitions,
+  toCustomFieldValues,
+  updateTicketCustomFields,
+  updateTicketTags,
+  validateCustomFields
+} from '../../lib/ticketFields'
+
+// A ticket's custom field values, editable by agents, and its tags, which only agents see
+export function TicketFieldsPanel({ ticket, canEdit, onUpdated }) {
+  const { t } = useTranslation()
+  const [definitions, setDefinitions] = useState([])
+  const [isEditing, setIsEditing] = useState(false)
+  const [values, setValues] = useState({})
+  const [errors, setErrors] = useState({})
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    if (!ticket.organization_id) return
+
+    fetchFieldDefinitions(ticket.organization_id)
+      .then(setDefinitions)
+      .catch(() => toast.error(t('common.tickets.customFields.errors.fetchFailed')))
+  }, [ticket.organization_id])
+
+  const startEditing = () => {
+    setValues(ticket.custom_fields || {})
+    setErrors({})
+    setIsEditing(true)
+  }
+
+  const handleSave = async () => {
+    // Required fields are only enforced when a ticket is opened
+    const fieldErrors = validateCustomFields(definitions, values, false)
+    setErrors(fieldErrors)
+    if (Object.keys(fieldErrors).length > 0) return
+
+    try {
+      setSaving(true)
+      const customFields = await updateTicketCustomFields(ticket.id, toCustomFieldValues(definitions, values))
+      onUpdated({ custom_fields: customFields })
+      setIsEditing(false)
+    } catch (err) {
+      console.error('Error saving custom fields:', err)
+      toast.error(t('common.tickets.customFields.errors.saveFailed'))
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleTagsChange = async (tags) => {
+    const previous = ticket.tags
+    onUpdated({ tags })
+    try {
+      onUpdated({ tags: await updateTicketTags(ticket.id, tags) })
+    } catch (err) {
+      console.error('Error saving tags:', err)
+      onUpdated({ tags: previous })
+      toast.error(t('common.tickets.tags.saveFailed'))
+    }
+  }
+
+  const formatValue = (definition, value) => {
+    if (value === undefined || value === null || value === '') return t('common.notSet')
+    if (definition.field_type === 'date') return new Date(`${value}T00:00:00`).toLocaleDateString()
+    return String(value)
+  }
+
+  return (
+    <>
+      {definitions.length > 0 && (
+        <div>
+          <div className="flex items-center justify-between">
+            <h3 className="text-sm font-medium text-gray-500 dark:text-gray-400">{t('common.tickets.customFields.title')}</h3>
+            {canEdit && !isEditing && (
+              <button onClick={startEditing} className="text-sm text-blue-600 hover:text-blue-700 dark:text-blue-400">
+                {t('common.edit')}
+              </button>
+            )}
+          </div>
+          {isEditing ? (
+            <div className="mt-2 space-y-3">
+              <CustomFieldInputs
+                definitions={definitions}
+                values={values}
+                errors={errors}
+                onChange={(key, value) => setValues(prev => ({ ...prev, [key]: value }))}
+                disabled={saving}
+              />
+              <div className="flex gap-2">
+                <button
+                  onClick={handleSave}
+                  disabled={saving}
+                  className="px-3 py-1.5 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-md disabled:opacity-50"
+                >
+                  {saving ? t('common.saving') : t('common.save')}
+                </button>
+                <button
+                  onClick={() => setIsEditing(false)}
+                  disabled={saving}
+                  className="px-3 py-1.5 text-sm text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-md dark:bg-gray-700 dark:text-gray-300 dark:hover:bg-gray-600"
+                >
+                  {t('common.cancel')}
+                </button>
+              </div>
+            </div>
+          ) : (
+            <dl className="mt-1 space-y-1">
+              {definitions.map(definition => (
+                <div key={definition.id} className="flex items-baseline justify-between gap-4 text-sm">
+                  <dt className="text-gray-500 dark:text-gray-400">{definition.label}</dt>
+                  <dd className="text-right text-gray-900 dark:text-white break-words">
+                    {formatValue(definition, ticket.custom_fields?.[definition.key])}
+                  </dd>
+                </div>
+              ))}
+            </dl>
+          )}
+        </div>
+      )}
+
+      {canEdit && (
+        <div>
+          <h3 className="text-sm font-medium text-gray-500 dark:text-gray-400 mb-1">{t('common.tickets.tags.title')}</h3>
+          <TagInput tags={ticket.tags || []} onChange={handleTagsChange} />
+        </div>
+      )}
+    </>
+  )
+}
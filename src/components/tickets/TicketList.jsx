@@ -3,6 +3,8 @@ import { supabase } from '../../lib/supabaseClient'
 import { Link } from 'react-router-dom'
 import { useRealtimeSubscription } from '../../hooks/useRealtimeSubscription'
 import { useTranslation } from 'react-i18next'
+import { SlaBadge } from './SlaBadge'
+import { STATUS_BADGE_STYLES } from '../../lib/ticketLifecycle'
 
 export function TicketList({ session }) {
   const { t } = useTranslation()
@@ -116,15 +118,10 @@ export function TicketList({ session }) {
                   </p>
                 </div>
                 <div className="flex flex-col items-end">
-                  <span className={`px-3 py-1 rounded-full text-sm ${
-                    ticket.status === 'open'
-                      ? 'bg-green-100 text-green-800'
-                      : ticket.status === 'in_progress'
-                      ? 'bg-yellow-100 text-yellow-800'
-                      : 'bg-red-100 text-red-800'
-                  }`}>
+                  <span className={`px-3 py-1 rounded-full text-sm ${STATUS_BADGE_STYLES[ticket.status]}`}>
                     {t(`common.tickets.status.${ticket.status}`)}
                   </span>
+                  <SlaBadge ticket={ticket} className="mt-2" />
                   <span className="mt-2 text-sm text-gray-500">
                     {new Date(ticket.created_at).toLocaleDateString()}
                   </span>
@@ -0,0 +1,130 @@
+import { Fragment, useState, useEffect } from 'react'
+import { Dialog, Transition } from '@headlessui/react'
+import { useTranslation } from 'react-i18next'
+import { toast } from 'react-hot-toast'
+import { fetchMergeCandidates, mergeTickets } from '../../lib/ticketQueries'
+
+// Picks the primary ticket the current one duplicates and merges it in
+export function TicketMergeDialog({ ticket, isOpen, onClose, onMerged }) {
+  const { t } = useTranslation()
+  const [candidates, setCandidates] = useState([])
+  const [primaryId, setPrimaryId] = useState('')
+  const [loading, setLoading] = useState(false)
+  const [merging, setMerging] = useState(false)
+
+  useEffect(() => {
+    if (!isOpen) return
+
+    setPrimaryId('')
+    setLoading(true)
+    fetchMergeCandidates(ticket)
+      .then(setCandidates)
+      .catch(() => toast.error(t('common.tickets.merge.errors.fetchFailed')))
+      .finally(() => setLoading(false))
+  }, [isOpen, ticket.id])
+
+  const handleMerge = async () => {
+    try {
+      setMerging(true)
+      await mergeTickets(ticket.id, primaryId)
+      toast.success(t('common.tickets.merge.success'))
+      onMerged(primaryId)
+    } catch (err) {
+      console.error('Error merging ticket:', err)
+      toast.error(t('common.tickets.merge.errors.mergeFailed'))
+    } finally {
+      setMerging(false)
+    }
+  }
+
+  return (
+    <Transition appear show={isOpen} as={Fragment}>
+      <Dialog as="div" className="relative z-50" onClose={onClose}>
+        <Transition.Child
+          as={Fragment}
+          enter="ease-out duration-300"
+          enterFrom="opacity-0"
+          enterTo="opacity-100"
+          leave="ease-in duration-200"
+          leaveFrom="opacity-100"
+          leaveTo="opacity-0"
+        >
+          <div className="fixed inset-0 bg-black/25 dark:bg-black/40" />
+        </Transition.Child>
+
+        <div className="fixed inset-0 overflow-y-auto">
+          <div className="flex min-h-full items-center justify-center p-4">
+            <Transition.Child
+              as={Fragment}
+              enter="ease-out duration-300"
+              enterFrom="opacity-0 scale-95"
+              enterTo="opacity-100 scale-100"
+              leave="ease-in duration-200"
+              leaveFrom="opacity-100 scale-100"
+              leaveTo="opacity-0 scale-95"
+            >
+              <Dialog.Panel className="w-full max-w-lg transform overflow-hidden rounded-lg bg-white dark:bg-gray-800 p-6 text-left align-middle shadow-xl transition-all">
+                <Dialog.Title as="h3" className="text-lg font-medium leading-6 text-gray-900 dark:text-white">
+                  {t('common.tickets.merge.title')}
+                </Dialog.Title>
+                <p className="mt-2 text-sm text-gray-500 dark:text-gray-400">
+                  {t('common.tickets.merge.description')}
+                </p>
+
+                <div className="mt-4 max-h-72 overflow-y-auto">
+                  {loading ? (
+                    <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-500 mx-auto my-4"></div>
+                  ) : candidates.length === 0 ? (
+                    <p className="text-sm text-gray-500 dark:text-gray-400">{t('common.tickets.merge.noCandidates')}</p>
+                  ) : (
+                    <ul className="space-y-1">
+                      {candidates.map(candidate => (
+                        <li key={candidate.id}>
+                          <label className="flex items-start gap-3 p-2 rounded-md hover:bg-gray-50 dark:hover:bg-gray-700 cursor-pointer">
+                            <input
+                              type="radio"
+                              name="primary-ticket"
+                              value={candidate.id}
+                              checked={primaryId === candidate.id}
+                              onChange={() => setPrimaryId(candidate.id)}
+                              className="mt-1 text-blue-600 focus:ring-blue-500"
+                            />
+                            <span className="min-w-0">
+                              <span className="block text-sm font-medium text-gray-900 dark:text-white truncate">{candidate.title}</span>
+                              <span className="block text-xs text-gray-500 dark:text-gray-400">
+                                {t(`common.tickets.status.${candidate.status}`)} · {new Date(candidate.created_at).toLocaleString()}
+                              </span>
+                            </span>
+                          </label>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+
+                <div className="mt-6 flex justify-end space-x-3">
+                  <button
+                    type="button"
+                    onClick={onClose}
+                    disabled={merging}
+                    className="inline-flex justify-center rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 px-4 py-2 text-sm font-medium text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-600"
+                  >
+                    {t('common.cancel')}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={handleMerge}
+                    disabled={!primaryId || merging}
+                    className="inline-flex justify-center rounded-md border border-transparent bg-blue-600 px-4 py-2 text-sm font-medium text-white hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    {merging ? t('common.tickets.merge.merging') : t('common.tickets.merge.confirm')}
+                  </button>
+                </div>
+              </Dialog.Panel>
+            </Transition.Child>
+          </div>
+        </div>
+      </Dialog>
+    </Transition>
+  )
+}
@@ -0,0 +1,172 @@
+import { Fragment, useState, useEffect } from 'react'
+import { Dialog, Transition } from '@headlessui/react'
+import { useTranslation } from 'react-i18next'
+import { toast } from 'react-hot-toast'
+import { supabase } from '../../lib/supabaseClient'
+import { splitTicket } from '../../lib/ticketQueries'
+
+// Picks comments of the current ticket and moves them off into a new ticket
+export function TicketSplitDialog({ ticket, isOpen, onClose, onSplit }) {
+  const { t } = useTranslation()
+  const [comments, setComments] = useState([])
+  const [selected, setSelected] = useState(new Set())
+  const [title, setTitle] = useState('')
+  const [splitting, setSplitting] = useState(false)
+
+  useEffect(() => {
+    if (!isOpen) return
+
+    setSelected(new Set())
+    setTitle('')
+
+    const fetchComments = async () => {
+      try {
+        const { data, error } = await supabase
+          .from('ticket_comments')
+          .select('id, content, is_internal, is_bot, created_at')
+          .eq('ticket_id', ticket.id)
+          .order('created_at', { ascending: true })
+
+        if (error) throw error
+        setComments(data || [])
+      } catch (err) {
+        console.error('Error fetching comments to split:', err)
+        toast.error(t('common.tickets.split.errors.fetchFailed'))
+      }
+    }
+
+    fetchComments()
+  }, [isOpen, ticket.id])
+
+  const toggleComment = (commentId) => {
+    setSelected(prev => {
+      const next = new Set(prev)
+      if (next.has(commentId)) {
+        next.delete(commentId)
+      } else {
+        next.add(commentId)
+      }
+      return next
+    })
+  }
+
+  const handleSplit = async (e) => {
+    e.preventDefault()
+
+    try {
+      setSplitting(true)
+      const newTicketId = await splitTicket(ticket.id, Array.from(selected), title.trim())
+      toast.success(t('common.tickets.split.success'))
+      onSplit(newTicketId)
+    } catch (err) {
+      console.error('Error splitting ticket:', err)
+      toast.error(t('common.tickets.split.errors.splitFailed'))
+    } finally {
+      setSplitting(false)
+    }
+  }
+
+  return (
+    <Transition appear show={isOpen} as={Fragment}>
+      <Dialog as="div" className="relative z-50" onClose={onClose}>
+        <Transition.Child
+          as={Fragment}
+          enter="ease-out duration-300"
+          enterFrom="opacity-0"
+          enterTo="opacity-100"
+          leave="ease-in duration-200"
+          leaveFrom="opacity-100"
+          leaveTo="opacity-0"
+        >
+          <div className="fixed inset-0 bg-black/25 dark:bg-black/40" />
+        </Transition.Child>
+
+        <div className="fixed inset-0 overflow-y-auto">
+          <div className="flex min-h-full items-center justify-center p-4">
+            <Transition.Child
+              as={Fragment}
+              enter="ease-out duration-300"
+              enterFrom="opacity-0 scale-95"
+              enterTo="opacity-100 scale-100"
+              leave="ease-in duration-200"
+              leaveFrom="opacity-100 scale-100"
+              leaveTo="opacity-0 scale-95"
+            >
+              <Dialog.Panel className="w-full max-w-lg transform overflow-hidden rounded-lg bg-white dark:bg-gray-800 p-6 text-left align-middle shadow-xl transition-all">
+                <form onSubmit={handleSplit}>
+                  <Dialog.Title as="h3" className="text-lg font-medium leading-6 text-gray-900 dark:text-white">
+                    {t('common.tickets.split.title')}
+                  </Dialog.Title>
+                  <p className="mt-2 text-sm text-gray-500 dark:text-gray-400">
+                    {t('common.tickets.split.description')}
+                  </p>
+
+                  <label className="block mt-4 text-sm font-medium text-gray-700 dark:text-gray-300">
+                    {t('common.tickets.split.newTitle')}
+                    <input
+                      type="text"
+                      value={title}
+                      onChange={(e) => setTitle(e.target.value)}
+                      required
+                      className="mt-1 block w-full px-3 py-2 text-sm bg-white dark:bg-gray-800 border-2 border-gray-300 dark:border-gray-600 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:text-white"
+                    />
+                  </label>
+
+                  <div className="mt-4 max-h-72 overflow-y-auto">
+                    {comments.length === 0 ? (
+                      <p className="text-sm text-gray-500 dark:text-gray-400">{t('common.tickets.split.noComments')}</p>
+                    ) : (
+                      <ul className="space-y-1">
+                        {comments.map(comment => (
+                          <li key={comment.id}>
+                            <label className="flex items-start gap-3 p-2 rounded-md hover:bg-gray-50 dark:hover:bg-gray-700 cursor-pointer">
+                              <input
+                                type="checkbox"
+                                checked={selected.has(comment.id)}
+                                onChange={() => toggleComment(comment.id)}
+                                className="mt-1 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                              />
+                              <span className="min-w-0">
+                                <span className="block text-sm text-gray-900 dark:text-white line-clamp-2 break-words">
+                                  {comment.content}
+                                </span>
+                                <span className="block text-xs text-gray-500 dark:text-gray-400">
+                                  {new Date(comment.created_at).toLocaleString()}
+                                  {comment.is_internal && ` · ${t('common.tickets.split.internal')}`}
+                                </span>
+                              </span>
+                            </label>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+
+                  <div className="mt-6 flex justify-end space-x-3">
+                    <button
+                      type="button"
+                      onClick={onClose}
+                      disabled={splitting}
+                      className="inline-flex justify-center rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 px-4 py-2 text-sm font-medium text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-600"
+                    >
+                      {t('common.cancel')}
+                    </button>
+                    <button
+                      type="submit"
+                      disabled={selected.size === 0 || !title.trim() || splitting}
+                      className="inline-flex justify-center rounded-md border border-transparent bg-blue-600 px-4 py-2 text-sm font-medium text-white hover:bg-blue-700 disabled:opacity-50"
+                    >
+                      {splitting
+                        ? t('common.tickets.split.splitting')
+                        : t('common.tickets.split.confirm', { count: selected.size })}
+                    </button>
+                  </div>
+                </form>
+              </Dialog.Panel>
+            </Transition.Child>
+          </div>
+        </div>
+      </Dialog>
+    </Transition>
+  )
+}
@@ -0,0 +1,373 @@
+import { useState, useEffect, useRef, useCallback } from 'react'
+import { useParams } from 'react-router-dom'
+import { useTranslation } from 'react-i18next'
+import {
+  WIDGET_MESSAGE_SOURCE,
+  ensureVisitor,
+  fetchConversation,
+  fetchWidgetConfig,
+  getStoredConversation,
+  saveVisitorContact,
+  sendMessage,
+  startConversation,
+  storeConversation,
+  subscribeToConversation,
+  updateVisitorTyping
+} from '../../lib/chatWidget'
+
+function postToHost(type, payload = {}) {
+  if (window.parent !== window) {
+    // The host page can be any site, and nothing sent here is private
+    window.parent.postMessage({ source: WIDGET_MESSAGE_SOURCE, type, ...payload }, '*')
+  }
+}
+
+function addMessage(messages, message) {
+  return messages.some(existing => existing.id === message.id) ? messages : [...messages, message]
+}
+
+export function ChatWidget() {
+  const { organizationId } = useParams()
+  const { t, i18n } = useTranslation()
+  // undefined while loading, null when the organization has no widget
+  const [config, setConfig] = useState(undefined)
+  const [visitor, setVisitor] = useState(null)
+  const [ticket, setTicket] = useState(null)
+  const [messages, setMessages] = useState([])
+  const [newMessage, setNewMessage] = useState('')
+  const [typingUsers, setTypingUsers] = useState(new Set())
+  // Visitor messages the bot is still working on, with the answer written so far
+  const [pendingBotRuns, setPendingBotRuns] = useState(new Map())
+  const [contact, setContact] = useState({ name: '', email: '' })
+  const [contactSaved, setContactSaved] = useState(false)
+  const [sending, setSending] = useState(false)
+  const [error, setError] = useState(null)
+  const messagesEndRef = useRef(null)
+  const typingTimeoutRef = useRef(null)
+
+  const visitorId = visitor?.user.id
+  const ticketId = ticket?.id
+
+  useEffect(() => {
+    fetchWidgetConfig(organizationId)
+      .then(widgetConfig => {
+        setConfig(widgetConfig)
+        postToHost('ready', { enabled: !!widgetConfig, color: widgetConfig?.color })
+      })
+      .catch(() => {
+        setConfig(null)
+        postToHost('ready', { enabled: false })
+      })
+  }, [organizationId])
+
+  const loadConversation = useCallback(async (conversationId) => {
+    const conversation = await fetchConversation(conversationId)
+    if (!conversation) {
+      storeConversation(organizationId, null)
+      return
+    }
+    setTicket(conversation.ticket)
+    setMessages(conversation.messages)
+  }, [organizationId])
+
+  // Pick up where the visitor left off, if this browser already has a conversation
+  useEffect(() => {
+    if (!config) return
+
+    const storedConversation = getStoredConversation(organizationId)
+    if (!storedConversation) return
+
+    ensureVisitor()
+      .then(currentVisitor => {
+        setVisitor(currentVisitor)
+        return loadConversation(storedConversation)
+      })
+      .catch(() => setError('loadFailed'))
+  }, [config, organizationId, loadConversation])
+
+  useEffect(() => {
+    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' })
+  }, [messages, typingUsers, pendingBotRuns])
+
+  const onMessage = useCallback((message) => {
+    setMessages(prev => addMessage(prev, message))
+    // The finished answer replaces the streamed one, even if its run update is still on the way
+    if (message.is_bot && message.in_reply_to) {
+      setPendingBotRuns(prev => {
+        const next = new Map(prev)
+        next.delete(message.in_reply_to)
+        return next
+      })
+    }
+    if (message.user_id !== visitorId) {
+      postToHost('message')
+      setTypingUsers(prev => {
+        const next = new Set(prev)
+        next.delete(message.user_id)
+        return next
+      })
+    }
+  }, [visitorId])
+
+  const onTicket = useCallback((updatedTicket) => {
+    setTicket(prev => ({ ...prev, ...updatedTicket }))
+  }, [])
+
+  const onTyping = useCallback((status) => {
+    if (status.user_id === visitorId) return
+    setTypingUsers(prev => {
+      const next = new Set(prev)
+      if (status.is_typing) next.add(status.user_id)
+      else next.delete(status.user_id)
+      return next
+    })
+  }, [visitorId])
+
+  const onBotRun = useCallback((run) => {
+    setPendingBotRuns(prev => {
+      const next = new Map(prev)
+      if (run.status === 'processing') next.set(run.comment_id, run.partial_reply || '')
+      else next.delete(run.comment_id)
+      return next
+    })
+  }, [])
+
+  useEffect(() => {
+    if (!ticketId) return
+    return subscribeToConversation(ticketId, { onMessage, onTicket, onTyping, onBotRun })
+  }, [ticketId, onMessage, onTicket, onTyping, onBotRun])
+
+  // Stop showing the visitor as typing when the widget goes away
+  useEffect(() => {
+    if (!ticketId || !visitorId) return
+    return () => {
+      clearTimeout(typingTimeoutRef.current)
+      updateVisitorTyping(ticketId, visitorId, false)
+    }
+  }, [ticketId, visitorId])
+
+  const handleTyping = (value) => {
+    setNewMessage(value)
+    if (!ticketId || !visitorId) return
+
+    updateVisitorTyping(ticketId, visitorId, true)
+    clearTimeout(typingTimeoutRef.current)
+    typingTimeoutRef.current = setTimeout(() => {
+      updateVisitorTyping(ticketId, visitorId, false)
+    }, 2000)
+  }
+
+  const handleSend = async (e) => {
+    e.preventDefault()
+    const content = newMessage.trim()
+    if (!content || sending) return
+
+    try {
+      setSending(true)
+      setError(null)
+
+      if (ticketId) {
+        const message = await sendMessage(ticketId, visitorId, content)
+        setMessages(prev => addMessage(prev, message))
+        clearTimeout(typingTimeoutRef.current)
+        updateVisitorTyping(ticketId, visitorId, false)
+      } else {
+        // The first message signs the visitor in and opens the ticket
+        const currentVisitor = visitor ?? await ensureVisitor()
+        setVisitor(currentVisitor)
+        const conversationId = await startConversation(organizationId, content, i18n.language?.split('-')[0] || null)
+        storeConversation(organizationId, conversationId)
+        await loadConversation(conversationId)
+      }
+
+      setNewMessage('')
+    } catch (error) {
+      console.error('Error sending chat message:', error)
+      setError('sendFailed')
+    } finally {
+      setSending(false)
+    }
+  }
+
+  const handleSaveContact = async (e) => {
+    e.preventDefault()
+
+    try {
+      setError(null)
+      const profile = await saveVisitorContact(visitorId, contact)
+      setVisitor(prev => ({ ...prev, profile }))
+      setContactSaved(true)
+    } catch (error) {
+      console.error('Error saving chat contact details:', error)
+      setError(error.code === 'email_exists' ? 'emailInUse' : 'contactFailed')
+    }
+  }
+
+  const handleNewConversation = () => {
+    storeConversation(organizationId, null)
+    setTicket(null)
+    setMessages([])
+    setTypingUsers(new Set())
+    setPendingBotRuns(new Map())
+  }
+
+  if (config === undefined) {
+    return (
+      <div className="h-screen flex items-center justify-center bg-white dark:bg-gray-900">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
+      </div>
+    )
+  }
+
+  if (config === null) {
+    return (
+      <div className="h-screen flex items-center justify-center p-6 bg-white dark:bg-gray-900">
+        <p className="text-sm text-gray-500 dark:text-gray-400">{t('common.chatWidget.unavailable')}</p>
+      </div>
+    )
+  }
+
+  const isClosed = ticket?.status === 'closed'
+  // Anonymous visitors are asked for an email once a person has to answer
+  const needsContact = ticket?.needs_human && !visitor?.profile.email && !contactSaved
+  const streamingReplies = [...pendingBotRuns].filter(([, partialReply]) => partialReply)
+  const showTyping = typingUsers.size > 0 || [...pendingBotRuns.values()].some(partialReply => !partialReply)
+
+  return (
+    <div className="h-screen flex flex-col bg-white dark:bg-gray-900">
+      <div className="flex items-center justify-between px-4 py-3 text-white" style={{ backgroundColor: config.color }}>
+        <h1 className="text-base font-semibold truncate">{config.name}</h1>
+        <button
+          onClick={() => postToHost('close')}
+          className="p-1 rounded hover:bg-white/20"
+          aria-label={t('common.chatWidget.close')}
+        >
+          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+          </svg>
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-4 space-y-3">
+        <div className="max-w-[85%] px-3 py-2 rounded-lg bg-gray-100 dark:bg-gray-800 text-sm text-gray-900 dark:text-white whitespace-pre-wrap">
+          {config.greeting || t('common.chatWidget.defaultGreeting')}
+        </div>
+
+        {messages.map(message => {
+          const isOwn = message.user_id === visitorId && !message.is_bot
+          return (
+            <div key={message.id} className={`flex flex-col ${isOwn ? 'items-end' : 'items-start'}`}>
+              {!isOwn && (
+                <span className="mb-1 text-xs text-gray-500 dark:text-gray-400">
+                  {message.is_bot ? t('common.chatWidget.assistant') : t('common.chatWidget.agent')}
+                </span>
+              )}
+              <div
+                className={`max-w-[85%] px-3 py-2 rounded-lg text-sm whitespace-pre-wrap ${
+                  isOwn ? 'text-white' : 'bg-gray-100 dark:bg-gray-800 text-gray-900 dark:text-white'
+                }`}
+                style={isOwn ? { backgroundColor: config.color } : undefined}
+              >
+                {message.content}
+              </div>
+            </div>
+          )
+        })}
+
+        {streamingReplies.map(([commentId, partialReply]) => (
+          <div key={commentId} className="flex flex-col items-start">
+            <span className="mb-1 text-xs text-gray-500 dark:text-gray-400">{t('common.chatWidget.assistant')}</span>
+            <div className="max-w-[85%] px-3 py-2 rounded-lg text-sm whitespace-pre-wrap bg-gray-100 dark:bg-gray-800 text-gray-900 dark:text-white">
+              {partialReply}
+            </div>
+          </div>
+        ))}
+
+        {showTyping && (
+          <div className="flex items-center gap-2 text-xs text-gray-500 dark:text-gray-400">
+            <div className="flex space-x-1">
+              <div className="w-2 h-2 bg-gray-400 rounded-full animate-bounce" style={{ animationDelay: '0ms' }}></div>
+              <div className="w-2 h-2 bg-gray-400 rounded-full animate-bounce" style={{ animationDelay: '150ms' }}></div>
+              <div className="w-2 h-2 bg-gray-400 rounded-full animate-bounce" style={{ animationDelay: '300ms' }}></div>
+            </div>
+            {t(typingUsers.size > 0 ? 'common.chatWidget.agentTyping' : 'common.chatWidget.assistantTyping')}
+          </div>
+        )}
+
+        {needsContact && (
+          <form onSubmit={handleSaveContact} className="p-3 space-y-2 border border-gray-200 dark:border-gray-700 rounded-lg">
+            <p className="text-sm text-gray-700 dark:text-gray-300">{t('common.chatWidget.contactPrompt')}</p>
+            <input
+              type="text"
+              value={contact.name}
+              onChange={(e) => setContact(prev => ({ ...prev, name: e.target.value }))}
+              placeholder={t('common.chatWidget.namePlaceholder')}
+              className="block w-full px-3 py-2 text-sm bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 rounded-md dark:text-white"
+            />
+            <input
+              type="email"
+              required
+              value={contact.email}
+              onChange={(e) => setContact(prev => ({ ...prev, email: e.target.value }))}
+              placeholder={t('common.chatWidget.emailPlaceholder')}
+              className="block w-full px-3 py-2 text-sm bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 rounded-md dark:text-white"
+            />
+            <button
+              type="submit"
+              className="w-full px-3 py-2 text-sm font-medium text-white rounded-md"
+              style={{ backgroundColor: config.color }}
+            >
+              {t('common.chatWidget.saveContact')}
+            </button>
+          </form>
+        )}
+
+        {contactSaved && (
+          <p className="text-xs text-center text-gray-500 dark:text-gray-400">
+            {t('common.chatWidget.contactSaved', { email: visitor?.profile.email })}
+          </p>
+        )}
+
+        <div ref={messagesEndRef} />
+      </div>
+
+      {error && (
+        <p className="px-4 pb-2 text-xs text-red-600 dark:text-red-400">{t(`common.chatWidget.errors.${error}`)}</p>
+      )}
+
+      {isClosed ? (
+        <div className="p-4 border-t border-gray-200 dark:border-gray-700 text-center space-y-2">
+          <p className="text-sm text-gray-500 dark:text-gray-400">{t('common.chatWidget.conversationEnded')}</p>
+          <button
+            onClick={handleNewConversation}
+            className="px-3 py-2 text-sm font-medium text-white rounded-md"
+            style={{ backgroundColor: config.color }}
+          >
+            {t('common.chatWidget.newConversation')}
+          </button>
+        </div>
+      ) : (
+        <form onSubmit={handleSend} className="flex items-end gap-2 p-3 border-t border-gray-200 dark:border-gray-700">
+          <textarea
+            value={newMessage}
+            onChange={(e) => handleTyping(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter' && !e.shiftKey) handleSend(e)
+            }}
+            rows={1}
+            placeholder={t('common.chatWidget.placeholder')}
+            className="flex-1 resize-none px-3 py-2 text-sm bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 rounded-md dark:text-white focus:ring-2 focus:ring-blue-500"
+          />
+          <button
+            type="submit"
+            disabled={sending || !newMessage.trim()}
+            className="px-3 py-2 text-sm font-medium text-white rounded-md disabled:opacity-50"
+            style={{ backgroundColor: config.color }}
+          >
+            {t('common.chatWidget.send')}
+          </button>
+        </form>
+      )}
+    </div>
+  )
+}
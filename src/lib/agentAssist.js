@@ -0,0 +1,84 @@
+import { supabase } from './supabaseClient'
+
+export const DRAFT_OUTCOMES = ['accepted', 'edited', 'discarded']
+
+/**
+ * Drafts a reply to the customer's latest message from the organization's
+ * knowledge base. Resolves to { draft, citations }; draft is null when no
+ * document matched the conversation.
+ */
+export async function requestReplyDraft(ticketId) {
+  try {
+    const { data: { session } } = await supabase.auth.getSession()
+
+    const response = await fetch(`${import.meta.env.VITE_SUPABASE_URL}/functions/v1/agent-assist`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${session?.access_token}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ ticket_id: ticketId })
+    })
+
+    const result = await response.json()
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to draft a reply')
+    }
+
+    return result
+  } catch (error) {
+    console.error('Error requesting reply draft:', error)
+    throw error
+  }
+}
+
+/**
+ * Records what the agent did with a draft. Only a pending draft can be
+ * resolved, so the first outcome recorded sticks.
+ */
+export async function resolveReplyDraft(draftId, outcome, commentId = null) {
+  try {
+    const { error } = await supabase
+      .from('reply_drafts')
+      .update({ outcome, comment_id: commentId, resolved_at: new Date().toISOString() })
+      .eq('id', draftId)
+      .eq('outcome', 'pending')
+
+    if (error) throw error
+  } catch (error) {
+    console.error('Error resolving reply draft:', error)
+    throw error
+  }
+}
+
+// A sent reply counts as accepted only if the draft went out unchanged
+export function getSentDraftOutcome(draft, sentContent) {
+  return sentContent.trim() === draft.content.trim() ? 'accepted' : 'edited'
+}
+
+/**
+ * How agents used the drafts created since a date
+ */
+export async function fetchDraftStats(since) {
+  try {
+    // Counted per outcome so the stats aren't capped at one page of rows
+    const outcomes = ['accepted', 'edited', 'discarded', 'pending']
+    const counts = await Promise.all(outcomes.map(async (outcome) => {
+      let query = supabase
+        .from('reply_drafts')
+        .select('outcome', { count: 'exact', head: true })
+        .eq('outcome', outcome)
+
+      if (since) query = query.gte('created_at', since.toISOString())
+
+      const { count, error } = await query
+      if (error) throw error
+      return count || 0
+    }))
+
+    return Object.fromEntries(outcomes.map((outcome, i) => [outcome, counts[i]]))
+  } catch (error) {
+    console.error('Error fetching reply draft stats:', error)
+    throw error
+  }
+}
@@ -0,0 +1,241 @@
+import { supabase } from './supabaseClient'
+
+// Mirrors the checks on automation_rules and supabase/functions/_shared/automationRules.ts
+export const AUTOMATION_TRIGGERS = ['ticket_created', 'ticket_updated', 'scheduled']
+
+// Operators each condition field supports, the first being the default
+export const CONDITION_OPERATORS = {
+  organization: ['equals', 'not_equals', 'is_empty'],
+  priority: ['equals', 'not_equals'],
+  status: ['equals', 'not_equals'],
+  type: ['equals', 'not_equals', 'is_empty'],
+  tags: ['includes', 'excludes'],
+  keywords: ['contains_any', 'contains_none'],
+  hours_since_last_reply: ['greater_than', 'less_than']
+}
+
+export const CONDITION_FIELDS = Object.keys(CONDITION_OPERATORS)
+
+export const ACTION_TYPES = ['assign_team', 'assign_agent', 'set_priority', 'set_status', 'add_tag', 'add_note', 'send_email']
+
+export function createEmptyCondition(field = 'priority') {
+  return { field, operator: CONDITION_OPERATORS[field][0], value: '' }
+}
+
+export function createEmptyAction(type = 'assign_team') {
+  return {
+    type,
+    value: type === 'send_email' ? { to: 'customer', subject: '', body: '' } : ''
+  }
+}
+
+/**
+ * Returns every rule in the order they run
+ */
+export async function fetchAutomationRules() {
+  try {
+    const { data, error } = await supabase
+      .from('automation_rules')
+      .select('*')
+      .order('position', { ascending: true })
+      .order('created_at', { ascending: true })
+
+    if (error) throw error
+    return data || []
+  } catch (error) {
+    console.error('Error fetching automation rules:', error)
+    throw error
+  }
+}
+
+/**
+ * Creates a rule at the end of the list, or updates an existing one
+ * @param {Object} rule - name, description, is_active, triggers, match_type, conditions, actions, stop_processing
+ */
+export async function saveAutomationRule(rule) {
+  try {
+    const fields = {
+      name: rule.name.trim(),
+      description: rule.description?.trim() || null,
+      is_active: rule.is_active,
+      triggers: rule.triggers,
+      match_type: rule.match_type,
+      conditions: rule.conditions,
+      actions: rule.actions,
+      stop_processing: rule.stop_processing,
+      updated_at: new Date().toISOString()
+    }
+
+    if (rule.id) {
+      const { data, error } = await supabase
+        .from('automation_rules')
+        .update(fields)
+        .eq('id', rule.id)
+        .select()
+        .single()
+
+      if (error) throw error
+      return data
+    }
+
+    const { data: { user } } = await supabase.auth.getUser()
+    const { data: last } = await supabase
+      .from('automation_rules')
+      .select('position')
+      .order('position', { ascending: false })
+      .limit(1)
+      .maybeSingle()
+
+    const { data, error } = await supabase
+      .from('automation_rules')
+      .insert({ ...fields, position: (last?.position ?? -1) + 1, created_by: user?.id })
+      .select()
+      .single()
+
+    if (error) throw error
+    return data
+  } catch (error) {
+    console.error('Error saving automation rule:', error)
+    throw error
+  }
+}
+
+export async function setAutomationRuleActive(ruleId, isActive) {
+  try {
+    const { error } = await supabase
+      .from('automation_rules')
+      .update({ is_active: isActive, updated_at: new Date().toISOString() })
+      .eq('id', ruleId)
+
+    if (error) throw error
+  } catch (error) {
+    console.error('Error updating automation rule:', error)
+    throw error
+  }
+}
+
+export async function deleteAutomationRule(ruleId) {
+  try {
+    const { error } = await supabase
+      .from('automation_rules')
+      .delete()
+      .eq('id', ruleId)
+
+    if (error) throw error
+  } catch (error) {
+    console.error('Error deleting automation rule:', error)
+    throw error
+  }
+}
+
+/**
+ * Stores the given order of rules as their positions
+ * @param {string[]} ruleIds - every rule id, first to run first
+ */
+export async function reorderAutomationRules(ruleIds) {
+  try {
+    const results = await Promise.all(ruleIds.map((id, position) =>
+      supabase
+        .from('automation_rules')
+        .update({ position })
+        .eq('id', id)
+    ))
+
+    const failed = results.find(result => result.error)
+    if (failed) throw failed.error
+  } catch (error) {
+    console.error('Error reordering automation rules:', error)
+    throw error
+  }
+}
+
+/**
+ * Returns the most recent rule runs, newest first, with the ticket title
+ */
+export async function fetchAutomationRuns({ ruleId, limit = 50 } = {}) {
+  try {
+    let query = supabase
+      .from('automation_rule_runs')
+      .select(`
+        *,
+        ticket:tickets(id, title)
+      `)
+      .order('created_at', { ascending: false })
+      .limit(limit)
+
+    if (ruleId) query = query.eq('rule_id', ruleId)
+
+    const { data, error } = await query
+
+    if (error) throw error
+    return data || []
+  } catch (error) {
+    console.error('Error fetching automation runs:', error)
+    throw error
+  }
+}
+
+/**
+ * Organizations, teams and agents the rule editor offers as values
+ */
+export async function fetchAutomationTargets() {
+  try {
+    const [organizations, teams, agents] = await Promise.all([
+      supabase.from('organizations').select('id, name').order('name'),
+      supabase.from('teams').select('id, name').order('name'),
+      supabase.from('profiles').select('id, full_name, email').eq('role', 'agent').order('full_name')
+    ])
+
+    const failed = [organizations, teams, agents].find(result => result.error)
+    if (failed) throw failed.error
+
+    return {
+      organizations: organizations.data || [],
+      teams: teams.data || [],
+      agents: agents.data || []
+    }
+  } catch (error) {
+    console.error('Error fetching automation targets:', error)
+    throw error
+  }
+}
+
+/**
+ * Dry-runs a rule, saved or not, against recent tickets. Nothing is changed;
+ * returns { evaluated, matches: [{ ticket, changes, effects, skipped }] }.
+ */
+export async function previewAutomationRule(rule) {
+  try {
+    const { data: { session } } = await supabase.auth.getSession()
+    if (!session) {
+      throw new Error('Not authenticated')
+    }
+
+    const response = await fetch(`${import.meta.env.VITE_SUPABASE_URL}/functions/v1/run-automations`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${session.access_token}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        dry_run: true,
+        rule: {
+          name: rule.name,
+          match_type: rule.match_type,
+          conditions: rule.conditions,
+          actions: rule.actions
+        }
+      })
+    })
+
+    const result = await response.json()
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to preview rule')
+    }
+
+    return result
+  } catch (error) {
+    console.error('Error previewing automation rule:', error)
+    throw error
+  }
+}
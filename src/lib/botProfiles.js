@@ -0,0 +1,82 @@
+import { supabase } from './supabaseClient'
+
+// Mirror the bot_profiles column defaults
+export const DEFAULT_CONFIDENCE_THRESHOLD = 0.35
+export const HANDOFF_MODES = ['notice', 'silent']
+
+export async function fetchBotProfile(teamId) {
+  try {
+    const { data, error } = await supabase
+      .from('bot_profiles')
+      .select('*')
+      .eq('team_id', teamId)
+      .maybeSingle()
+
+    if (error) throw error
+    return data
+  } catch (error) {
+    console.error('Error fetching bot profile:', error)
+    throw error
+  }
+}
+
+export async function fetchBotProfilesByIds(botProfileIds) {
+  if (!botProfileIds.length) return []
+
+  try {
+    const { data, error } = await supabase
+      .from('bot_profiles')
+      .select('id, team_id, display_name, avatar_url')
+      .in('id', botProfileIds)
+
+    if (error) throw error
+    return data || []
+  } catch (error) {
+    console.error('Error fetching bot profiles:', error)
+    throw error
+  }
+}
+
+export async function saveBotProfile(teamId, {
+  display_name,
+  avatar_url,
+  persona_prompt,
+  confidence_threshold,
+  handoff_mode,
+  handoff_message
+}) {
+  try {
+    const { data, error } = await supabase
+      .from('bot_profiles')
+      .upsert({
+        team_id: teamId,
+        display_name: display_name.trim(),
+        avatar_url: avatar_url?.trim() || null,
+        persona_prompt: persona_prompt?.trim() || null,
+        confidence_threshold,
+        handoff_mode,
+        handoff_message: handoff_message?.trim() || null,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'team_id' })
+      .select()
+      .single()
+
+    if (error) throw error
+    return data
+  } catch (error) {
+    console.error('Error saving bot profile:', error)
+    throw error
+  }
+}
+
+/**
+ * Shapes a bot profile like a comment author so the chat can render it
+ */
+export function botProfileToAuthor(botProfile) {
+  return {
+    id: botProfile?.id,
+    full_name: botProfile?.display_name,
+    avatar_url: botProfile?.avatar_url,
+    is_bot: true
+  }
+}
@@ -0,0 +1,198 @@
+import { supabase } from './supabaseClient'
+import { normalizeTag, updateTicketTags } from './ticketFields'
+import { assignTicketToAgent, assignTicketToTeam, updateTicketStatus } from './ticketQueries'
+
+// Mirrors the check on canned_responses.scope
+export const CANNED_RESPONSE_SCOPES = ['personal', 'team', 'organization']
+
+export const MACRO_ACTION_TYPES = ['set_status', 'set_priority', 'add_tag', 'assign_team', 'assign_agent']
+
+// Variables renderCannedResponse fills in; agent is whoever inserts the reply
+export const CANNED_RESPONSE_VARIABLES = [
+  'customer.full_name',
+  'customer.email',
+  'ticket.title',
+  'ticket.id',
+  'ticket.status',
+  'ticket.priority',
+  'agent.full_name',
+  'agent.email'
+]
+
+export function createEmptyMacroAction(type = 'set_status') {
+  return { type, value: '' }
+}
+
+/**
+ * Returns every canned response the signed-in user can use, by name
+ */
+export async function fetchCannedResponses() {
+  try {
+    const { data, error } = await supabase
+      .from('canned_responses')
+      .select(`
+        *,
+        team:teams(id, name),
+        organization:organizations(id, name)
+      `)
+      .order('name', { ascending: true })
+
+    if (error) throw error
+    return data || []
+  } catch (error) {
+    console.error('Error fetching canned responses:', error)
+    throw error
+  }
+}
+
+/**
+ * Creates or updates a canned response. Only the column of its scope is kept,
+ * so moving a response from a team to personal drops the team.
+ * @param {Object} response - name, shortcut, content, scope, team_id, organization_id, actions
+ */
+export async function saveCannedResponse(response) {
+  try {
+    const { data: { user } } = await supabase.auth.getUser()
+    const fields = {
+      name: response.name.trim(),
+      shortcut: response.shortcut?.trim().toLowerCase() || null,
+      content: response.content.trim(),
+      scope: response.scope,
+      owner_id: response.scope === 'personal' ? response.owner_id || user.id : null,
+      team_id: response.scope === 'team' ? response.team_id : null,
+      organization_id: response.scope === 'organization' ? response.organization_id : null,
+      actions: response.actions.filter(action => action.type === 'assign_team' || action.type === 'assign_agent' || action.value),
+      updated_at: new Date().toISOString()
+    }
+
+    const query = response.id
+      ? supabase.from('canned_responses').update(fields).eq('id', response.id)
+      : supabase.from('canned_responses').insert(fields)
+
+    const { data, error } = await query
+      .select(`
+        *,
+        team:teams(id, name),
+        organization:organizations(id, name)
+      `)
+      .single()
+
+    if (error) throw error
+    return data
+  } catch (error) {
+    console.error('Error saving canned response:', error)
+    throw error
+  }
+}
+
+export async function deleteCannedResponse(responseId) {
+  try {
+    const { error } = await supabase
+      .from('canned_responses')
+      .delete()
+      .eq('id', responseId)
+
+    if (error) throw error
+  } catch (error) {
+    console.error('Error deleting canned response:', error)
+    throw error
+  }
+}
+
+/**
+ * The responses to offer on a ticket: organization responses only on that
+ * organization's tickets, personal and team ones everywhere
+ */
+export function getResponsesForTicket(responses, ticket) {
+  return responses.filter(response =>
+    response.scope !== 'organization' || response.organization_id === ticket?.organization_id
+  )
+}
+
+/**
+ * Responses whose shortcut or name matches what was typed after the slash,
+ * shortcut matches first
+ */
+export function searchCannedResponses(responses, query) {
+  const search = query.trim().toLowerCase()
+  if (!search) return responses
+
+  const byShortcut = responses.filter(response => response.shortcut?.startsWith(search))
+  const byName = responses.filter(response =>
+    !byShortcut.includes(response) && response.name.toLowerCase().includes(search)
+  )
+  return [...byShortcut, ...byName]
+}
+
+/**
+ * Fills {{customer.*}}, {{ticket.*}} and {{agent.*}} variables into a
+ * response. Unknown variables are left as they are so they stand out.
+ * @param {string} content
+ * @param {{ticket: Object, customer: Object, agent: Object}} context
+ */
+export function renderCannedResponse(content, context) {
+  return String(content ?? '').replace(/\{\{\s*(\w+)\.(\w+)\s*\}\}/g, (match, object, key) =>
+    CANNED_RESPONSE_VARIABLES.includes(`${object}.${key}`) ? String(context[object]?.[key] ?? '') : match
+  )
+}
+
+/**
+ * Runs a macro's actions on a ticket, in order, and returns the ticket as it
+ * is afterwards with its agent and team. Status changes go through the
+ * lifecycle, so a macro can't reopen a closed ticket.
+ */
+export async function applyMacroActions(ticketId, actions) {
+  try {
+    for (const action of actions) {
+      switch (action.type) {
+        case 'set_status':
+          await updateTicketStatus(ticketId, action.value)
+          break
+        case 'set_priority': {
+          const { error } = await supabase
+            .from('tickets')
+            .update({ priority: action.value })
+            .eq('id', ticketId)
+
+          if (error) throw error
+          break
+        }
+        case 'add_tag': {
+          const { data, error } = await supabase
+            .from('tickets')
+            .select('tags')
+            .eq('id', ticketId)
+            .single()
+
+          if (error) throw error
+          await updateTicketTags(ticketId, [...(data.tags || []), normalizeTag(action.value)])
+          break
+        }
+        case 'assign_team':
+          await assignTicketToTeam(ticketId, action.value || null)
+          break
+        case 'assign_agent':
+          await assignTicketToAgent(ticketId, action.value || null)
+          break
+        default:
+          throw new Error(`Unknown macro action: ${action.type}`)
+      }
+    }
+
+    const { data, error } = await supabase
+      .from('tickets')
+      .select(`
+        *,
+        agent:profiles!agent_id(id, email, full_name),
+        teams:teams(id, name, created_by)
+      `)
+      .eq('id', ticketId)
+      .single()
+
+    if (error) throw error
+    return data
+  } catch (error) {
+    console.error('Error applying macro:', error)
+    throw error
+  }
+}
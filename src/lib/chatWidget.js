@@ -0,0 +1,233 @@
+import { createClient } from '@supabase/supabase-js'
+
+// The widget runs inside other sites' pages with a session of its own, so a
+// visitor's chat never signs them in (or out) of the help portal and vice versa
+const chatClient = createClient(import.meta.env.VITE_SUPABASE_URL, import.meta.env.VITE_SUPABASE_ANON_KEY, {
+  auth: {
+    storageKey: 'aiyudo-chat-widget',
+    persistSession: true,
+    autoRefreshToken: true,
+    detectSessionInUrl: false
+  }
+})
+
+// Messages the host page and the widget iframe exchange through postMessage
+export const WIDGET_MESSAGE_SOURCE = 'aiyudo-chat'
+
+const conversationKey = (organizationId) => `aiyudo-chat-conversation:${organizationId}`
+
+export function getStoredConversation(organizationId) {
+  return localStorage.getItem(conversationKey(organizationId))
+}
+
+export function storeConversation(organizationId, ticketId) {
+  if (ticketId) localStorage.setItem(conversationKey(organizationId), ticketId)
+  else localStorage.removeItem(conversationKey(organizationId))
+}
+
+/**
+ * The organization's widget settings, or null when its widget is turned off
+ */
+export async function fetchWidgetConfig(organizationId) {
+  try {
+    const { data, error } = await chatClient.rpc('get_chat_widget', { target_organization: organizationId })
+
+    if (error) throw error
+    return data
+  } catch (error) {
+    console.error('Error fetching chat widget:', error)
+    throw error
+  }
+}
+
+/**
+ * The visitor's session and customer profile. Visitors without a session are
+ * signed in anonymously; the profile is filled in when they leave an email.
+ */
+export async function ensureVisitor() {
+  try {
+    let { data: { session } } = await chatClient.auth.getSession()
+
+    if (!session) {
+      const { data, error } = await chatClient.auth.signInAnonymously()
+      if (error) throw error
+      session = data.session
+    }
+
+    let { data: profile, error } = await chatClient
+      .from('profiles')
+      .select('id, email, full_name, role')
+      .eq('id', session.user.id)
+      .maybeSingle()
+
+    if (error) throw error
+
+    // Nothing creates profiles on sign-up; the visitor creates their own, as Auth does
+    if (!profile) {
+      const { data: created, error: insertError } = await chatClient
+        .from('profiles')
+        .insert([{ id: session.user.id, role: 'customer' }])
+        .select('id, email, full_name, role')
+        .single()
+
+      if (insertError) throw insertError
+      profile = created
+    }
+
+    // Same default as the help portal gives a new account
+    if (!profile.role) {
+      const { error: updateError } = await chatClient
+        .from('profiles')
+        .update({ role: 'customer' })
+        .eq('id', profile.id)
+
+      if (updateError) throw updateError
+      profile.role = 'customer'
+    }
+
+    return { user: session.user, profile }
+  } catch (error) {
+    console.error('Error starting chat session:', error)
+    throw error
+  }
+}
+
+export async function startConversation(organizationId, message, language) {
+  try {
+    const { data, error } = await chatClient.rpc('start_chat_conversation', {
+      target_organization: organizationId,
+      first_message: message,
+      conversation_language: language
+    })
+
+    if (error) throw error
+    return data
+  } catch (error) {
+    console.error('Error starting chat conversation:', error)
+    throw error
+  }
+}
+
+/**
+ * The conversation's ticket with its public messages, oldest first. Returns
+ * null when the ticket is gone or no longer belongs to this visitor.
+ */
+export async function fetchConversation(ticketId) {
+  try {
+    const [ticketResponse, commentsResponse] = await Promise.all([
+      chatClient
+        .from('tickets')
+        .select('id, status, needs_human, customer_id')
+        .eq('id', ticketId)
+        .maybeSingle(),
+      chatClient
+        .from('ticket_comments')
+        .select('id, user_id, content, is_bot, bot_profile_id, created_at')
+        .eq('ticket_id', ticketId)
+        .eq('is_internal', false)
+        .order('created_at', { ascending: true })
+    ])
+
+    if (ticketResponse.error) throw ticketResponse.error
+    if (commentsResponse.error) throw commentsResponse.error
+    if (!ticketResponse.data) return null
+
+    return { ticket: ticketResponse.data, messages: commentsResponse.data }
+  } catch (error) {
+    console.error('Error fetching chat conversation:', error)
+    throw error
+  }
+}
+
+export async function sendMessage(ticketId, userId, content) {
+  try {
+    const { data, error } = await chatClient
+      .from('ticket_comments')
+      .insert({
+        ticket_id: ticketId,
+        user_id: userId,
+        content,
+        is_internal: false
+      })
+      .select('id, user_id, content, is_bot, bot_profile_id, created_at')
+      .single()
+
+    if (error) throw error
+    return data
+  } catch (error) {
+    console.error('Error sending chat message:', error)
+    throw error
+  }
+}
+
+export async function updateVisitorTyping(ticketId, userId, isTyping) {
+  try {
+    const { error } = await chatClient
+      .from('typing_status')
+      .upsert({
+        ticket_id: ticketId,
+        user_id: userId,
+        is_typing: isTyping,
+        updated_at: new Date().toISOString()
+      })
+
+    if (error) throw error
+  } catch (error) {
+    console.error('Error updating typing status:', error)
+  }
+}
+
+/**
+ * Saves the contact details a visitor leaves when a human takes over. The
+ * profile gets them right away so agents and reply emails can use them; the
+ * auth update emails a link that turns the anonymous account into a real one.
+ */
+export async function saveVisitorContact(userId, { name, email }) {
+  try {
+    const normalizedEmail = email.trim().toLowerCase()
+
+    const { error: authError } = await chatClient.auth.updateUser({ email: normalizedEmail })
+    if (authError) throw authError
+
+    const { data, error } = await chatClient
+      .from('profiles')
+      .update({ email: normalizedEmail, full_name: name?.trim() || null })
+      .eq('id', userId)
+      .select('id, email, full_name, role')
+      .single()
+
+    if (error) throw error
+    return data
+  } catch (error) {
+    console.error('Error saving chat contact details:', error)
+    throw error
+  }
+}
+
+/**
+ * Live updates for a conversation: new messages, the ticket's status and
+ * handoff flag, who is typing, and bot runs in progress. Returns a function
+ * that unsubscribes.
+ */
+export function subscribeToConversation(ticketId, { onMessage, onTicket, onTyping, onBotRun }) {
+  const filter = `ticket_id=eq.${ticketId}`
+  const channel = chatClient
+    .channel(`chat_widget_${ticketId.replace(/[^a-zA-Z0-9]/g, '_')}`)
+    .on('postgres_changes', { event: 'INSERT', schema: 'public', table: 'ticket_comments', filter }, ({ new: comment }) => {
+      if (!comment.is_internal) onMessage(comment)
+    })
+    .on('postgres_changes', { event: 'UPDATE', schema: 'public', table: 'tickets', filter: `id=eq.${ticketId}` }, ({ new: ticket }) => {
+      onTicket(ticket)
+    })
+    .on('postgres_changes', { event: '*', schema: 'public', table: 'typing_status', filter }, ({ new: status }) => {
+      if (status?.user_id) onTyping(status)
+    })
+    .on('postgres_changes', { event: '*', schema: 'public', table: 'bot_reply_runs', filter }, ({ new: run }) => {
+      if (run?.comment_id) onBotRun(run)
+    })
+    .subscribe()
+
+  return () => {
+    chatClient.removeChannel(channel)
+  }
+}
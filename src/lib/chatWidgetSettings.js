@@ -0,0 +1,49 @@
+import { supabase } from './supabaseClient'
+
+// Mirrors the column defaults on organizations
+export const DEFAULT_CHAT_WIDGET_SETTINGS = {
+  chat_widget_enabled: false,
+  chat_widget_greeting: '',
+  chat_widget_color: '#2563eb'
+}
+
+export async function fetchChatWidgetSettings(organizationId) {
+  try {
+    const { data, error } = await supabase
+      .from('organizations')
+      .select('chat_widget_enabled, chat_widget_greeting, chat_widget_color')
+      .eq('id', organizationId)
+      .single()
+
+    if (error) throw error
+    return { ...data, chat_widget_greeting: data.chat_widget_greeting ?? '' }
+  } catch (error) {
+    console.error('Error fetching chat widget settings:', error)
+    throw error
+  }
+}
+
+export async function saveChatWidgetSettings(organizationId, settings) {
+  try {
+    const { error } = await supabase
+      .from('organizations')
+      .update({
+        chat_widget_enabled: !!settings.chat_widget_enabled,
+        chat_widget_greeting: settings.chat_widget_greeting?.trim() || null,
+        chat_widget_color: settings.chat_widget_color
+      })
+      .eq('id', organizationId)
+
+    if (error) throw error
+  } catch (error) {
+    console.error('Error saving chat widget settings:', error)
+    throw error
+  }
+}
+
+/**
+ * The script tag an organization puts on its site to show the widget
+ */
+export function getChatWidgetSnippet(organizationId) {
+  return `<script src="${window.location.origin}/widget.js" data-organization="${organizationId}" async></script>`
+}
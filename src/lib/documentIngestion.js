@@ -0,0 +1,205 @@
+import { supabase } from './supabaseClient'
+
+/**
+ * Knowledge document formats the support bot can learn from. Extraction runs
+ * in the ingest-documents edge function; a new format needs an extractor in
+ * supabase/functions/_shared/documentExtractors.ts and an entry here.
+ * Browsers often leave file.type empty for Markdown, so extensions are checked too.
+ */
+export const SUPPORTED_DOCUMENT_FORMATS = [
+  {
+    format: 'pdf',
+    mimeTypes: ['application/pdf'],
+    extensions: ['pdf']
+  },
+  {
+    format: 'docx',
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    extensions: ['docx']
+  },
+  {
+    format: 'markdown',
+    mimeTypes: ['text/markdown', 'text/x-markdown'],
+    extensions: ['md', 'markdown']
+  },
+  {
+    format: 'html',
+    mimeTypes: ['text/html', 'application/xhtml+xml'],
+    extensions: ['html', 'htm', 'xhtml']
+  },
+  {
+    format: 'text',
+    mimeTypes: ['text/plain'],
+    extensions: ['txt', 'text']
+  }
+]
+
+/**
+ * Finds a file's document format by MIME type, falling back to its extension
+ * @param {{name: string, type?: string}} file
+ */
+export function getDocumentFormat(file) {
+  const extension = file?.name?.split('.').pop()?.toLowerCase()
+  return SUPPORTED_DOCUMENT_FORMATS.find(format => format.mimeTypes.includes(file?.type)) ||
+    SUPPORTED_DOCUMENT_FORMATS.find(format => format.extensions.includes(extension)) ||
+    null
+}
+
+export function isSupportedDocument(file) {
+  return getDocumentFormat(file) !== null
+}
+
+/**
+ * Records an uploaded organization file and, if the bot can read it, queues it
+ * for background indexing. Passing replacesFileId uploads a new version of that
+ * document; the old version keeps answering until the new one is indexed.
+ * @param {File} file - The uploaded file
+ * @param {string} organizationId - The ID of the organization this document belongs to
+ * @param {string} filePath - The path where the file was uploaded
+ * @param {Object} [options]
+ * @param {string} [options.description] - Description shown in the files list
+ * @param {string} [options.replacesFileId] - organization_files id of the version being replaced
+ * @returns {Promise<Object>} The organization_files record
+ */
+export async function addOrganizationFile(file, organizationId, filePath, { description, replacesFileId } = {}) {
+  try {
+    let versionFields = {}
+    if (replacesFileId) {
+      const { data: previous, error: previousError } = await supabase
+        .from('organization_files')
+        .select('document_id, description')
+        .eq('id', replacesFileId)
+        .single()
+
+      if (previousError) throw previousError
+
+      const { data: latest, error: latestError } = await supabase
+        .from('organization_files')
+        .select('version')
+        .eq('document_id', previous.document_id)
+        .order('version', { ascending: false })
+        .limit(1)
+        .single()
+
+      if (latestError) throw latestError
+
+      versionFields = {
+        document_id: previous.document_id,
+        version: latest.version + 1
+      }
+      description = description?.trim() ? description : previous.description
+    }
+
+    const { data: fileRecord, error: fileError } = await supabase
+      .from('organization_files')
+      .insert({
+        organization_id: organizationId,
+        storage_path: filePath,
+        file_name: file.name,
+        file_type: file.type || 'application/octet-stream',
+        file_size: file.size,
+        description: description?.trim() || null,
+        has_embeddings: false,
+        ...versionFields
+      })
+      .select()
+      .single()
+
+    if (fileError) throw fileError
+
+    if (isSupportedDocument(file)) {
+      await queueDocumentIngestion([fileRecord.id])
+    } else if (replacesFileId) {
+      // Nothing to index, so the new version takes over right away
+      await publishDocumentVersion(fileRecord.id)
+    }
+
+    return fileRecord
+  } catch (error) {
+    console.error('Error adding organization file:', error)
+    throw error
+  }
+}
+
+/**
+ * Makes a version the current one and retires the older versions of its
+ * document. The ingestion worker does this itself once a version is indexed.
+ * @param {string} fileId - organization_files id of the version
+ */
+export async function publishDocumentVersion(fileId) {
+  try {
+    const { error } = await supabase.rpc('publish_document_version', { file_id: fileId })
+
+    if (error) throw error
+  } catch (error) {
+    console.error('Error publishing document version:', error)
+    throw error
+  }
+}
+
+/**
+ * Queues (re-)indexing jobs; the ingest-documents edge function does the work.
+ * Files that already have a job in flight are skipped.
+ * @param {Array<string>} fileIds - organization_files ids
+ */
+export async function queueDocumentIngestion(fileIds) {
+  if (!fileIds.length) return []
+
+  try {
+    const { data, error } = await supabase.rpc('queue_document_ingestion', { file_ids: fileIds })
+
+    if (error) throw error
+    return data || []
+  } catch (error) {
+    console.error('Error queueing document ingestion:', error)
+    throw error
+  }
+}
+
+/**
+ * Re-indexes the current version of every supported document of an organization
+ */
+export async function reindexOrganizationFiles(organizationId) {
+  try {
+    const { data: files, error } = await supabase
+      .from('organization_files')
+      .select('id, file_name, file_type')
+      .eq('organization_id', organizationId)
+      .is('superseded_at', null)
+
+    if (error) throw error
+
+    const supportedFileIds = files
+      .filter(file => isSupportedDocument({ name: file.file_name, type: file.file_type }))
+      .map(file => file.id)
+
+    return queueDocumentIngestion(supportedFileIds)
+  } catch (error) {
+    console.error('Error re-indexing organization files:', error)
+    throw error
+  }
+}
+
+/**
+ * The most recent ingestion job of each file, keyed by file id
+ */
+export async function fetchLatestIngestionJobs(organizationId) {
+  try {
+    const { data, error } = await supabase
+      .from('document_ingestion_jobs')
+      .select('id, file_id, status, attempts, max_attempts, next_attempt_at, chunks_done, chunks_total, error, created_at')
+      .eq('organization_id', organizationId)
+      .order('created_at', { ascending: false })
+
+    if (error) throw error
+
+    const jobsByFileId = {}
+    for (const job of data || []) {
+      if (!jobsByFileId[job.file_id]) jobsByFileId[job.file_id] = job
+    }
+    return jobsByFileId
+  } catch (error) {
+    console.error('Error fetching ingestion jobs:', error)
+    throw error
+  }
+}
@@ -0,0 +1,57 @@
+import { supabase } from './supabaseClient'
+
+export async function fetchInboundEmailAddress(organizationId) {
+  try {
+    const { data, error } = await supabase
+      .from('organizations')
+      .select('inbound_email_address')
+      .eq('id', organizationId)
+      .single()
+
+    if (error) throw error
+    return data.inbound_email_address
+  } catch (error) {
+    console.error('Error fetching inbound email address:', error)
+    throw error
+  }
+}
+
+/**
+ * Sets the address whose emails open tickets in the organization; an empty
+ * address turns the channel off. Addresses are unique across organizations.
+ */
+export async function saveInboundEmailAddress(organizationId, address) {
+  try {
+    const normalized = address?.trim().toLowerCase() || null
+    const { error } = await supabase
+      .from('organizations')
+      .update({ inbound_email_address: normalized })
+      .eq('id', organizationId)
+
+    if (error) throw error
+    return normalized
+  } catch (error) {
+    console.error('Error saving inbound email address:', error)
+    throw error
+  }
+}
+
+/**
+ * The most recent emails the channel received for the organization, newest first
+ */
+export async function fetchInboundEmails(organizationId, limit = 20) {
+  try {
+    const { data, error } = await supabase
+      .from('inbound_emails')
+      .select('id, from_email, subject, status, reason, ticket_id, attachment_count, created_at')
+      .eq('organization_id', organizationId)
+      .order('created_at', { ascending: false })
+      .limit(limit)
+
+    if (error) throw error
+    return data
+  } catch (error) {
+    console.error('Error fetching inbound emails:', error)
+    throw error
+  }
+}
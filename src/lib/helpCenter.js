@@ -0,0 +1,286 @@
+import { supabase } from './supabaseClient'
+
+export const DEFLECTION_CHANNELS = ['help_center', 'new_ticket']
+
+export function getHelpCenterPath(organizationId) {
+  return `/help/${organizationId}`
+}
+
+/**
+ * The help center's name, or null when the organization hasn't opened one
+ */
+export async function fetchHelpCenter(organizationId) {
+  try {
+    const { data, error } = await supabase.rpc('get_help_center', { target_organization: organizationId })
+
+    if (error) throw error
+    return data
+  } catch (error) {
+    console.error('Error fetching help center:', error)
+    throw error
+  }
+}
+
+export async function fetchPublishedArticles(organizationId) {
+  try {
+    const { data, error } = await supabase
+      .from('help_articles')
+      .select('id, title, summary, position')
+      .eq('organization_id', organizationId)
+      .eq('is_published', true)
+      .order('position', { ascending: true })
+      .order('title', { ascending: true })
+
+    if (error) throw error
+    return data
+  } catch (error) {
+    console.error('Error fetching help articles:', error)
+    throw error
+  }
+}
+
+export async function fetchPublishedArticle(articleId) {
+  try {
+    const { data, error } = await supabase
+      .from('help_articles')
+      .select('id, organization_id, title, summary, body, updated_at')
+      .eq('id', articleId)
+      .eq('is_published', true)
+      .maybeSingle()
+
+    if (error) throw error
+    return data
+  } catch (error) {
+    console.error('Error fetching help article:', error)
+    throw error
+  }
+}
+
+/**
+ * Published articles matching a question, ranked by the help-center-search
+ * edge function with the same retrieval the bot answers from
+ */
+export async function searchHelpCenter(organizationId, query, { limit } = {}) {
+  try {
+    const { data: { session } } = await supabase.auth.getSession()
+    // Signed-out visitors search with the anon key
+    const token = session?.access_token ?? import.meta.env.VITE_SUPABASE_ANON_KEY
+
+    const response = await fetch(`${import.meta.env.VITE_SUPABASE_URL}/functions/v1/help-center-search`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ organization_id: organizationId, query, limit })
+    })
+
+    const result = await response.json()
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to search the help center')
+    }
+
+    return result.articles
+  } catch (error) {
+    console.error('Error searching help center:', error)
+    throw error
+  }
+}
+
+/**
+ * Records whether self-service answered the customer: 'deflected' when it did,
+ * 'escalated' when they went on to contact support
+ */
+export async function recordDeflection({ organizationId, channel, outcome, articleId = null, query = null }) {
+  try {
+    const { error } = await supabase.rpc('record_ticket_deflection', {
+      target_organization: organizationId,
+      deflection_channel: channel,
+      deflection_outcome: outcome,
+      target_article: articleId,
+      query
+    })
+
+    if (error) throw error
+  } catch (error) {
+    console.error('Error recording deflection:', error)
+    throw error
+  }
+}
+
+export async function fetchHelpCenterEnabled(organizationId) {
+  try {
+    const { data, error } = await supabase
+      .from('organizations')
+      .select('help_center_enabled')
+      .eq('id', organizationId)
+      .single()
+
+    if (error) throw error
+    return data.help_center_enabled
+  } catch (error) {
+    console.error('Error fetching help center setting:', error)
+    throw error
+  }
+}
+
+export async function saveHelpCenterEnabled(organizationId, enabled) {
+  try {
+    const { error } = await supabase
+      .from('organizations')
+      .update({ help_center_enabled: enabled })
+      .eq('id', organizationId)
+
+    if (error) throw error
+  } catch (error) {
+    console.error('Error saving help center setting:', error)
+    throw error
+  }
+}
+
+/**
+ * Every article of the organization, drafts included (admins only)
+ */
+export async function fetchHelpArticles(organizationId) {
+  try {
+    const { data, error } = await supabase
+      .from('help_articles')
+      .select('*')
+      .eq('organization_id', organizationId)
+      .order('position', { ascending: true })
+      .order('title', { ascending: true })
+
+    if (error) throw error
+    return data
+  } catch (error) {
+    console.error('Error fetching help articles:', error)
+    throw error
+  }
+}
+
+export async function saveHelpArticle(organizationId, article) {
+  try {
+    const { data: { user } } = await supabase.auth.getUser()
+    const fields = {
+      title: article.title.trim(),
+      summary: article.summary?.trim() || null,
+      body: article.body,
+      source_document_id: article.source_document_id || null,
+      is_published: !!article.is_published,
+      position: parseInt(article.position, 10) || 0,
+      updated_at: new Date().toISOString()
+    }
+
+    const query = article.id
+      ? supabase.from('help_articles').update(fields).eq('id', article.id)
+      : supabase.from('help_articles').insert({ ...fields, organization_id: organizationId, created_by: user?.id })
+
+    const { data, error } = await query.select().single()
+
+    if (error) throw error
+    return data
+  } catch (error) {
+    console.error('Error saving help article:', error)
+    throw error
+  }
+}
+
+export async function deleteHelpArticle(articleId) {
+  try {
+    const { error } = await supabase
+      .from('help_articles')
+      .delete()
+      .eq('id', articleId)
+
+    if (error) throw error
+  } catch (error) {
+    console.error('Error deleting help article:', error)
+    throw error
+  }
+}
+
+/**
+ * The organization's knowledge documents (their current versions) that an
+ * article can be drawn from
+ */
+export async function fetchKnowledgeDocuments(organizationId) {
+  try {
+    const { data, error } = await supabase
+      .from('organization_files')
+      .select('id, document_id, file_name, has_embeddings')
+      .eq('organization_id', organizationId)
+      .is('superseded_at', null)
+      .order('file_name', { ascending: true })
+
+    if (error) throw error
+    return data
+  } catch (error) {
+    console.error('Error fetching knowledge documents:', error)
+    throw error
+  }
+}
+
+/**
+ * The indexed text of a document's current version, chunk by chunk in reading
+ * order, as a starting point for an article
+ */
+export async function fetchDocumentText(fileId) {
+  try {
+    const { data, error } = await supabase
+      .from('document_embeddings')
+      .select('content, metadata')
+      .eq('file_id', fileId)
+      .eq('is_active', true)
+
+    if (error) throw error
+
+    const chunks = data.sort((a, b) => (a.metadata?.chunk_index ?? 0) - (b.metadata?.chunk_index ?? 0))
+
+    // A section spanning several chunks gets its heading once
+    return chunks
+      .map((chunk, index) => {
+        const heading = chunk.metadata?.heading
+        const isNewSection = heading && heading !== chunks[index - 1]?.metadata?.heading
+        return isNewSection ? `${heading}\n\n${chunk.content}` : chunk.content
+      })
+      .join('\n\n')
+  } catch (error) {
+    console.error('Error fetching document text:', error)
+    throw error
+  }
+}
+
+/**
+ * Deflection counts since a date: overall, per channel and per article
+ */
+export async function fetchDeflectionStats(organizationId, since) {
+  try {
+    let query = supabase
+      .from('ticket_deflections')
+      .select('channel, outcome, article_id')
+
+    if (organizationId) query = query.eq('organization_id', organizationId)
+    if (since) query = query.gte('created_at', since.toISOString())
+
+    const { data, error } = await query
+    if (error) throw error
+
+    const emptyCounts = () => ({ deflected: 0, escalated: 0 })
+    const stats = { total: emptyCounts(), byChannel: {}, byArticle: {} }
+
+    for (const row of data) {
+      stats.total[row.outcome] += 1
+      if (!stats.byChannel[row.channel]) stats.byChannel[row.channel] = emptyCounts()
+      stats.byChannel[row.channel][row.outcome] += 1
+      if (row.article_id) {
+        if (!stats.byArticle[row.article_id]) stats.byArticle[row.article_id] = emptyCounts()
+        stats.byArticle[row.article_id][row.outcome] += 1
+      }
+    }
+
+    return stats
+  } catch (error) {
+    console.error('Error fetching deflection stats:', error)
+    throw error
+  }
+}
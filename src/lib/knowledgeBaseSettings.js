@@ -0,0 +1,54 @@
+import { supabase } from './supabaseClient'
+
+// Mirrors the column defaults of knowledge_base_settings
+export const DEFAULT_KNOWLEDGE_BASE_SETTINGS = {
+  semantic_weight: 1,
+  lexical_weight: 1,
+  rrf_k: 60,
+  candidate_count: 20,
+  rerank_enabled: false
+}
+
+/**
+ * Returns the organization's retrieval settings, falling back to the defaults
+ * when the organization has never tuned them
+ */
+export async function fetchKnowledgeBaseSettings(organizationId) {
+  try {
+    const { data, error } = await supabase
+      .from('knowledge_base_settings')
+      .select('semantic_weight, lexical_weight, rrf_k, candidate_count, rerank_enabled')
+      .eq('organization_id', organizationId)
+      .maybeSingle()
+
+    if (error) throw error
+    return { ...DEFAULT_KNOWLEDGE_BASE_SETTINGS, ...data }
+  } catch (error) {
+    console.error('Error fetching knowledge base settings:', error)
+    throw error
+  }
+}
+
+export async function saveKnowledgeBaseSettings(organizationId, settings) {
+  try {
+    const { data, error } = await supabase
+      .from('knowledge_base_settings')
+      .upsert({
+        organization_id: organizationId,
+        semantic_weight: Number(settings.semantic_weight),
+        lexical_weight: Number(settings.lexical_weight),
+        rrf_k: parseInt(settings.rrf_k, 10),
+        candidate_count: parseInt(settings.candidate_count, 10),
+        rerank_enabled: !!settings.rerank_enabled,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'organization_id' })
+      .select()
+      .single()
+
+    if (error) throw error
+    return data
+  } catch (error) {
+    console.error('Error saving knowledge base settings:', error)
+    throw error
+  }
+}
@@ -69,6 +69,7 @@ export const sendTicketCreationEmail = async (ticket, customer) => {
       body: JSON.stringify({
         to: customer.email,
         subject: `Ticket Created - ${ticket.title}`,
+        ticket_id: ticket.id,
         text: `Your ticket has been created successfully.\n\nTicket Details:\nTitle: ${ticket.title}\nDescription: ${ticket.description}\n\nWe'll get back to you soon!`,
         html: `
           <h2>Your ticket has been created successfully</h2>
@@ -113,6 +114,7 @@ export const sendTicketUpdateEmail = async (ticket, customer, agent) => {
       body: JSON.stringify({
         to: customer.email,
         subject: `Ticket Updated - ${ticket.title}`,
+        ticket_id: ticket.id,
         text: `Your ticket has been updated.\n\nTicket Details:\nTitle: ${ticket.title}\nStatus: ${ticket.status}\nUpdated by: ${agent.name}\n\nCheck your dashboard for more details.`,
         html: `
           <h2>Your ticket has been updated</h2>
@@ -159,6 +161,7 @@ export const sendNewCommentEmail = async (ticket, comment, customer, author) =>
       body: JSON.stringify({
         to: customer.email,
         subject: `New Comment on Ticket - ${ticket.title}`,
+        ticket_id: ticket.id,
         text: `A new comment has been added to your ticket.\n\nTicket: ${ticket.title}\nComment by: ${author.name}\nComment: ${comment.content}\n\nCheck your dashboard for more details.`,
         html: `
           <h2>New Comment on Your Ticket</h2>
@@ -205,6 +208,7 @@ export const sendTicketResolutionEmail = async (ticket, customer, agent) => {
       body: JSON.stringify({
         to: customer.email,
         subject: `Ticket Resolved - ${ticket.title}`,
+        ticket_id: ticket.id,
         text: `Your ticket has been resolved.\n\nTicket Details:\nTitle: ${ticket.title}\nResolved by: ${agent.full_name || agent.email}\n\nWe'd love to hear your feedback! Please visit ${ticketUrl} to rate your support experience.`,
         html: `
           <h2>Your ticket has been resolved</h2>
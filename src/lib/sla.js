@@ -0,0 +1,198 @@
+import { supabase } from './supabaseClient'
+
+export const SLA_PRIORITIES = ['high', 'medium', 'low']
+
+// Mirrors the column defaults of business_hours
+export const DEFAULT_BUSINESS_HOURS = {
+  timezone: 'UTC',
+  working_days: [1, 2, 3, 4, 5],
+  start_time: '09:00',
+  end_time: '17:00'
+}
+
+// A target is at risk once less than this share of its window is left (see ticket_sla_at_risk)
+export const AT_RISK_FRACTION = 0.25
+
+/**
+ * Returns the organization's business hours and its SLA policies keyed by priority
+ */
+export async function fetchSlaSettings(organizationId) {
+  try {
+    const [{ data: hours, error: hoursError }, { data: policies, error: policiesError }] = await Promise.all([
+      supabase
+        .from('business_hours')
+        .select('timezone, working_days, start_time, end_time')
+        .eq('organization_id', organizationId)
+        .maybeSingle(),
+      supabase
+        .from('sla_policies')
+        .select('id, priority, first_response_minutes, resolution_minutes, business_hours_only')
+        .eq('organization_id', organizationId)
+    ])
+
+    if (hoursError) throw hoursError
+    if (policiesError) throw policiesError
+
+    return {
+      businessHours: {
+        ...DEFAULT_BUSINESS_HOURS,
+        ...hours,
+        // Postgres returns times as HH:MM:SS
+        start_time: (hours?.start_time || DEFAULT_BUSINESS_HOURS.start_time).slice(0, 5),
+        end_time: (hours?.end_time || DEFAULT_BUSINESS_HOURS.end_time).slice(0, 5)
+      },
+      policies: Object.fromEntries((policies || []).map(policy => [policy.priority, policy]))
+    }
+  } catch (error) {
+    console.error('Error fetching SLA settings:', error)
+    throw error
+  }
+}
+
+/**
+ * Saves business hours and the SLA policy of every priority. A priority whose
+ * targets are left empty has its policy removed. New due dates only apply to
+ * tickets created or re-prioritized afterwards.
+ * @param {string} organizationId
+ * @param {Object} businessHours - timezone, working_days, start_time, end_time
+ * @param {Object<string, {first_response_minutes?: number, resolution_minutes?: number, business_hours_only: boolean}>} policies - keyed by priority
+ */
+export async function saveSlaSettings(organizationId, businessHours, policies) {
+  try {
+    const { error: hoursError } = await supabase
+      .from('business_hours')
+      .upsert({
+        organization_id: organizationId,
+        timezone: businessHours.timezone,
+        working_days: [...businessHours.working_days].sort((a, b) => a - b),
+        start_time: businessHours.start_time,
+        end_time: businessHours.end_time,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'organization_id' })
+
+    if (hoursError) throw hoursError
+
+    const configured = SLA_PRIORITIES.filter(priority =>
+      policies[priority]?.first_response_minutes && policies[priority]?.resolution_minutes
+    )
+    const removed = SLA_PRIORITIES.filter(priority => !configured.includes(priority))
+
+    if (configured.length > 0) {
+      const { error: upsertError } = await supabase
+        .from('sla_policies')
+        .upsert(configured.map(priority => ({
+          organization_id: organizationId,
+          priority,
+          first_response_minutes: Math.round(policies[priority].first_response_minutes),
+          resolution_minutes: Math.round(policies[priority].resolution_minutes),
+          business_hours_only: !!policies[priority].business_hours_only,
+          updated_at: new Date().toISOString()
+        })), { onConflict: 'organization_id,priority' })
+
+      if (upsertError) throw upsertError
+    }
+
+    if (removed.length > 0) {
+      const { error: deleteError } = await supabase
+        .from('sla_policies')
+        .delete()
+        .eq('organization_id', organizationId)
+        .in('priority', removed)
+
+      if (deleteError) throw deleteError
+    }
+
+    return fetchSlaSettings(organizationId)
+  } catch (error) {
+    console.error('Error saving SLA settings:', error)
+    throw error
+  }
+}
+
+function getTargetState(startedAt, dueAt, metAt, now) {
+  const due = new Date(dueAt).getTime()
+
+  if (metAt) {
+    const remainingMs = due - new Date(metAt).getTime()
+    return { status: remainingMs < 0 ? 'breached' : 'met', remainingMs, settled: true }
+  }
+
+  const remainingMs = due - now
+  if (remainingMs < 0) return { status: 'breached', remainingMs, settled: false }
+
+  const windowMs = due - new Date(startedAt).getTime()
+  return { status: remainingMs <= windowMs * AT_RISK_FRACTION ? 'at_risk' : 'on_track', remainingMs, settled: false }
+}
+
+/**
+ * Works out where a ticket stands against its SLA targets. The server keeps
+ * the same flags on the ticket row; this recomputes them so countdowns stay
+ * live between sweeps.
+ * @param {Object} ticket - A tickets row
+ * @param {number} [now] - Current time in ms
+ * @returns {{firstResponse: Object|null, resolution: Object|null, current: Object|null}}
+ *   Each target is {kind, dueAt, status: 'on_track'|'at_risk'|'breached'|'met', remainingMs, settled},
+ *   settled once the response or resolution has happened;
+ *   current is the target the ticket is waiting on, or the resolution outcome once resolved
+ */
+export function getTicketSlaState(ticket, now = Date.now()) {
+  const firstResponse = ticket?.first_response_due_at
+    ? {
+      kind: 'firstResponse',
+      dueAt: ticket.first_response_due_at,
+      ...getTargetState(ticket.created_at, ticket.first_response_due_at, ticket.first_responded_at, now)
+    }
+    : null
+
+  const resolution = ticket?.resolution_due_at
+    ? {
+      kind: 'resolution',
+      dueAt: ticket.resolution_due_at,
+      ...getTargetState(ticket.created_at, ticket.resolution_due_at, ticket.resolved_at, now)
+    }
+    : null
+
+  let current = resolution
+  if (firstResponse && !ticket.first_responded_at && !ticket.resolved_at) {
+    current = firstResponse
+  }
+
+  return { firstResponse, resolution, current }
+}
+
+/**
+ * Splits a duration into its two largest units, e.g. {days: 2, hours: 3}
+ */
+export function splitDuration(ms) {
+  const totalMinutes = Math.max(1, Math.round(Math.abs(ms) / 60000))
+  const days = Math.floor(totalMinutes / (24 * 60))
+  const hours = Math.floor((totalMinutes % (24 * 60)) / 60)
+  const minutes = totalMinutes % 60
+
+  if (days > 0) return { days, hours }
+  if (hours > 0) return { hours, minutes }
+  return { minutes }
+}
+
+/**
+ * Formats a duration with the common.tickets.sla.units translations, e.g. "2d 3h"
+ */
+export function formatSlaDuration(t, ms) {
+  return Object.entries(splitDuration(ms))
+    .filter(([, count], index) => index === 0 || count > 0)
+    .map(([unit, count]) => t(`common.tickets.sla.units.${unit}`, { count }))
+    .join(' ')
+}
+
+/**
+ * Describes a target from getTicketSlaState, e.g. "Response due in 3h 5m"
+ */
+export function getSlaTargetLabel(t, target) {
+  const time = formatSlaDuration(t, target.remainingMs)
+
+  if (target.status === 'met') return t(`common.tickets.sla.${target.kind}.met`)
+  if (target.status === 'breached') {
+    return t(`common.tickets.sla.${target.kind}.${target.settled ? 'late' : 'overdue'}`, { time })
+  }
+  return t(`common.tickets.sla.${target.kind}.dueIn`, { time })
+}
@@ -71,6 +71,7 @@ export async function generateTestQueries(organizationId, fileName, count = 5) {
         .select('content')
         .eq('organization_id', organizationId)
         .eq('file_name', fileName)
+        .eq('is_active', true)
         .limit(3)
 
       if (error) throw error
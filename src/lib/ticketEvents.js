@@ -0,0 +1,182 @@
+import { supabase } from './supabaseClient'
+import { isResolvedStatus } from './ticketLifecycle'
+
+export const ASSIGNMENT_EVENT_TYPES = ['agent_assigned', 'team_assigned']
+
+// Merges and splits; new_value is the other ticket involved
+export const TICKET_LINK_EVENT_TYPES = ['merged_into', 'merged_from', 'split_to', 'split_from']
+
+// Attaching to or detaching from an incident; old_value and new_value are incidents
+export const PARENT_EVENT_TYPE = 'parent_changed'
+
+/**
+ * Attaches the acting profile to each event and, for assignment events, the
+ * profile or team that old_value and new_value refer to. Merge and split
+ * events get the other ticket as newTarget, and incident events the old and
+ * new incident as oldTarget and newTarget.
+ */
+async function resolveEventReferences(events) {
+  const profileIds = new Set()
+  const teamIds = new Set()
+  const ticketIds = new Set()
+
+  events.forEach(event => {
+    if (event.actor_id) profileIds.add(event.actor_id)
+    if (TICKET_LINK_EVENT_TYPES.includes(event.event_type) && event.new_value) ticketIds.add(event.new_value)
+    if (event.event_type === PARENT_EVENT_TYPE) {
+      if (event.old_value) ticketIds.add(event.old_value)
+      if (event.new_value) ticketIds.add(event.new_value)
+    }
+    const ids = event.event_type === 'agent_assigned' ? profileIds : event.event_type === 'team_assigned' ? teamIds : null
+    if (ids) {
+      if (event.old_value) ids.add(event.old_value)
+      if (event.new_value) ids.add(event.new_value)
+    }
+  })
+
+  const [profilesResponse, teamsResponse, ticketsResponse] = await Promise.all([
+    profileIds.size > 0
+      ? supabase.from('profiles').select('id, full_name, email').in('id', [...profileIds])
+      : { data: [] },
+    teamIds.size > 0
+      ? supabase.from('teams').select('id, name').in('id', [...teamIds])
+      : { data: [] },
+    ticketIds.size > 0
+      ? supabase.from('tickets').select('id, title').in('id', [...ticketIds])
+      : { data: [] }
+  ])
+
+  if (profilesResponse.error) throw profilesResponse.error
+  if (teamsResponse.error) throw teamsResponse.error
+  if (ticketsResponse.error) throw ticketsResponse.error
+
+  const lookup = (type, id) => {
+    if (!id) return null
+    if (type === PARENT_EVENT_TYPE || TICKET_LINK_EVENT_TYPES.includes(type)) {
+      return ticketsResponse.data.find(ticket => ticket.id === id) || { id }
+    }
+    const rows = type === 'agent_assigned' ? profilesResponse.data : teamsResponse.data
+    return rows.find(row => row.id === id) || null
+  }
+
+  const hasOldTarget = type => ASSIGNMENT_EVENT_TYPES.includes(type) || type === PARENT_EVENT_TYPE
+
+  return events.map(event => ({
+    ...event,
+    actor: profilesResponse.data.find(profile => profile.id === event.actor_id) || null,
+    oldTarget: hasOldTarget(event.event_type) ? lookup(event.event_type, event.old_value) : null,
+    newTarget: hasOldTarget(event.event_type) || TICKET_LINK_EVENT_TYPES.includes(event.event_type)
+      ? lookup(event.event_type, event.new_value)
+      : null
+  }))
+}
+
+/**
+ * Returns a ticket's history, oldest first, with actors and assignees resolved
+ */
+export async function fetchTicketEvents(ticketId) {
+  try {
+    const { data, error } = await supabase
+      .from('ticket_events')
+      .select('*')
+      .eq('ticket_id', ticketId)
+      .order('created_at', { ascending: true })
+
+    if (error) throw error
+    return resolveEventReferences(data || [])
+  } catch (error) {
+    console.error('Error fetching ticket events:', error)
+    throw error
+  }
+}
+
+/**
+ * Resolves a single event received over realtime
+ */
+export async function resolveTicketEvent(event) {
+  try {
+    const [resolved] = await resolveEventReferences([event])
+    return resolved
+  } catch (error) {
+    console.error('Error resolving ticket event:', error)
+    throw error
+  }
+}
+
+/**
+ * Returns the raw events of many tickets, oldest first
+ */
+export async function fetchEventsForTickets(ticketIds) {
+  if (!ticketIds.length) return []
+
+  try {
+    const { data, error } = await supabase
+      .from('ticket_events')
+      .select('ticket_id, event_type, old_value, new_value, created_at')
+      .in('ticket_id', ticketIds)
+      .order('created_at', { ascending: true })
+
+    if (error) throw error
+    return data || []
+  } catch (error) {
+    console.error('Error fetching events for tickets:', error)
+    throw error
+  }
+}
+
+/**
+ * Derives resolution and reassignment metrics from ticket histories.
+ * Resolution time runs from creation to the last time a resolved ticket was
+ * resolved, so reopened tickets count their full lifetime; closing a
+ * resolved ticket doesn't move it. Assigning an unassigned ticket isn't a
+ * reassignment; moving it to someone else is.
+ * @param {Object[]} tickets - tickets rows with id, status, created_at
+ * @param {Object[]} events - ticket_events rows of those tickets, oldest first
+ * @returns {{averageResolutionMs: number, resolvedCount: number, averageReassignments: number, reassignedCount: number, reopenedCount: number}}
+ */
+export function computeTicketEventMetrics(tickets, events) {
+  const eventsByTicket = new Map()
+  events.forEach(event => {
+    if (!eventsByTicket.has(event.ticket_id)) eventsByTicket.set(event.ticket_id, [])
+    eventsByTicket.get(event.ticket_id).push(event)
+  })
+
+  const resolutionTimes = []
+  let totalReassignments = 0
+  let reassignedCount = 0
+  let reopenedCount = 0
+
+  tickets.forEach(ticket => {
+    const history = eventsByTicket.get(ticket.id) || []
+
+    if (isResolvedStatus(ticket.status)) {
+      const lastResolved = history.filter(event => event.event_type === 'status_changed' && event.new_value === 'resolved').pop()
+      if (lastResolved) {
+        resolutionTimes.push(new Date(lastResolved.created_at) - new Date(ticket.created_at))
+      }
+    }
+
+    // Clearing the previous assignee logs its own event without a new value
+    const assignments = history.filter(event => ASSIGNMENT_EVENT_TYPES.includes(event.event_type) && event.new_value)
+    const reassignments = Math.max(0, assignments.length - 1)
+
+    totalReassignments += reassignments
+    if (reassignments > 0) reassignedCount++
+
+    if (history.some(event =>
+      event.event_type === 'status_changed' && isResolvedStatus(event.old_value) && !isResolvedStatus(event.new_value)
+    )) {
+      reopenedCount++
+    }
+  })
+
+  return {
+    averageResolutionMs: resolutionTimes.length > 0
+      ? resolutionTimes.reduce((acc, time) => acc + time, 0) / resolutionTimes.length
+      : 0,
+    resolvedCount: resolutionTimes.length,
+    averageReassignments: tickets.length > 0 ? totalReassignments / tickets.length : 0,
+    reassignedCount,
+    reopenedCount
+  }
+}
@@ -0,0 +1,220 @@
+import { supabase } from './supabaseClient'
+
+// Mirrors the check on ticket_field_definitions.field_type
+export const CUSTOM_FIELD_TYPES = ['text', 'number', 'select', 'date']
+
+/**
+ * Lowercase, with spaces as dashes; the same as normalizeTag in the automation rules
+ */
+export function normalizeTag(tag) {
+  return String(tag ?? '').trim().toLowerCase().replace(/\s+/g, '-')
+}
+
+/**
+ * Turns a field label into a key for tickets.custom_fields, e.g. "Order #" -> "order"
+ */
+export function toFieldKey(label) {
+  const key = String(label ?? '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^[^a-z]+|_+$/g, '')
+  return key || 'field'
+}
+
+/**
+ * Returns the custom field definitions of one organization, or of several
+ * when given an array, in display order
+ */
+export async function fetchFieldDefinitions(organizationIds) {
+  try {
+    let query = supabase
+      .from('ticket_field_definitions')
+      .select('*')
+      .order('position', { ascending: true })
+      .order('created_at', { ascending: true })
+
+    query = Array.isArray(organizationIds)
+      ? query.in('organization_id', organizationIds)
+      : query.eq('organization_id', organizationIds)
+
+    const { data, error } = await query
+
+    if (error) throw error
+    return data || []
+  } catch (error) {
+    console.error('Error fetching custom field definitions:', error)
+    throw error
+  }
+}
+
+/**
+ * Returns every organization's custom field definitions
+ */
+export async function fetchAllFieldDefinitions() {
+  try {
+    const { data, error } = await supabase
+      .from('ticket_field_definitions')
+      .select('*, organization:organizations(name)')
+      .order('position', { ascending: true })
+
+    if (error) throw error
+    return data || []
+  } catch (error) {
+    console.error('Error fetching custom field definitions:', error)
+    throw error
+  }
+}
+
+/**
+ * Creates a field, or updates one. A field's key is set when it is created and never changes.
+ * @param {string} organizationId
+ * @param {Object} field - label, field_type, options, required, and id when updating
+ * @param {string[]} takenKeys - keys the organization's other fields already use
+ */
+export async function saveFieldDefinition(organizationId, field, takenKeys = []) {
+  try {
+    const fields = {
+      label: field.label.trim(),
+      field_type: field.field_type,
+      options: field.field_type === 'select' ? field.options : [],
+      required: field.required
+    }
+
+    if (field.id) {
+      const { data, error } = await supabase
+        .from('ticket_field_definitions')
+        .update(fields)
+        .eq('id', field.id)
+        .select()
+        .single()
+
+      if (error) throw error
+      return data
+    }
+
+    const baseKey = toFieldKey(fields.label)
+    let key = baseKey
+    for (let suffix = 2; takenKeys.includes(key); suffix++) {
+      key = `${baseKey}_${suffix}`
+    }
+
+    const { data, error } = await supabase
+      .from('ticket_field_definitions')
+      .insert({ ...fields, key, organization_id: organizationId, position: takenKeys.length })
+      .select()
+      .single()
+
+    if (error) throw error
+    return data
+  } catch (error) {
+    console.error('Error saving custom field:', error)
+    throw error
+  }
+}
+
+/**
+ * Deletes a field definition. Values tickets hold for it are dropped the next time the ticket's fields are saved.
+ */
+export async function deleteFieldDefinition(fieldId) {
+  try {
+    const { error } = await supabase
+      .from('ticket_field_definitions')
+      .delete()
+      .eq('id', fieldId)
+
+    if (error) throw error
+  } catch (error) {
+    console.error('Error deleting custom field:', error)
+    throw error
+  }
+}
+
+/**
+ * Checks form values against the definitions, the same way
+ * validate_ticket_custom_fields does. Returns the error of each invalid
+ * field by key: required, invalidNumber, invalidDate or invalidOption.
+ * @param {boolean} [enforceRequired] - required fields are only enforced when a ticket is created
+ */
+export function validateCustomFields(definitions, values, enforceRequired = true) {
+  const errors = {}
+
+  for (const definition of definitions) {
+    const value = values[definition.key]
+    if (value === undefined || value === null || String(value).trim() === '') {
+      if (definition.required && enforceRequired) errors[definition.key] = 'required'
+      continue
+    }
+
+    if (definition.field_type === 'number' && !Number.isFinite(Number(value))) {
+      errors[definition.key] = 'invalidNumber'
+    } else if (definition.field_type === 'date' && !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      errors[definition.key] = 'invalidDate'
+    } else if (definition.field_type === 'select' && !definition.options.includes(value)) {
+      errors[definition.key] = 'invalidOption'
+    }
+  }
+
+  return errors
+}
+
+/**
+ * Converts form values into what tickets.custom_fields stores: numbers as
+ * numbers, text trimmed and empty fields left out
+ */
+export function toCustomFieldValues(definitions, values) {
+  return Object.fromEntries(definitions.flatMap(definition => {
+    const value = values[definition.key]
+    if (value === undefined || value === null || String(value).trim() === '') return []
+    return [[definition.key, definition.field_type === 'number' ? Number(value) : String(value).trim()]]
+  }))
+}
+
+export async function updateTicketCustomFields(ticketId, customFields) {
+  try {
+    const { data, error } = await supabase
+      .from('tickets')
+      .update({ custom_fields: customFields })
+      .eq('id', ticketId)
+      .select('custom_fields')
+      .single()
+
+    if (error) throw error
+    return data.custom_fields
+  } catch (error) {
+    console.error('Error updating custom fields:', error)
+    throw error
+  }
+}
+
+export async function updateTicketTags(ticketId, tags) {
+  try {
+    const { data, error } = await supabase
+      .from('tickets')
+      .update({ tags: [...new Set(tags.map(normalizeTag).filter(Boolean))] })
+      .eq('id', ticketId)
+      .select('tags')
+      .single()
+
+    if (error) throw error
+    return data.tags
+  } catch (error) {
+    console.error('Error updating tags:', error)
+    throw error
+  }
+}
+
+/**
+ * Tags already in use that start with the given text, most used first
+ */
+export async function fetchTagSuggestions(search = '') {
+  try {
+    const { data, error } = await supabase.rpc('suggest_ticket_tags', { search: normalizeTag(search) })
+
+    if (error) throw error
+    return (data || []).map(row => row.tag)
+  } catch (error) {
+    console.error('Error fetching tag suggestions:', error)
+    throw error
+  }
+}
@@ -0,0 +1,110 @@
+import { supabase } from './supabaseClient'
+
+export const TICKET_STATUSES = ['open', 'in_progress', 'pending_customer', 'on_hold', 'resolved', 'closed']
+
+// Statuses that still need work from the support team
+export const ACTIVE_STATUSES = ['open', 'in_progress', 'pending_customer', 'on_hold']
+export const RESOLVED_STATUSES = ['resolved', 'closed']
+
+export const TICKET_TYPES = ['bug', 'feature', 'support']
+
+// Mirrors ticket_status_transition_allowed, which enforces the same rules in the database.
+// Closed is final: a customer writing about a closed ticket needs a new one.
+export const TICKET_TRANSITIONS = {
+  open: ['in_progress', 'pending_customer', 'on_hold', 'resolved'],
+  in_progress: ['open', 'pending_customer', 'on_hold', 'resolved'],
+  pending_customer: ['open', 'in_progress', 'on_hold', 'resolved'],
+  on_hold: ['open', 'in_progress', 'pending_customer', 'resolved'],
+  resolved: ['open', 'in_progress', 'closed'],
+  closed: []
+}
+
+// Mirrors the organizations.auto_close_after_days default
+export const DEFAULT_AUTO_CLOSE_DAYS = 7
+
+export const STATUS_BADGE_STYLES = {
+  open: 'bg-blue-100 dark:bg-blue-900 text-blue-800 dark:text-blue-200',
+  in_progress: 'bg-yellow-100 dark:bg-yellow-900 text-yellow-800 dark:text-yellow-200',
+  pending_customer: 'bg-purple-100 dark:bg-purple-900 text-purple-800 dark:text-purple-200',
+  on_hold: 'bg-orange-100 dark:bg-orange-900 text-orange-800 dark:text-orange-200',
+  resolved: 'bg-green-100 dark:bg-green-900 text-green-800 dark:text-green-200',
+  closed: 'bg-gray-100 dark:bg-gray-700 text-gray-800 dark:text-gray-200'
+}
+
+export function isActiveStatus(status) {
+  return ACTIVE_STATUSES.includes(status)
+}
+
+export function isResolvedStatus(status) {
+  return RESOLVED_STATUSES.includes(status)
+}
+
+export function canTransition(from, to) {
+  return from === to || (TICKET_TRANSITIONS[from] || []).includes(to)
+}
+
+export function getAllowedTransitions(from) {
+  return TICKET_TRANSITIONS[from] || []
+}
+
+/**
+ * Throws unless a ticket may move from one status to the other
+ */
+export function assertTransition(from, to) {
+  if (!canTransition(from, to)) {
+    const error = new Error(`Invalid ticket status transition from ${from} to ${to}`)
+    error.code = 'invalid_transition'
+    throw error
+  }
+}
+
+/**
+ * The status a ticket should have after being assigned or unassigned.
+ * Only open and in-progress tickets follow their assignment; waiting, held
+ * and finished tickets keep their status.
+ */
+export function getAssignmentStatus(currentStatus, isAssigned) {
+  if (currentStatus && !['open', 'in_progress'].includes(currentStatus)) return currentStatus
+  return isAssigned ? 'in_progress' : 'open'
+}
+
+/**
+ * The status to reopen a resolved ticket with
+ */
+export function getReopenStatus(ticket) {
+  return ticket.agent_id || ticket.team_id ? 'in_progress' : 'open'
+}
+
+/**
+ * Returns after how many days without activity the organization's resolved
+ * tickets are closed, or null if they never are
+ */
+export async function fetchAutoCloseDays(organizationId) {
+  try {
+    const { data, error } = await supabase
+      .from('organizations')
+      .select('auto_close_after_days')
+      .eq('id', organizationId)
+      .single()
+
+    if (error) throw error
+    return data.auto_close_after_days
+  } catch (error) {
+    console.error('Error fetching auto-close setting:', error)
+    throw error
+  }
+}
+
+export async function saveAutoCloseDays(organizationId, days) {
+  try {
+    const { error } = await supabase
+      .from('organizations')
+      .update({ auto_close_after_days: days })
+      .eq('id', organizationId)
+
+    if (error) throw error
+  } catch (error) {
+    console.error('Error saving auto-close setting:', error)
+    throw error
+  }
+}
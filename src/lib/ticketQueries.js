@@ -1,4 +1,12 @@
 import { supabase } from './supabaseClient'
+import {
+  ACTIVE_STATUSES,
+  RESOLVED_STATUSES,
+  TICKET_STATUSES,
+  assertTransition,
+  canTransition,
+  getAssignmentStatus
+} from './ticketLifecycle'
 
 export async function fetchTickets(status = 'active') {
   const { data: { user } } = await supabase.auth.getUser()
@@ -22,9 +30,11 @@ export async function fetchTickets(status = 'active') {
       .order('created_at', { ascending: false })
 
     if (status === 'active') {
-      query = query.in('status', ['open', 'in_progress'])
+      query = query.in('status', ACTIVE_STATUSES)
     } else if (status === 'resolved') {
-      query = query.eq('status', 'resolved')
+      query = query.in('status', RESOLVED_STATUSES)
+    } else if (TICKET_STATUSES.includes(status)) {
+      query = query.eq('status', status)
     }
 
     // If not admin, only show tickets where user is either:
@@ -51,14 +61,27 @@ export async function fetchTickets(status = 'active') {
   }
 }
 
+async function fetchTicketStatus(ticketId) {
+  const { data, error } = await supabase
+    .from('tickets')
+    .select('status')
+    .eq('id', ticketId)
+    .single()
+
+  if (error) throw error
+  return data.status
+}
+
 export async function assignTicketToTeam(ticketId, teamId) {
   try {
+    const currentStatus = await fetchTicketStatus(ticketId)
+
     const { error } = await supabase
       .from('tickets')
       .update({
         team_id: teamId,
         agent_id: null, // Remove individual agent assignment
-        status: teamId ? 'in_progress' : 'open'
+        status: getAssignmentStatus(currentStatus, !!teamId)
       })
       .eq('id', ticketId)
 
@@ -71,12 +94,14 @@ export async function assignTicketToTeam(ticketId, teamId) {
 
 export async function assignTicketToAgent(ticketId, agentId) {
   try {
+    const currentStatus = await fetchTicketStatus(ticketId)
+
     const { error } = await supabase
       .from('tickets')
       .update({
         agent_id: agentId,
         team_id: null, // Remove team assignment
-        status: agentId ? 'in_progress' : 'open'
+        status: getAssignmentStatus(currentStatus, !!agentId)
       })
       .eq('id', ticketId)
 
@@ -87,27 +112,93 @@ export async function assignTicketToAgent(ticketId, agentId) {
   }
 }
 
-export async function updateTicketStatus(ticketId, status) {
+/**
+ * Moves a ticket to a new status, rejecting transitions the lifecycle doesn't allow
+ * @param {string} ticketId
+ * @param {string} status
+ * @param {Object} [changes] - Other columns to update along with the status
+ * @returns {Promise<Object>} The updated ticket
+ */
+export async function updateTicketStatus(ticketId, status, changes = {}) {
   try {
-    const { error } = await supabase
+    const currentStatus = await fetchTicketStatus(ticketId)
+    assertTransition(currentStatus, status)
+
+    // Guard against the status changing underneath us
+    const { data, error } = await supabase
       .from('tickets')
-      .update({ status })
+      .update({ ...changes, status })
       .eq('id', ticketId)
+      .eq('status', currentStatus)
+      .select()
+      .single()
 
     if (error) throw error
+    return data
   } catch (err) {
     console.error('Error updating ticket status:', err)
     throw err
   }
 }
 
+/**
+ * Moves several tickets to a new status. Tickets that can't make the
+ * transition are left alone and reported back.
+ * @returns {Promise<{updated: Object[], skipped: Object[]}>} Tickets as {id, status}
+ */
+export async function updateTicketsStatus(ticketIds, status) {
+  try {
+    const { data: tickets, error: fetchError } = await supabase
+      .from('tickets')
+      .select('id, status')
+      .in('id', ticketIds)
+
+    if (fetchError) throw fetchError
+
+    const allowed = tickets.filter(ticket => ticket.status !== status && canTransition(ticket.status, status))
+    const skipped = tickets.filter(ticket => !allowed.includes(ticket))
+
+    if (allowed.length === 0) return { updated: [], skipped }
+
+    const { data: updated, error } = await supabase
+      .from('tickets')
+      .update({ status })
+      .in('id', allowed.map(ticket => ticket.id))
+      .select('id, status')
+
+    if (error) throw error
+    return { updated: updated || [], skipped }
+  } catch (err) {
+    console.error('Error updating ticket statuses:', err)
+    throw err
+  }
+}
+
+/**
+ * Clears the flag the bot raises when it hands a ticket to a human, letting the
+ * bot answer the customer's next messages again
+ */
+export async function clearTicketHandoff(ticketId) {
+  try {
+    const { error } = await supabase
+      .from('tickets')
+      .update({ needs_human: false })
+      .eq('id', ticketId)
+
+    if (error) throw error
+  } catch (err) {
+    console.error('Error clearing ticket handoff:', err)
+    throw err
+  }
+}
+
 export async function createTicket(data) {
   try {
     const { data: ticket, error } = await supabase
       .from('tickets')
       .insert([{
         ...data,
-        status: data.agent_id || data.team_id ? 'in_progress' : 'open'
+        status: getAssignmentStatus(null, !!(data.agent_id || data.team_id))
       }])
       .select()
       .single()
@@ -118,4 +209,185 @@ export async function createTicket(data) {
     console.error('Error creating ticket:', err)
     throw err
   }
-} 
\ No newline at end of file
+}
+
+/**
+ * Returns the customer's other tickets a ticket can be merged into, newest first
+ */
+export async function fetchMergeCandidates(ticket) {
+  try {
+    const { data, error } = await supabase
+      .from('tickets')
+      .select('id, title, status, created_at')
+      .eq('customer_id', ticket.customer_id)
+      .neq('id', ticket.id)
+      .neq('status', 'closed')
+      .order('created_at', { ascending: false })
+
+    if (error) throw error
+    return data || []
+  } catch (err) {
+    console.error('Error fetching merge candidates:', err)
+    throw err
+  }
+}
+
+/**
+ * Moves the duplicate's comments and attachments to the primary ticket and
+ * closes the duplicate
+ */
+export async function mergeTickets(duplicateTicketId, primaryTicketId) {
+  try {
+    const { error } = await supabase.rpc('merge_tickets', {
+      duplicate_ticket_id: duplicateTicketId,
+      primary_ticket_id: primaryTicketId
+    })
+
+    if (error) throw error
+  } catch (err) {
+    console.error('Error merging tickets:', err)
+    throw err
+  }
+}
+
+/**
+ * Moves the given comments off into a new ticket for the same customer and
+ * returns the new ticket's id
+ */
+export async function splitTicket(ticketId, commentIds, title) {
+  try {
+    const { data, error } = await supabase.rpc('split_ticket', {
+      source_ticket_id: ticketId,
+      comment_ids: commentIds,
+      new_title: title
+    })
+
+    if (error) throw error
+    return data
+  } catch (err) {
+    console.error('Error splitting ticket:', err)
+    throw err
+  }
+}
+
+/**
+ * Returns the tickets linked to a ticket: the incident it belongs to, its
+ * children when it is an incident, and the duplicates merged into it
+ */
+export async function fetchRelatedTickets(ticket) {
+  try {
+    const columns = 'id, title, status, created_at, customer:profiles!customer_id(full_name, email)'
+    const [parentResponse, childrenResponse, mergedResponse] = await Promise.all([
+      ticket.parent_ticket_id
+        ? supabase.from('tickets').select(columns).eq('id', ticket.parent_ticket_id).maybeSingle()
+        : { data: null },
+      ticket.is_incident
+        ? supabase.from('tickets').select(columns).eq('parent_ticket_id', ticket.id).order('created_at', { ascending: true })
+        : { data: [] },
+      supabase.from('tickets').select(columns).eq('merged_into_id', ticket.id).order('created_at', { ascending: true })
+    ])
+
+    const failed = [parentResponse, childrenResponse, mergedResponse].find(response => response.error)
+    if (failed) throw failed.error
+
+    return {
+      parent: parentResponse.data,
+      children: childrenResponse.data || [],
+      merged: mergedResponse.data || []
+    }
+  } catch (err) {
+    console.error('Error fetching related tickets:', err)
+    throw err
+  }
+}
+
+export async function setTicketIncident(ticketId, isIncident) {
+  try {
+    const { error } = await supabase.rpc('set_ticket_incident', {
+      target_ticket_id: ticketId,
+      incident: isIncident
+    })
+
+    if (error) throw error
+  } catch (err) {
+    console.error('Error updating incident flag:', err)
+    throw err
+  }
+}
+
+/**
+ * Attaches a ticket to an incident, or detaches it when incidentTicketId is null
+ */
+export async function setTicketParent(ticketId, incidentTicketId) {
+  try {
+    const { error } = await supabase.rpc('set_ticket_parent', {
+      child_ticket_id: ticketId,
+      incident_ticket_id: incidentTicketId
+    })
+
+    if (error) throw error
+  } catch (err) {
+    console.error('Error linking ticket to incident:', err)
+    throw err
+  }
+}
+
+/**
+ * Resolves an incident's open children. Returns them with their customers so
+ * the caller can send the resolution emails.
+ */
+export async function resolveChildTickets(incidentTicketId) {
+  try {
+    const { data: children, error } = await supabase.rpc('resolve_child_tickets', {
+      incident_ticket_id: incidentTicketId
+    })
+
+    if (error) throw error
+    if (!children?.length) return []
+
+    const { data: customers, error: customersError } = await supabase
+      .from('profiles')
+      .select('id, email, full_name')
+      .in('id', [...new Set(children.map(child => child.customer_id))])
+
+    if (customersError) throw customersError
+
+    return children.map(child => ({
+      ...child,
+      customer: customers.find(customer => customer.id === child.customer_id) || null
+    }))
+  } catch (err) {
+    console.error('Error resolving child tickets:', err)
+    throw err
+  }
+}
+
+/**
+ * Returns tickets matching the search text that can be attached to the incident
+ */
+export async function fetchIncidentCandidates(incident, searchText) {
+  try {
+    // Best search match first
+    let query = supabase
+      .rpc('search_tickets', { query_text: searchText })
+      .select('id, title, status, created_at, customer:profiles!customer_id(full_name, email)')
+      .neq('id', incident.id)
+      .is('parent_ticket_id', null)
+      .eq('is_incident', false)
+      .neq('status', 'closed')
+      .limit(20)
+
+    // Only tickets from the incident's own organization can be attached
+    query = incident.organization_id
+      ? query.eq('organization_id', incident.organization_id)
+      : query.is('organization_id', null)
+
+    const { data, error } = await query
+
+    if (error) throw error
+    return data || []
+  } catch (err) {
+    console.error('Error fetching incident candidates:', err)
+    throw err
+  }
+}
@@ -0,0 +1,130 @@
+import { supabase } from './supabaseClient'
+import { ACTIVE_STATUSES } from './ticketLifecycle'
+
+// Mirror the checks on agent_routing_profiles and organizations.assignment_strategy
+export const AVAILABILITY_STATUSES = ['available', 'away', 'offline']
+export const ASSIGNMENT_STRATEGIES = ['manual', 'round_robin', 'least_loaded']
+
+// An agent without a routing profile is routed like this one (see pick_ticket_agent)
+export const DEFAULT_ROUTING_PROFILE = {
+  availability: 'available',
+  skills: [],
+  languages: [],
+  max_open_tickets: null
+}
+
+/**
+ * Splits comma-separated input into trimmed, lowercase, unique values
+ */
+export function parseList(value) {
+  return [...new Set(
+    String(value ?? '').split(',').map(item => item.trim().toLowerCase()).filter(Boolean)
+  )]
+}
+
+/**
+ * Returns every agent with their routing profile and number of active
+ * tickets, and every organization with its assignment strategy
+ */
+export async function fetchRoutingOverview() {
+  try {
+    const [agents, routingProfiles, activeTickets, organizations] = await Promise.all([
+      supabase.from('profiles').select('id, full_name, email').eq('role', 'agent').order('full_name'),
+      supabase.from('agent_routing_profiles').select('*'),
+      supabase.from('tickets').select('agent_id').in('status', ACTIVE_STATUSES).not('agent_id', 'is', null),
+      supabase.from('organizations').select('id, name, assignment_strategy').order('name')
+    ])
+
+    const failed = [agents, routingProfiles, activeTickets, organizations].find(result => result.error)
+    if (failed) throw failed.error
+
+    const profilesByAgent = Object.fromEntries(routingProfiles.data.map(profile => [profile.agent_id, profile]))
+    const activeCounts = activeTickets.data.reduce((counts, ticket) => {
+      counts[ticket.agent_id] = (counts[ticket.agent_id] || 0) + 1
+      return counts
+    }, {})
+
+    return {
+      agents: agents.data.map(agent => ({
+        ...agent,
+        routing: { ...DEFAULT_ROUTING_PROFILE, ...profilesByAgent[agent.id] },
+        activeCount: activeCounts[agent.id] || 0
+      })),
+      organizations: organizations.data
+    }
+  } catch (error) {
+    console.error('Error fetching routing overview:', error)
+    throw error
+  }
+}
+
+/**
+ * Saves an agent's availability, skills, languages and ticket cap
+ * @param {string} agentId
+ * @param {{availability: string, skills: string[], languages: string[], max_open_tickets: ?number}} routing
+ */
+export async function saveAgentRoutingProfile(agentId, routing) {
+  try {
+    const { data, error } = await supabase
+      .from('agent_routing_profiles')
+      .upsert({
+        agent_id: agentId,
+        availability: routing.availability,
+        skills: routing.skills,
+        languages: routing.languages,
+        max_open_tickets: routing.max_open_tickets,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'agent_id' })
+      .select()
+      .single()
+
+    if (error) throw error
+    return data
+  } catch (error) {
+    console.error('Error saving routing profile:', error)
+    throw error
+  }
+}
+
+export async function saveAssignmentStrategy(organizationId, strategy) {
+  try {
+    const { error } = await supabase
+      .from('organizations')
+      .update({ assignment_strategy: strategy })
+      .eq('id', organizationId)
+
+    if (error) throw error
+  } catch (error) {
+    console.error('Error saving assignment strategy:', error)
+    throw error
+  }
+}
+
+export async function fetchAgentAvailability(agentId) {
+  try {
+    const { data, error } = await supabase
+      .from('agent_routing_profiles')
+      .select('availability')
+      .eq('agent_id', agentId)
+      .maybeSingle()
+
+    if (error) throw error
+    return data?.availability ?? DEFAULT_ROUTING_PROFILE.availability
+  } catch (error) {
+    console.error('Error fetching availability:', error)
+    throw error
+  }
+}
+
+/**
+ * Sets the signed-in agent's availability for automatic assignment
+ */
+export async function setOwnAvailability(availability) {
+  try {
+    const { error } = await supabase.rpc('set_agent_availability', { new_availability: availability })
+    if (error) throw error
+  } catch (error) {
+    console.error('Error setting availability:', error)
+    throw error
+  }
+}
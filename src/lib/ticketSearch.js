@@ -0,0 +1,244 @@
+import { supabase } from './supabaseClient'
+import { ACTIVE_STATUSES, RESOLVED_STATUSES } from './ticketLifecycle'
+
+export const SLA_FILTERS = ['on_track', 'at_risk', 'breached']
+
+/**
+ * The filters a ticket list or saved view is made of. Empty values don't filter;
+ * status also takes the 'active' and 'resolved' groups, and assignee 'me' or
+ * 'unassigned' besides an agent id.
+ */
+export const DEFAULT_TICKET_FILTERS = {
+  search: '',
+  status: 'active',
+  priority: '',
+  organizationId: '',
+  teamId: '',
+  assignee: '',
+  tags: [],
+  createdFrom: '',
+  createdTo: '',
+  sla: '',
+  // { definitionId, key, organizationId, fieldType, value } of a custom ticket field
+  customField: null
+}
+
+/**
+ * Fills in filters missing from a saved view, e.g. ones added after it was saved
+ */
+export function normalizeTicketFilters(filters) {
+  return { ...DEFAULT_TICKET_FILTERS, ...(filters || {}) }
+}
+
+/**
+ * Counts the filters in use besides status, which the ticket list shows as tabs
+ */
+export function countActiveFilters(filters) {
+  return Object.keys(DEFAULT_TICKET_FILTERS).filter(key => {
+    const value = filters[key]
+    if (key === 'status') return false
+    if (key === 'customField') return !!value?.value?.trim()
+    if (Array.isArray(value)) return value.length > 0
+    return !!value?.trim?.()
+  }).length
+}
+
+// Dates are picked in the agent's time zone and cover the whole day
+function startOfDay(date) {
+  return new Date(`${date}T00:00:00`).toISOString()
+}
+
+function endOfDay(date) {
+  const end = new Date(`${date}T00:00:00`)
+  end.setDate(end.getDate() + 1)
+  return end.toISOString()
+}
+
+function applyTicketFilters(query, filters, userId) {
+  if (filters.status === 'active') {
+    query = query.in('status', ACTIVE_STATUSES)
+  } else if (filters.status === 'resolved') {
+    query = query.in('status', RESOLVED_STATUSES)
+  } else if (filters.status) {
+    query = query.eq('status', filters.status)
+  }
+
+  if (filters.priority) query = query.eq('priority', filters.priority)
+  if (filters.organizationId) query = query.eq('organization_id', filters.organizationId)
+  if (filters.teamId) query = query.eq('team_id', filters.teamId)
+
+  if (filters.assignee === 'me') {
+    query = query.eq('agent_id', userId)
+  } else if (filters.assignee === 'unassigned') {
+    query = query.is('agent_id', null)
+  } else if (filters.assignee) {
+    query = query.eq('agent_id', filters.assignee)
+  }
+
+  if (filters.tags.length > 0) query = query.contains('tags', filters.tags)
+  if (filters.createdFrom) query = query.gte('created_at', startOfDay(filters.createdFrom))
+  if (filters.createdTo) query = query.lt('created_at', endOfDay(filters.createdTo))
+
+  if (filters.sla === 'breached') {
+    query = query.or('first_response_breached.eq.true,resolution_breached.eq.true')
+  } else if (filters.sla === 'at_risk') {
+    query = query.eq('sla_at_risk', true).eq('first_response_breached', false).eq('resolution_breached', false)
+  } else if (filters.sla === 'on_track') {
+    query = query
+      .not('sla_policy_id', 'is', null)
+      .eq('sla_at_risk', false)
+      .eq('first_response_breached', false)
+      .eq('resolution_breached', false)
+  }
+
+  // A custom field belongs to one organization, so filtering by it narrows to that organization
+  const customField = filters.customField
+  if (customField?.value?.trim()) {
+    const column = `custom_fields->>${customField.key}`
+    query = query.eq('organization_id', customField.organizationId)
+    query = customField.fieldType === 'text'
+      ? query.ilike(column, `%${customField.value.trim()}%`)
+      : query.eq(column, customField.value.trim())
+  }
+
+  return query
+}
+
+// Builds the ticket query for a set of filters. A search starts from the search_tickets
+// function, which returns the matching tickets best match first; otherwise the newest come first.
+// Agents only see the tickets assigned to them; admins see every ticket.
+function buildTicketQuery(filters, { userId, isAdmin, countOnly = false }) {
+  const normalized = normalizeTicketFilters(filters)
+  const searchText = normalized.search.trim()
+
+  let query
+  if (searchText) {
+    query = countOnly
+      ? supabase.rpc('search_tickets', { query_text: searchText }, { count: 'exact', head: true })
+      : supabase.rpc('search_tickets', { query_text: searchText }).select('*')
+  } else {
+    query = countOnly
+      ? supabase.from('tickets').select('id', { count: 'exact', head: true })
+      : supabase.from('tickets').select('*').order('created_at', { ascending: false })
+  }
+
+  if (!isAdmin) {
+    query = query.eq('agent_id', userId)
+  }
+
+  return applyTicketFilters(query, normalized, userId)
+}
+
+/**
+ * Returns the tickets matching the filters, best search match or else newest first
+ */
+export async function searchTickets(filters, { userId, isAdmin }) {
+  try {
+    const { data, error } = await buildTicketQuery(filters, { userId, isAdmin })
+    if (error) throw error
+    return data || []
+  } catch (error) {
+    console.error('Error fetching filtered tickets:', error)
+    throw error
+  }
+}
+
+/**
+ * Returns how many tickets match the filters
+ */
+export async function countTickets(filters, { userId, isAdmin }) {
+  try {
+    const { count, error } = await buildTicketQuery(filters, { userId, isAdmin, countOnly: true })
+    if (error) throw error
+    return count || 0
+  } catch (error) {
+    console.error('Error counting tickets:', error)
+    throw error
+  }
+}
+
+/**
+ * Returns the organizations and teams the filters can narrow to
+ */
+export async function fetchTicketFilterOptions() {
+  try {
+    const [organizations, teams] = await Promise.all([
+      supabase.from('organizations').select('id, name').order('name'),
+      supabase.from('teams').select('id, name').order('name')
+    ])
+
+    const failed = [organizations, teams].find(result => result.error)
+    if (failed) throw failed.error
+
+    return {
+      organizations: organizations.data || [],
+      teams: teams.data || []
+    }
+  } catch (error) {
+    console.error('Error fetching ticket filter options:', error)
+    throw error
+  }
+}
+
+/**
+ * Returns the agent's own views followed by the ones others shared
+ */
+export async function fetchTicketViews(userId) {
+  try {
+    const { data, error } = await supabase
+      .from('ticket_views')
+      .select('*, owner:profiles!ticket_views_owner_id_fkey(full_name, email)')
+      .order('position', { ascending: true })
+      .order('created_at', { ascending: true })
+
+    if (error) throw error
+
+    const views = data || []
+    return [
+      ...views.filter(view => view.owner_id === userId),
+      ...views.filter(view => view.owner_id !== userId)
+    ]
+  } catch (error) {
+    console.error('Error fetching ticket views:', error)
+    throw error
+  }
+}
+
+/**
+ * Creates a view, or updates it when it has an id
+ */
+export async function saveTicketView({ id, name, filters, is_shared }) {
+  try {
+    const row = {
+      name: name.trim(),
+      filters: normalizeTicketFilters(filters),
+      is_shared: !!is_shared,
+      updated_at: new Date().toISOString()
+    }
+
+    const query = id
+      ? supabase.from('ticket_views').update(row).eq('id', id)
+      : supabase.from('ticket_views').insert(row)
+
+    const { data, error } = await query.select().single()
+    if (error) throw error
+    return data
+  } catch (error) {
+    console.error('Error saving ticket view:', error)
+    throw error
+  }
+}
+
+export async function deleteTicketView(viewId) {
+  try {
+    const { error } = await supabase
+      .from('ticket_views')
+      .delete()
+      .eq('id', viewId)
+
+    if (error) throw error
+  } catch (error) {
+    console.error('Error deleting ticket view:', error)
+    throw error
+  }
+}
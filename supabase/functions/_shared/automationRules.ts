@@ -0,0 +1,209 @@
+export type AutomationTrigger = 'ticket_created' | 'ticket_updated' | 'scheduled'
+
+export type ConditionField =
+  | 'organization'
+  | 'priority'
+  | 'status'
+  | 'type'
+  | 'tags'
+  | 'keywords'
+  | 'hours_since_last_reply'
+
+export type ActionType =
+  | 'assign_team'
+  | 'assign_agent'
+  | 'set_priority'
+  | 'set_status'
+  | 'add_tag'
+  | 'add_note'
+  | 'send_email'
+
+export interface RuleCondition {
+  field: ConditionField
+  operator: string
+  value: any
+}
+
+export interface RuleAction {
+  type: ActionType
+  // send_email takes { to: 'customer' | 'agent' | <address>, subject, body }; the rest a string
+  value: any
+}
+
+export interface AutomationRule {
+  id?: string
+  name: string
+  triggers: AutomationTrigger[]
+  match_type: 'all' | 'any'
+  conditions: RuleCondition[]
+  actions: RuleAction[]
+  stop_processing?: boolean
+  created_by?: string | null
+}
+
+export interface TicketContext {
+  ticket: any
+  // Most recent public comment, or null when nobody has replied yet
+  lastReplyAt: string | null
+  now: number
+}
+
+export interface PlannedActions {
+  // Column changes, applied to the ticket in one update
+  changes: Record<string, unknown>
+  // Notes and emails, carried out after the update
+  effects: RuleAction[]
+  // Actions that can't apply to this ticket, with why
+  skipped: { action: RuleAction, reason: string }[]
+}
+
+// Mirrors ticket_status_transition_allowed and src/lib/ticketLifecycle.js
+const TICKET_TRANSITIONS: Record<string, string[]> = {
+  open: ['in_progress', 'pending_customer', 'on_hold', 'resolved'],
+  in_progress: ['open', 'pending_customer', 'on_hold', 'resolved'],
+  pending_customer: ['open', 'in_progress', 'on_hold', 'resolved'],
+  on_hold: ['open', 'in_progress', 'pending_customer', 'resolved'],
+  resolved: ['open', 'in_progress', 'closed'],
+  closed: []
+}
+
+function canTransition(from: string, to: string) {
+  return from === to || (TICKET_TRANSITIONS[from] ?? []).includes(to)
+}
+
+// Mirrors getAssignmentStatus in src/lib/ticketLifecycle.js
+function getAssignmentStatus(currentStatus: string, isAssigned: boolean) {
+  if (!['open', 'in_progress'].includes(currentStatus)) return currentStatus
+  return isAssigned ? 'in_progress' : 'open'
+}
+
+function toList(value: unknown): string[] {
+  const items = Array.isArray(value) ? value : String(value ?? '').split(',')
+  return items.map(item => String(item).trim().toLowerCase()).filter(Boolean)
+}
+
+export function normalizeTag(tag: unknown) {
+  return String(tag ?? '').trim().toLowerCase().replace(/\s+/g, '-')
+}
+
+function hoursSinceLastReply({ ticket, lastReplyAt, now }: TicketContext) {
+  return (now - new Date(lastReplyAt ?? ticket.created_at).getTime()) / (60 * 60 * 1000)
+}
+
+/**
+ * Whether one condition holds for a ticket. Unknown fields or operators never match.
+ */
+export function matchesCondition(condition: RuleCondition, context: TicketContext) {
+  const { ticket } = context
+  const { field, operator, value } = condition
+
+  switch (field) {
+    case 'organization':
+    case 'priority':
+    case 'status':
+    case 'type': {
+      const column = field === 'organization' ? 'organization_id' : field
+      const actual = ticket[column] ?? null
+      if (operator === 'equals') return actual === value
+      if (operator === 'not_equals') return actual !== value
+      if (operator === 'in') return toList(value).includes(String(actual).toLowerCase())
+      if (operator === 'is_empty') return actual === null
+      return false
+    }
+    case 'tags': {
+      const tags: string[] = ticket.tags ?? []
+      if (operator === 'includes') return tags.includes(normalizeTag(value))
+      if (operator === 'excludes') return !tags.includes(normalizeTag(value))
+      return false
+    }
+    case 'keywords': {
+      const text = `${ticket.title ?? ''}\n${ticket.description ?? ''}`.toLowerCase()
+      const keywords = toList(value)
+      if (operator === 'contains_any') return keywords.some(keyword => text.includes(keyword))
+      if (operator === 'contains_none') return !keywords.some(keyword => text.includes(keyword))
+      return false
+    }
+    case 'hours_since_last_reply': {
+      const hours = hoursSinceLastReply(context)
+      if (operator === 'greater_than') return hours > Number(value)
+      if (operator === 'less_than') return hours < Number(value)
+      return false
+    }
+    default:
+      return false
+  }
+}
+
+/**
+ * Whether a rule's conditions hold for a ticket. A rule without conditions matches every ticket.
+ */
+export function matchesRule(rule: AutomationRule, context: TicketContext) {
+  if (!rule.conditions.length) return true
+  return rule.match_type === 'any'
+    ? rule.conditions.some(condition => matchesCondition(condition, context))
+    : rule.conditions.every(condition => matchesCondition(condition, context))
+}
+
+/**
+ * Works out what a rule's actions would do to a ticket, dropping changes the
+ * ticket already has
+ */
+export function planActions(actions: RuleAction[], ticket: any): PlannedActions {
+  const next = { ...ticket, tags: [...(ticket.tags ?? [])] }
+  const effects: RuleAction[] = []
+  const skipped: PlannedActions['skipped'] = []
+
+  for (const action of actions) {
+    switch (action.type) {
+      case 'assign_team':
+        // An empty value unassigns
+        next.team_id = action.value || null
+        next.agent_id = null
+        next.status = getAssignmentStatus(next.status, !!action.value)
+        break
+      case 'assign_agent':
+        next.agent_id = action.value || null
+        next.team_id = null
+        next.status = getAssignmentStatus(next.status, !!action.value)
+        break
+      case 'set_priority':
+        next.priority = action.value
+        break
+      case 'set_status':
+        if (canTransition(next.status, action.value)) {
+          next.status = action.value
+        } else {
+          skipped.push({ action, reason: `cannot move from ${next.status} to ${action.value}` })
+        }
+        break
+      case 'add_tag': {
+        const tag = normalizeTag(action.value)
+        if (tag && !next.tags.includes(tag)) next.tags.push(tag)
+        break
+      }
+      case 'add_note':
+      case 'send_email':
+        effects.push(action)
+        break
+      default:
+        skipped.push({ action, reason: `unknown action ${action.type}` })
+    }
+  }
+
+  const changes: Record<string, unknown> = {}
+  for (const column of ['team_id', 'agent_id', 'status', 'priority']) {
+    if ((next[column] ?? null) !== (ticket[column] ?? null)) changes[column] = next[column]
+  }
+  if (next.tags.length !== (ticket.tags ?? []).length) changes.tags = next.tags
+
+  return { changes, effects, skipped }
+}
+
+/**
+ * Fills {{ticket.title}}, {{ticket.id}}, {{ticket.status}} and {{ticket.priority}} into note and email text
+ */
+export function renderTemplate(text: string, ticket: any) {
+  return String(text ?? '').replace(/\{\{\s*ticket\.(\w+)\s*\}\}/g, (match, key) =>
+    ['title', 'id', 'status', 'priority', 'type'].includes(key) ? String(ticket[key] ?? '') : match
+  )
+}
@@ -0,0 +1,153 @@
+// Chunk size and overlap are measured in approximate embedding-model tokens
+export const DEFAULT_CHUNK_TOKENS = 300
+export const DEFAULT_OVERLAP_TOKENS = 50
+
+// Headings are rarely longer than this
+const MAX_HEADING_LENGTH = 100
+// A new heading only starts a fresh chunk once the current one holds this share of maxTokens
+const MIN_SECTION_FILL = 0.25
+
+/**
+ * Rough token count for a single word: BPE tokenizers average about four
+ * characters of English text per token
+ */
+function estimateTokens(word: string) {
+  return Math.max(1, Math.ceil(word.length / 4))
+}
+
+/**
+ * Guesses whether a line of extracted text is a section heading, either from
+ * its font size relative to the page's body text (when the format has fonts)
+ * or from its shape
+ */
+export function looksLikeHeading(text: string, fontSize?: number, bodyFontSize?: number) {
+  const trimmed = text.trim()
+  if (!trimmed || trimmed.length > MAX_HEADING_LENGTH || /[.,;:]$/.test(trimmed)) return false
+  if (fontSize && bodyFontSize && fontSize >= bodyFontSize * 1.15) return true
+
+  // "3.2 Delivery times", "SECTION 4 - REFUNDS"
+  const isNumbered = /^\d+(\.\d+)*\.?\s+[A-Z]/.test(trimmed)
+  const isAllCaps = /[A-Z]/.test(trimmed) && trimmed === trimmed.toUpperCase() && trimmed.split(/\s+/).length <= 8
+  return isNumbered || isAllCaps
+}
+
+// One line of extracted text in reading order; page is null for formats without pages
+export interface DocumentLine {
+  text: string
+  page: number | null
+  isHeading?: boolean
+}
+
+export interface ChunkOptions {
+  // Upper bound on a chunk's size
+  maxTokens?: number
+  // How much of the previous chunk's tail starts the next one
+  overlapTokens?: number
+}
+
+export interface DocumentChunk {
+  text: string
+  metadata: {
+    chunk_index: number
+    total_chunks: number
+    page_start: number | null
+    page_end: number | null
+    heading: string | null
+    token_count: number
+  }
+}
+
+type PendingChunk = Omit<DocumentChunk['metadata'], 'chunk_index' | 'total_chunks'> & { text: string }
+
+interface ChunkWord {
+  word: string
+  tokens: number
+  page: number | null
+  lineEnd: boolean
+  carried?: boolean
+}
+
+/**
+ * Splits a document into overlapping chunks that remember where they came from
+ */
+export function chunkDocument(lines: DocumentLine[], {
+  maxTokens = DEFAULT_CHUNK_TOKENS,
+  overlapTokens = DEFAULT_OVERLAP_TOKENS
+}: ChunkOptions = {}): DocumentChunk[] {
+  const overlap = Math.min(overlapTokens, Math.floor(maxTokens / 2))
+  const chunks: PendingChunk[] = []
+  let words: ChunkWord[] = []
+  let tokenCount = 0
+  let heading: string | null = null
+  let chunkHeading: string | null = null
+
+  const emit = () => {
+    if (!words.length) return
+    chunks.push({
+      text: words.map(w => w.word + (w.lineEnd ? '\n' : ' ')).join('').trim(),
+      page_start: words[0].page,
+      page_end: words[words.length - 1].page,
+      heading: chunkHeading,
+      token_count: tokenCount
+    })
+  }
+
+  // Carry the tail of the finished chunk into the next one
+  const startNextChunk = (withOverlap: boolean) => {
+    const carried: ChunkWord[] = []
+    let carriedTokens = 0
+    if (withOverlap) {
+      for (let i = words.length - 1; i >= 0 && carriedTokens + words[i].tokens <= overlap; i--) {
+        carried.unshift({ ...words[i], carried: true })
+        carriedTokens += words[i].tokens
+      }
+    }
+    words = carried
+    tokenCount = carriedTokens
+    chunkHeading = heading
+  }
+
+  for (const line of lines) {
+    const lineWords = line.text.split(/\s+/).filter(Boolean)
+    if (!lineWords.length) continue
+
+    if (line.isHeading) {
+      // Keep sections apart unless the current chunk is still mostly empty
+      if (tokenCount >= maxTokens * MIN_SECTION_FILL) {
+        emit()
+        heading = line.text.trim()
+        startNextChunk(false)
+      } else {
+        heading = line.text.trim()
+        if (!words.length || !chunkHeading) chunkHeading = heading
+      }
+    }
+
+    lineWords.forEach((word, i) => {
+      const tokens = estimateTokens(word)
+      if (tokenCount + tokens > maxTokens && tokenCount > overlap) {
+        emit()
+        startNextChunk(true)
+      }
+      words.push({ word, tokens, page: line.page, lineEnd: i === lineWords.length - 1 })
+      tokenCount += tokens
+    })
+  }
+
+  // The last chunk is only the previous chunk's overlap if nothing new was added
+  if (tokenCount > 0 && (!chunks.length || words.some(w => !w.carried))) {
+    emit()
+  }
+
+  return chunks.map((chunk, index) => ({
+    text: chunk.text,
+    metadata: {
+      chunk_index: index + 1,
+      total_chunks: chunks.length,
+      page_start: chunk.page_start,
+      page_end: chunk.page_end,
+      heading: chunk.heading,
+      token_count: chunk.token_count
+    }
+  }))
+}
@@ -0,0 +1,307 @@
+import { DOMParser } from 'https://deno.land/x/deno_dom@v0.1.45/deno-dom-wasm.ts'
+import * as pdfjs from 'https://esm.sh/pdfjs-dist@4.0.269/legacy/build/pdf.mjs'
+import { DocumentLine, looksLikeHeading } from './documentChunking.ts'
+
+/*
+ * Every extractor turns a document's bytes into the same shape, its lines in
+ * reading order (see DocumentLine). chunkDocument takes it from there.
+ * To support a new format, write an extractor and add it to DOCUMENT_EXTRACTORS.
+ */
+
+type Extractor = (data: Uint8Array) => Promise<DocumentLine[]>
+
+const TEXT_NODE = 3
+const ELEMENT_NODE = 1
+
+/**
+ * Rebuilds the text lines of every page from pdf.js text items, keeping the
+ * page number and flagging lines that look like section headings
+ */
+export async function extractPdfLines(data: Uint8Array): Promise<DocumentLine[]> {
+  const pdf = await pdfjs.getDocument({ data, isEvalSupported: false, useSystemFonts: false }).promise
+  const lines: DocumentLine[] = []
+
+  for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+    const page = await pdf.getPage(pageNumber)
+    const content = await page.getTextContent()
+    const pageLines: { text: string, y: number, right: number, fontSize: number, ended: boolean }[] = []
+    let current: typeof pageLines[number] | null = null
+
+    for (const item of content.items as any[]) {
+      if (!item.str) {
+        if (item.hasEOL && current) current.ended = true
+        continue
+      }
+
+      const [, , , scaleY, x, y] = item.transform
+      const fontSize = item.height || Math.abs(scaleY)
+      const startsNewLine = !current || current.ended || Math.abs(current.y - y) > fontSize / 2
+
+      if (startsNewLine) {
+        current = { text: item.str, y, right: x + item.width, fontSize, ended: false }
+        pageLines.push(current)
+      } else {
+        // A wide horizontal gap on the same line is usually a table column
+        const gap = x - current.right
+        current.text += gap > fontSize * 2 ? ` | ${item.str}` : gap > fontSize * 0.15 ? ` ${item.str}` : item.str
+        current.right = x + item.width
+        current.fontSize = Math.max(current.fontSize, fontSize)
+      }
+      if (item.hasEOL) current.ended = true
+    }
+
+    // The font size carrying the most text is the page's body size
+    const textBySize = new Map<number, number>()
+    for (const line of pageLines) {
+      const size = Math.round(line.fontSize)
+      textBySize.set(size, (textBySize.get(size) || 0) + line.text.length)
+    }
+    const bodyFontSize = [...textBySize.entries()].sort((a, b) => b[1] - a[1])[0]?.[0]
+
+    for (const line of pageLines) {
+      const text = line.text.replace(/\s+/g, ' ').trim()
+      if (!text) continue
+      lines.push({
+        text,
+        page: pageNumber,
+        isHeading: looksLikeHeading(text, Math.round(line.fontSize), bodyFontSize)
+      })
+    }
+  }
+
+  return lines
+}
+
+/**
+ * Reads one file out of a zip archive (a .docx is a zip of XML parts)
+ * using the built-in DecompressionStream
+ */
+async function readZipEntry(bytes: Uint8Array, entryName: string) {
+  const arrayBuffer = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength)
+  const view = new DataView(arrayBuffer)
+
+  // The end-of-central-directory record sits in the last 64KB of the archive
+  let eocd = -1
+  for (let i = arrayBuffer.byteLength - 22; i >= Math.max(0, arrayBuffer.byteLength - 65557); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      eocd = i
+      break
+    }
+  }
+  if (eocd === -1) throw new Error('Not a valid zip archive')
+
+  const entryCount = view.getUint16(eocd + 10, true)
+  let offset = view.getUint32(eocd + 16, true)
+  const decoder = new TextDecoder()
+
+  for (let i = 0; i < entryCount; i++) {
+    const method = view.getUint16(offset + 10, true)
+    const compressedSize = view.getUint32(offset + 20, true)
+    const nameLength = view.getUint16(offset + 28, true)
+    const extraLength = view.getUint16(offset + 30, true)
+    const commentLength = view.getUint16(offset + 32, true)
+    const localHeaderOffset = view.getUint32(offset + 42, true)
+    const name = decoder.decode(new Uint8Array(arrayBuffer, offset + 46, nameLength))
+
+    if (name === entryName) {
+      const localNameLength = view.getUint16(localHeaderOffset + 26, true)
+      const localExtraLength = view.getUint16(localHeaderOffset + 28, true)
+      const dataStart = localHeaderOffset + 30 + localNameLength + localExtraLength
+      const data = new Uint8Array(arrayBuffer, dataStart, compressedSize)
+
+      if (method === 0) return decoder.decode(data)
+      if (method !== 8) throw new Error(`Unsupported zip compression method ${method}`)
+
+      const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'))
+      return new Response(stream).text()
+    }
+
+    offset += 46 + nameLength + extraLength + commentLength
+  }
+
+  throw new Error(`${entryName} not found in archive`)
+}
+
+const XML_ENTITIES: Record<string, string> = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }
+
+function decodeXmlText(text: string) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code: string) => {
+    if (code[0] !== '#') return XML_ENTITIES[code] ?? entity
+    return String.fromCodePoint(code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10))
+  })
+}
+
+// Text runs and tabs of one <w:p> paragraph
+function docxParagraphText(paragraphXml: string) {
+  let text = ''
+  for (const match of paragraphXml.matchAll(/<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>|<w:tab\/>/g)) {
+    text += match[1] !== undefined ? decodeXmlText(match[1]) : ' '
+  }
+  return text.replace(/\s+/g, ' ').trim()
+}
+
+/**
+ * Word documents: paragraphs styled as Title/Heading are headings, table rows
+ * become "cell | cell" lines, and explicit or last-rendered page breaks give
+ * approximate page numbers
+ */
+export async function extractDocxLines(data: Uint8Array): Promise<DocumentLine[]> {
+  const xml = await readZipEntry(data, 'word/document.xml')
+  const body = xml.match(/<w:body>([\s\S]*)<\/w:body>/)?.[1] ?? ''
+  const lines: DocumentLine[] = []
+  let page = 1
+
+  // Top-level blocks of the body: tables and paragraphs
+  for (const [block] of body.matchAll(/<w:tbl>[\s\S]*?<\/w:tbl>|<w:p\b[^>]*\/>|<w:p\b[\s\S]*?<\/w:p>/g)) {
+    page += (block.match(/<w:lastRenderedPageBreak\/>|<w:br\s[^>]*w:type="page"[^>]*\/>/g) || []).length
+
+    if (block.startsWith('<w:tbl')) {
+      for (const [row] of block.matchAll(/<w:tr\b[\s\S]*?<\/w:tr>/g)) {
+        const cells = [...row.matchAll(/<w:tc\b[\s\S]*?<\/w:tc>/g)].map(([cell]) => docxParagraphText(cell))
+        if (cells.some(Boolean)) lines.push({ text: cells.join(' | '), page, isHeading: false })
+      }
+      continue
+    }
+
+    const text = docxParagraphText(block)
+    if (!text) continue
+    const style = block.match(/<w:pStyle\s+w:val="([^"]*)"/)?.[1] ?? ''
+    lines.push({
+      text,
+      page,
+      isHeading: /^(Title|Heading\d*)$/i.test(style) || looksLikeHeading(text)
+    })
+  }
+
+  return lines
+}
+
+/**
+ * Markdown: "#" lines are headings and inline formatting is reduced to its text
+ */
+export async function extractMarkdownLines(data: Uint8Array): Promise<DocumentLine[]> {
+  const lines: DocumentLine[] = []
+  let inCodeBlock = false
+
+  for (const rawLine of new TextDecoder().decode(data).split(/\r?\n/)) {
+    if (/^\s*(```|~~~)/.test(rawLine)) {
+      inCodeBlock = !inCodeBlock
+      continue
+    }
+
+    if (inCodeBlock) {
+      if (rawLine.trim()) lines.push({ text: rawLine.trim(), page: null, isHeading: false })
+      continue
+    }
+
+    const heading = rawLine.match(/^\s{0,3}#{1,6}\s+(.*?)\s*#*\s*$/)
+    const text = (heading ? heading[1] : rawLine)
+      .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+      .replace(/(\*\*|__|\*|_|`)(.+?)\1/g, '$2')
+      .replace(/^\s*(>\s*)+/, '')
+      .replace(/^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/, '')
+      .trim()
+
+    if (text) lines.push({ text, page: null, isHeading: !!heading })
+  }
+
+  return lines
+}
+
+const HTML_BLOCK_SELECTOR = 'address, article, aside, blockquote, dd, div, dl, dt, figure, h1, h2, h3, h4, h5, h6, li, main, ol, p, pre, section, table, tr, ul'
+const HTML_SKIPPED_TAGS = new Set(['script', 'style', 'noscript', 'template', 'nav', 'header', 'footer', 'svg'])
+
+/**
+ * HTML (for example help-center exports): h1-h6 are headings, table rows
+ * become "cell | cell" lines and page chrome like navigation is skipped
+ */
+export async function extractHtmlLines(data: Uint8Array): Promise<DocumentLine[]> {
+  const doc = new DOMParser().parseFromString(new TextDecoder().decode(data), 'text/html')
+  const lines: DocumentLine[] = []
+
+  const addLine = (text: string, isHeading = false) => {
+    const cleaned = text.replace(/\s+/g, ' ').trim()
+    if (cleaned) lines.push({ text: cleaned, page: null, isHeading })
+  }
+
+  const walk = (element: any) => {
+    for (const node of element.childNodes) {
+      if (node.nodeType === TEXT_NODE) {
+        // Loose text directly inside a container such as <div> or <body>
+        addLine(node.textContent)
+        continue
+      }
+      if (node.nodeType !== ELEMENT_NODE) continue
+
+      const tag = node.tagName.toLowerCase()
+      if (HTML_SKIPPED_TAGS.has(tag)) continue
+
+      if (/^h[1-6]$/.test(tag)) {
+        addLine(node.textContent, true)
+      } else if (tag === 'tr') {
+        addLine([...node.children].map((cell: any) => cell.textContent.replace(/\s+/g, ' ').trim()).join(' | '))
+      } else if (!node.querySelector(HTML_BLOCK_SELECTOR)) {
+        // No nested blocks: the element is a single line of text
+        addLine(node.textContent)
+      } else {
+        walk(node)
+      }
+    }
+  }
+
+  if (doc?.body) walk(doc.body)
+  return lines
+}
+
+/**
+ * Plain text: one line per line, with headings guessed from their shape
+ */
+export async function extractTextLines(data: Uint8Array): Promise<DocumentLine[]> {
+  return new TextDecoder().decode(data)
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(text => ({ text, page: null, isHeading: looksLikeHeading(text) }))
+}
+
+export const DOCUMENT_EXTRACTORS: { format: string, mimeTypes: string[], extensions: string[], extract: Extractor }[] = [
+  {
+    format: 'pdf',
+    mimeTypes: ['application/pdf'],
+    extensions: ['pdf'],
+    extract: extractPdfLines
+  },
+  {
+    format: 'docx',
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    extensions: ['docx'],
+    extract: extractDocxLines
+  },
+  {
+    format: 'markdown',
+    mimeTypes: ['text/markdown', 'text/x-markdown'],
+    extensions: ['md', 'markdown'],
+    extract: extractMarkdownLines
+  },
+  {
+    format: 'html',
+    mimeTypes: ['text/html', 'application/xhtml+xml'],
+    extensions: ['html', 'htm', 'xhtml'],
+    extract: extractHtmlLines
+  },
+  {
+    format: 'text',
+    mimeTypes: ['text/plain'],
+    extensions: ['txt', 'text'],
+    extract: extractTextLines
+  }
+]
+
+// Same lookup as getDocumentFormat in src/lib/documentIngestion.js
+export function getDocumentExtractor(fileName: string, fileType?: string | null) {
+  const extension = fileName.split('.').pop()?.toLowerCase() ?? ''
+  return DOCUMENT_EXTRACTORS.find(extractor => fileType && extractor.mimeTypes.includes(fileType)) ??
+    DOCUMENT_EXTRACTORS.find(extractor => extractor.extensions.includes(extension)) ??
+    null
+}
@@ -0,0 +1,35 @@
+import { SUPPORT_EMAIL, ticketReplyAddress, withTicketToken } from './inboundEmail.ts'
+
+const SENDGRID_API_KEY = Deno.env.get('SENDGRID_API_KEY')
+const SENDGRID_FROM_EMAIL = Deno.env.get('SENDGRID_FROM_EMAIL')
+
+/**
+ * Sends a plain-text email through SendGrid, the same way the send-email
+ * function does for the browser. With a ticket token, the customer's reply
+ * threads back onto that ticket through the inbound-email function.
+ */
+export async function sendEmail({ to, subject, text, ticketToken }: { to: string, subject: string, text: string, ticketToken?: string | null }) {
+  if (!SENDGRID_API_KEY || !SENDGRID_FROM_EMAIL) {
+    throw new Error('SENDGRID_API_KEY or SENDGRID_FROM_EMAIL is not set')
+  }
+
+  const response = await fetch('https://api.sendgrid.com/v3/mail/send', {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${SENDGRID_API_KEY}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({
+      personalizations: [{ to: [{ email: to }] }],
+      from: { email: SENDGRID_FROM_EMAIL },
+      reply_to: { email: ticketToken ? await ticketReplyAddress(ticketToken) : SUPPORT_EMAIL },
+      subject: ticketToken ? withTicketToken(subject, ticketToken) : subject,
+      content: [{ type: 'text/plain', value: text }],
+      ...(ticketToken ? { headers: { 'X-Ticket-Token': ticketToken } } : {}),
+    }),
+  })
+
+  if (!response.ok) {
+    throw new Error(`SendGrid API error (${response.status}): ${await response.text()}`)
+  }
+}
@@ -0,0 +1,60 @@
+export type HandoffReason = 'customer_request' | 'low_confidence' | 'no_answer'
+
+export const DEFAULT_HANDOFF_MESSAGE = "I'm passing your question to one of our team members. They'll get back to you here as soon as possible."
+
+// Mirrors the bot_profiles.confidence_threshold column default
+export const DEFAULT_CONFIDENCE_THRESHOLD = 0.35
+
+// "Can I talk to a human?", "I want a real person", "get me an agent", "representative please"
+const HUMAN_REQUEST_PATTERN = new RegExp(
+  [
+    '\\b(talk|speak|chat)\\s+(to|with)\\s+(a|an|some|your)?\\s*(human|person|agent|someone|representative|rep|operator|manager)\\b',
+    '\\b(real|live|actual)\\s+(human|person|agent|people)\\b',
+    '\\b(get|give|connect|transfer|put)\\s+me\\s+(to|through to|with)?\\s*(a|an)?\\s*(human|person|agent|representative|operator)\\b',
+    '\\b(human|representative|operator)\\s+(please|pls|now)\\b',
+    '\\bnot\\s+(a|the)\\s+bot\\b',
+    '^\\s*(human|agent|representative|operator)\\s*[.!?]*\\s*$'
+  ].join('|'),
+  'i'
+)
+
+/**
+ * Whether a customer message asks to be handed over to a person
+ */
+export function asksForHuman(message: string) {
+  return HUMAN_REQUEST_PATTERN.test(message)
+}
+
+/**
+ * The internal note left for agents when the bot hands a ticket off
+ */
+export function describeHandoff(
+  reason: HandoffReason,
+  { confidence, threshold, hasContradictions }: { confidence?: number, threshold?: number, hasContradictions?: boolean } = {}
+) {
+  const lines = ['The bot handed this ticket to a human agent.']
+
+  switch (reason) {
+    case 'customer_request':
+      lines.push('Reason: the customer asked to speak with a person.')
+      break
+    case 'no_answer':
+      lines.push('Reason: nothing in the knowledge base matched the question.')
+      break
+    case 'low_confidence':
+      lines.push(
+        `Reason: answer confidence ${formatScore(confidence)} is below the team's threshold of ${formatScore(threshold)}.`
+      )
+      break
+  }
+
+  if (hasContradictions) {
+    lines.push('The best matching documents may contradict each other.')
+  }
+
+  return lines.join('\n')
+}
+
+function formatScore(score?: number) {
+  return typeof score === 'number' ? score.toFixed(2) : 'n/a'
+}
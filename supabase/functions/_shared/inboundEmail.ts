@@ -0,0 +1,286 @@
+import {
+  EmailAddress,
+  EmailAttachment,
+  getHeader,
+  parseAddressList,
+  parseHeaders,
+  parseMime
+} from './mime.ts'
+
+// Replies reach us at support+TOKEN-SIGNATURE@<domain>; everything else at the plain address
+export const SUPPORT_EMAIL = Deno.env.get('SUPPORT_EMAIL') ?? 'support@aiyudo.com'
+// Signs reply addresses. The inbound webhook secret doubles as the key, so the
+// channel needs no further configuration; without it replies can't be threaded.
+const REPLY_ADDRESS_KEY = Deno.env.get('INBOUND_EMAIL_SECRET') ?? ''
+
+// tickets.email_token: ten hex characters, stored uppercase
+const SUBJECT_TOKEN_PATTERN = /\[#([0-9A-F]{10})\]/i
+// The token and its signature, sixteen hex characters
+const ADDRESS_TOKEN_PATTERN = /\+([0-9A-F]{10})-([0-9A-F]{16})@/i
+
+/**
+ * One inbound email, whichever way the provider delivered it
+ */
+export interface InboundEmail {
+  messageId: string | null
+  from: EmailAddress | null
+  // To, Cc and envelope recipients, deduplicated
+  recipients: string[]
+  subject: string
+  text: string
+  html: string
+  headers: Map<string, string[]>
+  attachments: EmailAttachment[]
+}
+
+function uniqueRecipients(...lists: (string | undefined)[]) {
+  const emails = lists.flatMap(list => parseAddressList(list ?? '').map(address => address.email))
+  return [...new Set(emails)]
+}
+
+function cleanMessageId(value: string) {
+  return value.trim().replace(/^<|>$/g, '') || null
+}
+
+export function fromRawMime(raw: string): InboundEmail {
+  const parsed = parseMime(raw)
+  return {
+    messageId: cleanMessageId(getHeader(parsed.headers, 'message-id')),
+    from: parseAddressList(getHeader(parsed.headers, 'from'))[0] ?? null,
+    recipients: uniqueRecipients(
+      getHeader(parsed.headers, 'to'),
+      getHeader(parsed.headers, 'cc'),
+      getHeader(parsed.headers, 'delivered-to')
+    ),
+    subject: getHeader(parsed.headers, 'subject'),
+    text: parsed.text,
+    html: parsed.html,
+    headers: parsed.headers,
+    attachments: parsed.attachments
+  }
+}
+
+/**
+ * A parsed-webhook form post: SendGrid Inbound Parse, or Mailgun routes.
+ * SendGrid's "send raw" mode posts the whole message as the email field.
+ */
+export async function fromFormData(form: FormData): Promise<InboundEmail> {
+  const field = (name: string) => {
+    const value = form.get(name)
+    return typeof value === 'string' ? value : ''
+  }
+
+  if (field('email')) return fromRawMime(field('email'))
+
+  const headers = field('headers')
+    ? parseHeaders(field('headers'))
+    : new Map(Object.entries({
+      'message-id': [field('Message-Id')],
+      'in-reply-to': [field('In-Reply-To')],
+      'references': [field('References')]
+    }))
+
+  let envelopeTo = ''
+  try {
+    envelopeTo = (JSON.parse(field('envelope') || '{}').to ?? []).join(', ')
+  } catch {
+    // A malformed envelope only costs us the envelope recipients
+  }
+
+  const attachments: EmailAttachment[] = []
+  for (const [name, value] of form.entries()) {
+    if (typeof value === 'string' || !/^attachment-?\d+$/.test(name)) continue
+    attachments.push({
+      filename: value.name || name,
+      contentType: value.type || 'application/octet-stream',
+      content: new Uint8Array(await value.arrayBuffer())
+    })
+  }
+
+  return {
+    messageId: cleanMessageId(getHeader(headers, 'message-id')),
+    from: parseAddressList(field('from') || field('sender'))[0] ?? null,
+    recipients: uniqueRecipients(field('to'), field('cc'), field('recipient'), envelopeTo),
+    subject: field('subject'),
+    text: field('text') || field('body-plain'),
+    html: field('html') || field('body-html'),
+    headers,
+    attachments
+  }
+}
+
+/**
+ * Postmark's inbound webhook JSON, or { raw } with a complete message
+ */
+export function fromJson(payload: any): InboundEmail {
+  if (typeof payload.raw === 'string') return fromRawMime(payload.raw)
+
+  const headers = new Map<string, string[]>()
+  for (const header of payload.Headers ?? []) {
+    const name = String(header.Name).toLowerCase()
+    headers.set(name, [...(headers.get(name) ?? []), String(header.Value)])
+  }
+
+  return {
+    messageId: cleanMessageId(payload.MessageID ?? getHeader(headers, 'message-id')),
+    from: payload.FromFull?.Email
+      ? { name: payload.FromFull.Name ?? '', email: String(payload.FromFull.Email).toLowerCase() }
+      : parseAddressList(payload.From ?? '')[0] ?? null,
+    recipients: uniqueRecipients(payload.To, payload.Cc, payload.OriginalRecipient),
+    subject: payload.Subject ?? '',
+    text: payload.TextBody ?? '',
+    html: payload.HtmlBody ?? '',
+    headers,
+    attachments: (payload.Attachments ?? []).map((attachment: any) => ({
+      filename: attachment.Name || 'attachment',
+      contentType: attachment.ContentType || 'application/octet-stream',
+      content: Uint8Array.from(atob(attachment.Content ?? ''), char => char.charCodeAt(0))
+    }))
+  }
+}
+
+/**
+ * Reads the request in whichever format the provider sent it
+ */
+export async function parseInboundRequest(req: Request): Promise<InboundEmail> {
+  const contentType = req.headers.get('Content-Type') ?? ''
+
+  if (contentType.includes('multipart/form-data') || contentType.includes('application/x-www-form-urlencoded')) {
+    return fromFormData(await req.formData())
+  }
+  if (contentType.includes('application/json')) {
+    return fromJson(await req.json())
+  }
+  return fromRawMime(await req.text())
+}
+
+async function signTicketToken(token: string) {
+  const encoder = new TextEncoder()
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(REPLY_ADDRESS_KEY),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  )
+  const signature = new Uint8Array(await crypto.subtle.sign('HMAC', key, encoder.encode(token.toUpperCase())))
+  return [...signature.slice(0, 8)].map(byte => byte.toString(16).padStart(2, '0')).join('')
+}
+
+// Compares every character, so the time taken doesn't tell how much of a guess was right
+function signaturesMatch(a: string, b: string) {
+  if (a.length !== b.length) return false
+  let difference = 0
+  for (let i = 0; i < a.length; i++) difference |= a.charCodeAt(i) ^ b.charCodeAt(i)
+  return difference === 0
+}
+
+/**
+ * The ticket token of a reply sent to a ticket's signed reply address. The
+ * token alone shows in subjects and is easy to copy, and a From address is
+ * easy to forge, so only the signature proves the sender got our email.
+ */
+export async function findTicketToken(email: InboundEmail) {
+  if (!REPLY_ADDRESS_KEY) return null
+
+  for (const recipient of email.recipients) {
+    const match = recipient.match(ADDRESS_TOKEN_PATTERN)
+    if (!match) continue
+
+    const [, token, signature] = match
+    if (signaturesMatch(signature.toLowerCase(), await signTicketToken(token))) return token.toUpperCase()
+  }
+
+  return null
+}
+
+/**
+ * A recipient address without its +tag, for matching organization addresses
+ */
+export function baseAddress(address: string) {
+  return address.replace(/\+[^@]*@/, '@').toLowerCase()
+}
+
+/**
+ * The address a ticket's replies go to. It carries the ticket's token signed
+ * with the reply address key; without a key replies open new tickets.
+ */
+export async function ticketReplyAddress(token: string) {
+  if (!REPLY_ADDRESS_KEY) return SUPPORT_EMAIL
+  return SUPPORT_EMAIL.replace('@', `+${token}-${await signTicketToken(token)}@`)
+}
+
+/**
+ * Prefixes a subject with the ticket token once, so replies thread back
+ */
+export function withTicketToken(subject: string, token: string) {
+  return SUBJECT_TOKEN_PATTERN.test(subject) ? subject : `[#${token}] ${subject}`
+}
+
+/**
+ * The subject as a ticket title: without the token and Re:/Fwd: prefixes
+ */
+export function toTicketTitle(subject: string) {
+  const title = subject
+    .replace(SUBJECT_TOKEN_PATTERN, '')
+    .replace(/^\s*((re|fw|fwd|aw|wg|sv|rv)\s*:\s*)+/i, '')
+    .trim()
+  return title || '(no subject)'
+}
+
+const HTML_ENTITIES: Record<string, string> = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' }
+
+export function htmlToText(html: string) {
+  return html
+    .replace(/<(style|script|head)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|tr|h[1-6]|blockquote)>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(#\d+|#x[0-9a-f]+|\w+);/gi, (match, entity) => {
+      if (entity[0] === '#') {
+        const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10)
+        return Number.isFinite(code) ? String.fromCodePoint(code) : match
+      }
+      return HTML_ENTITIES[entity.toLowerCase()] ?? match
+    })
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim()
+}
+
+// Lines where the quoted previous message starts in common mail clients
+const QUOTE_MARKERS = [
+  /^On .+wrote:\s*$/,
+  /^Am .+schrieb .+:\s*$/,
+  /^Le .+a écrit\s*:\s*$/,
+  /^El .+escribió:\s*$/,
+  /^Il .+ha scritto:\s*$/,
+  /^-{2,}\s*Original Message\s*-{2,}/i,
+  /^_{10,}\s*$/,
+  /^From:\s.+/
+]
+
+/**
+ * The new text of a reply, without the quoted message below it
+ */
+export function stripQuotedReply(text: string) {
+  const lines = text.replace(/\r\n/g, '\n').split('\n')
+  const cut = lines.findIndex((line, index) =>
+    index > 0 && QUOTE_MARKERS.some(marker => marker.test(line.trim()))
+  )
+  const kept = cut > 0 ? lines.slice(0, cut) : lines
+
+  // Trailing "> ..." lines are quoted text as well
+  while (kept.length && (kept[kept.length - 1].startsWith('>') || !kept[kept.length - 1].trim())) {
+    kept.pop()
+  }
+
+  return kept.join('\n').trim()
+}
+
+/**
+ * The message text, from the plain part or else from the html one
+ */
+export function getEmailText(email: InboundEmail) {
+  return (email.text || htmlToText(email.html)).trim()
+}
@@ -0,0 +1,316 @@
+import { SupabaseClient } from 'https://esm.sh/@supabase/supabase-js@2.7.1'
+import { createChatCompletion, createEmbedding, streamChatCompletion, ChatMessage } from './openai.ts'
+import { DEFAULT_CONFIDENCE_THRESHOLD, HandoffReason } from './handoff.ts'
+
+// Top-k passed to hybrid_match_document_embeddings, and the minimum cosine
+// similarity for chunks that matched no query keyword
+const MATCH_COUNT = 5
+const SIMILARITY_THRESHOLD = 0.1
+
+// Chunks stating hard rules; two of these ranking side by side may contradict each other
+const SPECIFIC_DETAILS_PATTERN = /\b(must|shall|required|mandatory|specific|policy|procedure|step|process)\b/i
+
+export interface RetrievedDocument {
+  content: string
+  file_name: string
+  file_path: string
+  file_id: string | null
+  document_version: number | null
+  metadata: Record<string, unknown>
+  similarity: number
+  semantic_rank: number | null
+  lexical_rank: number | null
+  score: number
+  rerank_score?: number
+}
+
+export interface Citation {
+  file_name: string
+  file_path: string
+  // The organization_files row (document version) the answer was drawn from
+  file_id: string | null
+  version: number | null
+  page: number | null
+  snippet: string
+}
+
+export interface KnowledgeBaseAnswer {
+  content: string
+  similarity: number
+  // Average similarity of the chunks the answer is drawn from
+  confidence: number
+  hasContradictions: boolean
+  // Set instead of content when the bot should not answer on its own
+  handoffReason: HandoffReason | null
+  sources: RetrievedDocument[]
+  citations: Citation[]
+}
+
+interface KnowledgeBaseSettings {
+  semantic_weight: number
+  lexical_weight: number
+  rrf_k: number
+  candidate_count: number
+  rerank_enabled: boolean
+}
+
+const SNIPPET_LENGTH = 200
+
+/**
+ * A chunk's text on one line, shortened to at most length characters
+ */
+function toSnippet(content: string, length = SNIPPET_LENGTH) {
+  const text = content.replace(/\s+/g, ' ').trim()
+  return text.length > length ? `${text.slice(0, length).trimEnd()}…` : text
+}
+
+// One citation per source page, in ranking order
+function buildCitations(documents: RetrievedDocument[]): Citation[] {
+  const citations: Citation[] = []
+
+  for (const doc of documents) {
+    const page = (doc.metadata?.page_start ?? doc.metadata?.page ?? null) as number | null
+    if (citations.some(citation => citation.file_path === doc.file_path && citation.page === page)) {
+      continue
+    }
+
+    citations.push({
+      file_name: doc.file_name,
+      file_path: doc.file_path,
+      file_id: doc.file_id,
+      version: doc.document_version,
+      page,
+      snippet: toSnippet(doc.content)
+    })
+  }
+
+  return citations
+}
+
+// Mirrors the column defaults of knowledge_base_settings
+const DEFAULT_SETTINGS: KnowledgeBaseSettings = {
+  semantic_weight: 1,
+  lexical_weight: 1,
+  rrf_k: 60,
+  candidate_count: 20,
+  rerank_enabled: false
+}
+
+async function fetchSettings(supabase: SupabaseClient, organizationId: string): Promise<KnowledgeBaseSettings> {
+  const { data, error } = await supabase
+    .from('knowledge_base_settings')
+    .select('semantic_weight, lexical_weight, rrf_k, candidate_count, rerank_enabled')
+    .eq('organization_id', organizationId)
+    .maybeSingle()
+
+  if (error) throw error
+  return { ...DEFAULT_SETTINGS, ...data }
+}
+
+// Hybrid keyword + vector retrieval tuned by the organization's knowledge_base_settings
+async function retrieveDocuments(
+  supabase: SupabaseClient,
+  query: string,
+  queryEmbedding: number[],
+  organizationId: string
+): Promise<RetrievedDocument[]> {
+  const settings = await fetchSettings(supabase, organizationId)
+
+  const { data, error } = await supabase.rpc('hybrid_match_document_embeddings', {
+    query_text: query,
+    query_embedding: queryEmbedding,
+    match_organization_id: organizationId,
+    match_count: MATCH_COUNT,
+    semantic_weight: settings.semantic_weight,
+    lexical_weight: settings.lexical_weight,
+    rrf_k: settings.rrf_k,
+    candidate_count: settings.candidate_count
+  })
+
+  if (error) throw error
+
+  const documents = ((data ?? []) as RetrievedDocument[]).filter(doc =>
+    doc.lexical_rank !== null || doc.similarity >= SIMILARITY_THRESHOLD
+  )
+
+  return settings.rerank_enabled ? rerankDocuments(query, documents) : documents
+}
+
+/**
+ * Asks the model to order retrieved chunks by how well they answer the query.
+ * Falls back to the fused order if the model's answer can't be used.
+ */
+async function rerankDocuments(query: string, documents: RetrievedDocument[]) {
+  if (documents.length < 2) return documents
+
+  try {
+    const response = await createChatCompletion({
+      messages: [
+        {
+          role: 'system',
+          content: 'You rank passages by how well they answer a customer question. Reply with JSON of the form {"scores": [{"index": number, "score": number}]} where score is 0 (irrelevant) to 10 (fully answers the question), one entry per passage.'
+        },
+        {
+          role: 'user',
+          content: `Question: "${query}"
+
+${documents.map((doc, index) => `[${index}] ${doc.content}`).join('\n\n')}`
+        }
+      ],
+      temperature: 0,
+      max_tokens: 300,
+      json: true
+    })
+
+    const { scores } = JSON.parse(response) as { scores: { index: number, score: number }[] }
+    const scoreByIndex = new Map(scores.map(({ index, score }) => [index, score]))
+
+    return documents
+      .map((doc, index) => ({ ...doc, rerank_score: scoreByIndex.get(index) ?? 0 }))
+      .sort((a, b) => b.rerank_score - a.rerank_score)
+  } catch (error) {
+    console.error('Failed to re-rank documents:', error)
+    return documents
+  }
+}
+
+/**
+ * The organization's document chunks that best match a query, best first,
+ * ranked exactly like the chunks the bot answers from
+ */
+export async function searchKnowledgeBase(
+  supabase: SupabaseClient,
+  query: string,
+  organizationId: string
+): Promise<RetrievedDocument[]> {
+  const queryEmbedding = await createEmbedding(query)
+  return retrieveDocuments(supabase, query, queryEmbedding, organizationId)
+}
+
+export interface BotPersona {
+  display_name: string
+  persona_prompt?: string | null
+}
+
+function buildSystemPrompt(persona: BotPersona, avgSimilarity: number, hasContradictions: boolean) {
+  const personaPrompt = persona.persona_prompt?.trim() ||
+    `You are ${persona.display_name}, a helpful, friendly customer service AI. You provide clear, natural answers based on company information.`
+
+  return `${personaPrompt}
+
+CRITICAL RESPONSE RULES:
+1. RESPONSES MUST BE UNDER 100 WORDS - NO EXCEPTIONS
+2. NEVER reference documentation, protocols, policies, or guidelines
+3. NEVER explain what you're going to do - just do it
+4. BE DIRECT AND NATURAL - like a helpful human
+5. NO NUMBERED LISTS OR BULLET POINTS
+6. FOCUS ON IMMEDIATE ACTION AND SOLUTIONS
+7. USE PROPER PUNCTUATION AND SPACING
+8. NEVER USE UNNECESSARY LINE BREAKS - only use them for clear paragraph separation when needed
+
+WRONG RESPONSES (DO NOT USE):
+- "According to our procedures..."
+- "Let me assist you by..."
+- "Our documentation states..."
+- "Based on our protocols..."
+- "Our guidelines require..."
+
+RIGHT RESPONSES (USE THESE):
+- "I'll fix this right away!"
+- "I'm so sorry about that!"
+- "Here's what I can do:"
+- "I'm sending a new order now."
+- "We'll make this right."
+
+Document confidence: ${avgSimilarity > 0.7 ? 'high' : avgSimilarity > 0.4 ? 'medium' : 'low'}
+Potential contradictions: ${hasContradictions ? 'yes' : 'no'}`
+}
+
+/**
+ * Retrieves the organization's most relevant document chunks for a question
+ * and generates the bot's answer from them. When retrieval confidence is below
+ * confidenceThreshold no answer is generated and handoffReason says why. With
+ * onPartialContent the answer is streamed and passed along as it is written.
+ */
+export async function answerFromKnowledgeBase(
+  supabase: SupabaseClient,
+  query: string,
+  organizationId: string,
+  persona: BotPersona,
+  conversationHistory: ChatMessage[] = [],
+  {
+    confidenceThreshold = DEFAULT_CONFIDENCE_THRESHOLD,
+    onPartialContent
+  }: { confidenceThreshold?: number, onPartialContent?: (content: string) => void } = {}
+): Promise<KnowledgeBaseAnswer> {
+  const queryEmbedding = await createEmbedding(query)
+
+  const sortedDocuments = (await retrieveDocuments(supabase, query, queryEmbedding, organizationId))
+    .slice(0, 3)
+
+  if (sortedDocuments.length === 0) {
+    return {
+      content: '',
+      similarity: 0,
+      confidence: 0,
+      hasContradictions: false,
+      handoffReason: 'no_answer',
+      sources: [],
+      citations: []
+    }
+  }
+
+  const avgSimilarity = sortedDocuments.reduce((sum, doc) => sum + doc.similarity, 0) / sortedDocuments.length
+  const hasContradictions = sortedDocuments.some((doc, i) =>
+    i > 0 && SPECIFIC_DETAILS_PATTERN.test(doc.content) && SPECIFIC_DETAILS_PATTERN.test(sortedDocuments[0].content) &&
+    doc.similarity > sortedDocuments[0].similarity * 0.9
+  )
+  const similarity = Math.max(...sortedDocuments.map(doc => doc.similarity))
+
+  if (avgSimilarity < confidenceThreshold) {
+    return {
+      content: '',
+      similarity,
+      confidence: avgSimilarity,
+      hasContradictions,
+      handoffReason: 'low_confidence',
+      sources: sortedDocuments,
+      citations: []
+    }
+  }
+
+  const completion = {
+    messages: [
+      { role: 'system' as const, content: buildSystemPrompt(persona, avgSimilarity, hasContradictions) },
+      ...conversationHistory,
+      {
+        role: 'user' as const,
+        content: `Question: "${query}"
+
+Relevant content:
+${sortedDocuments.map(doc => doc.content).join('\n\n')}
+
+Provide a natural, concise answer based only on this content. Remember to be direct and conversational, never reference documentation or policies.`
+      }
+    ],
+    temperature: 0.7,
+    max_tokens: 250
+  }
+
+  const response = onPartialContent
+    ? await streamChatCompletion(completion, onPartialContent)
+    : await createChatCompletion(completion)
+
+  return {
+    content: response
+      .replace(/\s*\n\s*\n\s*/g, '\n')
+      .replace(/\s*\n\s*/g, ' ')
+      .trim(),
+    similarity,
+    confidence: avgSimilarity,
+    hasContradictions,
+    handoffReason: null,
+    sources: sortedDocuments,
+    citations: buildCitations(sortedDocuments)
+  }
+}
@@ -0,0 +1,223 @@
+// A small MIME parser for inbound email: headers with encoded words,
+// nested multiparts, base64 and quoted-printable bodies, and attachments.
+// Raw messages arrive as strings, so 8bit text is already decoded and only
+// base64 or quoted-printable parts need their charset applied.
+
+export interface EmailAddress {
+  name: string
+  email: string
+}
+
+export interface EmailAttachment {
+  filename: string
+  contentType: string
+  content: Uint8Array
+}
+
+export interface ParsedMime {
+  headers: Map<string, string[]>
+  text: string
+  html: string
+  attachments: EmailAttachment[]
+}
+
+interface MimePart {
+  headers: Map<string, string[]>
+  body: string
+}
+
+function splitHeadersAndBody(raw: string): { headerBlock: string, body: string } {
+  const match = raw.match(/\r?\n\r?\n/)
+  if (!match || match.index === undefined) return { headerBlock: raw, body: '' }
+  return {
+    headerBlock: raw.slice(0, match.index),
+    body: raw.slice(match.index + match[0].length)
+  }
+}
+
+/**
+ * Header names lowercased, each with every value it was given; folded lines
+ * are joined and encoded words decoded
+ */
+export function parseHeaders(headerBlock: string): Map<string, string[]> {
+  const headers = new Map<string, string[]>()
+  const unfolded = headerBlock.replace(/\r?\n[ \t]+/g, ' ')
+
+  for (const line of unfolded.split(/\r?\n/)) {
+    const colon = line.indexOf(':')
+    if (colon <= 0) continue
+
+    const name = line.slice(0, colon).trim().toLowerCase()
+    const value = decodeEncodedWords(line.slice(colon + 1).trim())
+    headers.set(name, [...(headers.get(name) ?? []), value])
+  }
+
+  return headers
+}
+
+export function getHeader(headers: Map<string, string[]>, name: string) {
+  return headers.get(name.toLowerCase())?.[0] ?? ''
+}
+
+function decodeBytes(bytes: Uint8Array, charset = 'utf-8') {
+  try {
+    return new TextDecoder(charset.toLowerCase()).decode(bytes)
+  } catch {
+    return new TextDecoder('utf-8').decode(bytes)
+  }
+}
+
+function base64ToBytes(value: string) {
+  const binary = atob(value.replace(/[^A-Za-z0-9+/=]/g, ''))
+  return Uint8Array.from(binary, char => char.charCodeAt(0))
+}
+
+function quotedPrintableToBytes(value: string, isHeader = false) {
+  const text = (isHeader ? value.replace(/_/g, ' ') : value).replace(/=\r?\n/g, '')
+  const bytes: number[] = []
+
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '=' && /^[0-9A-Fa-f]{2}$/.test(text.slice(i + 1, i + 3))) {
+      bytes.push(parseInt(text.slice(i + 1, i + 3), 16))
+      i += 2
+    } else {
+      // Characters outside latin-1 are already decoded text; keep them as UTF-8
+      bytes.push(...new TextEncoder().encode(text[i]))
+    }
+  }
+
+  return new Uint8Array(bytes)
+}
+
+/**
+ * Decodes =?charset?B?...?= and =?charset?Q?...?= words (RFC 2047)
+ */
+export function decodeEncodedWords(value: string) {
+  return value
+    // Whitespace between two encoded words isn't part of the text
+    .replace(/(=\?[^?]+\?[BbQq]\?[^?]*\?=)\s+(?==\?)/g, '$1')
+    .replace(/=\?([^?]+)\?([BbQq])\?([^?]*)\?=/g, (_match, charset, encoding, text) => {
+      const bytes = encoding.toUpperCase() === 'B' ? base64ToBytes(text) : quotedPrintableToBytes(text, true)
+      return decodeBytes(bytes, charset.split('*')[0])
+    })
+}
+
+/**
+ * Splits a header like `text/plain; charset="utf-8"` into its value and
+ * lowercased parameters; RFC 2231 parameters (filename*=utf-8''...) are decoded
+ */
+export function parseHeaderParams(header: string): { value: string, params: Record<string, string> } {
+  const [value, ...rest] = header.split(/;(?=(?:[^"]*"[^"]*")*[^"]*$)/)
+  const params: Record<string, string> = {}
+
+  for (const param of rest) {
+    const eq = param.indexOf('=')
+    if (eq < 0) continue
+
+    let name = param.slice(0, eq).trim().toLowerCase()
+    let paramValue = param.slice(eq + 1).trim().replace(/^"(.*)"$/, '$1')
+
+    if (name.endsWith('*')) {
+      name = name.slice(0, -1)
+      const [charset, , encoded] = paramValue.split("'")
+      if (encoded !== undefined) {
+        try {
+          paramValue = decodeBytes(quotedPrintableToBytes(encoded.replace(/%/g, '=')), charset || 'utf-8')
+        } catch {
+          paramValue = encoded
+        }
+      }
+    }
+
+    params[name] = paramValue
+  }
+
+  return { value: value.trim().toLowerCase(), params }
+}
+
+/**
+ * Parses an address header such as `"Doe, Jane" <jane@example.com>, bob@example.com`
+ */
+export function parseAddressList(value: string): EmailAddress[] {
+  if (!value) return []
+
+  return value
+    .split(/,(?=(?:[^"]*"[^"]*")*[^"]*$)/)
+    .map(entry => {
+      const angle = entry.match(/^(.*)<([^>]+)>\s*$/)
+      const email = (angle ? angle[2] : entry).trim().toLowerCase()
+      const name = angle ? angle[1].trim().replace(/^"(.*)"$/, '$1').trim() : ''
+      return { name, email }
+    })
+    .filter(address => /^[^@\s]+@[^@\s]+$/.test(address.email))
+}
+
+function decodePartBody(part: MimePart) {
+  const encoding = getHeader(part.headers, 'content-transfer-encoding').toLowerCase()
+  if (encoding === 'base64') return base64ToBytes(part.body)
+  if (encoding === 'quoted-printable') return quotedPrintableToBytes(part.body)
+  return null
+}
+
+function partText(part: MimePart, charset?: string) {
+  const bytes = decodePartBody(part)
+  return bytes ? decodeBytes(bytes, charset) : part.body
+}
+
+function splitMultipart(body: string, boundary: string): MimePart[] {
+  const delimiter = `--${boundary}`
+  const parts: MimePart[] = []
+
+  // Everything before the first delimiter is preamble, everything after the closing one epilogue
+  const sections = body.split(new RegExp(`(?:^|\\r?\\n)${delimiter.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`))
+  for (const section of sections.slice(1)) {
+    if (section.startsWith('--')) break
+    const { headerBlock, body: partBody } = splitHeadersAndBody(section.replace(/^[ \t]*\r?\n/, ''))
+    parts.push({ headers: parseHeaders(headerBlock), body: partBody })
+  }
+
+  return parts
+}
+
+function walkPart(part: MimePart, result: ParsedMime) {
+  const contentType = parseHeaderParams(getHeader(part.headers, 'content-type') || 'text/plain')
+  const disposition = parseHeaderParams(getHeader(part.headers, 'content-disposition'))
+  const filename = disposition.params.filename || contentType.params.name
+
+  if (contentType.value.startsWith('multipart/') && contentType.params.boundary) {
+    for (const child of splitMultipart(part.body, contentType.params.boundary)) {
+      walkPart(child, result)
+    }
+    return
+  }
+
+  const isBodyText = !filename && disposition.value !== 'attachment'
+    && (contentType.value === 'text/plain' || contentType.value === 'text/html')
+
+  if (isBodyText) {
+    const text = partText(part, contentType.params.charset)
+    // The first plain and html part are the message; later ones are usually signatures or forwards
+    if (contentType.value === 'text/plain' && !result.text) result.text = text
+    else if (contentType.value === 'text/html' && !result.html) result.html = text
+    return
+  }
+
+  const bytes = decodePartBody(part) ?? new TextEncoder().encode(part.body)
+  result.attachments.push({
+    filename: filename || (contentType.value === 'message/rfc822' ? 'message.eml' : 'attachment'),
+    contentType: contentType.value,
+    content: bytes
+  })
+}
+
+/**
+ * Parses a complete raw message (RFC 5322 with MIME)
+ */
+export function parseMime(raw: string): ParsedMime {
+  const { headerBlock, body } = splitHeadersAndBody(raw.replace(/^\s+/, ''))
+  const headers = parseHeaders(headerBlock)
+  const result: ParsedMime = { headers, text: '', html: '', attachments: [] }
+
+  walkPart({ headers, body }, result)
+  return result
+}
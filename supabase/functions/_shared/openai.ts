@@ -0,0 +1,147 @@
+const OPENAI_API_KEY = Deno.env.get('OPENAI_API_KEY')
+
+export const EMBEDDING_MODEL = 'text-embedding-3-small'
+export const CHAT_MODEL = 'gpt-4-turbo-preview'
+
+interface ChatMessage {
+  role: 'system' | 'user' | 'assistant'
+  content: string
+}
+
+interface ChatCompletionOptions {
+  messages: ChatMessage[]
+  model?: string
+  temperature?: number
+  max_tokens?: number
+  // Ask for a JSON object response (the prompt must mention JSON)
+  json?: boolean
+}
+
+async function openaiRequest(path: string, body: Record<string, unknown>) {
+  if (!OPENAI_API_KEY) {
+    throw new Error('OPENAI_API_KEY is not set')
+  }
+
+  const response = await fetch(`https://api.openai.com/v1/${path}`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${OPENAI_API_KEY}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(body),
+  })
+
+  if (!response.ok) {
+    const errorText = await response.text()
+    throw new Error(`OpenAI API error (${response.status}): ${errorText}`)
+  }
+
+  return response.json()
+}
+
+/**
+ * Embeds a piece of text with the same model used for document_embeddings
+ */
+export async function createEmbedding(input: string): Promise<number[]> {
+  const data = await openaiRequest('embeddings', {
+    model: EMBEDDING_MODEL,
+    input,
+    encoding_format: 'float',
+  })
+  return data.data[0].embedding
+}
+
+/**
+ * Embeds several pieces of text in one request, returning embeddings in input order
+ */
+export async function createEmbeddings(inputs: string[]): Promise<number[][]> {
+  const data = await openaiRequest('embeddings', {
+    model: EMBEDDING_MODEL,
+    input: inputs,
+    encoding_format: 'float',
+  })
+  return data.data
+    .sort((a: { index: number }, b: { index: number }) => a.index - b.index)
+    .map((item: { embedding: number[] }) => item.embedding)
+}
+
+/**
+ * Runs a chat completion and returns the first choice's text
+ */
+export async function createChatCompletion({
+  messages,
+  model = CHAT_MODEL,
+  temperature = 0.7,
+  max_tokens = 250,
+  json = false,
+}: ChatCompletionOptions): Promise<string> {
+  const data = await openaiRequest('chat/completions', {
+    model,
+    messages,
+    temperature,
+    max_tokens,
+    ...(json ? { response_format: { type: 'json_object' } } : {}),
+  })
+  return data.choices[0].message.content ?? ''
+}
+
+/**
+ * Runs a chat completion as a stream. onText is called with the text written
+ * so far each time more arrives; the full text is returned at the end.
+ */
+export async function streamChatCompletion(
+  {
+    messages,
+    model = CHAT_MODEL,
+    temperature = 0.7,
+    max_tokens = 250,
+  }: ChatCompletionOptions,
+  onText: (text: string) => void
+): Promise<string> {
+  if (!OPENAI_API_KEY) {
+    throw new Error('OPENAI_API_KEY is not set')
+  }
+
+  const response = await fetch('https://api.openai.com/v1/chat/completions', {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${OPENAI_API_KEY}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ model, messages, temperature, max_tokens, stream: true }),
+  })
+
+  if (!response.ok || !response.body) {
+    const errorText = await response.text()
+    throw new Error(`OpenAI API error (${response.status}): ${errorText}`)
+  }
+
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader()
+  let buffered = ''
+  let text = ''
+
+  while (true) {
+    const { value, done } = await reader.read()
+    if (done) break
+
+    // Server-sent events, one "data: {...}" line each; a line may span reads
+    buffered += value
+    const lines = buffered.split('\n')
+    buffered = lines.pop() ?? ''
+
+    for (const line of lines) {
+      const data = line.replace(/^data: /, '').trim()
+      if (!data || data === '[DONE]' || !line.startsWith('data: ')) continue
+
+      const delta = JSON.parse(data).choices?.[0]?.delta?.content
+      if (delta) {
+        text += delta
+        onText(text)
+      }
+    }
+  }
+
+  return text
+}
+
+export type { ChatMessage }
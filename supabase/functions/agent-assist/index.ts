@@ -0,0 +1,151 @@
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts'
+import { corsHeaders } from '../_shared/cors.ts'
+import { createClient, SupabaseClient } from 'https://esm.sh/@supabase/supabase-js@2.7.1'
+import { answerFromKnowledgeBase, BotPersona } from '../_shared/knowledgeBase.ts'
+
+const HISTORY_LIMIT = 25
+
+function jsonResponse(body: Record<string, unknown>, status = 200) {
+  return new Response(
+    JSON.stringify(body),
+    { status, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+  )
+}
+
+/**
+ * The public conversation oldest first, as chat history. The customer's
+ * latest comment is what the draft answers, so it is returned separately.
+ */
+async function fetchConversation(supabase: SupabaseClient, ticket: any) {
+  const { data: recentComments, error } = await supabase
+    .from('ticket_comments')
+    .select('id, user_id, content, created_at')
+    .eq('ticket_id', ticket.id)
+    .eq('is_internal', false)
+    .order('created_at', { ascending: false })
+    .limit(HISTORY_LIMIT)
+
+  if (error) throw error
+
+  const comments = recentComments.reverse()
+  const lastQuestion = [...comments].reverse().find(comment => comment.user_id === ticket.customer_id && comment.content?.trim())
+
+  return {
+    question: lastQuestion?.content ?? [ticket.title, ticket.description].filter(Boolean).join('\n\n'),
+    history: comments
+      .filter(comment => comment.id !== lastQuestion?.id)
+      .map(comment => ({
+        role: comment.user_id === ticket.customer_id ? 'user' as const : 'assistant' as const,
+        content: comment.content
+      }))
+  }
+}
+
+// The team's bot persona when it has one, so drafts read like the rest of the conversation
+async function fetchPersona(supabase: SupabaseClient, ticket: any, agent: any): Promise<BotPersona & { id: string | null }> {
+  if (ticket.team_id) {
+    const { data: botProfile, error } = await supabase
+      .from('bot_profiles')
+      .select('id, display_name, persona_prompt')
+      .eq('team_id', ticket.team_id)
+      .maybeSingle()
+
+    if (error) throw error
+    if (botProfile) return botProfile
+  }
+
+  return { id: null, display_name: agent.full_name || 'Support' }
+}
+
+serve(async (req) => {
+  // Handle CORS
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  const supabase = createClient(
+    Deno.env.get('SUPABASE_URL') ?? '',
+    Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? ''
+  )
+
+  try {
+    const authHeader = req.headers.get('Authorization')
+    const { data: { user }, error: authError } = await supabase.auth.getUser(authHeader?.replace('Bearer ', '') ?? '')
+    if (authError || !user) {
+      return jsonResponse({ error: 'Unauthorized' }, 401)
+    }
+
+    const { data: agent, error: agentError } = await supabase
+      .from('profiles')
+      .select('id, full_name, role')
+      .eq('id', user.id)
+      .single()
+
+    if (agentError) throw agentError
+    if (agent.role !== 'agent' && agent.role !== 'admin') {
+      return jsonResponse({ error: 'Only agents can request reply drafts' }, 403)
+    }
+
+    const { ticket_id: ticketId } = await req.json()
+    if (!ticketId) {
+      return jsonResponse({ error: 'Missing ticket_id' }, 400)
+    }
+
+    // Read as the caller, so agents only get drafts for tickets they can see
+    const { data: ticket } = await createClient(
+      Deno.env.get('SUPABASE_URL') ?? '',
+      Deno.env.get('SUPABASE_ANON_KEY') ?? '',
+      { global: { headers: { Authorization: authHeader ?? '' } } }
+    )
+      .from('tickets')
+      .select('id, title, description, customer_id, team_id, organization_id')
+      .eq('id', ticketId)
+      .maybeSingle()
+
+    if (!ticket) {
+      return jsonResponse({ error: 'Ticket not found' }, 404)
+    }
+    if (!ticket.organization_id) {
+      return jsonResponse({ draft: null, citations: [] })
+    }
+
+    const [{ question, history }, persona] = await Promise.all([
+      fetchConversation(supabase, ticket),
+      fetchPersona(supabase, ticket, agent)
+    ])
+
+    // The agent reviews every draft, so one is written whatever the retrieval confidence
+    const answer = await answerFromKnowledgeBase(
+      supabase,
+      question,
+      ticket.organization_id,
+      persona,
+      history,
+      { confidenceThreshold: 0 }
+    )
+
+    if (!answer.content) {
+      return jsonResponse({ draft: null, citations: [] })
+    }
+
+    const { data: draft, error: draftError } = await supabase
+      .from('reply_drafts')
+      .insert({
+        ticket_id: ticket.id,
+        agent_id: agent.id,
+        bot_profile_id: persona.id,
+        content: answer.content,
+        confidence: answer.confidence,
+        citations: answer.citations
+      })
+      .select('id, content, confidence')
+      .single()
+
+    if (draftError) throw draftError
+
+    return jsonResponse({ draft, citations: answer.citations })
+  } catch (error) {
+    console.error('Function error:', error)
+    return jsonResponse({ error: error.message }, 500)
+  }
+})
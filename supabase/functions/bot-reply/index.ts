@@ -0,0 +1,358 @@
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts'
+import { corsHeaders } from '../_shared/cors.ts'
+import { createClient, SupabaseClient } from 'https://esm.sh/@supabase/supabase-js@2.7.1'
+import { answerFromKnowledgeBase } from '../_shared/knowledgeBase.ts'
+import { asksForHuman, describeHandoff, DEFAULT_HANDOFF_MESSAGE, HandoffReason } from '../_shared/handoff.ts'
+
+const SUPABASE_SERVICE_ROLE_KEY = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? ''
+
+// A run stuck in "processing" for longer than this is treated as abandoned
+const STALE_RUN_MS = 2 * 60 * 1000
+const HISTORY_LIMIT = 25
+// How often the answer written so far is saved to the run while it streams
+const PARTIAL_REPLY_INTERVAL_MS = 300
+
+function jsonResponse(body: Record<string, unknown>, status = 200) {
+  return new Response(
+    JSON.stringify(body),
+    { status, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+  )
+}
+
+/**
+ * Claims the bot run for a comment. Returns false when another invocation
+ * already answered it, skipped it, or is still working on it.
+ */
+async function claimRun(supabase: SupabaseClient, comment: any) {
+  const { data: created, error } = await supabase
+    .from('bot_reply_runs')
+    .upsert(
+      { comment_id: comment.id, ticket_id: comment.ticket_id },
+      { onConflict: 'comment_id', ignoreDuplicates: true }
+    )
+    .select()
+
+  if (error) throw error
+  if (created?.length) return true
+
+  const { data: existing, error: existingError } = await supabase
+    .from('bot_reply_runs')
+    .select('status, attempts, updated_at')
+    .eq('comment_id', comment.id)
+    .single()
+
+  if (existingError) throw existingError
+
+  const isStale = Date.now() - new Date(existing.updated_at).getTime() > STALE_RUN_MS
+  if (existing.status !== 'failed' && !(existing.status === 'processing' && isStale)) {
+    return false
+  }
+
+  // Retry a failed or abandoned run; matching on updated_at makes the takeover atomic
+  const { data: retaken, error: retakeError } = await supabase
+    .from('bot_reply_runs')
+    .update({
+      status: 'processing',
+      reason: null,
+      partial_reply: null,
+      attempts: existing.attempts + 1,
+      updated_at: new Date().toISOString()
+    })
+    .eq('comment_id', comment.id)
+    .eq('updated_at', existing.updated_at)
+    .select()
+
+  if (retakeError) throw retakeError
+  return retaken.length > 0
+}
+
+async function finishRun(
+  supabase: SupabaseClient,
+  commentId: string,
+  status: 'replied' | 'handed_off' | 'skipped' | 'failed',
+  details: { reason?: string, reply_comment_id?: string, confidence?: number } = {}
+) {
+  const { error } = await supabase
+    .from('bot_reply_runs')
+    .update({ status, ...details, partial_reply: null, updated_at: new Date().toISOString() })
+    .eq('comment_id', commentId)
+
+  if (error) console.error('Failed to update bot run:', error)
+}
+
+/**
+ * Saves the answer written so far on the run, at most every
+ * PARTIAL_REPLY_INTERVAL_MS, so the chat widget can show it while it streams.
+ * Writes are chained and only land while the run is still processing;
+ * settled() resolves once the last one has.
+ */
+function createPartialReplyWriter(supabase: SupabaseClient, commentId: string) {
+  let lastWrite = 0
+  let writes = Promise.resolve()
+
+  return {
+    write(content: string) {
+      const now = Date.now()
+      if (now - lastWrite < PARTIAL_REPLY_INTERVAL_MS) return
+      lastWrite = now
+
+      writes = writes.then(async () => {
+        const { error } = await supabase
+          .from('bot_reply_runs')
+          .update({ partial_reply: content })
+          .eq('comment_id', commentId)
+          .eq('status', 'processing')
+
+        if (error) console.error('Failed to save partial bot reply:', error)
+      })
+    },
+    settled: () => writes
+  }
+}
+
+async function fetchConversationHistory(supabase: SupabaseClient, comment: any) {
+  const { data: recentComments, error } = await supabase
+    .from('ticket_comments')
+    .select('content, is_bot, created_at')
+    .eq('ticket_id', comment.ticket_id)
+    .eq('is_internal', false)
+    .neq('id', comment.id)
+    .lte('created_at', comment.created_at)
+    .order('created_at', { ascending: false })
+    .limit(HISTORY_LIMIT)
+
+  if (error) {
+    console.error('Failed to fetch conversation history:', error)
+    return []
+  }
+
+  return recentComments.reverse().map(historyComment => ({
+    role: historyComment.is_bot ? 'assistant' as const : 'user' as const,
+    content: historyComment.content
+  }))
+}
+
+/**
+ * Passes the ticket to a human: posts the team's handoff notice unless the bot
+ * is set to stay silent, flags the ticket and tells agents why in an internal note
+ */
+async function handOff(
+  supabase: SupabaseClient,
+  comment: any,
+  botProfile: any,
+  reason: HandoffReason,
+  details: { confidence?: number, hasContradictions?: boolean } = {}
+) {
+  let replyCommentId: string | undefined
+
+  if (botProfile.handoff_mode !== 'silent') {
+    const { data: notice, error: noticeError } = await supabase
+      .from('ticket_comments')
+      .insert({
+        ticket_id: comment.ticket_id,
+        user_id: null,
+        bot_profile_id: botProfile.id,
+        content: botProfile.handoff_message?.trim() || DEFAULT_HANDOFF_MESSAGE,
+        is_internal: false,
+        is_bot: true,
+        in_reply_to: comment.id
+      })
+      .select('id')
+      .single()
+
+    // Unique violation on in_reply_to: an earlier attempt already posted the notice
+    if (noticeError && noticeError.code !== '23505') throw noticeError
+    replyCommentId = notice?.id
+  }
+
+  // Only the attempt that raises the flag writes the note, so retries don't repeat it
+  const { data: flagged, error: flagError } = await supabase
+    .from('tickets')
+    .update({
+      needs_human: true,
+      handoff_reason: reason,
+      handed_off_at: new Date().toISOString()
+    })
+    .eq('id', comment.ticket_id)
+    .eq('needs_human', false)
+    .select('id')
+
+  if (flagError) throw flagError
+
+  if (flagged?.length) {
+    const { error: noteError } = await supabase
+      .from('ticket_comments')
+      .insert({
+        ticket_id: comment.ticket_id,
+        user_id: null,
+        bot_profile_id: botProfile.id,
+        content: describeHandoff(reason, { ...details, threshold: botProfile.confidence_threshold }),
+        is_internal: true,
+        is_bot: true
+      })
+
+    if (noteError) throw noteError
+  }
+
+  return {
+    status: 'handed_off' as const,
+    reason,
+    confidence: details.confidence,
+    ...(replyCommentId ? { reply_comment_id: replyCommentId } : {})
+  }
+}
+
+async function replyToComment(supabase: SupabaseClient, comment: any) {
+  const { data: author } = await supabase
+    .from('profiles')
+    .select('role')
+    .eq('id', comment.user_id)
+    .maybeSingle()
+
+  if (author?.role !== 'customer') {
+    return { status: 'skipped' as const, reason: 'not_customer' }
+  }
+
+  const { data: ticket, error: ticketError } = await supabase
+    .from('tickets')
+    .select('id, team_id, organization_id, needs_human')
+    .eq('id', comment.ticket_id)
+    .single()
+
+  if (ticketError) throw ticketError
+  // Once handed off, the conversation belongs to an agent until they clear the flag
+  if (ticket.needs_human) return { status: 'skipped' as const, reason: 'awaiting_agent' }
+  if (!ticket.team_id) return { status: 'skipped' as const, reason: 'no_team' }
+  if (!ticket.organization_id) return { status: 'skipped' as const, reason: 'no_organization' }
+
+  const { data: team, error: teamError } = await supabase
+    .from('teams')
+    .select('id, is_bot_enabled')
+    .eq('id', ticket.team_id)
+    .single()
+
+  if (teamError) throw teamError
+  if (!team.is_bot_enabled) return { status: 'skipped' as const, reason: 'bot_disabled' }
+
+  const { data: botProfile, error: botProfileError } = await supabase
+    .from('bot_profiles')
+    .select('id, display_name, persona_prompt, confidence_threshold, handoff_mode, handoff_message')
+    .eq('team_id', team.id)
+    .maybeSingle()
+
+  if (botProfileError) throw botProfileError
+  if (!botProfile) return { status: 'skipped' as const, reason: 'no_bot_profile' }
+
+  if (asksForHuman(comment.content)) {
+    return handOff(supabase, comment, botProfile, 'customer_request')
+  }
+
+  const conversationHistory = await fetchConversationHistory(supabase, comment)
+  const partialReply = createPartialReplyWriter(supabase, comment.id)
+  const answer = await answerFromKnowledgeBase(
+    supabase,
+    comment.content,
+    ticket.organization_id,
+    botProfile,
+    conversationHistory,
+    {
+      confidenceThreshold: botProfile.confidence_threshold,
+      onPartialContent: partialReply.write
+    }
+  )
+  // The widget shows the finished reply in place of the partial one, so it must not arrive after it
+  await partialReply.settled()
+
+  if (answer.handoffReason) {
+    return handOff(supabase, comment, botProfile, answer.handoffReason, {
+      confidence: answer.confidence,
+      hasContradictions: answer.hasContradictions
+    })
+  }
+
+  if (!answer.content) return { status: 'skipped' as const, reason: 'no_answer', confidence: answer.confidence }
+
+  const { data: reply, error: replyError } = await supabase
+    .from('ticket_comments')
+    .insert({
+      ticket_id: comment.ticket_id,
+      user_id: null,
+      bot_profile_id: botProfile.id,
+      content: answer.content,
+      citations: answer.citations,
+      is_internal: false,
+      is_bot: true,
+      in_reply_to: comment.id
+    })
+    .select('id')
+    .single()
+
+  if (replyError) {
+    // Unique violation on in_reply_to: an earlier attempt already posted the answer
+    if (replyError.code === '23505') {
+      return { status: 'replied' as const, reason: 'already_replied', confidence: answer.confidence }
+    }
+    throw replyError
+  }
+
+  return { status: 'replied' as const, reply_comment_id: reply.id, confidence: answer.confidence }
+}
+
+serve(async (req) => {
+  // Handle CORS
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  // Only the database trigger (or an operator) holding the service role key may call this
+  const authHeader = req.headers.get('Authorization')
+  if (!SUPABASE_SERVICE_ROLE_KEY || authHeader !== `Bearer ${SUPABASE_SERVICE_ROLE_KEY}`) {
+    return jsonResponse({ error: 'Unauthorized' }, 401)
+  }
+
+  const supabase = createClient(
+    Deno.env.get('SUPABASE_URL') ?? '',
+    SUPABASE_SERVICE_ROLE_KEY
+  )
+
+  let commentId: string | undefined
+  let claimed = false
+  try {
+    // Accept both our trigger payload and a Supabase database webhook payload
+    const body = await req.json()
+    commentId = body.comment_id ?? body.record?.id
+    if (!commentId) {
+      return jsonResponse({ error: 'Missing comment_id' }, 400)
+    }
+
+    const { data: comment, error: commentError } = await supabase
+      .from('ticket_comments')
+      .select('id, ticket_id, user_id, content, is_internal, is_bot, created_at')
+      .eq('id', commentId)
+      .single()
+
+    if (commentError) throw commentError
+
+    if (comment.is_internal || comment.is_bot || !comment.content?.trim()) {
+      return jsonResponse({ status: 'ignored' })
+    }
+
+    claimed = await claimRun(supabase, comment)
+    if (!claimed) {
+      console.log('Bot reply already handled for comment:', commentId)
+      return jsonResponse({ status: 'duplicate' })
+    }
+
+    const { status, ...details } = await replyToComment(supabase, comment)
+    await finishRun(supabase, comment.id, status, details)
+
+    console.log('Bot reply finished', { commentId, status, ...details })
+    return jsonResponse({ status, ...details })
+  } catch (error) {
+    console.error('Function error:', error)
+    if (claimed && commentId) {
+      await finishRun(supabase, commentId, 'failed', { reason: error.message })
+    }
+    return jsonResponse({ error: error.message }, 500)
+  }
+})
@@ -0,0 +1,112 @@
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts'
+import { corsHeaders } from '../_shared/cors.ts'
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2.7.1'
+import { answerFromKnowledgeBase, RetrievedDocument } from '../_shared/knowledgeBase.ts'
+import { createChatCompletion } from '../_shared/openai.ts'
+
+// Only answers drawn from a closely matching chunk get a reference answer to grade against
+const EXPECTED_ANSWER_SIMILARITY = 0.7
+
+function jsonResponse(body: Record<string, unknown>, status = 200) {
+  return new Response(
+    JSON.stringify(body),
+    { status, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+  )
+}
+
+/**
+ * The ideal answer to a test question, written from the same chunks the bot
+ * answered from, that the bot's answer is graded against
+ */
+async function generateExpectedAnswer(query: string, sources: RetrievedDocument[]) {
+  return createChatCompletion({
+    messages: [
+      {
+        role: 'system',
+        content: `You are generating an ideal test response for a customer service question. This will be used to grade the actual bot's response.
+
+Your response should:
+1. Be clear and direct
+2. Include all necessary information from the documents
+3. Use natural, conversational language
+4. Avoid technical terms unless necessary
+5. Be under 100 words
+6. Never reference documentation or policies
+7. Use proper punctuation and spacing
+8. Never use unnecessary line breaks
+
+Example format:
+Question: "What cheese do you use?"
+Response: "We use Wisconsin brick cheese on all our Detroit-style pizzas. It's a key ingredient that gives our pizzas their unique flavor and perfect melt."
+
+Question: "${query}"
+Content to base response on:
+${sources.map(doc => doc.content).join('\n\n')}`
+      }
+    ],
+    temperature: 0.3,
+    max_tokens: 150
+  })
+}
+
+serve(async (req) => {
+  // Handle CORS
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  const supabase = createClient(
+    Deno.env.get('SUPABASE_URL') ?? '',
+    Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? ''
+  )
+
+  try {
+    const authHeader = req.headers.get('Authorization')
+    const { data: { user }, error: authError } = await supabase.auth.getUser(authHeader?.replace('Bearer ', '') ?? '')
+    if (authError || !user) {
+      return jsonResponse({ error: 'Unauthorized' }, 401)
+    }
+
+    const { data: profile, error: profileError } = await supabase
+      .from('profiles')
+      .select('role')
+      .eq('id', user.id)
+      .single()
+
+    if (profileError) throw profileError
+    if (profile.role !== 'admin') {
+      return jsonResponse({ error: 'Only admins can test the bot' }, 403)
+    }
+
+    const { query, organization_id: organizationId, history = [] } = await req.json()
+    if (!query?.trim() || !organizationId) {
+      return jsonResponse({ error: 'Missing query or organization_id' }, 400)
+    }
+
+    // Tests grade what the bot would write, so it answers whatever the retrieval confidence
+    const answer = await answerFromKnowledgeBase(
+      supabase,
+      query,
+      organizationId,
+      { display_name: 'Support' },
+      history,
+      { confidenceThreshold: 0 }
+    )
+
+    const expectedAnswer = answer.sources[0]?.similarity > EXPECTED_ANSWER_SIMILARITY
+      ? await generateExpectedAnswer(query, answer.sources)
+      : null
+
+    return jsonResponse({
+      content: answer.content,
+      similarity: answer.similarity,
+      confidence: answer.confidence,
+      hasContradictions: answer.hasContradictions,
+      citations: answer.citations,
+      expectedAnswer
+    })
+  } catch (error) {
+    console.error('Function error:', error)
+    return jsonResponse({ error: error.message }, 500)
+  }
+})
@@ -0,0 +1,124 @@
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts'
+import { corsHeaders } from '../_shared/cors.ts'
+import { createClient, SupabaseClient } from 'https://esm.sh/@supabase/supabase-js@2.7.1'
+import { searchKnowledgeBase } from '../_shared/knowledgeBase.ts'
+
+const MAX_QUERY_LENGTH = 500
+const DEFAULT_RESULT_COUNT = 5
+const MAX_RESULT_COUNT = 10
+const ARTICLE_COLUMNS = 'id, title, summary, source_document_id, position'
+
+function jsonResponse(body: Record<string, unknown>, status = 200) {
+  return new Response(
+    JSON.stringify(body),
+    { status, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+  )
+}
+
+/**
+ * Published articles drawn from the documents whose chunks rank best for the
+ * query, in the order of each document's best chunk
+ */
+async function findArticlesFromDocuments(supabase: SupabaseClient, query: string, organizationId: string) {
+  let chunks
+  try {
+    chunks = await searchKnowledgeBase(supabase, query, organizationId)
+  } catch (error) {
+    // Keyword matches on the articles themselves still work without embeddings
+    console.error('Knowledge base search failed:', error)
+    return []
+  }
+
+  const fileIds = [...new Set(chunks.map(chunk => chunk.file_id).filter(Boolean))]
+  if (!fileIds.length) return []
+
+  const { data: files, error: filesError } = await supabase
+    .from('organization_files')
+    .select('id, document_id')
+    .in('id', fileIds)
+
+  if (filesError) throw filesError
+
+  const documentByFile = new Map(files.map(file => [file.id, file.document_id]))
+  const rankedDocuments: string[] = []
+  for (const chunk of chunks) {
+    const documentId = documentByFile.get(chunk.file_id)
+    if (documentId && !rankedDocuments.includes(documentId)) rankedDocuments.push(documentId)
+  }
+  if (!rankedDocuments.length) return []
+
+  const { data: articles, error } = await supabase
+    .from('help_articles')
+    .select(ARTICLE_COLUMNS)
+    .eq('organization_id', organizationId)
+    .eq('is_published', true)
+    .in('source_document_id', rankedDocuments)
+
+  if (error) throw error
+
+  return articles.sort((a, b) =>
+    rankedDocuments.indexOf(a.source_document_id) - rankedDocuments.indexOf(b.source_document_id) ||
+    a.position - b.position
+  )
+}
+
+async function findArticlesByText(supabase: SupabaseClient, query: string, organizationId: string, limit: number) {
+  const { data, error } = await supabase
+    .from('help_articles')
+    .select(ARTICLE_COLUMNS)
+    .eq('organization_id', organizationId)
+    .eq('is_published', true)
+    .textSearch('search_tsv', query, { type: 'websearch', config: 'english' })
+    .limit(limit)
+
+  if (error) throw error
+  return data ?? []
+}
+
+serve(async (req) => {
+  // Handle CORS
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  // The help center is public, so this runs for signed-out visitors (anon key) too
+  const supabase = createClient(
+    Deno.env.get('SUPABASE_URL') ?? '',
+    Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? ''
+  )
+
+  try {
+    const { organization_id: organizationId, query, limit } = await req.json()
+    const trimmedQuery = typeof query === 'string' ? query.trim().slice(0, MAX_QUERY_LENGTH) : ''
+    if (!organizationId || !trimmedQuery) {
+      return jsonResponse({ error: 'organization_id and query are required' }, 400)
+    }
+
+    const { data: organization, error: organizationError } = await supabase
+      .from('organizations')
+      .select('id, help_center_enabled')
+      .eq('id', organizationId)
+      .maybeSingle()
+
+    if (organizationError) throw organizationError
+    if (!organization?.help_center_enabled) {
+      return jsonResponse({ error: 'Help center not found' }, 404)
+    }
+
+    const resultCount = Math.min(Math.max(Number(limit) || DEFAULT_RESULT_COUNT, 1), MAX_RESULT_COUNT)
+    const [fromDocuments, fromText] = await Promise.all([
+      findArticlesFromDocuments(supabase, trimmedQuery, organizationId),
+      findArticlesByText(supabase, trimmedQuery, organizationId, resultCount)
+    ])
+
+    const articles = [...fromDocuments, ...fromText]
+      .filter((article, index, all) => all.findIndex(other => other.id === article.id) === index)
+      .slice(0, resultCount)
+      .map(({ id, title, summary }) => ({ id, title, summary }))
+
+    return jsonResponse({ articles })
+  } catch (error) {
+    console.error('Function error:', error)
+    return jsonResponse({ error: error.message }, 500)
+  }
+})
@@ -0,0 +1,413 @@
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts'
+import { corsHeaders } from '../_shared/cors.ts'
+import { createClient, SupabaseClient } from 'https://esm.sh/@supabase/supabase-js@2.7.1'
+import { sendEmail } from '../_shared/email.ts'
+import {
+  InboundEmail,
+  SUPPORT_EMAIL,
+  baseAddress,
+  findTicketToken,
+  getEmailText,
+  parseInboundRequest,
+  stripQuotedReply,
+  toTicketTitle
+} from '../_shared/inboundEmail.ts'
+import { EmailAddress, EmailAttachment, getHeader } from '../_shared/mime.ts'
+
+const SUPABASE_SERVICE_ROLE_KEY = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? ''
+// Mail providers can't sign a Supabase JWT, so the webhook URL carries this secret instead
+const INBOUND_EMAIL_SECRET = Deno.env.get('INBOUND_EMAIL_SECRET') ?? ''
+
+// Larger attachments are dropped rather than failing the whole email
+const MAX_ATTACHMENT_BYTES = 20 * 1024 * 1024
+// A delivery still processing after this long was abandoned, and a retry may take it over
+const STALE_EMAIL_MS = 10 * 60 * 1000
+// Log statuses that hold an email's message id, so retries of it are duplicates
+const CLAIMED_STATUSES = ['processing', 'ticket_created', 'comment_added']
+
+interface HandledEmail {
+  status: 'ticket_created' | 'comment_added' | 'rejected'
+  reason?: string
+  organization_id?: string | null
+  ticket_id?: string | null
+  comment_id?: string | null
+  attachment_count?: number
+}
+
+function jsonResponse(body: Record<string, unknown>, status = 200) {
+  return new Response(
+    JSON.stringify(body),
+    { status, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+  )
+}
+
+/**
+ * Logs the email as processing before anything is created from it. The
+ * unique message id makes this the duplicate check too: a provider's retry of
+ * an email that is being or was handled conflicts with the earlier row.
+ * Returns the new log row's id, or the earlier row for a duplicate.
+ */
+async function claimEmail(supabase: SupabaseClient, email: InboundEmail): Promise<{ logId: string } | { previous: any }> {
+  const { data: claimed, error } = await supabase
+    .from('inbound_emails')
+    .insert({
+      message_id: email.messageId,
+      from_email: email.from?.email ?? null,
+      to_emails: email.recipients,
+      subject: email.subject,
+      status: 'processing'
+    })
+    .select('id')
+    .single()
+
+  if (!error) return { logId: claimed.id }
+  if (error.code !== '23505') throw error
+
+  const { data: previous, error: previousError } = await supabase
+    .from('inbound_emails')
+    .select('id, status, ticket_id, created_at')
+    .eq('message_id', email.messageId)
+    .in('status', CLAIMED_STATUSES)
+    .maybeSingle()
+
+  if (previousError) throw previousError
+
+  // An attempt that died before creating anything gives way to the retry
+  const isAbandoned = previous?.status === 'processing' && !previous.ticket_id &&
+    Date.now() - new Date(previous.created_at).getTime() > STALE_EMAIL_MS
+  if (!isAbandoned) return { previous }
+
+  const { error: releaseError } = await supabase
+    .from('inbound_emails')
+    .update({ status: 'failed', reason: 'Abandoned while processing' })
+    .eq('id', previous.id)
+    .eq('status', 'processing')
+
+  if (releaseError) throw releaseError
+  return claimEmail(supabase, email)
+}
+
+async function updateEmailLog(supabase: SupabaseClient, logId: string, changes: Partial<HandledEmail> | { status: 'failed', reason: string }) {
+  const { error } = await supabase
+    .from('inbound_emails')
+    .update(changes)
+    .eq('id', logId)
+
+  if (error) console.error('Error logging inbound email:', error)
+}
+
+/**
+ * Out-of-office replies, bounces and our own notifications coming back
+ * would otherwise open tickets or answer each other in a loop
+ */
+function isAutomatedEmail(email: InboundEmail) {
+  const autoSubmitted = getHeader(email.headers, 'auto-submitted').toLowerCase()
+  const precedence = getHeader(email.headers, 'precedence').toLowerCase()
+  const sender = email.from?.email ?? ''
+
+  return (autoSubmitted !== '' && autoSubmitted !== 'no')
+    || ['bulk', 'junk', 'auto_reply', 'list'].includes(precedence)
+    || getHeader(email.headers, 'x-autoreply') !== ''
+    || /^(mailer-daemon|postmaster|no-?reply)@/.test(sender)
+    || baseAddress(sender) === SUPPORT_EMAIL.toLowerCase()
+    || sender === (Deno.env.get('SENDGRID_FROM_EMAIL') ?? '').toLowerCase()
+}
+
+async function findProfileByEmail(supabase: SupabaseClient, email: string) {
+  const { data, error } = await supabase
+    .from('profiles')
+    .select('id, email, full_name, role')
+    // ilike for case-insensitivity; its wildcards are escaped
+    .ilike('email', email.replace(/[\\%_]/g, '\\$&'))
+    .limit(1)
+    .maybeSingle()
+
+  if (error) throw error
+  return data
+}
+
+/**
+ * The sender's profile, creating a customer account for a first-time sender
+ */
+async function findOrCreateCustomer(supabase: SupabaseClient, from: EmailAddress) {
+  const existing = await findProfileByEmail(supabase, from.email)
+  if (existing) return existing
+
+  const { data: created, error } = await supabase.auth.admin.createUser({
+    email: from.email,
+    email_confirm: true,
+    user_metadata: { full_name: from.name || null }
+  })
+
+  if (error) throw error
+
+  // Nothing creates profiles on sign-up (the app creates them when a user first
+  // signs in), so this account has none yet; the upsert also covers a retry
+  const profile = { id: created.user.id, email: from.email, full_name: from.name || null, role: 'customer' }
+  const { error: profileError } = await supabase
+    .from('profiles')
+    .upsert(profile, { onConflict: 'id' })
+
+  if (profileError) throw profileError
+  return profile
+}
+
+async function findOrganization(supabase: SupabaseClient, recipients: string[]) {
+  const addresses = [...new Set(recipients.map(baseAddress))]
+  if (!addresses.length) return null
+
+  const { data, error } = await supabase
+    .from('organizations')
+    .select('id, name, inbound_email_address')
+    .in('inbound_email_address', addresses)
+    .limit(1)
+
+  if (error) throw error
+  return data?.[0] ?? null
+}
+
+/**
+ * Stores the attachments in the attachments bucket, the same way the
+ * composer does, and links them to the comment
+ */
+async function saveAttachments(supabase: SupabaseClient, ticketId: string, commentId: string, attachments: EmailAttachment[]) {
+  const rows = []
+
+  for (const attachment of attachments) {
+    if (attachment.content.byteLength > MAX_ATTACHMENT_BYTES) {
+      console.warn('Skipping oversized attachment', { filename: attachment.filename, size: attachment.content.byteLength })
+      continue
+    }
+
+    const fileName = attachment.filename.replace(/[/\\]/g, '_')
+    const storagePath = `tickets/${ticketId}/${Date.now()}-${fileName}`
+    const { error } = await supabase.storage
+      .from('attachments')
+      .upload(storagePath, attachment.content, { contentType: attachment.contentType })
+
+    if (error) throw error
+
+    rows.push({
+      ticket_id: ticketId,
+      comment_id: commentId,
+      file_name: fileName,
+      file_size: attachment.content.byteLength,
+      file_type: attachment.contentType,
+      storage_path: storagePath
+    })
+  }
+
+  if (rows.length) {
+    const { error } = await supabase.from('ticket_attachments').insert(rows)
+    if (error) throw error
+  }
+
+  return rows.length
+}
+
+/**
+ * Posts the email as a comment. Once the comment exists nothing else may fail
+ * the email, or the provider's retry would post it again.
+ */
+async function addComment(supabase: SupabaseClient, logId: string, ticketId: string, userId: string, content: string, attachments: EmailAttachment[]) {
+  const { data: comment, error } = await supabase
+    .from('ticket_comments')
+    .insert({
+      ticket_id: ticketId,
+      user_id: userId,
+      // A message with only attachments lists them, so the comment isn't blank
+      content: content || attachments.map(attachment => attachment.filename).join(', '),
+      is_internal: false
+    })
+    .select('id')
+    .single()
+
+  if (error) throw error
+  await updateEmailLog(supabase, logId, { ticket_id: ticketId, comment_id: comment.id })
+
+  let attachmentCount = 0
+  try {
+    attachmentCount = await saveAttachments(supabase, ticketId, comment.id, attachments)
+  } catch (error) {
+    console.error('Error saving email attachments:', error)
+  }
+
+  const { error: ticketError } = await supabase
+    .from('tickets')
+    .update({ updated_at: new Date().toISOString() })
+    .eq('id', ticketId)
+
+  if (ticketError) console.error('Error touching email ticket:', ticketError)
+  return { commentId: comment.id, attachmentCount }
+}
+
+/**
+ * Service-role inserts don't start automations by themselves (see
+ * request_ticket_automations), so a new email ticket asks for them here
+ */
+async function requestAutomations(ticketId: string) {
+  try {
+    await fetch(`${Deno.env.get('SUPABASE_URL')}/functions/v1/run-automations`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${SUPABASE_SERVICE_ROLE_KEY}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ ticket_id: ticketId, trigger: 'ticket_created' })
+    })
+  } catch (error) {
+    console.error('Error requesting automations for email ticket:', error)
+  }
+}
+
+async function replyToTicket(supabase: SupabaseClient, logId: string, email: InboundEmail, ticket: any): Promise<HandledEmail> {
+  const content = stripQuotedReply(getEmailText(email))
+  if (!content && email.attachments.length === 0) {
+    return { status: 'rejected', reason: 'Empty reply', ticket_id: ticket.id, organization_id: ticket.organization_id }
+  }
+
+  const { commentId, attachmentCount } = await addComment(supabase, logId, ticket.id, ticket.customer_id, content, email.attachments)
+  return {
+    status: 'comment_added',
+    organization_id: ticket.organization_id,
+    ticket_id: ticket.id,
+    comment_id: commentId,
+    attachment_count: attachmentCount
+  }
+}
+
+async function openTicket(supabase: SupabaseClient, logId: string, email: InboundEmail): Promise<HandledEmail> {
+  const organization = await findOrganization(supabase, email.recipients)
+  if (!organization) return { status: 'rejected', reason: 'No organization uses this address' }
+
+  const customer = await findOrCreateCustomer(supabase, email.from!)
+  if (customer.role !== 'customer') {
+    return { status: 'rejected', reason: 'Only customers can open tickets by email', organization_id: organization.id }
+  }
+
+  const title = toTicketTitle(email.subject)
+  const { data: ticket, error } = await supabase
+    .from('tickets')
+    .insert({
+      title,
+      description: getEmailText(email) || title,
+      customer_id: customer.id,
+      organization_id: organization.id,
+      status: 'open',
+      source: 'email'
+    })
+    .select('id, title, email_token')
+    .single()
+
+  if (error) throw error
+  // From here on a retry must not open the ticket again
+  await updateEmailLog(supabase, logId, { organization_id: organization.id, ticket_id: ticket.id })
+
+  // The description holds the text; attachments need a comment to hang off
+  let commentId = null
+  let attachmentCount = 0
+  if (email.attachments.length) {
+    try {
+      ({ commentId, attachmentCount } = await addComment(supabase, logId, ticket.id, customer.id, '', email.attachments))
+    } catch (error) {
+      console.error('Error adding email attachments to the new ticket:', error)
+    }
+  }
+
+  await requestAutomations(ticket.id)
+
+  try {
+    await sendEmail({
+      to: email.from!.email,
+      subject: `Re: ${email.subject || title}`,
+      text: `We've received your request "${title}" and will get back to you soon.\n\nYou can reply to this email to add more information to your ticket.`,
+      ticketToken: ticket.email_token
+    })
+  } catch (error) {
+    // The ticket exists either way; the customer just isn't told about it
+    console.error('Error acknowledging email ticket:', error)
+  }
+
+  return {
+    status: 'ticket_created',
+    organization_id: organization.id,
+    ticket_id: ticket.id,
+    comment_id: commentId,
+    attachment_count: attachmentCount
+  }
+}
+
+async function handleEmail(supabase: SupabaseClient, logId: string, email: InboundEmail): Promise<HandledEmail> {
+  if (!email.from) return { status: 'rejected', reason: 'No sender address' }
+  if (isAutomatedEmail(email)) return { status: 'rejected', reason: 'Automated email' }
+
+  const token = await findTicketToken(email)
+  if (token) {
+    const { data: ticket, error } = await supabase
+      .from('tickets')
+      .select('id, status, customer_id, organization_id')
+      .eq('email_token', token)
+      .maybeSingle()
+
+    if (error) throw error
+
+    if (ticket && ticket.status !== 'closed') {
+      const sender = await findProfileByEmail(supabase, email.from.email)
+      if (sender?.id === ticket.customer_id) return replyToTicket(supabase, logId, email, ticket)
+    }
+    // Closed tickets stay closed, and only the ticket's customer can reply to it
+  }
+
+  // Anything else starts a ticket of its own. That includes replies that lost
+  // the signed reply address, even with the ticket's [#TOKEN] in the subject:
+  // a subject and From address are too easy to forge to thread on
+
+  return openTicket(supabase, logId, email)
+}
+
+serve(async (req) => {
+  // Handle CORS
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  const secret = new URL(req.url).searchParams.get('secret') ?? req.headers.get('X-Inbound-Secret')
+  if (!INBOUND_EMAIL_SECRET || secret !== INBOUND_EMAIL_SECRET) {
+    return jsonResponse({ error: 'Unauthorized' }, 401)
+  }
+
+  let email: InboundEmail
+  try {
+    email = await parseInboundRequest(req)
+  } catch (error) {
+    console.error('Error parsing inbound email:', error)
+    return jsonResponse({ error: 'Could not parse the email' }, 400)
+  }
+
+  const supabase = createClient(
+    Deno.env.get('SUPABASE_URL') ?? '',
+    SUPABASE_SERVICE_ROLE_KEY
+  )
+
+  let logId: string | null = null
+  try {
+    // Providers retry deliveries they think failed
+    const claim = await claimEmail(supabase, email)
+    if ('previous' in claim) {
+      console.log('Inbound email already handled', { messageId: email.messageId })
+      return jsonResponse({ status: 'duplicate', ticket_id: claim.previous?.ticket_id ?? null })
+    }
+    logId = claim.logId
+
+    const result = await handleEmail(supabase, logId, email)
+    await updateEmailLog(supabase, logId, { attachment_count: 0, ...result })
+    console.log('Inbound email handled', { messageId: email.messageId, ...result })
+    // Rejected emails are answered with 200 too, or the provider would keep retrying them
+    return jsonResponse({ ...result })
+  } catch (error) {
+    console.error('Function error:', error)
+    // A failed row frees the message id, so the provider's retry is handled afresh
+    if (logId) await updateEmailLog(supabase, logId, { status: 'failed', reason: error.message })
+    return jsonResponse({ error: error.message }, 500)
+  }
+})
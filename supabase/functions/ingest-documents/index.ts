@@ -0,0 +1,190 @@
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts'
+import { corsHeaders } from '../_shared/cors.ts'
+import { createClient, SupabaseClient } from 'https://esm.sh/@supabase/supabase-js@2.7.1'
+import { createEmbeddings } from '../_shared/openai.ts'
+import { chunkDocument } from '../_shared/documentChunking.ts'
+import { getDocumentExtractor } from '../_shared/documentExtractors.ts'
+
+const SUPABASE_SERVICE_ROLE_KEY = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? ''
+
+// Jobs handled per invocation; the cron sweep picks up anything left over
+const MAX_JOBS_PER_RUN = 3
+const EMBEDDING_BATCH_SIZE = 50
+// Retry delays grow 30s, 1m, 2m, 4m, ... capped at an hour
+const BASE_RETRY_DELAY_MS = 30 * 1000
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000
+
+function jsonResponse(body: Record<string, unknown>, status = 200) {
+  return new Response(
+    JSON.stringify(body),
+    { status, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+  )
+}
+
+async function claimJob(supabase: SupabaseClient, jobId?: string) {
+  const { data, error } = await supabase.rpc('claim_document_ingestion_job', { job_id: jobId ?? null })
+  if (error) throw error
+  return data?.[0] ?? null
+}
+
+async function updateJob(supabase: SupabaseClient, jobId: string, changes: Record<string, unknown>) {
+  const { error } = await supabase
+    .from('document_ingestion_jobs')
+    .update({ ...changes, updated_at: new Date().toISOString() })
+    .eq('id', jobId)
+
+  if (error) console.error('Failed to update ingestion job:', error)
+}
+
+async function failJob(supabase: SupabaseClient, job: any, error: Error) {
+  if (job.attempts >= job.max_attempts) {
+    await updateJob(supabase, job.id, {
+      status: 'failed',
+      error: error.message,
+      finished_at: new Date().toISOString()
+    })
+    return 'failed'
+  }
+
+  const delay = Math.min(BASE_RETRY_DELAY_MS * 2 ** (job.attempts - 1), MAX_RETRY_DELAY_MS)
+  await updateJob(supabase, job.id, {
+    status: 'queued',
+    error: error.message,
+    next_attempt_at: new Date(Date.now() + delay).toISOString()
+  })
+  return 'retrying'
+}
+
+async function ingestFile(supabase: SupabaseClient, job: any) {
+  const { data: file, error: fileError } = await supabase
+    .from('organization_files')
+    .select('id, organization_id, storage_path, file_name, file_type')
+    .eq('id', job.file_id)
+    .single()
+
+  if (fileError) throw fileError
+
+  const extractor = getDocumentExtractor(file.file_name, file.file_type)
+  if (!extractor) {
+    throw new Error(`Unsupported document type: ${file.file_type || file.file_name}`)
+  }
+
+  const { data: blob, error: downloadError } = await supabase.storage
+    .from('organization-files')
+    .download(file.storage_path)
+
+  if (downloadError) throw downloadError
+
+  const lines = await extractor.extract(new Uint8Array(await blob.arrayBuffer()))
+  const chunks = chunkDocument(lines)
+  if (chunks.length === 0) {
+    throw new Error('No text could be extracted from the document')
+  }
+  const pageCount = lines.reduce((max, line) => Math.max(max, line.page || 0), 0) || null
+
+  await updateJob(supabase, job.id, { status: 'embedding', chunks_total: chunks.length, chunks_done: 0 })
+
+  // Embed everything before touching the stored chunks, so a failure leaves the previous index intact
+  const rows: Record<string, unknown>[] = []
+  for (let start = 0; start < chunks.length; start += EMBEDDING_BATCH_SIZE) {
+    const batch = chunks.slice(start, start + EMBEDDING_BATCH_SIZE)
+    // Embedding the section heading with the text keeps short chunks on topic
+    const embeddings = await createEmbeddings(batch.map(chunk =>
+      chunk.metadata.heading ? `${chunk.metadata.heading}\n\n${chunk.text}` : chunk.text
+    ))
+
+    batch.forEach((chunk, i) => rows.push({
+      content: chunk.text,
+      embedding: embeddings[i],
+      metadata: {
+        ...chunk.metadata,
+        pageCount,
+        document_name: file.file_name,
+        document_format: extractor.format
+      },
+      organization_id: file.organization_id,
+      file_name: file.file_name,
+      file_path: file.storage_path,
+      file_id: file.id,
+      ingestion_job_id: job.id,
+      // Stays hidden from the bot until the version is published below
+      is_active: false
+    }))
+
+    await updateJob(supabase, job.id, { chunks_done: Math.min(start + batch.length, chunks.length) })
+  }
+
+  // Clears chunks left behind by an earlier attempt of this job that failed before publishing
+  const { error: deleteError } = await supabase
+    .from('document_embeddings')
+    .delete()
+    .eq('ingestion_job_id', job.id)
+
+  if (deleteError) throw deleteError
+
+  const { error: insertError } = await supabase
+    .from('document_embeddings')
+    .insert(rows)
+
+  if (insertError) throw insertError
+
+  // Swaps in the new chunks and retires those of earlier versions in one transaction
+  const { error: publishError } = await supabase.rpc('publish_document_version', {
+    file_id: file.id,
+    ingestion_job_id: job.id
+  })
+
+  if (publishError) throw publishError
+
+  await updateJob(supabase, job.id, {
+    status: 'done',
+    error: null,
+    finished_at: new Date().toISOString()
+  })
+}
+
+serve(async (req) => {
+  // Handle CORS
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  // Only the database (trigger or cron sweep) or an operator holding the service role key may call this
+  const authHeader = req.headers.get('Authorization')
+  if (!SUPABASE_SERVICE_ROLE_KEY || authHeader !== `Bearer ${SUPABASE_SERVICE_ROLE_KEY}`) {
+    return jsonResponse({ error: 'Unauthorized' }, 401)
+  }
+
+  const supabase = createClient(
+    Deno.env.get('SUPABASE_URL') ?? '',
+    SUPABASE_SERVICE_ROLE_KEY
+  )
+
+  try {
+    // A job_id runs that job; an empty body works through whatever is due
+    const body = await req.json().catch(() => ({}))
+    const results = []
+
+    for (let i = 0; i < MAX_JOBS_PER_RUN; i++) {
+      const job = await claimJob(supabase, i === 0 ? body.job_id : undefined)
+      if (!job) break
+
+      try {
+        await ingestFile(supabase, job)
+        results.push({ job_id: job.id, status: 'done' })
+      } catch (error) {
+        console.error('Ingestion job failed:', { jobId: job.id, attempt: job.attempts, error })
+        results.push({ job_id: job.id, status: await failJob(supabase, job, error) })
+      }
+
+      // A specific job was requested; leave the rest of the queue to the sweep
+      if (body.job_id) break
+    }
+
+    console.log('Ingestion run finished', results)
+    return jsonResponse({ results })
+  } catch (error) {
+    console.error('Function error:', error)
+    return jsonResponse({ error: error.message }, 500)
+  }
+})
@@ -0,0 +1,410 @@
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts'
+import { corsHeaders } from '../_shared/cors.ts'
+import { createClient, SupabaseClient } from 'https://esm.sh/@supabase/supabase-js@2.7.1'
+import {
+  AutomationRule,
+  AutomationTrigger,
+  RuleAction,
+  TicketContext,
+  matchesRule,
+  planActions,
+  renderTemplate
+} from '../_shared/automationRules.ts'
+import { sendEmail } from '../_shared/email.ts'
+
+const SUPABASE_SERVICE_ROLE_KEY = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? ''
+
+// Tickets per page of a scheduled sweep (each page's ids go into the follow-up
+// queries' URLs, so pages stay small), and the most a preview looks at
+const SCHEDULED_PAGE_SIZE = 100
+const PREVIEW_TICKET_LIMIT = 200
+// Rows per request when reading past runs; PostgREST's max_rows in config.toml
+const RUNS_PAGE_SIZE = 1000
+
+const TICKET_COLUMNS = 'id, title, description, status, priority, type, tags, organization_id, customer_id, agent_id, team_id, email_token, created_at, updated_at'
+
+function jsonResponse(body: Record<string, unknown>, status = 200) {
+  return new Response(
+    JSON.stringify(body),
+    { status, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+  )
+}
+
+async function fetchRules(supabase: SupabaseClient, trigger: AutomationTrigger): Promise<AutomationRule[]> {
+  const { data, error } = await supabase
+    .from('automation_rules')
+    .select('*')
+    .eq('is_active', true)
+    .contains('triggers', [trigger])
+    .order('position', { ascending: true })
+    .order('created_at', { ascending: true })
+
+  if (error) throw error
+  return data ?? []
+}
+
+/**
+ * Time of the latest public comment on each ticket
+ */
+async function fetchLastReplies(supabase: SupabaseClient, ticketIds: string[]) {
+  const lastReplies = new Map<string, string>()
+  if (!ticketIds.length) return lastReplies
+
+  const { data, error } = await supabase.rpc('last_public_replies', { ticket_ids: ticketIds })
+  if (error) throw error
+
+  for (const row of data ?? []) {
+    lastReplies.set(row.ticket_id, row.last_reply_at)
+  }
+  return lastReplies
+}
+
+/**
+ * Every scheduled run of the rules on the tickets, a page at a time since
+ * PostgREST returns at most max_rows rows per request
+ */
+async function fetchScheduledRuns(supabase: SupabaseClient, ruleIds: string[], ticketIds: string[]) {
+  const runs: { rule_id: string, ticket_id: string, activity_at: string }[] = []
+
+  for (let from = 0; ; from += RUNS_PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('automation_rule_runs')
+      .select('rule_id, ticket_id, activity_at')
+      .eq('trigger', 'scheduled')
+      .in('rule_id', ruleIds)
+      .in('ticket_id', ticketIds)
+      .order('id', { ascending: true })
+      .range(from, from + RUNS_PAGE_SIZE - 1)
+
+    if (error) throw error
+    runs.push(...(data ?? []))
+    if ((data?.length ?? 0) < RUNS_PAGE_SIZE) return runs
+  }
+}
+
+async function fetchRecipient(supabase: SupabaseClient, to: string, ticket: any) {
+  if (to !== 'customer' && to !== 'agent') return to
+
+  const profileId = to === 'customer' ? ticket.customer_id : ticket.agent_id
+  if (!profileId) return null
+
+  const { data, error } = await supabase
+    .from('profiles')
+    .select('email')
+    .eq('id', profileId)
+    .single()
+
+  if (error) throw error
+  return data?.email ?? null
+}
+
+async function runEffect(supabase: SupabaseClient, rule: AutomationRule, action: RuleAction, ticket: any) {
+  if (action.type === 'add_note') {
+    const { error } = await supabase
+      .from('ticket_comments')
+      .insert({
+        ticket_id: ticket.id,
+        user_id: rule.created_by ?? null,
+        content: renderTemplate(action.value, ticket),
+        is_internal: true
+      })
+
+    if (error) throw error
+    return
+  }
+
+  const recipient = await fetchRecipient(supabase, action.value?.to, ticket)
+  if (!recipient) throw new Error(`No ${action.value?.to} email address for this ticket`)
+
+  await sendEmail({
+    to: recipient,
+    subject: renderTemplate(action.value?.subject, ticket),
+    text: renderTemplate(action.value?.body, ticket),
+    // Only the customer's replies thread back onto the ticket
+    ticketToken: action.value?.to === 'customer' ? ticket.email_token : null
+  })
+}
+
+/**
+ * Carries out a matching rule on a ticket and logs the run. Returns the
+ * ticket as it is afterwards so later rules see the changes.
+ */
+async function applyRule(
+  supabase: SupabaseClient,
+  rule: AutomationRule,
+  ticket: any,
+  trigger: AutomationTrigger,
+  activityAt: string | null
+) {
+  const { changes, effects, skipped } = planActions(rule.actions, ticket)
+  const results: Record<string, unknown>[] = skipped.map(({ action, reason }) => ({
+    type: action.type, value: action.value, status: 'skipped', error: reason
+  }))
+  let updatedTicket = ticket
+  let runError: string | null = null
+
+  if (Object.keys(changes).length > 0) {
+    const { data, error } = await supabase
+      .from('tickets')
+      .update(changes)
+      .eq('id', ticket.id)
+      .select(TICKET_COLUMNS)
+      .single()
+
+    if (error) {
+      runError = error.message
+    } else {
+      updatedTicket = data
+    }
+  }
+
+  for (const action of rule.actions) {
+    if (action.type === 'add_note' || action.type === 'send_email' || skipped.some(entry => entry.action === action)) {
+      continue
+    }
+    results.push({ type: action.type, value: action.value, status: runError ? 'failed' : 'applied', error: runError ?? undefined })
+  }
+
+  for (const action of effects) {
+    try {
+      await runEffect(supabase, rule, action, updatedTicket)
+      results.push({ type: action.type, value: action.value, status: 'applied' })
+    } catch (error) {
+      console.error('Automation action failed:', { ruleId: rule.id, ticketId: ticket.id, type: action.type, error })
+      results.push({ type: action.type, value: action.value, status: 'failed', error: error.message })
+      runError = runError ?? error.message
+    }
+  }
+
+  const { error: logError } = await supabase
+    .from('automation_rule_runs')
+    .insert({
+      rule_id: rule.id,
+      rule_name: rule.name,
+      ticket_id: ticket.id,
+      trigger,
+      status: runError ? 'failed' : 'applied',
+      actions: results,
+      error: runError,
+      activity_at: activityAt
+    })
+
+  if (logError) console.error('Failed to log automation run:', logError)
+
+  return updatedTicket
+}
+
+/**
+ * Runs the rules of an event-driven trigger against one ticket
+ */
+async function runForTicket(supabase: SupabaseClient, ticketId: string, trigger: AutomationTrigger) {
+  const rules = await fetchRules(supabase, trigger)
+  if (!rules.length) return []
+
+  const { data: ticket, error } = await supabase
+    .from('tickets')
+    .select(TICKET_COLUMNS)
+    .eq('id', ticketId)
+    .single()
+
+  if (error) throw error
+
+  const lastReplies = await fetchLastReplies(supabase, [ticketId])
+
+  // A rule that already ran on this ticket only runs again when it would change something,
+  // so its notes and emails aren't repeated on every update
+  const { data: previousRuns, error: runsError } = await supabase
+    .from('automation_rule_runs')
+    .select('rule_id')
+    .eq('ticket_id', ticketId)
+    .eq('status', 'applied')
+
+  if (runsError) throw runsError
+  const appliedRuleIds = new Set((previousRuns ?? []).map(run => run.rule_id))
+
+  let current = ticket
+  const applied: string[] = []
+
+  for (const rule of rules) {
+    const context: TicketContext = { ticket: current, lastReplyAt: lastReplies.get(ticketId) ?? null, now: Date.now() }
+    if (!matchesRule(rule, context)) continue
+
+    if (appliedRuleIds.has(rule.id) && Object.keys(planActions(rule.actions, current).changes).length === 0) continue
+
+    current = await applyRule(supabase, rule, current, trigger, null)
+    applied.push(rule.id!)
+    if (rule.stop_processing) break
+  }
+
+  return applied
+}
+
+/**
+ * Runs the scheduled rules against one page of tickets. A rule fires once per
+ * ticket for each stretch without new replies.
+ */
+async function runScheduledForTickets(supabase: SupabaseClient, rules: AutomationRule[], tickets: any[]) {
+  const ticketIds = tickets.map(ticket => ticket.id)
+  const lastReplies = await fetchLastReplies(supabase, ticketIds)
+
+  const previousRuns = await fetchScheduledRuns(supabase, rules.map(rule => rule.id!), ticketIds)
+  const alreadyRun = new Set(previousRuns.map(run =>
+    `${run.rule_id}:${run.ticket_id}:${new Date(run.activity_at).getTime()}`
+  ))
+
+  const applied: { rule_id: string, ticket_id: string }[] = []
+
+  for (let ticket of tickets) {
+    const activityAt = lastReplies.get(ticket.id) ?? ticket.created_at
+
+    for (const rule of rules) {
+      if (alreadyRun.has(`${rule.id}:${ticket.id}:${new Date(activityAt).getTime()}`)) continue
+
+      const context: TicketContext = { ticket, lastReplyAt: lastReplies.get(ticket.id) ?? null, now: Date.now() }
+      if (!matchesRule(rule, context)) continue
+
+      ticket = await applyRule(supabase, rule, ticket, 'scheduled', activityAt)
+      applied.push({ rule_id: rule.id!, ticket_id: ticket.id })
+      if (rule.stop_processing) break
+    }
+  }
+
+  return applied
+}
+
+/**
+ * Runs the scheduled rules against every ticket that isn't closed, a page at a
+ * time in (updated_at, id) order. Tickets updated after the sweep started,
+ * including by its own rules, are left for the next sweep so none is visited twice.
+ */
+async function runScheduled(supabase: SupabaseClient) {
+  const rules = await fetchRules(supabase, 'scheduled')
+  if (!rules.length) return []
+
+  const startedAt = new Date().toISOString()
+  const applied: { rule_id: string, ticket_id: string }[] = []
+  let cursor: { updated_at: string, id: string } | null = null
+
+  while (true) {
+    let query = supabase
+      .from('tickets')
+      .select(TICKET_COLUMNS)
+      .neq('status', 'closed')
+      .lte('updated_at', startedAt)
+      .order('updated_at', { ascending: true })
+      .order('id', { ascending: true })
+      .limit(SCHEDULED_PAGE_SIZE)
+
+    if (cursor) {
+      query = query.or(`updated_at.gt."${cursor.updated_at}",and(updated_at.eq."${cursor.updated_at}",id.gt.${cursor.id})`)
+    }
+
+    const { data: tickets, error } = await query
+    if (error) throw error
+    if (!tickets?.length) break
+
+    applied.push(...await runScheduledForTickets(supabase, rules, tickets))
+
+    if (tickets.length < SCHEDULED_PAGE_SIZE) break
+    const last = tickets[tickets.length - 1]
+    cursor = { updated_at: last.updated_at, id: last.id }
+  }
+
+  return applied
+}
+
+/**
+ * Evaluates an unsaved rule against recent tickets without changing anything
+ */
+async function previewRule(supabase: SupabaseClient, rule: AutomationRule) {
+  const { data: tickets, error } = await supabase
+    .from('tickets')
+    .select(TICKET_COLUMNS)
+    .order('created_at', { ascending: false })
+    .limit(PREVIEW_TICKET_LIMIT)
+
+  if (error) throw error
+
+  const lastReplies = await fetchLastReplies(supabase, (tickets ?? []).map(ticket => ticket.id))
+  const matches = []
+
+  for (const ticket of tickets ?? []) {
+    const context: TicketContext = { ticket, lastReplyAt: lastReplies.get(ticket.id) ?? null, now: Date.now() }
+    if (!matchesRule(rule, context)) continue
+
+    const { changes, effects, skipped } = planActions(rule.actions, ticket)
+    matches.push({
+      ticket: { id: ticket.id, title: ticket.title, status: ticket.status, priority: ticket.priority },
+      changes,
+      effects: effects.map(effect => effect.type),
+      skipped: skipped.map(({ action, reason }) => ({ type: action.type, reason }))
+    })
+  }
+
+  return { evaluated: tickets?.length ?? 0, matches }
+}
+
+async function isAdminRequest(supabase: SupabaseClient, authHeader: string | null) {
+  if (!authHeader) return false
+
+  const { data: { user }, error } = await supabase.auth.getUser(authHeader.replace('Bearer ', ''))
+  if (error || !user) return false
+
+  const { data: profile } = await supabase
+    .from('profiles')
+    .select('role')
+    .eq('id', user.id)
+    .single()
+
+  return profile?.role === 'admin'
+}
+
+serve(async (req) => {
+  // Handle CORS
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  const supabase = createClient(
+    Deno.env.get('SUPABASE_URL') ?? '',
+    SUPABASE_SERVICE_ROLE_KEY
+  )
+
+  try {
+    const authHeader = req.headers.get('Authorization')
+    const isService = !!SUPABASE_SERVICE_ROLE_KEY && authHeader === `Bearer ${SUPABASE_SERVICE_ROLE_KEY}`
+    const body = await req.json().catch(() => ({}))
+
+    // Admins may preview a rule from the browser; running rules is for the database only
+    if (body.dry_run) {
+      if (!isService && !(await isAdminRequest(supabase, authHeader))) {
+        return jsonResponse({ error: 'Unauthorized' }, 401)
+      }
+      if (!body.rule?.actions?.length) {
+        return jsonResponse({ error: 'Missing rule' }, 400)
+      }
+      return jsonResponse(await previewRule(supabase, { conditions: [], match_type: 'all', ...body.rule }))
+    }
+
+    if (!isService) {
+      return jsonResponse({ error: 'Unauthorized' }, 401)
+    }
+
+    if (body.trigger === 'scheduled') {
+      const applied = await runScheduled(supabase)
+      console.log('Scheduled automations finished', { applied: applied.length })
+      return jsonResponse({ applied })
+    }
+
+    if (!body.ticket_id || !['ticket_created', 'ticket_updated'].includes(body.trigger)) {
+      return jsonResponse({ error: 'Missing ticket_id or trigger' }, 400)
+    }
+
+    const applied = await runForTicket(supabase, body.ticket_id, body.trigger)
+    console.log('Automations finished', { ticketId: body.ticket_id, trigger: body.trigger, applied })
+    return jsonResponse({ applied })
+  } catch (error) {
+    console.error('Function error:', error)
+    return jsonResponse({ error: error.message }, 500)
+  }
+})
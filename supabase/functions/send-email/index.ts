@@ -1,5 +1,6 @@
 import { serve } from 'https://deno.land/std@0.168.0/http/server.ts'
 import { corsHeaders } from '../_shared/cors.ts'
+import { SUPPORT_EMAIL, ticketReplyAddress, withTicketToken } from '../_shared/inboundEmail.ts'
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2.7.1'
 
 const SENDGRID_API_KEY = Deno.env.get('SENDGRID_API_KEY')
@@ -38,8 +39,8 @@ serve(async (req) => {
       )
     }
 
-    // Get request body
-    const { to, subject, text, html } = await req.json()
+    // Get request body; emails about a ticket carry its token so replies thread back
+    const { to, subject, text, html, ticket_id } = await req.json()
 
     // Validate required fields
     if (!to || !subject || (!text && !html)) {
@@ -49,12 +50,31 @@ serve(async (req) => {
       )
     }
 
+    let ticketToken = null
+    if (ticket_id) {
+      // Read as the caller, so only tickets they can see get a token
+      const { data: ticket } = await createClient(
+        Deno.env.get('SUPABASE_URL') ?? '',
+        Deno.env.get('SUPABASE_ANON_KEY') ?? '',
+        { global: { headers: { Authorization: authHeader } } }
+      )
+        .from('tickets')
+        .select('email_token')
+        .eq('id', ticket_id)
+        .maybeSingle()
+
+      ticketToken = ticket?.email_token ?? null
+    }
+
+    const replyTo = ticketToken ? await ticketReplyAddress(ticketToken) : SUPPORT_EMAIL
+
     // Send email via SendGrid
     const emailPayload = {
       personalizations: [{ to: [{ email: to }] }],
       from: { email: SENDGRID_FROM_EMAIL },
-      reply_to: { email: "support@aiyudo.com" },
-      subject,
+      reply_to: { email: replyTo },
+      subject: ticketToken ? withTicketToken(subject, ticketToken) : subject,
+      ...(ticketToken ? { headers: { 'X-Ticket-Token': ticketToken } } : {}),
       content: [
         {
           type: 'text/plain',
@@ -70,7 +90,7 @@ serve(async (req) => {
     console.log('Sending email with payload:', {
       to,
       from: SENDGRID_FROM_EMAIL,
-      replyTo: "support@aiyudo.com",
+      replyTo,
       subject,
       hasHtml: !!html
     })
@@ -0,0 +1,70 @@
+-- Server-side bot replies for customer ticket comments.
+--
+-- Every public, non-bot comment asks the bot-reply edge function to answer it.
+-- The trigger needs two database settings:
+--   alter database postgres set app.settings.functions_url = 'https://<project>.supabase.co/functions/v1';
+--   alter database postgres set app.settings.service_role_key = '<service role key>';
+
+create extension if not exists pg_net with schema extensions;
+
+alter table public.ticket_comments
+  add column if not exists is_bot boolean not null default false,
+  add column if not exists in_reply_to uuid references public.ticket_comments(id) on delete set null;
+
+-- A customer comment can only ever receive one bot answer
+create unique index if not exists ticket_comments_one_bot_reply
+  on public.ticket_comments (in_reply_to)
+  where is_bot;
+
+-- One row per customer comment the bot has looked at; the primary key is the idempotency key
+create table if not exists public.bot_reply_runs (
+  comment_id uuid primary key references public.ticket_comments(id) on delete cascade,
+  ticket_id uuid not null references public.tickets(id) on delete cascade,
+  status text not null default 'processing'
+    check (status in ('processing', 'replied', 'skipped', 'failed')),
+  reason text,
+  reply_comment_id uuid references public.ticket_comments(id) on delete set null,
+  attempts integer not null default 1,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- Only the service role (edge functions) touches bot runs
+alter table public.bot_reply_runs enable row level security;
+
+create or replace function public.request_bot_reply()
+returns trigger
+language plpgsql
+security definer
+set search_path = public, extensions
+as $$
+declare
+  functions_url text := current_setting('app.settings.functions_url', true);
+  service_role_key text := current_setting('app.settings.service_role_key', true);
+begin
+  if new.is_internal or new.is_bot then
+    return new;
+  end if;
+
+  if functions_url is null or service_role_key is null then
+    raise warning 'bot reply not requested for comment %: app.settings.functions_url or app.settings.service_role_key is not set', new.id;
+    return new;
+  end if;
+
+  perform net.http_post(
+    url := functions_url || '/bot-reply',
+    headers := jsonb_build_object(
+      'Content-Type', 'application/json',
+      'Authorization', 'Bearer ' || service_role_key
+    ),
+    body := jsonb_build_object('comment_id', new.id)
+  );
+
+  return new;
+end;
+$$;
+
+drop trigger if exists ticket_comments_request_bot_reply on public.ticket_comments;
+create trigger ticket_comments_request_bot_reply
+  after insert on public.ticket_comments
+  for each row execute function public.request_bot_reply();
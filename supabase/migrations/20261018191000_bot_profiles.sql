@@ -0,0 +1,78 @@
+-- Per-team bot identities.
+--
+-- Bot comments no longer borrow a user id: they carry is_bot = true and point
+-- at the bot profile of the team that answered.
+
+create table if not exists public.bot_profiles (
+  id uuid primary key default gen_random_uuid(),
+  team_id uuid not null unique references public.teams(id) on delete cascade,
+  display_name text not null,
+  avatar_url text,
+  persona_prompt text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+alter table public.bot_profiles enable row level security;
+
+drop policy if exists "Bot profiles are readable by signed-in users" on public.bot_profiles;
+create policy "Bot profiles are readable by signed-in users"
+  on public.bot_profiles for select
+  to authenticated
+  using (true);
+
+drop policy if exists "Team creators and admins manage bot profiles" on public.bot_profiles;
+create policy "Team creators and admins manage bot profiles"
+  on public.bot_profiles for all
+  to authenticated
+  using (
+    exists (select 1 from public.teams where teams.id = bot_profiles.team_id and teams.created_by = auth.uid())
+    or exists (select 1 from public.profiles where profiles.id = auth.uid() and profiles.role = 'admin')
+  )
+  with check (
+    exists (select 1 from public.teams where teams.id = bot_profiles.team_id and teams.created_by = auth.uid())
+    or exists (select 1 from public.profiles where profiles.id = auth.uid() and profiles.role = 'admin')
+  );
+
+alter table public.ticket_comments
+  add column if not exists bot_profile_id uuid references public.bot_profiles(id) on delete set null,
+  alter column user_id drop not null;
+
+-- Every bot-enabled team gets a profile the first time the bot is switched on
+create or replace function public.ensure_bot_profile()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.is_bot_enabled then
+    insert into public.bot_profiles (team_id, display_name)
+    values (new.id, new.name || ' Bot')
+    on conflict (team_id) do nothing;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists teams_ensure_bot_profile on public.teams;
+create trigger teams_ensure_bot_profile
+  after insert or update of is_bot_enabled on public.teams
+  for each row execute function public.ensure_bot_profile();
+
+insert into public.bot_profiles (team_id, display_name)
+select id, name || ' Bot' from public.teams where is_bot_enabled
+on conflict (team_id) do nothing;
+
+-- Legacy bot comments were posted as a hard-coded bot user or under a team id
+update public.ticket_comments c
+set is_bot = true,
+    bot_profile_id = bp.id,
+    user_id = null
+from public.tickets t
+left join public.bot_profiles bp on bp.team_id = t.team_id
+where c.ticket_id = t.id
+  and (
+    c.user_id = '0981a90d-aaf9-4e89-bf95-815aad2ad37b'
+    or c.user_id in (select id from public.teams)
+  );
@@ -0,0 +1,46 @@
+-- Rank document chunks in the database instead of shipping embeddings to the client.
+
+create extension if not exists vector with schema extensions;
+
+create index if not exists document_embeddings_organization_id_idx
+  on public.document_embeddings (organization_id);
+
+create index if not exists document_embeddings_embedding_idx
+  on public.document_embeddings
+  using hnsw (embedding vector_cosine_ops);
+
+-- Returns the organization's chunks closest to query_embedding by cosine similarity.
+-- filter_file_paths limits the search to specific organization files when given.
+create or replace function public.match_document_embeddings(
+  query_embedding vector(1536),
+  match_organization_id uuid,
+  match_count integer default 5,
+  similarity_threshold double precision default 0.2,
+  filter_file_paths text[] default null
+)
+returns table (
+  content text,
+  file_name text,
+  file_path text,
+  metadata jsonb,
+  similarity double precision
+)
+language sql
+stable
+set search_path = public, extensions
+as $$
+  select
+    de.content,
+    de.file_name,
+    de.file_path,
+    de.metadata,
+    1 - (de.embedding <=> query_embedding) as similarity
+  from public.document_embeddings de
+  where de.organization_id = match_organization_id
+    and (filter_file_paths is null or de.file_path = any(filter_file_paths))
+    and 1 - (de.embedding <=> query_embedding) >= similarity_threshold
+  order by de.embedding <=> query_embedding
+  limit least(match_count, 50);
+$$;
+
+grant execute on function public.match_document_embeddings(vector, uuid, integer, double precision, text[]) to authenticated, service_role;
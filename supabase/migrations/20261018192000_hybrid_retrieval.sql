@@ -0,0 +1,111 @@
+-- Hybrid knowledge base retrieval: full-text and vector rankings merged with
+-- reciprocal-rank fusion, tunable per organization.
+
+alter table public.document_embeddings
+  add column if not exists content_tsv tsvector
+  generated always as (to_tsvector('english', coalesce(content, ''))) stored;
+
+create index if not exists document_embeddings_content_tsv_idx
+  on public.document_embeddings
+  using gin (content_tsv);
+
+create table if not exists public.knowledge_base_settings (
+  organization_id uuid primary key references public.organizations(id) on delete cascade,
+  semantic_weight double precision not null default 1.0 check (semantic_weight >= 0),
+  lexical_weight double precision not null default 1.0 check (lexical_weight >= 0),
+  rrf_k integer not null default 60 check (rrf_k > 0),
+  candidate_count integer not null default 20 check (candidate_count between 1 and 100),
+  rerank_enabled boolean not null default false,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+alter table public.knowledge_base_settings enable row level security;
+
+create policy "Authenticated users can view knowledge base settings"
+  on public.knowledge_base_settings for select
+  to authenticated
+  using (true);
+
+create policy "Admins can manage knowledge base settings"
+  on public.knowledge_base_settings for all
+  to authenticated
+  using (
+    exists (select 1 from public.profiles where id = auth.uid() and role = 'admin')
+  )
+  with check (
+    exists (select 1 from public.profiles where id = auth.uid() and role = 'admin')
+  );
+
+-- Ranks the organization's chunks twice, once by cosine distance and once by
+-- ts_rank_cd over content_tsv, and fuses both lists with weighted RRF:
+--   score = semantic_weight / (rrf_k + semantic_rank) + lexical_weight / (rrf_k + lexical_rank)
+-- Query terms are OR-ed so a single exact match (a SKU code, a product name) is enough to rank.
+create or replace function public.hybrid_match_document_embeddings(
+  query_text text,
+  query_embedding vector(1536),
+  match_organization_id uuid,
+  match_count integer default 5,
+  semantic_weight double precision default 1.0,
+  lexical_weight double precision default 1.0,
+  rrf_k integer default 60,
+  candidate_count integer default 20,
+  filter_file_paths text[] default null
+)
+returns table (
+  content text,
+  file_name text,
+  file_path text,
+  metadata jsonb,
+  similarity double precision,
+  semantic_rank bigint,
+  lexical_rank bigint,
+  score double precision
+)
+language sql
+stable
+set search_path = public, extensions
+as $$
+  with lexical_query as (
+    select nullif(replace(plainto_tsquery('english', query_text)::text, '&', '|'), '')::tsquery as q
+  ),
+  semantic as (
+    select
+      de.id,
+      row_number() over (order by de.embedding <=> query_embedding) as rank_ix
+    from public.document_embeddings de
+    where de.organization_id = match_organization_id
+      and (filter_file_paths is null or de.file_path = any(filter_file_paths))
+    order by de.embedding <=> query_embedding
+    limit least(candidate_count, 100)
+  ),
+  lexical as (
+    select
+      de.id,
+      row_number() over (order by ts_rank_cd(de.content_tsv, lq.q) desc) as rank_ix
+    from public.document_embeddings de, lexical_query lq
+    where de.organization_id = match_organization_id
+      and (filter_file_paths is null or de.file_path = any(filter_file_paths))
+      and lq.q is not null
+      and de.content_tsv @@ lq.q
+    order by rank_ix
+    limit least(candidate_count, 100)
+  )
+  select
+    de.content,
+    de.file_name,
+    de.file_path,
+    de.metadata,
+    1 - (de.embedding <=> query_embedding) as similarity,
+    semantic.rank_ix as semantic_rank,
+    lexical.rank_ix as lexical_rank,
+    coalesce(semantic_weight / (rrf_k + semantic.rank_ix), 0.0) +
+      coalesce(lexical_weight / (rrf_k + lexical.rank_ix), 0.0) as score
+  from semantic
+  full outer join lexical on lexical.id = semantic.id
+  join public.document_embeddings de on de.id = coalesce(semantic.id, lexical.id)
+  order by score desc
+  limit least(match_count, 50);
+$$;
+
+grant execute on function public.hybrid_match_document_embeddings(text, vector, uuid, integer, double precision, double precision, integer, integer, text[]) to authenticated, service_role;
@@ -0,0 +1,7 @@
+-- Bot replies keep the knowledge base passages they were generated from, so
+-- agents can check an answer against the source document.
+-- Each entry: { "file_name", "file_path", "page", "snippet" }; page is null
+-- when the chunk was indexed without page information.
+
+alter table public.ticket_comments
+  add column if not exists citations jsonb not null default '[]'::jsonb;
@@ -0,0 +1,179 @@
+-- Background ingestion of organization knowledge documents.
+--
+-- Uploading a file queues a job; the ingest-documents edge function extracts,
+-- chunks and embeds it, reporting progress on the job row. Failed attempts are
+-- retried with exponential backoff until max_attempts. New jobs are picked up
+-- immediately through pg_net, retries by a once-a-minute pg_cron sweep. Both
+-- use the same app.settings.functions_url / app.settings.service_role_key
+-- settings as the bot-reply trigger.
+
+create extension if not exists pg_net with schema extensions;
+create extension if not exists pg_cron;
+
+create table if not exists public.document_ingestion_jobs (
+  id uuid primary key default gen_random_uuid(),
+  organization_id uuid not null references public.organizations(id) on delete cascade,
+  file_id uuid not null references public.organization_files(id) on delete cascade,
+  status text not null default 'queued'
+    check (status in ('queued', 'extracting', 'embedding', 'done', 'failed')),
+  attempts integer not null default 0,
+  max_attempts integer not null default 5,
+  next_attempt_at timestamptz not null default now(),
+  chunks_total integer,
+  chunks_done integer not null default 0,
+  error text,
+  requested_by uuid references auth.users(id) on delete set null,
+  started_at timestamptz,
+  finished_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- A file has at most one job in flight; re-indexing it again is a no-op until that job ends
+create unique index if not exists document_ingestion_jobs_one_active_per_file
+  on public.document_ingestion_jobs (file_id)
+  where status in ('queued', 'extracting', 'embedding');
+
+create index if not exists document_ingestion_jobs_due_idx
+  on public.document_ingestion_jobs (next_attempt_at)
+  where status = 'queued';
+
+create index if not exists document_ingestion_jobs_organization_id_idx
+  on public.document_ingestion_jobs (organization_id, created_at desc);
+
+alter table public.document_ingestion_jobs enable row level security;
+
+create policy "Agents and admins can view ingestion jobs"
+  on public.document_ingestion_jobs for select
+  to authenticated
+  using (
+    exists (select 1 from public.profiles where id = auth.uid() and role in ('agent', 'admin'))
+  );
+
+alter publication supabase_realtime add table public.document_ingestion_jobs;
+
+-- Queues (re-)indexing for the given organization files. Only admins may call it.
+create or replace function public.queue_document_ingestion(file_ids uuid[])
+returns setof public.document_ingestion_jobs
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not exists (select 1 from public.profiles where id = auth.uid() and role = 'admin') then
+    raise exception 'Only admins can index organization files' using errcode = '42501';
+  end if;
+
+  return query
+    insert into public.document_ingestion_jobs (organization_id, file_id, requested_by)
+    select f.organization_id, f.id, auth.uid()
+    from public.organization_files f
+    where f.id = any(file_ids)
+    on conflict do nothing
+    returning *;
+end;
+$$;
+
+grant execute on function public.queue_document_ingestion(uuid[]) to authenticated;
+
+-- Hands the next due job (or the given one) to a worker. Jobs stuck in a
+-- working state for 10 minutes are assumed abandoned and handed out again.
+create or replace function public.claim_document_ingestion_job(job_id uuid default null)
+returns setof public.document_ingestion_jobs
+language sql
+security definer
+set search_path = public
+as $$
+  update public.document_ingestion_jobs j
+  set status = 'extracting',
+      attempts = j.attempts + 1,
+      chunks_done = 0,
+      chunks_total = null,
+      error = null,
+      started_at = now(),
+      updated_at = now()
+  where j.id = (
+    select c.id
+    from public.document_ingestion_jobs c
+    where (job_id is null or c.id = job_id)
+      and (
+        (c.status = 'queued' and c.next_attempt_at <= now())
+        or (c.status in ('extracting', 'embedding') and c.updated_at < now() - interval '10 minutes')
+      )
+    order by c.next_attempt_at
+    limit 1
+    for update skip locked
+  )
+  returning j.*;
+$$;
+
+revoke execute on function public.claim_document_ingestion_job(uuid) from public, anon, authenticated;
+grant execute on function public.claim_document_ingestion_job(uuid) to service_role;
+
+create or replace function public.request_document_ingestion(job_id uuid default null)
+returns void
+language plpgsql
+security definer
+set search_path = public, extensions
+as $$
+declare
+  functions_url text := current_setting('app.settings.functions_url', true);
+  service_role_key text := current_setting('app.settings.service_role_key', true);
+begin
+  if functions_url is null or service_role_key is null then
+    raise warning 'document ingestion not requested: app.settings.functions_url or app.settings.service_role_key is not set';
+    return;
+  end if;
+
+  perform net.http_post(
+    url := functions_url || '/ingest-documents',
+    headers := jsonb_build_object(
+      'Content-Type', 'application/json',
+      'Authorization', 'Bearer ' || service_role_key
+    ),
+    body := case when job_id is null then '{}'::jsonb else jsonb_build_object('job_id', job_id) end
+  );
+end;
+$$;
+
+revoke execute on function public.request_document_ingestion(uuid) from public, anon, authenticated;
+
+-- Files whose in-browser processing never finished get indexed by the worker.
+-- Queued before the trigger exists so the cron sweep works through them gradually.
+insert into public.document_ingestion_jobs (organization_id, file_id)
+select f.organization_id, f.id
+from public.organization_files f
+where not f.has_embeddings
+  and f.file_name ~* '\.(pdf|docx|md|markdown|html?|xhtml|txt|text)$'
+on conflict do nothing;
+
+create or replace function public.request_document_ingestion_for_job()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  perform public.request_document_ingestion(new.id);
+  return new;
+end;
+$$;
+
+drop trigger if exists document_ingestion_jobs_request_worker on public.document_ingestion_jobs;
+create trigger document_ingestion_jobs_request_worker
+  after insert on public.document_ingestion_jobs
+  for each row execute function public.request_document_ingestion_for_job();
+
+-- Picks up retries whose backoff has elapsed and jobs abandoned mid-run
+select cron.schedule(
+  'process-document-ingestion-jobs',
+  '* * * * *',
+  $$
+    select public.request_document_ingestion()
+    where exists (
+      select 1 from public.document_ingestion_jobs
+      where (status = 'queued' and next_attempt_at <= now())
+         or (status in ('extracting', 'embedding') and updated_at < now() - interval '10 minutes')
+    )
+  $$
+);
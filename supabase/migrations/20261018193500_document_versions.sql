@@ -0,0 +1,238 @@
+-- Knowledge document versions.
+--
+-- Every organization_files row is one version of a logical document
+-- (document_id). Uploading a new version leaves the old row and its chunks in
+-- place; once the new version is indexed, publish_document_version retires the
+-- old chunks and marks the old row superseded in a single transaction, so the
+-- bot never sees both versions or neither. Retired chunks are kept so answers
+-- given from an old version can still be audited.
+
+alter table public.organization_files
+  add column if not exists document_id uuid,
+  add column if not exists version integer not null default 1,
+  add column if not exists superseded_at timestamptz,
+  add column if not exists superseded_by uuid references public.organization_files(id) on delete set null;
+
+update public.organization_files set document_id = id where document_id is null;
+
+alter table public.organization_files alter column document_id set not null;
+
+create unique index if not exists organization_files_document_version_idx
+  on public.organization_files (document_id, version);
+
+-- A new row starts a document of its own unless it names one
+create or replace function public.set_organization_file_document_id()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.document_id is null then
+    new.document_id := new.id;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists organization_files_set_document_id on public.organization_files;
+create trigger organization_files_set_document_id
+  before insert on public.organization_files
+  for each row execute function public.set_organization_file_document_id();
+
+alter table public.document_embeddings
+  add column if not exists file_id uuid references public.organization_files(id) on delete cascade,
+  add column if not exists is_active boolean not null default true,
+  add column if not exists ingestion_job_id uuid references public.document_ingestion_jobs(id) on delete set null;
+
+update public.document_embeddings de
+set file_id = f.id
+from public.organization_files f
+where de.file_id is null
+  and f.storage_path = de.file_path;
+
+create index if not exists document_embeddings_file_id_idx
+  on public.document_embeddings (file_id);
+
+-- Makes a freshly indexed version the one the bot answers from. Chunks written
+-- by ingestion_job_id replace any earlier chunks of the same version, and every
+-- older version of the document is retired.
+create or replace function public.publish_document_version(file_id uuid, ingestion_job_id uuid default null)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  target public.organization_files;
+begin
+  if auth.role() <> 'service_role'
+    and not exists (select 1 from public.profiles where id = auth.uid() and role = 'admin') then
+    raise exception 'Only admins can publish document versions' using errcode = '42501';
+  end if;
+
+  select * into target
+  from public.organization_files f
+  where f.id = publish_document_version.file_id
+  for update;
+
+  if not found then
+    raise exception 'Organization file % not found', publish_document_version.file_id;
+  end if;
+
+  if publish_document_version.ingestion_job_id is not null then
+    delete from public.document_embeddings de
+    where de.file_id = target.id
+      and de.ingestion_job_id is distinct from publish_document_version.ingestion_job_id;
+
+    update public.organization_files f
+    set has_embeddings = true
+    where f.id = target.id;
+  end if;
+
+  -- A re-indexed old version keeps its chunks for the record but stays retired
+  update public.document_embeddings de
+  set is_active = target.superseded_at is null
+  where de.file_id = target.id;
+
+  if target.superseded_at is not null then
+    return;
+  end if;
+
+  update public.document_embeddings de
+  set is_active = false
+  from public.organization_files f
+  where de.file_id = f.id
+    and f.document_id = target.document_id
+    and f.version < target.version;
+
+  update public.organization_files f
+  set superseded_at = now(),
+      superseded_by = target.id
+  where f.document_id = target.document_id
+    and f.version < target.version
+    and f.superseded_at is null;
+end;
+$$;
+
+grant execute on function public.publish_document_version(uuid, uuid) to authenticated, service_role;
+
+-- Retrieval only considers active chunks and reports which version a chunk came from
+
+drop function if exists public.match_document_embeddings(vector, uuid, integer, double precision, text[]);
+
+create function public.match_document_embeddings(
+  query_embedding vector(1536),
+  match_organization_id uuid,
+  match_count integer default 5,
+  similarity_threshold double precision default 0.2,
+  filter_file_paths text[] default null
+)
+returns table (
+  content text,
+  file_name text,
+  file_path text,
+  file_id uuid,
+  document_version integer,
+  metadata jsonb,
+  similarity double precision
+)
+language sql
+stable
+set search_path = public, extensions
+as $$
+  select
+    de.content,
+    de.file_name,
+    de.file_path,
+    de.file_id,
+    f.version as document_version,
+    de.metadata,
+    1 - (de.embedding <=> query_embedding) as similarity
+  from public.document_embeddings de
+  left join public.organization_files f on f.id = de.file_id
+  where de.organization_id = match_organization_id
+    and de.is_active
+    and (filter_file_paths is null or de.file_path = any(filter_file_paths))
+    and 1 - (de.embedding <=> query_embedding) >= similarity_threshold
+  order by de.embedding <=> query_embedding
+  limit least(match_count, 50);
+$$;
+
+grant execute on function public.match_document_embeddings(vector, uuid, integer, double precision, text[]) to authenticated, service_role;
+
+drop function if exists public.hybrid_match_document_embeddings(text, vector, uuid, integer, double precision, double precision, integer, integer, text[]);
+
+create function public.hybrid_match_document_embeddings(
+  query_text text,
+  query_embedding vector(1536),
+  match_organization_id uuid,
+  match_count integer default 5,
+  semantic_weight double precision default 1.0,
+  lexical_weight double precision default 1.0,
+  rrf_k integer default 60,
+  candidate_count integer default 20,
+  filter_file_paths text[] default null
+)
+returns table (
+  content text,
+  file_name text,
+  file_path text,
+  file_id uuid,
+  document_version integer,
+  metadata jsonb,
+  similarity double precision,
+  semantic_rank bigint,
+  lexical_rank bigint,
+  score double precision
+)
+language sql
+stable
+set search_path = public, extensions
+as $$
+  with lexical_query as (
+    select nullif(replace(plainto_tsquery('english', query_text)::text, '&', '|'), '')::tsquery as q
+  ),
+  semantic as (
+    select
+      de.id,
+      row_number() over (order by de.embedding <=> query_embedding) as rank_ix
+    from public.document_embeddings de
+    where de.organization_id = match_organization_id
+      and de.is_active
+      and (filter_file_paths is null or de.file_path = any(filter_file_paths))
+    order by de.embedding <=> query_embedding
+    limit least(candidate_count, 100)
+  ),
+  lexical as (
+    select
+      de.id,
+      row_number() over (order by ts_rank_cd(de.content_tsv, lq.q) desc) as rank_ix
+    from public.document_embeddings de, lexical_query lq
+    where de.organization_id = match_organization_id
+      and de.is_active
+      and (filter_file_paths is null or de.file_path = any(filter_file_paths))
+      and lq.q is not null
+      and de.content_tsv @@ lq.q
+    order by rank_ix
+    limit least(candidate_count, 100)
+  )
+  select
+    de.content,
+    de.file_name,
+    de.file_path,
+    de.file_id,
+    f.version as document_version,
+    de.metadata,
+    1 - (de.embedding <=> query_embedding) as similarity,
+    semantic.rank_ix as semantic_rank,
+    lexical.rank_ix as lexical_rank,
+    coalesce(semantic_weight / (rrf_k + semantic.rank_ix), 0.0) +
+      coalesce(lexical_weight / (rrf_k + lexical.rank_ix), 0.0) as score
+  from semantic
+  full outer join lexical on lexical.id = semantic.id
+  join public.document_embeddings de on de.id = coalesce(semantic.id, lexical.id)
+  left join public.organization_files f on f.id = de.file_id
+  order by score desc
+  limit least(match_count, 50);
+$$;
+
+grant execute on function public.hybrid_match_document_embeddings(text, vector, uuid, integer, double precision, double precision, integer, integer, text[]) to authenticated, service_role;
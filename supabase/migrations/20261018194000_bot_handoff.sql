@@ -0,0 +1,32 @@
+-- Bot confidence gating and human handoff.
+--
+-- The bot only answers when its retrieval confidence reaches the team's
+-- threshold. Below it, or when the customer asks for a person, bot-reply hands
+-- the ticket off: it posts a notice (or stays silent), flags the ticket for an
+-- agent and leaves an internal note saying why. The bot stays out of a flagged
+-- ticket until an agent clears the flag.
+
+alter table public.bot_profiles
+  add column if not exists confidence_threshold double precision not null default 0.35
+    check (confidence_threshold between 0 and 1),
+  add column if not exists handoff_mode text not null default 'notice'
+    check (handoff_mode in ('notice', 'silent')),
+  add column if not exists handoff_message text;
+
+alter table public.tickets
+  add column if not exists needs_human boolean not null default false,
+  add column if not exists handoff_reason text
+    check (handoff_reason in ('customer_request', 'low_confidence', 'no_answer')),
+  add column if not exists handed_off_at timestamptz;
+
+create index if not exists tickets_needs_human_idx
+  on public.tickets (handed_off_at)
+  where needs_human;
+
+alter table public.bot_reply_runs
+  drop constraint if exists bot_reply_runs_status_check;
+
+alter table public.bot_reply_runs
+  add constraint bot_reply_runs_status_check
+    check (status in ('processing', 'replied', 'handed_off', 'skipped', 'failed')),
+  add column if not exists confidence double precision;
@@ -0,0 +1,279 @@
+-- SLA policies.
+--
+-- Each organization can set first-response and resolution targets per ticket
+-- priority, counted either around the clock or within its business hours.
+-- Tickets get their due-at timestamps when they are created (and again when
+-- their priority or organization changes). A first response is the first
+-- public comment by an agent or admin; bot replies don't count. Breach and
+-- at-risk flags are kept current by a once-a-minute pg_cron sweep and settled
+-- for good when the ticket is answered or resolved. A target is at risk once
+-- less than a quarter of its window is left.
+
+create extension if not exists pg_cron;
+
+create table if not exists public.business_hours (
+  organization_id uuid primary key references public.organizations(id) on delete cascade,
+  timezone text not null default 'UTC',
+  -- ISO day numbers, 1 = Monday ... 7 = Sunday
+  working_days smallint[] not null default '{1,2,3,4,5}',
+  start_time time not null default '09:00',
+  end_time time not null default '17:00',
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  check (start_time < end_time),
+  check (working_days <@ '{1,2,3,4,5,6,7}'::smallint[])
+);
+
+create table if not exists public.sla_policies (
+  id uuid primary key default gen_random_uuid(),
+  organization_id uuid not null references public.organizations(id) on delete cascade,
+  priority text not null check (priority in ('low', 'medium', 'high')),
+  first_response_minutes integer not null check (first_response_minutes > 0),
+  resolution_minutes integer not null check (resolution_minutes > 0),
+  business_hours_only boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (organization_id, priority)
+);
+
+alter table public.business_hours enable row level security;
+alter table public.sla_policies enable row level security;
+
+create policy "Signed-in users can read business hours"
+  on public.business_hours for select
+  to authenticated
+  using (true);
+
+create policy "Admins manage business hours"
+  on public.business_hours for all
+  to authenticated
+  using (exists (select 1 from public.profiles where id = auth.uid() and role = 'admin'))
+  with check (exists (select 1 from public.profiles where id = auth.uid() and role = 'admin'));
+
+create policy "Signed-in users can read SLA policies"
+  on public.sla_policies for select
+  to authenticated
+  using (true);
+
+create policy "Admins manage SLA policies"
+  on public.sla_policies for all
+  to authenticated
+  using (exists (select 1 from public.profiles where id = auth.uid() and role = 'admin'))
+  with check (exists (select 1 from public.profiles where id = auth.uid() and role = 'admin'));
+
+alter table public.tickets
+  add column if not exists sla_policy_id uuid references public.sla_policies(id) on delete set null,
+  add column if not exists first_response_due_at timestamptz,
+  add column if not exists resolution_due_at timestamptz,
+  add column if not exists first_responded_at timestamptz,
+  add column if not exists resolved_at timestamptz,
+  add column if not exists first_response_breached boolean not null default false,
+  add column if not exists resolution_breached boolean not null default false,
+  add column if not exists sla_at_risk boolean not null default false;
+
+create index if not exists tickets_first_response_due_idx
+  on public.tickets (first_response_due_at)
+  where first_responded_at is null and not first_response_breached;
+
+create index if not exists tickets_resolution_due_idx
+  on public.tickets (resolution_due_at)
+  where resolved_at is null and not resolution_breached;
+
+-- Adds working minutes to a moment, skipping time outside the business hours.
+-- Without business hours the minutes are simply added.
+create or replace function public.add_business_minutes(
+  start_at timestamptz,
+  minutes integer,
+  hours public.business_hours
+)
+returns timestamptz
+language plpgsql
+stable
+set search_path = public
+as $$
+declare
+  local_at timestamp;
+  day date;
+  opens_at timestamp;
+  closes_at timestamp;
+  available double precision;
+  remaining double precision := minutes;
+begin
+  if hours.organization_id is null or coalesce(array_length(hours.working_days, 1), 0) = 0 then
+    return start_at + make_interval(mins => minutes);
+  end if;
+
+  local_at := start_at at time zone hours.timezone;
+
+  -- Ten years of calendar days is far more than any target needs
+  for i in 1..3660 loop
+    day := local_at::date;
+
+    if extract(isodow from day)::smallint = any(hours.working_days) then
+      opens_at := day + hours.start_time;
+      closes_at := day + hours.end_time;
+
+      if local_at < opens_at then
+        local_at := opens_at;
+      end if;
+
+      if local_at < closes_at then
+        available := extract(epoch from closes_at - local_at) / 60;
+        if remaining <= available then
+          return (local_at + make_interval(secs => remaining * 60)) at time zone hours.timezone;
+        end if;
+        remaining := remaining - available;
+      end if;
+    end if;
+
+    local_at := (day + 1)::timestamp;
+  end loop;
+
+  return start_at + make_interval(mins => minutes);
+end;
+$$;
+
+create or replace function public.apply_ticket_sla()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  policy public.sla_policies;
+  hours public.business_hours;
+begin
+  if tg_op = 'INSERT'
+    or new.priority is distinct from old.priority
+    or new.organization_id is distinct from old.organization_id then
+    select * into policy
+    from public.sla_policies p
+    where p.organization_id = new.organization_id
+      and p.priority = new.priority;
+
+    if policy.id is null then
+      new.sla_policy_id := null;
+      new.first_response_due_at := null;
+      new.resolution_due_at := null;
+    else
+      if policy.business_hours_only then
+        select * into hours from public.business_hours b where b.organization_id = new.organization_id;
+      end if;
+
+      new.sla_policy_id := policy.id;
+      new.first_response_due_at := public.add_business_minutes(new.created_at, policy.first_response_minutes, hours);
+      new.resolution_due_at := public.add_business_minutes(new.created_at, policy.resolution_minutes, hours);
+    end if;
+  end if;
+
+  if new.status = 'resolved' and (tg_op = 'INSERT' or old.status is distinct from 'resolved') then
+    new.resolved_at := now();
+  elsif new.status <> 'resolved' then
+    new.resolved_at := null;
+  end if;
+
+  -- Answered or resolved targets are judged once; open ones are judged against the clock
+  new.first_response_breached := new.first_response_due_at is not null
+    and coalesce(new.first_responded_at, now()) > new.first_response_due_at;
+  new.resolution_breached := new.resolution_due_at is not null
+    and coalesce(new.resolved_at, now()) > new.resolution_due_at;
+  new.sla_at_risk := public.ticket_sla_at_risk(new);
+
+  return new;
+end;
+$$;
+
+-- Whether an unmet, unbreached target has less than a quarter of its window left
+create or replace function public.ticket_sla_at_risk(ticket public.tickets)
+returns boolean
+language sql
+stable
+as $$
+  select
+    (ticket.first_responded_at is null
+      and ticket.first_response_due_at is not null
+      and not ticket.first_response_breached
+      and now() >= ticket.first_response_due_at - (ticket.first_response_due_at - ticket.created_at) * 0.25)
+    or
+    (ticket.resolved_at is null
+      and ticket.resolution_due_at is not null
+      and not ticket.resolution_breached
+      and now() >= ticket.resolution_due_at - (ticket.resolution_due_at - ticket.created_at) * 0.25);
+$$;
+
+drop trigger if exists tickets_apply_sla on public.tickets;
+create trigger tickets_apply_sla
+  before insert or update on public.tickets
+  for each row execute function public.apply_ticket_sla();
+
+create or replace function public.record_ticket_first_response()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.is_internal or new.is_bot or new.user_id is null then
+    return new;
+  end if;
+
+  if exists (select 1 from public.profiles where id = new.user_id and role in ('agent', 'admin')) then
+    update public.tickets
+    set first_responded_at = new.created_at
+    where id = new.ticket_id
+      and first_responded_at is null;
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists ticket_comments_record_first_response on public.ticket_comments;
+create trigger ticket_comments_record_first_response
+  after insert on public.ticket_comments
+  for each row execute function public.record_ticket_first_response();
+
+-- Existing tickets: best-known response and resolution times
+update public.tickets t
+set first_responded_at = (
+  select min(c.created_at)
+  from public.ticket_comments c
+  join public.profiles p on p.id = c.user_id
+  where c.ticket_id = t.id
+    and not c.is_internal
+    and not c.is_bot
+    and p.role in ('agent', 'admin')
+)
+where t.first_responded_at is null;
+
+update public.tickets
+set resolved_at = updated_at
+where status = 'resolved'
+  and resolved_at is null;
+
+-- Flags targets that ran out or came close since the last sweep. The update
+-- fires apply_ticket_sla, which does the actual judging.
+create or replace function public.refresh_ticket_sla_flags()
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+  update public.tickets t
+  set updated_at = t.updated_at
+  where (t.first_response_breached is distinct from (
+            t.first_response_due_at is not null
+            and coalesce(t.first_responded_at, now()) > t.first_response_due_at))
+     or (t.resolution_breached is distinct from (
+            t.resolution_due_at is not null
+            and coalesce(t.resolved_at, now()) > t.resolution_due_at))
+     or t.sla_at_risk is distinct from public.ticket_sla_at_risk(t);
+$$;
+
+revoke execute on function public.refresh_ticket_sla_flags() from public, anon, authenticated;
+
+select cron.schedule(
+  'refresh-ticket-sla-flags',
+  '* * * * *',
+  $$ select public.refresh_ticket_sla_flags() $$
+);
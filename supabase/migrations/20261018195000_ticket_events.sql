@@ -0,0 +1,136 @@
+-- Ticket event history.
+--
+-- An append-only log of changes to a ticket's status, priority and
+-- assignment: who made the change, the old and new value, and when. Events
+-- are written by a trigger on tickets, so every path that updates a ticket
+-- (the assignment helpers, bulk resolve, ticket details, edge functions) is
+-- covered. The actor is the signed-in user; changes made with the service
+-- role are recorded without one. Customers only see status changes; staff
+-- see everything on tickets they can read.
+
+create table if not exists public.ticket_events (
+  id uuid primary key default gen_random_uuid(),
+  ticket_id uuid not null references public.tickets(id) on delete cascade,
+  actor_id uuid references public.profiles(id) on delete set null,
+  event_type text not null check (event_type in (
+    'created', 'status_changed', 'priority_changed', 'agent_assigned', 'team_assigned'
+  )),
+  old_value text,
+  new_value text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists ticket_events_ticket_idx
+  on public.ticket_events (ticket_id, created_at);
+
+create index if not exists ticket_events_type_idx
+  on public.ticket_events (event_type, created_at);
+
+alter table public.ticket_events enable row level security;
+
+-- Reading a ticket's events requires being able to read the ticket itself
+create policy "Users can read events of visible tickets"
+  on public.ticket_events for select
+  to authenticated
+  using (
+    exists (select 1 from public.tickets t where t.id = ticket_events.ticket_id)
+    and (
+      event_type in ('created', 'status_changed')
+      or exists (select 1 from public.profiles where id = auth.uid() and role in ('agent', 'admin'))
+    )
+  );
+
+-- Only the trigger below writes events, and nobody rewrites them
+revoke insert, update, delete on public.ticket_events from anon, authenticated;
+
+create or replace function public.prevent_ticket_event_changes()
+returns trigger
+language plpgsql
+as $$
+begin
+  raise exception 'ticket_events is append-only';
+end;
+$$;
+
+drop trigger if exists ticket_events_append_only on public.ticket_events;
+create trigger ticket_events_append_only
+  before update on public.ticket_events
+  for each row execute function public.prevent_ticket_event_changes();
+
+create or replace function public.record_ticket_events()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  actor uuid := auth.uid();
+begin
+  -- A user deleted mid-session shouldn't make the ticket update fail
+  if actor is not null and not exists (select 1 from public.profiles where id = actor) then
+    actor := null;
+  end if;
+
+  if tg_op = 'INSERT' then
+    insert into public.ticket_events (ticket_id, actor_id, event_type, new_value, created_at)
+    values (new.id, coalesce(actor, new.customer_id), 'created', new.status, new.created_at);
+
+    if new.agent_id is not null then
+      insert into public.ticket_events (ticket_id, actor_id, event_type, new_value, created_at)
+      values (new.id, actor, 'agent_assigned', new.agent_id::text, new.created_at);
+    end if;
+
+    if new.team_id is not null then
+      insert into public.ticket_events (ticket_id, actor_id, event_type, new_value, created_at)
+      values (new.id, actor, 'team_assigned', new.team_id::text, new.created_at);
+    end if;
+
+    return new;
+  end if;
+
+  if new.status is distinct from old.status then
+    insert into public.ticket_events (ticket_id, actor_id, event_type, old_value, new_value)
+    values (new.id, actor, 'status_changed', old.status, new.status);
+  end if;
+
+  if new.priority is distinct from old.priority then
+    insert into public.ticket_events (ticket_id, actor_id, event_type, old_value, new_value)
+    values (new.id, actor, 'priority_changed', old.priority, new.priority);
+  end if;
+
+  if new.agent_id is distinct from old.agent_id then
+    insert into public.ticket_events (ticket_id, actor_id, event_type, old_value, new_value)
+    values (new.id, actor, 'agent_assigned', old.agent_id::text, new.agent_id::text);
+  end if;
+
+  if new.team_id is distinct from old.team_id then
+    insert into public.ticket_events (ticket_id, actor_id, event_type, old_value, new_value)
+    values (new.id, actor, 'team_assigned', old.team_id::text, new.team_id::text);
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists tickets_record_events on public.tickets;
+create trigger tickets_record_events
+  after insert or update on public.tickets
+  for each row execute function public.record_ticket_events();
+
+-- Existing tickets start their history with what is known about them
+insert into public.ticket_events (ticket_id, actor_id, event_type, new_value, created_at)
+select t.id, t.customer_id, 'created', 'open', t.created_at
+from public.tickets t
+where not exists (select 1 from public.ticket_events e where e.ticket_id = t.id);
+
+insert into public.ticket_events (ticket_id, event_type, old_value, new_value, created_at)
+select t.id, 'status_changed', 'open', 'resolved', t.resolved_at
+from public.tickets t
+where t.status = 'resolved'
+  and t.resolved_at is not null
+  and not exists (
+    select 1 from public.ticket_events e
+    where e.ticket_id = t.id and e.event_type = 'status_changed'
+  );
+
+alter publication supabase_realtime add table public.ticket_events;
@@ -0,0 +1,189 @@
+-- Expanded ticket lifecycle.
+--
+-- Adds the pending_customer, on_hold and closed statuses and enforces the
+-- allowed transitions between statuses in the database; the client mirrors
+-- the same rules in src/lib/ticketLifecycle.js. A public reply from the
+-- customer puts a resolved or pending ticket back in the queue. Resolved
+-- tickets without activity for an organization's auto_close_after_days
+-- (7 by default, never when null) are closed by an hourly sweep. Closed is
+-- final.
+
+create extension if not exists pg_cron;
+
+-- Replace whatever check the original schema put on status
+do $$
+declare
+  constraint_name text;
+begin
+  for constraint_name in
+    select conname
+    from pg_constraint
+    where conrelid = 'public.tickets'::regclass
+      and contype = 'c'
+      and pg_get_constraintdef(oid) ilike '%status%'
+  loop
+    execute format('alter table public.tickets drop constraint %I', constraint_name);
+  end loop;
+end;
+$$;
+
+alter table public.tickets
+  add constraint tickets_status_check
+  check (status in ('open', 'in_progress', 'pending_customer', 'on_hold', 'resolved', 'closed'));
+
+alter table public.organizations
+  add column if not exists auto_close_after_days integer default 7
+    check (auto_close_after_days is null or auto_close_after_days > 0);
+
+create or replace function public.ticket_status_transition_allowed(from_status text, to_status text)
+returns boolean
+language sql
+immutable
+as $$
+  select from_status = to_status or case from_status
+    when 'open' then to_status in ('in_progress', 'pending_customer', 'on_hold', 'resolved')
+    when 'in_progress' then to_status in ('open', 'pending_customer', 'on_hold', 'resolved')
+    when 'pending_customer' then to_status in ('open', 'in_progress', 'on_hold', 'resolved')
+    when 'on_hold' then to_status in ('open', 'in_progress', 'pending_customer', 'resolved')
+    when 'resolved' then to_status in ('open', 'in_progress', 'closed')
+    else false
+  end;
+$$;
+
+create or replace function public.validate_ticket_status_transition()
+returns trigger
+language plpgsql
+as $$
+begin
+  if not public.ticket_status_transition_allowed(old.status, new.status) then
+    raise exception 'Invalid ticket status transition from % to %', old.status, new.status
+      using errcode = 'check_violation';
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists tickets_validate_status_transition on public.tickets;
+create trigger tickets_validate_status_transition
+  before update of status on public.tickets
+  for each row execute function public.validate_ticket_status_transition();
+
+-- Closing a resolved ticket keeps the time it was resolved
+create or replace function public.apply_ticket_sla()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  policy public.sla_policies;
+  hours public.business_hours;
+begin
+  if tg_op = 'INSERT'
+    or new.priority is distinct from old.priority
+    or new.organization_id is distinct from old.organization_id then
+    select * into policy
+    from public.sla_policies p
+    where p.organization_id = new.organization_id
+      and p.priority = new.priority;
+
+    if policy.id is null then
+      new.sla_policy_id := null;
+      new.first_response_due_at := null;
+      new.resolution_due_at := null;
+    else
+      if policy.business_hours_only then
+        select * into hours from public.business_hours b where b.organization_id = new.organization_id;
+      end if;
+
+      new.sla_policy_id := policy.id;
+      new.first_response_due_at := public.add_business_minutes(new.created_at, policy.first_response_minutes, hours);
+      new.resolution_due_at := public.add_business_minutes(new.created_at, policy.resolution_minutes, hours);
+    end if;
+  end if;
+
+  -- Reopening clears resolved_at, so a fresh resolution always gets a fresh time
+  if new.status in ('resolved', 'closed') then
+    new.resolved_at := coalesce(new.resolved_at, now());
+  else
+    new.resolved_at := null;
+  end if;
+
+  -- Answered or resolved targets are judged once; open ones are judged against the clock
+  new.first_response_breached := new.first_response_due_at is not null
+    and coalesce(new.first_responded_at, now()) > new.first_response_due_at;
+  new.resolution_breached := new.resolution_due_at is not null
+    and coalesce(new.resolved_at, now()) > new.resolution_due_at;
+  new.sla_at_risk := public.ticket_sla_at_risk(new);
+
+  return new;
+end;
+$$;
+
+-- A customer writing back reopens a resolved ticket or resumes a pending one
+create or replace function public.reopen_ticket_on_customer_reply()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.is_internal or new.is_bot or new.user_id is null then
+    return new;
+  end if;
+
+  update public.tickets
+  set status = case when agent_id is not null or team_id is not null then 'in_progress' else 'open' end,
+      updated_at = now()
+  where id = new.ticket_id
+    and customer_id = new.user_id
+    and status in ('resolved', 'pending_customer');
+
+  return new;
+end;
+$$;
+
+drop trigger if exists ticket_comments_reopen_ticket on public.ticket_comments;
+create trigger ticket_comments_reopen_ticket
+  after insert on public.ticket_comments
+  for each row execute function public.reopen_ticket_on_customer_reply();
+
+-- Closes resolved tickets whose last update and last comment are older than
+-- their organization's auto-close period
+create or replace function public.close_stale_resolved_tickets()
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  closed_count integer;
+begin
+  update public.tickets t
+  set status = 'closed'
+  from (
+    select t2.id, coalesce(o.auto_close_after_days, case when o.id is null then 7 end) as days
+    from public.tickets t2
+    left join public.organizations o on o.id = t2.organization_id
+    where t2.status = 'resolved'
+  ) stale
+  where t.id = stale.id
+    and stale.days is not null
+    and greatest(
+      t.updated_at,
+      coalesce((select max(c.created_at) from public.ticket_comments c where c.ticket_id = t.id), t.updated_at)
+    ) < now() - make_interval(days => stale.days);
+
+  get diagnostics closed_count = row_count;
+  return closed_count;
+end;
+$$;
+
+revoke execute on function public.close_stale_resolved_tickets() from public, anon, authenticated;
+
+select cron.schedule(
+  'close-stale-resolved-tickets',
+  '0 * * * *',
+  $$ select public.close_stale_resolved_tickets() $$
+);
@@ -0,0 +1,179 @@
+-- Ticket automation rules.
+--
+-- Admins define rules of the form "when a ticket is created, updated or the
+-- scheduled sweep runs, and these conditions match, do these actions". Rules
+-- run in position order, and a rule can stop the ones after it. The
+-- run-automations edge function evaluates them; this migration only stores
+-- rules, logs their runs and tells the function when to look at a ticket.
+-- Changes the function itself makes (with the service role) don't trigger
+-- rules again, which keeps rules from feeding each other in a loop.
+--
+-- Uses the same app.settings.functions_url and app.settings.service_role_key
+-- database settings as the bot reply pipeline.
+
+create extension if not exists pg_net with schema extensions;
+create extension if not exists pg_cron;
+
+alter table public.tickets
+  add column if not exists tags text[] not null default '{}';
+
+create index if not exists tickets_tags_idx on public.tickets using gin (tags);
+
+create table if not exists public.automation_rules (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  description text,
+  is_active boolean not null default true,
+  position integer not null default 0,
+  -- ticket_created, ticket_updated and/or scheduled
+  triggers text[] not null default '{ticket_created}'
+    check (array_length(triggers, 1) > 0 and triggers <@ '{ticket_created,ticket_updated,scheduled}'::text[]),
+  match_type text not null default 'all' check (match_type in ('all', 'any')),
+  -- [{ "field": "priority", "operator": "equals", "value": "high" }, ...]
+  conditions jsonb not null default '[]'::jsonb check (jsonb_typeof(conditions) = 'array'),
+  -- [{ "type": "assign_team", "value": "<team id>" }, ...]
+  actions jsonb not null default '[]'::jsonb check (jsonb_typeof(actions) = 'array' and jsonb_array_length(actions) > 0),
+  stop_processing boolean not null default false,
+  created_by uuid references public.profiles(id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists automation_rules_position_idx
+  on public.automation_rules (position)
+  where is_active;
+
+create table if not exists public.automation_rule_runs (
+  id uuid primary key default gen_random_uuid(),
+  rule_id uuid references public.automation_rules(id) on delete set null,
+  -- Kept so the log still reads well after a rule is deleted
+  rule_name text not null,
+  ticket_id uuid not null references public.tickets(id) on delete cascade,
+  trigger text not null check (trigger in ('ticket_created', 'ticket_updated', 'scheduled')),
+  status text not null check (status in ('applied', 'failed')),
+  -- One entry per action: { "type", "value", "status": "applied" | "failed", "error"? }
+  actions jsonb not null default '[]'::jsonb,
+  error text,
+  -- For scheduled runs, the last activity the rule fired on; a rule fires once per quiet spell
+  activity_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists automation_rule_runs_created_idx
+  on public.automation_rule_runs (created_at desc);
+
+create index if not exists automation_rule_runs_rule_ticket_idx
+  on public.automation_rule_runs (rule_id, ticket_id, activity_at);
+
+alter table public.automation_rules enable row level security;
+alter table public.automation_rule_runs enable row level security;
+
+create policy "Admins manage automation rules"
+  on public.automation_rules for all
+  to authenticated
+  using (exists (select 1 from public.profiles where id = auth.uid() and role = 'admin'))
+  with check (exists (select 1 from public.profiles where id = auth.uid() and role = 'admin'));
+
+-- Runs are written by the edge function only
+create policy "Admins read automation runs"
+  on public.automation_rule_runs for select
+  to authenticated
+  using (exists (select 1 from public.profiles where id = auth.uid() and role = 'admin'));
+
+create or replace function public.request_ticket_automations()
+returns trigger
+language plpgsql
+security definer
+set search_path = public, extensions
+as $$
+declare
+  functions_url text := current_setting('app.settings.functions_url', true);
+  service_role_key text := current_setting('app.settings.service_role_key', true);
+  trigger_name text := case when tg_op = 'INSERT' then 'ticket_created' else 'ticket_updated' end;
+begin
+  -- Changes made by automations (or other service-role code) don't re-trigger rules
+  if auth.role() = 'service_role' then
+    return new;
+  end if;
+
+  -- Only changes a rule could care about; SLA sweeps and timestamp bumps are ignored
+  if tg_op = 'UPDATE'
+    and new.status is not distinct from old.status
+    and new.priority is not distinct from old.priority
+    and new.agent_id is not distinct from old.agent_id
+    and new.team_id is not distinct from old.team_id
+    and new.organization_id is not distinct from old.organization_id
+    and new.type is not distinct from old.type
+    and new.tags is not distinct from old.tags
+    and new.title is not distinct from old.title
+    and new.description is not distinct from old.description then
+    return new;
+  end if;
+
+  if not exists (
+    select 1 from public.automation_rules
+    where is_active and trigger_name = any(triggers)
+  ) then
+    return new;
+  end if;
+
+  if functions_url is null or service_role_key is null then
+    raise warning 'automations not requested for ticket %: app.settings.functions_url or app.settings.service_role_key is not set', new.id;
+    return new;
+  end if;
+
+  perform net.http_post(
+    url := functions_url || '/run-automations',
+    headers := jsonb_build_object(
+      'Content-Type', 'application/json',
+      'Authorization', 'Bearer ' || service_role_key
+    ),
+    body := jsonb_build_object('ticket_id', new.id, 'trigger', trigger_name)
+  );
+
+  return new;
+end;
+$$;
+
+drop trigger if exists tickets_request_automations on public.tickets;
+create trigger tickets_request_automations
+  after insert or update on public.tickets
+  for each row execute function public.request_ticket_automations();
+
+-- Time-based conditions (such as hours since the last reply) are checked by a sweep
+create or replace function public.run_scheduled_automations()
+returns void
+language plpgsql
+security definer
+set search_path = public, extensions
+as $$
+declare
+  functions_url text := current_setting('app.settings.functions_url', true);
+  service_role_key text := current_setting('app.settings.service_role_key', true);
+begin
+  if functions_url is null or service_role_key is null then
+    return;
+  end if;
+
+  if not exists (select 1 from public.automation_rules where is_active and 'scheduled' = any(triggers)) then
+    return;
+  end if;
+
+  perform net.http_post(
+    url := functions_url || '/run-automations',
+    headers := jsonb_build_object(
+      'Content-Type', 'application/json',
+      'Authorization', 'Bearer ' || service_role_key
+    ),
+    body := jsonb_build_object('trigger', 'scheduled')
+  );
+end;
+$$;
+
+revoke execute on function public.run_scheduled_automations() from public, anon, authenticated;
+
+select cron.schedule(
+  'run-scheduled-automations',
+  '*/15 * * * *',
+  $$ select public.run_scheduled_automations() $$
+);
@@ -0,0 +1,299 @@
+-- Automatic assignment of new tickets.
+--
+-- Each organization picks an assignment strategy: manual (the default, agents
+-- pick tickets up themselves), round_robin or least_loaded. A new ticket
+-- without an agent is routed to an agent of its team, or of its organization
+-- when it has no team, who:
+--   * is available (agents set this themselves),
+--   * is below their cap on active tickets, when one is set,
+--   * has every skill the ticket asks for, and
+--   * speaks the ticket's language, when they have listed languages.
+-- A ticket asks for a skill when one of its tags, or its type, is a skill some
+-- agent has. Tickets nobody can take stay open and are picked up by a sweep
+-- every five minutes once someone frees up.
+
+create extension if not exists pg_cron;
+
+alter table public.organizations
+  add column if not exists assignment_strategy text not null default 'manual'
+    check (assignment_strategy in ('manual', 'round_robin', 'least_loaded'));
+
+-- The customer's interface language when they opened the ticket
+alter table public.tickets
+  add column if not exists language text;
+
+create table if not exists public.agent_routing_profiles (
+  agent_id uuid primary key references public.profiles(id) on delete cascade,
+  availability text not null default 'available' check (availability in ('available', 'away', 'offline')),
+  skills text[] not null default '{}',
+  -- Language codes such as en or de; empty means any language
+  languages text[] not null default '{}',
+  -- Most active tickets the agent is given automatically; null means no cap
+  max_open_tickets integer check (max_open_tickets is null or max_open_tickets >= 0),
+  last_assigned_at timestamptz,
+  updated_at timestamptz not null default now()
+);
+
+alter table public.agent_routing_profiles enable row level security;
+
+create policy "Agents and admins can view routing profiles"
+  on public.agent_routing_profiles for select
+  to authenticated
+  using (exists (select 1 from public.profiles where id = auth.uid() and role in ('agent', 'admin')));
+
+create policy "Admins manage routing profiles"
+  on public.agent_routing_profiles for all
+  to authenticated
+  using (exists (select 1 from public.profiles where id = auth.uid() and role = 'admin'))
+  with check (exists (select 1 from public.profiles where id = auth.uid() and role = 'admin'));
+
+-- Agents may change their own availability but not their skills or cap
+create or replace function public.set_agent_availability(new_availability text)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not exists (select 1 from public.profiles where id = auth.uid() and role in ('agent', 'admin')) then
+    raise exception 'Only agents can set an availability' using errcode = 'insufficient_privilege';
+  end if;
+
+  insert into public.agent_routing_profiles (agent_id, availability)
+  values (auth.uid(), new_availability)
+  on conflict (agent_id) do update
+  set availability = excluded.availability,
+      updated_at = now();
+end;
+$$;
+
+revoke execute on function public.set_agent_availability(text) from public, anon;
+grant execute on function public.set_agent_availability(text) to authenticated;
+
+create or replace function public.agent_active_ticket_count(agent uuid)
+returns integer
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select count(*)::integer
+  from public.tickets
+  where agent_id = agent
+    and status in ('open', 'in_progress', 'pending_customer', 'on_hold');
+$$;
+
+-- The agent a ticket should go to, or null when nobody can take it
+create or replace function public.pick_ticket_agent(ticket public.tickets)
+returns uuid
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+  strategy text;
+  required_skills text[];
+  chosen uuid;
+begin
+  select assignment_strategy into strategy
+  from public.organizations
+  where id = ticket.organization_id;
+
+  if coalesce(strategy, 'manual') = 'manual' then
+    return null;
+  end if;
+
+  select coalesce(array_agg(distinct skill), '{}') into required_skills
+  from unnest(coalesce(ticket.tags, '{}') || array[ticket.type]) as skill
+  where skill is not null
+    and exists (select 1 from public.agent_routing_profiles r where skill = any(r.skills));
+
+  select candidate.id into chosen
+  from (
+    select p.id,
+      public.agent_active_ticket_count(p.id) as active_count,
+      r.last_assigned_at,
+      r.max_open_tickets,
+      coalesce(r.availability, 'available') as availability,
+      coalesce(r.skills, '{}') as skills,
+      coalesce(r.languages, '{}') as languages
+    from public.profiles p
+    left join public.agent_routing_profiles r on r.agent_id = p.id
+    where p.role = 'agent'
+      and case
+        when ticket.team_id is not null then exists (
+          select 1 from public.team_members tm
+          where tm.team_id = ticket.team_id and tm.user_id = p.id
+        )
+        else exists (
+          select 1 from public.organization_agents oa
+          where oa.organization_id = ticket.organization_id and oa.agent_id = p.id
+        )
+      end
+  ) candidate
+  where candidate.availability = 'available'
+    and (candidate.max_open_tickets is null or candidate.active_count < candidate.max_open_tickets)
+    and candidate.skills @> required_skills
+    and (ticket.language is null or cardinality(candidate.languages) = 0 or ticket.language = any(candidate.languages))
+  order by
+    case when strategy = 'least_loaded' then candidate.active_count end asc nulls last,
+    candidate.last_assigned_at asc nulls first,
+    candidate.id
+  limit 1;
+
+  return chosen;
+end;
+$$;
+
+revoke execute on function public.pick_ticket_agent(public.tickets) from public, anon, authenticated;
+
+create or replace function public.route_new_ticket()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  chosen uuid;
+begin
+  if new.agent_id is not null or new.status <> 'open' then
+    return new;
+  end if;
+
+  chosen := public.pick_ticket_agent(new);
+  if chosen is null then
+    return new;
+  end if;
+
+  new.agent_id := chosen;
+  new.status := 'in_progress';
+
+  insert into public.agent_routing_profiles (agent_id, last_assigned_at)
+  values (chosen, now())
+  on conflict (agent_id) do update
+  set last_assigned_at = excluded.last_assigned_at;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists tickets_route_new_ticket on public.tickets;
+create trigger tickets_route_new_ticket
+  before insert on public.tickets
+  for each row execute function public.route_new_ticket();
+
+-- Tickets that found nobody when they came in, oldest first
+create or replace function public.assign_waiting_tickets()
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  waiting public.tickets;
+  chosen uuid;
+  assigned_count integer := 0;
+begin
+  for waiting in
+    select t.*
+    from public.tickets t
+    join public.organizations o on o.id = t.organization_id
+    where t.status = 'open'
+      and t.agent_id is null
+      and o.assignment_strategy <> 'manual'
+    order by t.created_at
+    limit 200
+  loop
+    chosen := public.pick_ticket_agent(waiting);
+    continue when chosen is null;
+
+    update public.tickets
+    set agent_id = chosen,
+        status = 'in_progress',
+        updated_at = now()
+    where id = waiting.id
+      and agent_id is null;
+
+    update public.agent_routing_profiles
+    set last_assigned_at = now()
+    where agent_id = chosen;
+
+    if not found then
+      insert into public.agent_routing_profiles (agent_id, last_assigned_at) values (chosen, now());
+    end if;
+
+    assigned_count := assigned_count + 1;
+  end loop;
+
+  return assigned_count;
+end;
+$$;
+
+revoke execute on function public.assign_waiting_tickets() from public, anon, authenticated;
+
+select cron.schedule(
+  'assign-waiting-tickets',
+  '*/5 * * * *',
+  $$ select public.assign_waiting_tickets() $$
+);
+
+-- Assignments made while the customer opens a ticket are the router's, not the customer's
+create or replace function public.record_ticket_events()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  actor uuid := auth.uid();
+begin
+  -- A user deleted mid-session shouldn't make the ticket update fail
+  if actor is not null and not exists (select 1 from public.profiles where id = actor) then
+    actor := null;
+  end if;
+
+  if tg_op = 'INSERT' then
+    insert into public.ticket_events (ticket_id, actor_id, event_type, new_value, created_at)
+    values (new.id, coalesce(actor, new.customer_id), 'created', new.status, new.created_at);
+
+    if actor = new.customer_id then
+      actor := null;
+    end if;
+
+    if new.agent_id is not null then
+      insert into public.ticket_events (ticket_id, actor_id, event_type, new_value, created_at)
+      values (new.id, actor, 'agent_assigned', new.agent_id::text, new.created_at);
+    end if;
+
+    if new.team_id is not null then
+      insert into public.ticket_events (ticket_id, actor_id, event_type, new_value, created_at)
+      values (new.id, actor, 'team_assigned', new.team_id::text, new.created_at);
+    end if;
+
+    return new;
+  end if;
+
+  if new.status is distinct from old.status then
+    insert into public.ticket_events (ticket_id, actor_id, event_type, old_value, new_value)
+    values (new.id, actor, 'status_changed', old.status, new.status);
+  end if;
+
+  if new.priority is distinct from old.priority then
+    insert into public.ticket_events (ticket_id, actor_id, event_type, old_value, new_value)
+    values (new.id, actor, 'priority_changed', old.priority, new.priority);
+  end if;
+
+  if new.agent_id is distinct from old.agent_id then
+    insert into public.ticket_events (ticket_id, actor_id, event_type, old_value, new_value)
+    values (new.id, actor, 'agent_assigned', old.agent_id::text, new.agent_id::text);
+  end if;
+
+  if new.team_id is distinct from old.team_id then
+    insert into public.ticket_events (ticket_id, actor_id, event_type, old_value, new_value)
+    values (new.id, actor, 'team_assigned', old.team_id::text, new.team_id::text);
+  end if;
+
+  return new;
+end;
+$$;
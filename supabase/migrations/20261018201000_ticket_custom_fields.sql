@@ -0,0 +1,123 @@
+-- Per-organization custom ticket fields and tag suggestions.
+--
+-- An organization defines its own fields (text, number, select or date),
+-- which customers fill in when opening a ticket and agents edit later. Values
+-- live in tickets.custom_fields keyed by the field's key, which never changes
+-- once created so renaming a field keeps its data. Values are checked against
+-- the definitions on every write. Tags (added with the automation rules) get a
+-- suggestion function for autocomplete.
+
+create table if not exists public.ticket_field_definitions (
+  id uuid primary key default gen_random_uuid(),
+  organization_id uuid not null references public.organizations(id) on delete cascade,
+  key text not null check (key ~ '^[a-z][a-z0-9_]*$'),
+  label text not null,
+  field_type text not null check (field_type in ('text', 'number', 'select', 'date')),
+  -- Choices of a select field
+  options text[] not null default '{}',
+  required boolean not null default false,
+  position integer not null default 0,
+  created_at timestamptz not null default now(),
+  unique (organization_id, key),
+  check (field_type <> 'select' or cardinality(options) > 0)
+);
+
+create index if not exists ticket_field_definitions_org_idx
+  on public.ticket_field_definitions (organization_id, position);
+
+alter table public.tickets
+  add column if not exists custom_fields jsonb not null default '{}'::jsonb;
+
+create index if not exists tickets_custom_fields_idx on public.tickets using gin (custom_fields);
+
+alter table public.ticket_field_definitions enable row level security;
+
+-- Customers need the definitions to open a ticket
+create policy "Authenticated users can view field definitions"
+  on public.ticket_field_definitions for select
+  to authenticated
+  using (true);
+
+create policy "Admins manage field definitions"
+  on public.ticket_field_definitions for all
+  to authenticated
+  using (exists (select 1 from public.profiles where id = auth.uid() and role = 'admin'))
+  with check (exists (select 1 from public.profiles where id = auth.uid() and role = 'admin'));
+
+-- Rejects values that don't fit their field, and missing required fields on new tickets.
+-- Values of fields that were deleted since are dropped.
+create or replace function public.validate_ticket_custom_fields()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  definition public.ticket_field_definitions;
+  value jsonb;
+  cleaned jsonb := '{}'::jsonb;
+begin
+  if tg_op = 'UPDATE'
+    and new.custom_fields is not distinct from old.custom_fields
+    and new.organization_id is not distinct from old.organization_id then
+    return new;
+  end if;
+
+  if jsonb_typeof(new.custom_fields) is distinct from 'object' then
+    raise exception 'custom_fields must be an object' using errcode = 'check_violation';
+  end if;
+
+  for definition in
+    select * from public.ticket_field_definitions where organization_id = new.organization_id
+  loop
+    value := new.custom_fields -> definition.key;
+
+    if value is null or value = 'null'::jsonb or value = '""'::jsonb then
+      if definition.required and tg_op = 'INSERT' then
+        raise exception 'Custom field % is required', definition.label using errcode = 'check_violation';
+      end if;
+      continue;
+    end if;
+
+    if definition.field_type = 'number' and jsonb_typeof(value) <> 'number' then
+      raise exception 'Custom field % must be a number', definition.label using errcode = 'check_violation';
+    elsif definition.field_type = 'select' and not (value #>> '{}') = any(definition.options) then
+      raise exception 'Custom field % must be one of its options', definition.label using errcode = 'check_violation';
+    elsif definition.field_type = 'date' and (value #>> '{}') !~ '^\d{4}-\d{2}-\d{2}$' then
+      raise exception 'Custom field % must be a date', definition.label using errcode = 'check_violation';
+    elsif definition.field_type = 'text' and jsonb_typeof(value) <> 'string' then
+      raise exception 'Custom field % must be text', definition.label using errcode = 'check_violation';
+    end if;
+
+    cleaned := cleaned || jsonb_build_object(definition.key, value);
+  end loop;
+
+  new.custom_fields := cleaned;
+  return new;
+end;
+$$;
+
+drop trigger if exists tickets_validate_custom_fields on public.tickets;
+create trigger tickets_validate_custom_fields
+  before insert or update on public.tickets
+  for each row execute function public.validate_ticket_custom_fields();
+
+-- Tags in use starting with the search text, most used first, for autocomplete
+create or replace function public.suggest_ticket_tags(search text default '', max_results integer default 10)
+returns table (tag text, uses bigint)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select tag, count(*) as uses
+  from public.tickets, unnest(tags) as tag
+  where exists (select 1 from public.profiles where id = auth.uid() and role in ('agent', 'admin'))
+    and tag like lower(coalesce(search, '')) || '%'
+  group by tag
+  order by uses desc, tag
+  limit max_results;
+$$;
+
+revoke execute on function public.suggest_ticket_tags(text, integer) from public, anon;
+grant execute on function public.suggest_ticket_tags(text, integer) to authenticated;
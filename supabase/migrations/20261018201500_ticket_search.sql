@@ -0,0 +1,114 @@
+-- Full-text ticket search and saved ticket views.
+--
+-- Tickets are searchable by title, description and comments. The 'simple'
+-- configuration is used rather than 'english' because tickets arrive in every
+-- language the app supports, and stemming one of them would skew the others.
+-- The structured filters (status, priority, SLA state, ...) are plain column
+-- filters applied by the client; search_ticket_ids only narrows by text.
+--
+-- A saved view is a named filter combination. Its owner can share it with the
+-- other agents, and it shows in the sidebar with a count of matching tickets.
+
+alter table public.tickets
+  add column if not exists search_tsv tsvector
+  generated always as (
+    setweight(to_tsvector('simple', coalesce(title, '')), 'A') ||
+    setweight(to_tsvector('simple', coalesce(description, '')), 'B')
+  ) stored;
+
+create index if not exists tickets_search_tsv_idx
+  on public.tickets
+  using gin (search_tsv);
+
+alter table public.ticket_comments
+  add column if not exists content_tsv tsvector
+  generated always as (to_tsvector('simple', coalesce(content, ''))) stored;
+
+create index if not exists ticket_comments_content_tsv_idx
+  on public.ticket_comments
+  using gin (content_tsv);
+
+-- Runs as the caller, so tickets and comments (internal notes included) are
+-- only searched where row level security lets the caller read them.
+create or replace function public.search_ticket_ids(query_text text, max_results integer default 500)
+returns table (ticket_id uuid, rank real)
+language sql
+stable
+set search_path = public
+as $$
+  with q as (
+    select websearch_to_tsquery('simple', coalesce(query_text, '')) as q
+  ),
+  hits as (
+    select t.id as ticket_id, ts_rank(t.search_tsv, q.q) as rank
+    from public.tickets t, q
+    where t.search_tsv @@ q.q
+    union all
+    -- A comment hit ranks below a title or description hit
+    select c.ticket_id, ts_rank(c.content_tsv, q.q) * 0.5 as rank
+    from public.ticket_comments c, q
+    where c.content_tsv @@ q.q
+  )
+  select ticket_id, max(rank)::real as rank
+  from hits
+  group by ticket_id
+  order by rank desc
+  limit max_results;
+$$;
+
+revoke execute on function public.search_ticket_ids(text, integer) from public, anon;
+grant execute on function public.search_ticket_ids(text, integer) to authenticated;
+
+create table if not exists public.ticket_views (
+  id uuid primary key default gen_random_uuid(),
+  owner_id uuid not null default auth.uid() references public.profiles(id) on delete cascade,
+  name text not null check (length(trim(name)) > 0),
+  -- The filter combination, as built by src/lib/ticketSearch.js
+  filters jsonb not null default '{}'::jsonb,
+  is_shared boolean not null default false,
+  position integer not null default 0,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists ticket_views_owner_idx on public.ticket_views (owner_id, position);
+create index if not exists ticket_views_shared_idx on public.ticket_views (is_shared) where is_shared;
+
+alter table public.ticket_views enable row level security;
+
+create policy "Agents view their own and shared ticket views"
+  on public.ticket_views for select
+  to authenticated
+  using (
+    owner_id = auth.uid()
+    or (
+      is_shared
+      and exists (select 1 from public.profiles where id = auth.uid() and role in ('agent', 'admin'))
+    )
+  );
+
+create policy "Agents create their own ticket views"
+  on public.ticket_views for insert
+  to authenticated
+  with check (
+    owner_id = auth.uid()
+    and exists (select 1 from public.profiles where id = auth.uid() and role in ('agent', 'admin'))
+  );
+
+create policy "Owners update their ticket views"
+  on public.ticket_views for update
+  to authenticated
+  using (owner_id = auth.uid())
+  with check (owner_id = auth.uid());
+
+-- Admins can clean up views other agents shared
+create policy "Owners and admins delete ticket views"
+  on public.ticket_views for delete
+  to authenticated
+  using (
+    owner_id = auth.uid()
+    or exists (select 1 from public.profiles where id = auth.uid() and role = 'admin')
+  );
+
+-- So the sidebar picks up views saved, shared or deleted elsewhere
+alter publication supabase_realtime add table public.ticket_views;
@@ -0,0 +1,228 @@
+-- Merging duplicate tickets and splitting comments off into a new ticket.
+--
+-- Merging moves the duplicate's comments and attachments to the primary
+-- ticket, keeps the duplicate's original description there as an internal
+-- note, and closes the duplicate with merged_into_id pointing at the primary.
+-- Only tickets of the same customer can be merged, so no customer ever sees
+-- another customer's messages. Splitting moves the chosen comments (and their
+-- attachments) to a new ticket for the same customer. Both record an event on
+-- each ticket involved, which viewers of either ticket receive over realtime.
+
+alter table public.tickets
+  add column if not exists merged_into_id uuid references public.tickets(id) on delete set null;
+
+create index if not exists tickets_merged_into_idx
+  on public.tickets (merged_into_id)
+  where merged_into_id is not null;
+
+alter table public.ticket_events
+  drop constraint if exists ticket_events_event_type_check;
+
+alter table public.ticket_events
+  add constraint ticket_events_event_type_check
+  check (event_type in (
+    'created', 'status_changed', 'priority_changed', 'agent_assigned', 'team_assigned',
+    'merged_into', 'merged_from', 'split_to', 'split_from'
+  ));
+
+-- Customers see merges and splits of their tickets too; new_value is the other ticket
+drop policy if exists "Users can read events of visible tickets" on public.ticket_events;
+
+create policy "Users can read events of visible tickets"
+  on public.ticket_events for select
+  to authenticated
+  using (
+    exists (select 1 from public.tickets t where t.id = ticket_events.ticket_id)
+    and (
+      event_type in ('created', 'status_changed', 'merged_into', 'merged_from', 'split_to', 'split_from')
+      or exists (select 1 from public.profiles where id = auth.uid() and role in ('agent', 'admin'))
+    )
+  );
+
+-- Whether the signed-in user may work on a ticket: admins always, agents when
+-- it is assigned to them or to one of their teams
+create or replace function public.can_work_ticket(target public.tickets)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (select 1 from public.profiles where id = auth.uid() and role = 'admin')
+    or (
+      exists (select 1 from public.profiles where id = auth.uid() and role = 'agent')
+      and (
+        target.agent_id = auth.uid()
+        or exists (
+          select 1 from public.team_members
+          where team_id = target.team_id and user_id = auth.uid()
+        )
+      )
+    );
+$$;
+
+create or replace function public.merge_tickets(duplicate_ticket_id uuid, primary_ticket_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  duplicate public.tickets;
+  primary_ticket public.tickets;
+begin
+  if duplicate_ticket_id = primary_ticket_id then
+    raise exception 'A ticket cannot be merged into itself';
+  end if;
+
+  -- Lock both rows in a fixed order so two merges of the same pair can't deadlock
+  perform 1 from public.tickets
+  where id in (duplicate_ticket_id, primary_ticket_id)
+  order by id
+  for update;
+
+  select * into duplicate from public.tickets where id = duplicate_ticket_id;
+  select * into primary_ticket from public.tickets where id = primary_ticket_id;
+
+  if duplicate.id is null or primary_ticket.id is null then
+    raise exception 'Ticket not found';
+  end if;
+
+  if not public.can_work_ticket(duplicate) or not public.can_work_ticket(primary_ticket) then
+    raise exception 'Not allowed to merge these tickets'
+      using errcode = 'insufficient_privilege';
+  end if;
+
+  if duplicate.customer_id is distinct from primary_ticket.customer_id then
+    raise exception 'Only tickets of the same customer can be merged';
+  end if;
+
+  if duplicate.status = 'closed' or primary_ticket.status = 'closed' then
+    raise exception 'Closed tickets cannot be merged';
+  end if;
+
+  -- The duplicate's opening message has no comment of its own
+  insert into public.ticket_comments (ticket_id, user_id, content, is_internal, created_at)
+  values (
+    primary_ticket.id,
+    auth.uid(),
+    format(E'Merged from "%s":\n\n%s', duplicate.title, coalesce(duplicate.description, '')),
+    true,
+    duplicate.created_at
+  );
+
+  update public.ticket_comments set ticket_id = primary_ticket.id where ticket_id = duplicate.id;
+  update public.ticket_attachments set ticket_id = primary_ticket.id where ticket_id = duplicate.id;
+
+  -- Closed is only reachable from resolved
+  if duplicate.status <> 'resolved' then
+    update public.tickets set status = 'resolved' where id = duplicate.id;
+  end if;
+
+  update public.tickets
+  set status = 'closed',
+      merged_into_id = primary_ticket.id,
+      needs_human = false
+  where id = duplicate.id;
+
+  update public.tickets set updated_at = now() where id = primary_ticket.id;
+
+  insert into public.ticket_events (ticket_id, actor_id, event_type, new_value)
+  values
+    (duplicate.id, auth.uid(), 'merged_into', primary_ticket.id::text),
+    (primary_ticket.id, auth.uid(), 'merged_from', duplicate.id::text);
+end;
+$$;
+
+-- Returns the id of the new ticket
+create or replace function public.split_ticket(source_ticket_id uuid, comment_ids uuid[], new_title text)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  source public.tickets;
+  new_ticket_id uuid;
+  opening_comment text;
+begin
+  select * into source from public.tickets where id = source_ticket_id for update;
+
+  if source.id is null then
+    raise exception 'Ticket not found';
+  end if;
+
+  if not public.can_work_ticket(source) then
+    raise exception 'Not allowed to split this ticket'
+      using errcode = 'insufficient_privilege';
+  end if;
+
+  if source.status = 'closed' then
+    raise exception 'Closed tickets cannot be split';
+  end if;
+
+  if coalesce(trim(new_title), '') = '' then
+    raise exception 'The new ticket needs a title';
+  end if;
+
+  if coalesce(cardinality(comment_ids), 0) = 0 then
+    raise exception 'Select at least one comment to split off';
+  end if;
+
+  if exists (
+    select 1 from unnest(comment_ids) as selected(id)
+    where not exists (
+      select 1 from public.ticket_comments c
+      where c.id = selected.id and c.ticket_id = source.id
+    )
+  ) then
+    raise exception 'Every comment must belong to the ticket being split';
+  end if;
+
+  -- The first public comment moved becomes the new ticket's description
+  select content into opening_comment
+  from public.ticket_comments
+  where id = any(comment_ids) and not is_internal
+  order by created_at
+  limit 1;
+
+  insert into public.tickets (
+    title, description, customer_id, organization_id, priority, type,
+    agent_id, team_id, status, language, custom_fields, tags
+  )
+  values (
+    trim(new_title),
+    coalesce(opening_comment, trim(new_title)),
+    source.customer_id,
+    source.organization_id,
+    source.priority,
+    source.type,
+    source.agent_id,
+    source.team_id,
+    case when source.agent_id is not null or source.team_id is not null then 'in_progress' else 'open' end,
+    source.language,
+    source.custom_fields,
+    source.tags
+  )
+  returning id into new_ticket_id;
+
+  update public.ticket_comments set ticket_id = new_ticket_id where id = any(comment_ids);
+  update public.ticket_attachments set ticket_id = new_ticket_id where comment_id = any(comment_ids);
+
+  update public.tickets set updated_at = now() where id = source.id;
+
+  insert into public.ticket_events (ticket_id, actor_id, event_type, new_value)
+  values
+    (source.id, auth.uid(), 'split_to', new_ticket_id::text),
+    (new_ticket_id, auth.uid(), 'split_from', source.id::text);
+
+  return new_ticket_id;
+end;
+$$;
+
+revoke execute on function public.can_work_ticket(public.tickets) from public, anon;
+revoke execute on function public.merge_tickets(uuid, uuid) from public, anon;
+revoke execute on function public.split_ticket(uuid, uuid[], text) from public, anon;
+grant execute on function public.can_work_ticket(public.tickets) to authenticated;
+grant execute on function public.merge_tickets(uuid, uuid) to authenticated;
+grant execute on function public.split_ticket(uuid, uuid[], text) to authenticated;
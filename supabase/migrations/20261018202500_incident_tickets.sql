@@ -0,0 +1,193 @@
+-- Incident (parent) tickets with linked child tickets.
+--
+-- An agent marks a ticket as an incident and attaches the customer tickets
+-- that report the same problem as its children; a child belongs to at most
+-- one incident and incidents don't nest. A public staff reply on an incident
+-- is copied to each of its children that isn't closed, so every affected
+-- customer sees it on their own ticket. Resolving an incident resolves its
+-- children through resolve_child_tickets, which returns them so the client
+-- can send the resolution emails.
+
+alter table public.tickets
+  add column if not exists is_incident boolean not null default false,
+  add column if not exists parent_ticket_id uuid references public.tickets(id) on delete set null;
+
+create index if not exists tickets_parent_ticket_idx
+  on public.tickets (parent_ticket_id)
+  where parent_ticket_id is not null;
+
+-- The incident comment a fanned-out copy was made from
+alter table public.ticket_comments
+  add column if not exists fanned_out_from_id uuid references public.ticket_comments(id) on delete set null;
+
+alter table public.ticket_events
+  drop constraint if exists ticket_events_event_type_check;
+
+alter table public.ticket_events
+  add constraint ticket_events_event_type_check
+  check (event_type in (
+    'created', 'status_changed', 'priority_changed', 'agent_assigned', 'team_assigned',
+    'merged_into', 'merged_from', 'split_to', 'split_from', 'parent_changed'
+  ));
+
+create or replace function public.set_ticket_incident(target_ticket_id uuid, incident boolean)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  target public.tickets;
+begin
+  select * into target from public.tickets where id = target_ticket_id for update;
+
+  if target.id is null then
+    raise exception 'Ticket not found';
+  end if;
+
+  if not public.can_work_ticket(target) then
+    raise exception 'Not allowed to change this ticket'
+      using errcode = 'insufficient_privilege';
+  end if;
+
+  if incident and target.parent_ticket_id is not null then
+    raise exception 'A child ticket cannot be an incident';
+  end if;
+
+  if not incident and exists (select 1 from public.tickets where parent_ticket_id = target.id) then
+    raise exception 'Detach the child tickets first';
+  end if;
+
+  update public.tickets set is_incident = incident where id = target.id;
+end;
+$$;
+
+-- Attaches a ticket to an incident, or detaches it when incident_ticket_id is null
+create or replace function public.set_ticket_parent(child_ticket_id uuid, incident_ticket_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  child public.tickets;
+  parent public.tickets;
+  current_parent public.tickets;
+begin
+  select * into child from public.tickets where id = child_ticket_id for update;
+
+  if child.id is null then
+    raise exception 'Ticket not found';
+  end if;
+
+  if child.parent_ticket_id is not distinct from incident_ticket_id then
+    return;
+  end if;
+
+  select * into current_parent from public.tickets where id = child.parent_ticket_id;
+
+  if incident_ticket_id is null then
+    if not (public.can_work_ticket(child) or (current_parent.id is not null and public.can_work_ticket(current_parent))) then
+      raise exception 'Not allowed to detach this ticket'
+        using errcode = 'insufficient_privilege';
+    end if;
+  else
+    select * into parent from public.tickets where id = incident_ticket_id;
+
+    if parent.id is null then
+      raise exception 'Incident not found';
+    end if;
+
+    -- Whoever works the incident gathers its reports, whoever they're assigned to
+    if not public.can_work_ticket(parent) then
+      raise exception 'Not allowed to attach tickets to this incident'
+        using errcode = 'insufficient_privilege';
+    end if;
+
+    if not parent.is_incident then
+      raise exception 'Tickets can only be attached to an incident';
+    end if;
+
+    if child.id = parent.id or child.is_incident then
+      raise exception 'Incidents cannot be attached to an incident';
+    end if;
+
+    if parent.status = 'closed' or child.status = 'closed' then
+      raise exception 'Closed tickets cannot be linked';
+    end if;
+  end if;
+
+  update public.tickets set parent_ticket_id = incident_ticket_id where id = child.id;
+
+  insert into public.ticket_events (ticket_id, actor_id, event_type, old_value, new_value)
+  values (child.id, auth.uid(), 'parent_changed', child.parent_ticket_id::text, incident_ticket_id::text);
+end;
+$$;
+
+-- Resolves the children of an incident that aren't resolved yet and returns them
+create or replace function public.resolve_child_tickets(incident_ticket_id uuid)
+returns setof public.tickets
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  parent public.tickets;
+begin
+  select * into parent from public.tickets where id = incident_ticket_id;
+
+  if parent.id is null then
+    raise exception 'Ticket not found';
+  end if;
+
+  if not public.can_work_ticket(parent) then
+    raise exception 'Not allowed to resolve this incident'
+      using errcode = 'insufficient_privilege';
+  end if;
+
+  return query
+  update public.tickets t
+  set status = 'resolved'
+  where t.parent_ticket_id = parent.id
+    and t.status not in ('resolved', 'closed')
+  returning t.*;
+end;
+$$;
+
+-- Copies a public staff reply on an incident to its open children
+create or replace function public.fan_out_incident_reply()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.is_internal or new.is_bot or new.user_id is null or new.fanned_out_from_id is not null then
+    return new;
+  end if;
+
+  if not exists (select 1 from public.profiles where id = new.user_id and role in ('agent', 'admin')) then
+    return new;
+  end if;
+
+  insert into public.ticket_comments (ticket_id, user_id, content, is_internal, fanned_out_from_id)
+  select child.id, new.user_id, new.content, false, new.id
+  from public.tickets child
+  where child.parent_ticket_id = new.ticket_id
+    and child.status <> 'closed';
+
+  return new;
+end;
+$$;
+
+drop trigger if exists ticket_comments_fan_out_incident_reply on public.ticket_comments;
+create trigger ticket_comments_fan_out_incident_reply
+  after insert on public.ticket_comments
+  for each row execute function public.fan_out_incident_reply();
+
+revoke execute on function public.set_ticket_incident(uuid, boolean) from public, anon;
+revoke execute on function public.set_ticket_parent(uuid, uuid) from public, anon;
+revoke execute on function public.resolve_child_tickets(uuid) from public, anon;
+grant execute on function public.set_ticket_incident(uuid, boolean) to authenticated;
+grant execute on function public.set_ticket_parent(uuid, uuid) to authenticated;
+grant execute on function public.resolve_child_tickets(uuid) to authenticated;
@@ -0,0 +1,116 @@
+-- Canned responses and macros.
+--
+-- A canned response is reply text agents insert from the composer with a
+-- slash command; {{customer.*}}, {{ticket.*}} and {{agent.*}} variables are
+-- filled in by the client. A response with actions is a macro: sending the
+-- reply also sets the status or priority, adds tags or assigns the ticket.
+--
+-- Responses are personal (only their owner sees them), belong to a team
+-- (shared by its members) or to an organization (offered on that
+-- organization's tickets to every agent). Admins see and manage all of them.
+
+create table if not exists public.canned_responses (
+  id uuid primary key default gen_random_uuid(),
+  name text not null check (length(trim(name)) > 0),
+  -- Typed after the slash in the composer, e.g. /refund
+  shortcut text check (shortcut is null or shortcut ~ '^[a-z0-9_-]+$'),
+  content text not null default '',
+  scope text not null check (scope in ('personal', 'team', 'organization')),
+  owner_id uuid references public.profiles(id) on delete cascade,
+  team_id uuid references public.teams(id) on delete cascade,
+  organization_id uuid references public.organizations(id) on delete cascade,
+  -- [{ "type": "set_status", "value": "pending_customer" }, ...]
+  actions jsonb not null default '[]'::jsonb check (jsonb_typeof(actions) = 'array'),
+  created_by uuid references public.profiles(id) on delete set null default auth.uid(),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  check (
+    (scope = 'personal' and owner_id is not null and team_id is null and organization_id is null)
+    or (scope = 'team' and team_id is not null and owner_id is null and organization_id is null)
+    or (scope = 'organization' and organization_id is not null and owner_id is null and team_id is null)
+  ),
+  check (length(trim(content)) > 0 or jsonb_array_length(actions) > 0)
+);
+
+create index if not exists canned_responses_owner_idx
+  on public.canned_responses (owner_id)
+  where owner_id is not null;
+
+create index if not exists canned_responses_team_idx
+  on public.canned_responses (team_id)
+  where team_id is not null;
+
+create index if not exists canned_responses_organization_idx
+  on public.canned_responses (organization_id)
+  where organization_id is not null;
+
+alter table public.canned_responses enable row level security;
+
+-- Whether the signed-in user may see a canned response; members of a team
+-- edit its responses, only admins edit organization ones
+create or replace function public.can_use_canned_response(response public.canned_responses)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (select 1 from public.profiles where id = auth.uid() and role = 'admin')
+    or (
+      exists (select 1 from public.profiles where id = auth.uid() and role = 'agent')
+      and (
+        response.owner_id = auth.uid()
+        or response.scope = 'organization'
+        or exists (
+          select 1 from public.team_members
+          where team_id = response.team_id and user_id = auth.uid()
+        )
+      )
+    );
+$$;
+
+create or replace function public.can_manage_canned_response(response public.canned_responses)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (select 1 from public.profiles where id = auth.uid() and role = 'admin')
+    or (
+      exists (select 1 from public.profiles where id = auth.uid() and role = 'agent')
+      and (
+        response.owner_id = auth.uid()
+        or exists (
+          select 1 from public.team_members
+          where team_id = response.team_id and user_id = auth.uid()
+        )
+      )
+    );
+$$;
+
+revoke execute on function public.can_use_canned_response(public.canned_responses) from public, anon;
+revoke execute on function public.can_manage_canned_response(public.canned_responses) from public, anon;
+grant execute on function public.can_use_canned_response(public.canned_responses) to authenticated;
+grant execute on function public.can_manage_canned_response(public.canned_responses) to authenticated;
+
+create policy "Staff read the canned responses they can use"
+  on public.canned_responses for select
+  to authenticated
+  using (public.can_use_canned_response(canned_responses));
+
+create policy "Staff create canned responses they can manage"
+  on public.canned_responses for insert
+  to authenticated
+  with check (public.can_manage_canned_response(canned_responses));
+
+create policy "Staff update canned responses they can manage"
+  on public.canned_responses for update
+  to authenticated
+  using (public.can_manage_canned_response(canned_responses))
+  with check (public.can_manage_canned_response(canned_responses));
+
+create policy "Staff delete canned responses they can manage"
+  on public.canned_responses for delete
+  to authenticated
+  using (public.can_manage_canned_response(canned_responses));
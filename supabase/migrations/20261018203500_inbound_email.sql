@@ -0,0 +1,54 @@
+-- Inbound email channel.
+--
+-- The inbound-email edge function receives customer emails from the mail
+-- provider. A reply to one of our emails carries the ticket's email token,
+-- either in the subject as [#TOKEN] or in the plus-addressed reply-to
+-- address (support+TOKEN@...), and becomes a comment on that ticket. Any
+-- other email opens a new ticket in the organization whose inbound address
+-- it was sent to. Every email received is logged in inbound_emails, whose
+-- message_id also keeps a provider's retries from posting twice.
+
+alter table public.tickets
+  add column if not exists email_token text not null default upper(substr(md5(gen_random_uuid()::text), 1, 10)),
+  add column if not exists source text not null default 'web' check (source in ('web', 'email'));
+
+create unique index if not exists tickets_email_token_idx
+  on public.tickets (email_token);
+
+alter table public.organizations
+  add column if not exists inbound_email_address text
+    check (inbound_email_address is null or inbound_email_address = lower(trim(inbound_email_address)));
+
+create unique index if not exists organizations_inbound_email_address_idx
+  on public.organizations (inbound_email_address)
+  where inbound_email_address is not null;
+
+create table if not exists public.inbound_emails (
+  id uuid primary key default gen_random_uuid(),
+  message_id text,
+  from_email text,
+  to_emails text[] not null default '{}',
+  subject text,
+  status text not null check (status in ('ticket_created', 'comment_added', 'rejected', 'failed')),
+  reason text,
+  organization_id uuid references public.organizations(id) on delete set null,
+  ticket_id uuid references public.tickets(id) on delete set null,
+  comment_id uuid references public.ticket_comments(id) on delete set null,
+  attachment_count integer not null default 0,
+  created_at timestamptz not null default now()
+);
+
+create unique index if not exists inbound_emails_message_id_idx
+  on public.inbound_emails (message_id)
+  where message_id is not null and status in ('ticket_created', 'comment_added');
+
+create index if not exists inbound_emails_organization_idx
+  on public.inbound_emails (organization_id, created_at desc);
+
+-- Written by the edge function only
+alter table public.inbound_emails enable row level security;
+
+create policy "Admins read inbound emails"
+  on public.inbound_emails for select
+  to authenticated
+  using (exists (select 1 from public.profiles where id = auth.uid() and role = 'admin'));
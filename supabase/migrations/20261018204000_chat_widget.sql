@@ -0,0 +1,108 @@
+-- Embeddable chat widget.
+--
+-- Organizations can put public/widget.js on their own site. It opens the
+-- /widget/:organizationId page in an iframe, where a visitor chats as a
+-- customer: anonymously until a human takes over, when the widget asks for
+-- an email address. The widget signs visitors in with Supabase anonymous
+-- sign-ins, so those have to be enabled for the project (auth settings, or
+-- enable_anonymous_sign_ins in config.toml). A conversation is an ordinary
+-- ticket with source 'chat' whose messages are public comments, so the bot,
+-- routing, automations and agents treat it like any other ticket.
+
+alter table public.tickets
+  drop constraint if exists tickets_source_check;
+
+alter table public.tickets
+  add constraint tickets_source_check
+  check (source in ('web', 'email', 'chat'));
+
+alter table public.organizations
+  add column if not exists chat_widget_enabled boolean not null default false,
+  add column if not exists chat_widget_greeting text,
+  add column if not exists chat_widget_color text not null default '#2563eb'
+    check (chat_widget_color ~ '^#[0-9a-fA-F]{6}$');
+
+-- The widget shows the bot "typing" while a run for the visitor's message is processing
+create policy "Customers read bot runs on their tickets"
+  on public.bot_reply_runs for select
+  to authenticated
+  using (exists (
+    select 1 from public.tickets t
+    where t.id = bot_reply_runs.ticket_id and t.customer_id = auth.uid()
+  ));
+
+alter publication supabase_realtime add table public.bot_reply_runs;
+
+-- What the widget needs before anyone signs in; null when the widget is off
+create or replace function public.get_chat_widget(target_organization uuid)
+returns jsonb
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select jsonb_build_object(
+    'id', o.id,
+    'name', o.name,
+    'greeting', o.chat_widget_greeting,
+    'color', o.chat_widget_color
+  )
+  from public.organizations o
+  where o.id = target_organization and o.chat_widget_enabled;
+$$;
+
+-- Opens a chat ticket for the calling customer with their first message. The
+-- message is the description and also the first comment, which is what the
+-- bot answers.
+create or replace function public.start_chat_conversation(
+  target_organization uuid,
+  first_message text,
+  conversation_language text default null
+)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  message text := trim(first_message);
+  new_ticket_id uuid;
+begin
+  if not exists (select 1 from public.profiles where id = auth.uid() and role = 'customer') then
+    raise exception 'Only customers can start a chat';
+  end if;
+
+  if not exists (
+    select 1 from public.organizations
+    where id = target_organization and chat_widget_enabled
+  ) then
+    raise exception 'Chat is not enabled for this organization';
+  end if;
+
+  if coalesce(message, '') = '' then
+    raise exception 'A chat needs a first message';
+  end if;
+
+  insert into public.tickets (title, description, customer_id, organization_id, status, language, source)
+  values (
+    case when length(message) > 80 then left(message, 77) || '...' else message end,
+    message,
+    auth.uid(),
+    target_organization,
+    'open',
+    conversation_language,
+    'chat'
+  )
+  returning id into new_ticket_id;
+
+  insert into public.ticket_comments (ticket_id, user_id, content, is_internal)
+  values (new_ticket_id, auth.uid(), message, false);
+
+  return new_ticket_id;
+end;
+$$;
+
+revoke execute on function public.get_chat_widget(uuid) from public;
+revoke execute on function public.start_chat_conversation(uuid, text, text) from public, anon;
+grant execute on function public.get_chat_widget(uuid) to anon, authenticated;
+grant execute on function public.start_chat_conversation(uuid, text, text) to authenticated;
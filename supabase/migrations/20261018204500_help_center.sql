@@ -0,0 +1,150 @@
+-- Public self-service help center.
+--
+-- Each organization can publish curated help articles at /help/:organizationId.
+-- An article can be drawn from one of the organization's knowledge documents
+-- (source_document_id is organization_files.document_id, so it keeps pointing
+-- at the document when new versions are uploaded). The help-center-search
+-- edge function ranks the document chunks with the same hybrid retrieval the
+-- bot uses and returns the published articles drawn from the best documents,
+-- so customers only ever see curated text, never the raw documents.
+--
+-- ticket_deflections records whether self-service answered a customer:
+-- 'deflected' when they said it did (no ticket needed), 'escalated' when they
+-- went on to contact support.
+
+alter table public.organizations
+  add column if not exists help_center_enabled boolean not null default false;
+
+create table if not exists public.help_articles (
+  id uuid primary key default gen_random_uuid(),
+  organization_id uuid not null references public.organizations(id) on delete cascade,
+  title text not null check (length(trim(title)) > 0),
+  summary text,
+  body text not null default '',
+  source_document_id uuid,
+  is_published boolean not null default false,
+  position integer not null default 0,
+  created_by uuid references public.profiles(id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  search_tsv tsvector generated always as (
+    setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(summary, '')), 'B') ||
+    setweight(to_tsvector('english', coalesce(body, '')), 'C')
+  ) stored
+);
+
+create index if not exists help_articles_organization_idx
+  on public.help_articles (organization_id, position);
+
+create index if not exists help_articles_source_document_idx
+  on public.help_articles (source_document_id)
+  where source_document_id is not null;
+
+create index if not exists help_articles_search_idx
+  on public.help_articles
+  using gin (search_tsv);
+
+alter table public.help_articles enable row level security;
+
+-- Anyone, signed in or not, can read the published articles of an open help center
+create policy "Anyone can read published help articles"
+  on public.help_articles for select
+  to anon, authenticated
+  using (
+    is_published
+    and exists (
+      select 1 from public.organizations o
+      where o.id = help_articles.organization_id and o.help_center_enabled
+    )
+  );
+
+create policy "Admins manage help articles"
+  on public.help_articles for all
+  to authenticated
+  using (exists (select 1 from public.profiles where id = auth.uid() and role = 'admin'))
+  with check (exists (select 1 from public.profiles where id = auth.uid() and role = 'admin'));
+
+create table if not exists public.ticket_deflections (
+  id uuid primary key default gen_random_uuid(),
+  organization_id uuid not null references public.organizations(id) on delete cascade,
+  channel text not null check (channel in ('help_center')),
+  outcome text not null check (outcome in ('deflected', 'escalated')),
+  article_id uuid references public.help_articles(id) on delete set null,
+  search_query text,
+  customer_id uuid references public.profiles(id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists ticket_deflections_organization_idx
+  on public.ticket_deflections (organization_id, created_at desc);
+
+create index if not exists ticket_deflections_article_idx
+  on public.ticket_deflections (article_id)
+  where article_id is not null;
+
+-- Written through record_ticket_deflection only
+alter table public.ticket_deflections enable row level security;
+
+create policy "Staff read ticket deflections"
+  on public.ticket_deflections for select
+  to authenticated
+  using (exists (select 1 from public.profiles where id = auth.uid() and role in ('agent', 'admin')));
+
+-- The help center's header; null when the organization hasn't opened one
+create or replace function public.get_help_center(target_organization uuid)
+returns jsonb
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select jsonb_build_object('id', o.id, 'name', o.name)
+  from public.organizations o
+  where o.id = target_organization and o.help_center_enabled;
+$$;
+
+-- Visitors don't need to be signed in to say whether an answer helped
+create or replace function public.record_ticket_deflection(
+  target_organization uuid,
+  deflection_channel text,
+  deflection_outcome text,
+  target_article uuid default null,
+  query text default null
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if deflection_channel = 'help_center' and not exists (
+    select 1 from public.organizations
+    where id = target_organization and help_center_enabled
+  ) then
+    raise exception 'The help center is not enabled for this organization';
+  end if;
+
+  if target_article is not null and not exists (
+    select 1 from public.help_articles
+    where id = target_article and organization_id = target_organization and is_published
+  ) then
+    raise exception 'Article % is not published in this help center', target_article;
+  end if;
+
+  insert into public.ticket_deflections (organization_id, channel, outcome, article_id, search_query, customer_id)
+  values (
+    target_organization,
+    deflection_channel,
+    deflection_outcome,
+    target_article,
+    left(nullif(trim(query), ''), 500),
+    auth.uid()
+  );
+end;
+$$;
+
+revoke execute on function public.get_help_center(uuid) from public;
+revoke execute on function public.record_ticket_deflection(uuid, text, text, uuid, text) from public;
+grant execute on function public.get_help_center(uuid) to anon, authenticated;
+grant execute on function public.record_ticket_deflection(uuid, text, text, uuid, text) to anon, authenticated;
@@ -0,0 +1,58 @@
+-- Suggested answers while writing a ticket.
+--
+-- When the organization's help center is open, NewTicketView shows the
+-- published articles (ranked by help-center-search from the knowledge base)
+-- that best match what the customer is typing. Marking one as having solved
+-- the problem is recorded as a 'new_ticket' deflection and no ticket is
+-- created; submitting the ticket anyway records an escalation.
+
+alter table public.ticket_deflections
+  drop constraint if exists ticket_deflections_channel_check;
+
+alter table public.ticket_deflections
+  add constraint ticket_deflections_channel_check
+  check (channel in ('help_center', 'new_ticket'));
+
+-- Only signed-in customers write tickets, so only they can deflect one
+create or replace function public.record_ticket_deflection(
+  target_organization uuid,
+  deflection_channel text,
+  deflection_outcome text,
+  target_article uuid default null,
+  query text default null
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if deflection_channel = 'help_center' and not exists (
+    select 1 from public.organizations
+    where id = target_organization and help_center_enabled
+  ) then
+    raise exception 'The help center is not enabled for this organization';
+  end if;
+
+  if deflection_channel = 'new_ticket' and auth.uid() is null then
+    raise exception 'Only signed-in customers can deflect a new ticket' using errcode = '42501';
+  end if;
+
+  if target_article is not null and not exists (
+    select 1 from public.help_articles
+    where id = target_article and organization_id = target_organization and is_published
+  ) then
+    raise exception 'Article % is not published in this help center', target_article;
+  end if;
+
+  insert into public.ticket_deflections (organization_id, channel, outcome, article_id, search_query, customer_id)
+  values (
+    target_organization,
+    deflection_channel,
+    deflection_outcome,
+    target_article,
+    left(nullif(trim(query), ''), 500),
+    auth.uid()
+  );
+end;
+$$;
@@ -0,0 +1,43 @@
+-- Agent assist: knowledge-base snippets and AI-drafted replies in TicketDetails.
+--
+-- The agent-assist edge function retrieves the organization's document chunks
+-- for the conversation and drafts a reply with the same pipeline the bot
+-- answers from. Every draft is kept here with what the agent did with it:
+-- sent unchanged ('accepted'), sent after changing it ('edited') or thrown
+-- away ('discarded'). Drafts still 'pending' were never acted on.
+
+create table if not exists public.reply_drafts (
+  id uuid primary key default gen_random_uuid(),
+  ticket_id uuid not null references public.tickets(id) on delete cascade,
+  agent_id uuid not null references public.profiles(id) on delete cascade,
+  bot_profile_id uuid references public.bot_profiles(id) on delete set null,
+  content text not null,
+  confidence double precision,
+  citations jsonb not null default '[]'::jsonb,
+  outcome text not null default 'pending'
+    check (outcome in ('pending', 'accepted', 'edited', 'discarded')),
+  comment_id uuid references public.ticket_comments(id) on delete set null,
+  created_at timestamptz not null default now(),
+  resolved_at timestamptz
+);
+
+create index if not exists reply_drafts_ticket_idx
+  on public.reply_drafts (ticket_id, created_at desc);
+
+create index if not exists reply_drafts_created_idx
+  on public.reply_drafts (created_at desc);
+
+-- Drafts are created by the edge function (service role) only
+alter table public.reply_drafts enable row level security;
+
+create policy "Staff read reply drafts"
+  on public.reply_drafts for select
+  to authenticated
+  using (exists (select 1 from public.profiles where id = auth.uid() and role in ('agent', 'admin')));
+
+-- An agent settles their own drafts, once
+create policy "Agents resolve their own reply drafts"
+  on public.reply_drafts for update
+  to authenticated
+  using (agent_id = auth.uid() and outcome = 'pending')
+  with check (agent_id = auth.uid() and outcome <> 'pending');
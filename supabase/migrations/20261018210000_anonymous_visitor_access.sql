@@ -0,0 +1,43 @@
+-- Keep anonymous chat widget visitors out of configuration and retrieval.
+--
+-- Widget visitors sign in anonymously, which gives them the authenticated
+-- role. Policies that let any signed-in user read a table therefore also let
+-- any visitor to any site with the widget read it, bot persona prompts
+-- included. These tables are now only readable by real accounts; the widget
+-- reads none of them. Anonymous sessions carry is_anonymous in their JWT.
+
+drop policy if exists "Bot profiles are readable by signed-in users" on public.bot_profiles;
+create policy "Bot profiles are readable by signed-in users"
+  on public.bot_profiles for select
+  to authenticated
+  using (coalesce((auth.jwt()->>'is_anonymous')::boolean, false) = false);
+
+drop policy if exists "Authenticated users can view knowledge base settings" on public.knowledge_base_settings;
+create policy "Authenticated users can view knowledge base settings"
+  on public.knowledge_base_settings for select
+  to authenticated
+  using (coalesce((auth.jwt()->>'is_anonymous')::boolean, false) = false);
+
+drop policy if exists "Signed-in users can read business hours" on public.business_hours;
+create policy "Signed-in users can read business hours"
+  on public.business_hours for select
+  to authenticated
+  using (coalesce((auth.jwt()->>'is_anonymous')::boolean, false) = false);
+
+drop policy if exists "Signed-in users can read SLA policies" on public.sla_policies;
+create policy "Signed-in users can read SLA policies"
+  on public.sla_policies for select
+  to authenticated
+  using (coalesce((auth.jwt()->>'is_anonymous')::boolean, false) = false);
+
+drop policy if exists "Authenticated users can view field definitions" on public.ticket_field_definitions;
+create policy "Authenticated users can view field definitions"
+  on public.ticket_field_definitions for select
+  to authenticated
+  using (coalesce((auth.jwt()->>'is_anonymous')::boolean, false) = false);
+
+-- Knowledge base retrieval only runs in edge functions, which use the service role
+revoke execute on function public.match_document_embeddings(vector, uuid, integer, double precision, text[]) from public, anon, authenticated;
+revoke execute on function public.hybrid_match_document_embeddings(text, vector, uuid, integer, double precision, double precision, integer, integer, text[]) from public, anon, authenticated;
+grant execute on function public.match_document_embeddings(vector, uuid, integer, double precision, text[]) to service_role;
+grant execute on function public.hybrid_match_document_embeddings(text, vector, uuid, integer, double precision, double precision, integer, integer, text[]) to service_role;
@@ -0,0 +1,9 @@
+-- Streamed bot answers in the chat widget.
+--
+-- While bot-reply generates an answer it saves the text written so far on the
+-- comment's run. The widget already follows its visitor's runs over realtime,
+-- so it shows the answer as it is written; the finished reply then arrives as
+-- the bot's comment and partial_reply is cleared.
+
+alter table public.bot_reply_runs
+  add column if not exists partial_reply text;
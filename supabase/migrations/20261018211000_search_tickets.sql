@@ -0,0 +1,23 @@
+-- Ticket search as a table source.
+--
+-- The ticket list used to fetch the ids search_ticket_ids matched and send
+-- them back in the URL of the ticket query, which breaks with long id lists
+-- and loses the ranking. search_tickets returns the matching tickets
+-- themselves, best match first, so the client applies its filters, counts
+-- and paging to the RPC (PostgREST filters a set-returning function's rows
+-- in the order it returns them) and never handles the ids.
+
+create or replace function public.search_tickets(query_text text)
+returns setof public.tickets
+language sql
+stable
+set search_path = public
+as $$
+  select t.*
+  from public.search_ticket_ids(query_text, null) s
+  join public.tickets t on t.id = s.ticket_id
+  order by s.rank desc, t.created_at desc;
+$$;
+
+revoke execute on function public.search_tickets(text) from public, anon;
+grant execute on function public.search_tickets(text) to authenticated;
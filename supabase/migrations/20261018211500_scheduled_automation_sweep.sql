@@ -0,0 +1,6 @@
+-- The scheduled automation sweep walks every ticket that isn't closed in
+-- (updated_at, id) order, a page at a time.
+
+create index if not exists tickets_open_updated_at_idx
+  on public.tickets (updated_at, id)
+  where status <> 'closed';
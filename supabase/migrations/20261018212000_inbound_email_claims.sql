@@ -0,0 +1,29 @@
+-- Safer inbound email handling.
+--
+-- The email channel now threads replies only through reply addresses.
+-- A reply joins a ticket only when it is sent to the ticket's signed reply
+-- address (support+TOKEN-SIGNATURE@...), which only the recipients of our
+-- emails know. The [#TOKEN] in the subject is no longer used to find the
+-- ticket: both it and the From address are easy to forge. The cost is that
+-- replies from mail clients that drop or rewrite Reply-To, and emails
+-- forwarded to the plain support address, open a new ticket instead of
+-- adding to the old one; agents can merge those. Existing tickets get signed
+-- addresses with the next email sent about them.
+--
+-- The inbound-email function now logs an email as 'processing' before it
+-- creates anything from it, and fills the row in as it goes. The unique
+-- message id on that row is the duplicate check, so a provider's retry can't
+-- open a second ticket even if the function failed after opening the first.
+
+alter table public.inbound_emails
+  drop constraint if exists inbound_emails_status_check;
+
+alter table public.inbound_emails
+  add constraint inbound_emails_status_check
+  check (status in ('processing', 'ticket_created', 'comment_added', 'rejected', 'failed'));
+
+drop index if exists public.inbound_emails_message_id_idx;
+
+create unique index inbound_emails_message_id_idx
+  on public.inbound_emails (message_id)
+  where message_id is not null and status in ('processing', 'ticket_created', 'comment_added');
@@ -0,0 +1,36 @@
+-- Only the bot posts as the bot.
+--
+-- Users can insert and update ticket comments, so without this a customer
+-- could post a comment flagged is_bot under any team's bot profile. It would
+-- read as the bot's answer, and the triggers that skip bot comments (bot
+-- replies, first response, reopening, incident fan-out) would skip it too.
+-- Comments written through the API as a signed-in (or anonymous) user never
+-- carry the bot flags; the bot-reply function writes with the service role.
+-- An update keeps the flags a comment already had, so moving comments to
+-- another ticket (merge, split) leaves bot answers intact.
+
+create or replace function public.guard_bot_comment()
+returns trigger
+language plpgsql
+set search_path = public
+as $$
+begin
+  if auth.role() in ('authenticated', 'anon') then
+    if tg_op = 'INSERT' then
+      new.is_bot := false;
+      new.bot_profile_id := null;
+    else
+      new.is_bot := old.is_bot;
+      -- Clearing it is allowed: deleting a bot profile sets it null
+      new.bot_profile_id := case when new.bot_profile_id is null then null else old.bot_profile_id end;
+    end if;
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists ticket_comments_guard_bot on public.ticket_comments;
+create trigger ticket_comments_guard_bot
+  before insert or update on public.ticket_comments
+  for each row execute function public.guard_bot_comment();
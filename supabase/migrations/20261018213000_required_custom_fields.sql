@@ -0,0 +1,62 @@
+-- Required custom fields only hold up tickets customers open on the web.
+--
+-- Email and chat tickets, tickets split off by an agent and service-role
+-- inserts have no form to fill the fields in, so requiring them there made
+-- every inbound email and widget conversation of an organization with a
+-- required field fail. Those tickets are now let through without; the
+-- values are still checked whenever they are given.
+
+-- Rejects values that don't fit their field, and missing required fields on
+-- web tickets the customer opens themselves. Values of fields that were
+-- deleted since are dropped.
+create or replace function public.validate_ticket_custom_fields()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  definition public.ticket_field_definitions;
+  value jsonb;
+  cleaned jsonb := '{}'::jsonb;
+begin
+  if tg_op = 'UPDATE'
+    and new.custom_fields is not distinct from old.custom_fields
+    and new.organization_id is not distinct from old.organization_id then
+    return new;
+  end if;
+
+  if jsonb_typeof(new.custom_fields) is distinct from 'object' then
+    raise exception 'custom_fields must be an object' using errcode = 'check_violation';
+  end if;
+
+  for definition in
+    select * from public.ticket_field_definitions where organization_id = new.organization_id
+  loop
+    value := new.custom_fields -> definition.key;
+
+    if value is null or value = 'null'::jsonb or value = '""'::jsonb then
+      if definition.required and tg_op = 'INSERT'
+        and new.source = 'web' and new.customer_id = auth.uid() then
+        raise exception 'Custom field % is required', definition.label using errcode = 'check_violation';
+      end if;
+      continue;
+    end if;
+
+    if definition.field_type = 'number' and jsonb_typeof(value) <> 'number' then
+      raise exception 'Custom field % must be a number', definition.label using errcode = 'check_violation';
+    elsif definition.field_type = 'select' and not (value #>> '{}') = any(definition.options) then
+      raise exception 'Custom field % must be one of its options', definition.label using errcode = 'check_violation';
+    elsif definition.field_type = 'date' and (value #>> '{}') !~ '^\d{4}-\d{2}-\d{2}$' then
+      raise exception 'Custom field % must be a date', definition.label using errcode = 'check_violation';
+    elsif definition.field_type = 'text' and jsonb_typeof(value) <> 'string' then
+      raise exception 'Custom field % must be text', definition.label using errcode = 'check_violation';
+    end if;
+
+    cleaned := cleaned || jsonb_build_object(definition.key, value);
+  end loop;
+
+  new.custom_fields := cleaned;
+  return new;
+end;
+$$;
@@ -0,0 +1,21 @@
+-- Latest public comment per ticket, for the time-based automation conditions.
+--
+-- run-automations used to fetch every public comment of a page of tickets
+-- and keep the newest per ticket, which PostgREST's row limit cut short on
+-- busy tickets. This returns one row per ticket instead.
+
+create or replace function public.last_public_replies(ticket_ids uuid[])
+returns table (ticket_id uuid, last_reply_at timestamptz)
+language sql
+stable
+set search_path = public
+as $$
+  select c.ticket_id, max(c.created_at) as last_reply_at
+  from public.ticket_comments c
+  where c.ticket_id = any(ticket_ids)
+    and not c.is_internal
+  group by c.ticket_id;
+$$;
+
+revoke execute on function public.last_public_replies(uuid[]) from public, anon, authenticated;
+grant execute on function public.last_public_replies(uuid[]) to service_role;
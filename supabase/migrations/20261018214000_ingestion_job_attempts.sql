@@ -0,0 +1,81 @@
+-- Jobs abandoned mid-run count against max_attempts.
+--
+-- A job whose worker times out or crashes on its file stays in extracting or
+-- embedding, and was handed out again every 10 minutes forever. Now it is only
+-- handed out again while it has attempts left; once they are used up the cron
+-- sweep marks it failed, like a job whose last attempt failed outright.
+
+create or replace function public.claim_document_ingestion_job(job_id uuid default null)
+returns setof public.document_ingestion_jobs
+language sql
+security definer
+set search_path = public
+as $$
+  update public.document_ingestion_jobs j
+  set status = 'extracting',
+      attempts = j.attempts + 1,
+      chunks_done = 0,
+      chunks_total = null,
+      error = null,
+      started_at = now(),
+      updated_at = now()
+  where j.id = (
+    select c.id
+    from public.document_ingestion_jobs c
+    where (job_id is null or c.id = job_id)
+      and (
+        (c.status = 'queued' and c.next_attempt_at <= now())
+        or (
+          c.status in ('extracting', 'embedding')
+          and c.updated_at < now() - interval '10 minutes'
+          and c.attempts < c.max_attempts
+        )
+      )
+    order by c.next_attempt_at
+    limit 1
+    for update skip locked
+  )
+  returning j.*;
+$$;
+
+revoke execute on function public.claim_document_ingestion_job(uuid) from public, anon, authenticated;
+grant execute on function public.claim_document_ingestion_job(uuid) to service_role;
+
+create or replace function public.fail_abandoned_ingestion_jobs()
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+  update public.document_ingestion_jobs
+  set status = 'failed',
+      error = format('The worker stopped responding on all %s attempts', attempts),
+      finished_at = now(),
+      updated_at = now()
+  where status in ('extracting', 'embedding')
+    and updated_at < now() - interval '10 minutes'
+    and attempts >= max_attempts;
+$$;
+
+revoke execute on function public.fail_abandoned_ingestion_jobs() from public, anon, authenticated;
+
+-- Gives up on abandoned jobs that are out of attempts, then picks up retries
+-- whose backoff has elapsed and abandoned jobs that still have attempts left
+select cron.schedule(
+  'process-document-ingestion-jobs',
+  '* * * * *',
+  $$
+    select public.fail_abandoned_ingestion_jobs();
+
+    select public.request_document_ingestion()
+    where exists (
+      select 1 from public.document_ingestion_jobs
+      where (status = 'queued' and next_attempt_at <= now())
+         or (
+           status in ('extracting', 'embedding')
+           and updated_at < now() - interval '10 minutes'
+           and attempts < max_attempts
+         )
+    )
+  $$
+);
@@ -0,0 +1,71 @@
+-- Incidents only gather tickets from their own organization.
+--
+-- set_ticket_parent checked that the caller could work the incident but not
+-- where the child came from, so an agent could attach another organization's
+-- ticket and resolve it along with the incident.
+
+-- Attaches a ticket to an incident, or detaches it when incident_ticket_id is null
+create or replace function public.set_ticket_parent(child_ticket_id uuid, incident_ticket_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  child public.tickets;
+  parent public.tickets;
+  current_parent public.tickets;
+begin
+  select * into child from public.tickets where id = child_ticket_id for update;
+
+  if child.id is null then
+    raise exception 'Ticket not found';
+  end if;
+
+  if child.parent_ticket_id is not distinct from incident_ticket_id then
+    return;
+  end if;
+
+  select * into current_parent from public.tickets where id = child.parent_ticket_id;
+
+  if incident_ticket_id is null then
+    if not (public.can_work_ticket(child) or (current_parent.id is not null and public.can_work_ticket(current_parent))) then
+      raise exception 'Not allowed to detach this ticket'
+        using errcode = 'insufficient_privilege';
+    end if;
+  else
+    select * into parent from public.tickets where id = incident_ticket_id;
+
+    if parent.id is null then
+      raise exception 'Incident not found';
+    end if;
+
+    -- Whoever works the incident gathers its reports, whoever they're assigned to
+    if not public.can_work_ticket(parent) then
+      raise exception 'Not allowed to attach tickets to this incident'
+        using errcode = 'insufficient_privilege';
+    end if;
+
+    if not parent.is_incident then
+      raise exception 'Tickets can only be attached to an incident';
+    end if;
+
+    if child.id = parent.id or child.is_incident then
+      raise exception 'Incidents cannot be attached to an incident';
+    end if;
+
+    if child.organization_id is distinct from parent.organization_id then
+      raise exception 'Tickets can only be attached to an incident in the same organization';
+    end if;
+
+    if parent.status = 'closed' or child.status = 'closed' then
+      raise exception 'Closed tickets cannot be linked';
+    end if;
+  end if;
+
+  update public.tickets set parent_ticket_id = incident_ticket_id where id = child.id;
+
+  insert into public.ticket_events (ticket_id, actor_id, event_type, old_value, new_value)
+  values (child.id, auth.uid(), 'parent_changed', child.parent_ticket_id::text, incident_ticket_id::text);
+end;
+$$;
@@ -0,0 +1,8 @@
+-- Agents can only settle a reply draft, not rewrite it.
+--
+-- The update policy limits which drafts an agent can touch, but not which
+-- columns, so an agent could change a draft's content, confidence or ticket
+-- and skew the acceptance stats. Only the outcome columns are writable now.
+
+revoke update on public.reply_drafts from anon, authenticated;
+grant update (outcome, comment_id, resolved_at) on public.reply_drafts to authenticated;
@@ -0,0 +1,71 @@
+-- Re-indexing a retired document version keeps its earlier chunks.
+--
+-- publish_document_version deleted the earlier chunks of whatever version it
+-- was given, so re-indexing a superseded version threw away the chunks its
+-- old answers were given from. Those are kept for auditing now; the new
+-- chunks are added alongside them, and all of them stay inactive.
+
+-- Makes a freshly indexed version the one the bot answers from. Chunks written
+-- by ingestion_job_id replace any earlier chunks of a current version, and
+-- every older version of the document is retired.
+create or replace function public.publish_document_version(file_id uuid, ingestion_job_id uuid default null)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  target public.organization_files;
+begin
+  if auth.role() <> 'service_role'
+    and not exists (select 1 from public.profiles where id = auth.uid() and role = 'admin') then
+    raise exception 'Only admins can publish document versions' using errcode = '42501';
+  end if;
+
+  select * into target
+  from public.organization_files f
+  where f.id = publish_document_version.file_id
+  for update;
+
+  if not found then
+    raise exception 'Organization file % not found', publish_document_version.file_id;
+  end if;
+
+  if publish_document_version.ingestion_job_id is not null then
+    -- A retired version's earlier chunks are kept for the record; only a
+    -- current version has its earlier chunks replaced
+    if target.superseded_at is null then
+      delete from public.document_embeddings de
+      where de.file_id = target.id
+        and de.ingestion_job_id is distinct from publish_document_version.ingestion_job_id;
+    end if;
+
+    update public.organization_files f
+    set has_embeddings = true
+    where f.id = target.id;
+  end if;
+
+  -- A re-indexed old version keeps its chunks for the record but stays retired
+  update public.document_embeddings de
+  set is_active = target.superseded_at is null
+  where de.file_id = target.id;
+
+  if target.superseded_at is not null then
+    return;
+  end if;
+
+  update public.document_embeddings de
+  set is_active = false
+  from public.organization_files f
+  where de.file_id = f.id
+    and f.document_id = target.document_id
+    and f.version < target.version;
+
+  update public.organization_files f
+  set superseded_at = now(),
+      superseded_by = target.id
+  where f.document_id = target.document_id
+    and f.version < target.version
+    and f.superseded_at is null;
+end;
+$$;